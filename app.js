@@ -3,6 +3,13 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const apiRoutes = require('./routes/api');
+const v1Routes = require('./routes/v1');
+const graphqlRoutes = require('./routes/graphql');
+const exportRoutes = require('./routes/exports');
+const feedRoutes = require('./routes/feeds');
+const embedRoutes = require('./routes/embed');
+const ogRoutes = require('./routes/og');
+const { prerenderPages } = require('./services/prerender');
 
 const app = express();
 app.use(express.json());
@@ -12,17 +19,44 @@ if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+    res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Total-Pages, X-Page, X-Per-Page');
     next();
   });
 }
 
-// API routes
+// Only /embed pages may be framed by other sites (routes/embed.js sets their CSP); everything
+// else, the SPA included, can be framed only by itself
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/embed/')) {
+    res.setHeader('Content-Security-Policy', "frame-ancestors 'self'");
+    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+  }
+  next();
+});
+
+// API routes: public, key-authenticated v1 for partners; read-only GraphQL for analysts;
+// CSV/NDJSON bulk exports; unversioned /api is internal to the SPA
+app.use('/api/v1', v1Routes);
+app.use('/api/graphql', graphqlRoutes);
+app.use('/api/export', exportRoutes);
 app.use('/api', apiRoutes);
 
+// Atom and .ics feeds, at stable URLs outside /api
+app.use('/feeds', feedRoutes);
+
+// Widget pages for other sites to iframe; the loader is public/embed.js
+app.use('/embed', embedRoutes);
+
+// PNG share cards for link previews
+app.use('/og', ogRoutes);
+
 // Serve static files from the React app in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'dist')));
-  
+
+  // Member and bill pages get per-page title and link-preview tags (services/prerender.js)
+  app.use(prerenderPages(path.join(__dirname, 'dist', 'index.html')));
+
   // Handle React routing, return all requests to React app
   app.use((req, res) => {
     res.sendFile(path.join(__dirname, 'dist', 'index.html'));
@@ -0,0 +1,76 @@
+/**
+ * Public API Keys
+ *
+ * Keys for /api/v1 look like rw_<32 base64url chars>. Only their SHA-256 is stored
+ * (api_keys.key_hash), with the first characters kept as a prefix to recognize a key in
+ * listings. Each key has a per-minute rate limit, enforced in memory by createRateLimiter,
+ * and a daily quota, enforced by the per-day request count in api_key_usage.
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'rw_';
+const KEY_PREFIX_LENGTH = 11; // 'rw_' + 8 characters
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const DEFAULT_DAILY_QUOTA = 10000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * A new random key. Show `key` to the partner once; store `prefix` and `hash`.
+ * @returns {{key: string, prefix: string, hash: string}}
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, KEY_PREFIX_LENGTH), hash: hashApiKey(key) };
+}
+
+/**
+ * The key sent with a request: `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * @param {Object} headers - req.headers (lower-cased names)
+ * @returns {string|null}
+ */
+function readApiKey(headers = {}) {
+  const auth = typeof headers.authorization === 'string' ? headers.authorization.trim() : '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(auth);
+  const key = bearer ? bearer[1] : (typeof headers['x-api-key'] === 'string' ? headers['x-api-key'].trim() : '');
+  return key.startsWith(KEY_PREFIX) ? key : null;
+}
+
+/**
+ * Fixed-window request counter per key, in process memory (one web instance).
+ * @param {{windowMs?: number}} [opts]
+ * @returns {{hit: (id: string|number, limit: number, now?: number) =>
+ *   {allowed: boolean, limit: number, remaining: number, reset: number}}} reset is epoch seconds
+ */
+function createRateLimiter({ windowMs = 60000 } = {}) {
+  const windows = new Map(); // id -> { start, count }
+  return {
+    hit(id, limit, now = Date.now()) {
+      const start = now - (now % windowMs);
+      let w = windows.get(id);
+      if (!w || w.start !== start) {
+        // Drop every expired window now and then so idle keys don't accumulate
+        if (windows.size > 1000) {
+          for (const [k, v] of windows) if (v.start !== start) windows.delete(k);
+        }
+        w = { start, count: 0 };
+        windows.set(id, w);
+      }
+      const allowed = w.count < limit;
+      if (allowed) w.count++;
+      return { allowed, limit, remaining: Math.max(0, limit - w.count), reset: Math.ceil((start + windowMs) / 1000) };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_DAILY_QUOTA,
+  hashApiKey,
+  generateApiKey,
+  readApiKey,
+  createRateLimiter,
+};
@@ -0,0 +1,135 @@
+/**
+ * Public API v1 Contract
+ *
+ * Query parsing, the { data, meta } / { error } envelopes and the resource shapes served under
+ * /api/v1. The internal /api routes return whatever the SPA needs; these shapes only change in a
+ * new version, so every field is listed explicitly rather than spread from a DB row.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const CHAMBERS = ['house', 'senate'];
+
+// Error code -> HTTP status
+const ERROR_STATUS = {
+  invalid_request: 400,
+  unauthorized: 401,
+  not_found: 404,
+  rate_limited: 429,
+  quota_exceeded: 429,
+  internal_error: 500,
+};
+
+/** { error: { code, message } } with the status for the code */
+function apiError(code, message) {
+  return { status: ERROR_STATUS[code] || 500, body: { error: { code, message } } };
+}
+
+/**
+ * Parse member list options: state, chamber, party, page, limit.
+ * @returns {{filters: Object, page: number, limit: number, error: string|null}}
+ */
+function parseMemberQuery(query = {}) {
+  const out = { filters: {}, page: 1, limit: DEFAULT_LIMIT, error: null };
+  const fail = (msg) => Object.assign(out, { error: msg });
+  const str = (v) => (v == null ? '' : String(v).trim());
+
+  if (str(query.state)) {
+    const state = str(query.state).toUpperCase();
+    if (!/^[A-Z]{2}$/.test(state)) return fail('Invalid state (expected a two-letter code)');
+    out.filters.state = state;
+  }
+  if (str(query.chamber)) {
+    const chamber = str(query.chamber).toLowerCase();
+    if (!CHAMBERS.includes(chamber)) return fail(`Invalid chamber (expected ${CHAMBERS.join(' or ')})`);
+    out.filters.chamber = chamber;
+  }
+  if (str(query.party)) out.filters.party = str(query.party);
+  if (str(query.page)) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) return fail('Invalid page');
+    out.page = page;
+  }
+  if (str(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return fail('Invalid limit');
+    out.limit = Math.min(limit, MAX_LIMIT);
+  }
+  return out;
+}
+
+/** Page metadata for offset-paginated lists */
+function pageMeta(page, limit, total) {
+  return { page, limit, total, total_pages: Math.max(1, Math.ceil(total / limit)) };
+}
+
+/** @param {Object} row - representatives row with photo_url */
+function memberResource(row) {
+  return {
+    id: row.id,
+    bioguide_id: row.bioguide_id || null,
+    name: row.name,
+    party: row.party || null,
+    state: row.state,
+    district: row.district ?? null,
+    chamber: row.chamber,
+    phone: row.phone || null,
+    website: row.website || null,
+    photo_url: row.photo_url || null,
+  };
+}
+
+/** @param {Object} v - one vote from getRepVotesPage (models/votes.js) */
+function memberVoteResource(v) {
+  const vm = v.vote_metadata || {};
+  return {
+    roll_call: v.roll_call,
+    chamber: v.chamber,
+    vote_date: v.vote_date,
+    vote: v.vote,
+    question: vm.question || null,
+    result: vm.result || null,
+    issue: v.issue_id != null
+      ? { id: v.issue_id, canonical_bill_id: v.bill_id || null, title: v.title || null, categories: v.categories || [] }
+      : null,
+  };
+}
+
+/** Issue list item or detail (without roll calls) */
+function issueResource(issue) {
+  const ai = issue.ai_summary || {};
+  return {
+    id: issue.id,
+    canonical_bill_id: issue.canonical_bill_id || null,
+    title: issue.title,
+    plain_english_title: ai.plain_english_title || null,
+    summary: ai.short_summary || null,
+    categories: issue.categories || [],
+    vote_date: issue.vote_date,
+    outcome: issue.outcome ?? null,
+  };
+}
+
+/** One member's position on a roll call */
+function positionResource(v) {
+  return {
+    member_id: v.representative_id,
+    name: v.representative_name,
+    party: v.party,
+    state: v.state,
+    district: v.district ?? null,
+    vote: v.vote,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  apiError,
+  parseMemberQuery,
+  pageMeta,
+  memberResource,
+  memberVoteResource,
+  issueResource,
+  positionResource,
+};
@@ -0,0 +1,123 @@
+/**
+ * Bill Status
+ *
+ * Derives where a bill stands from its BILLSTATUS actions: introduced, passed
+ * House, passed Senate, resolving differences, to President, became law or
+ * vetoed. Actions use the shape stored in bill_actions
+ * ({ action_date, action_text, action_type, chamber }).
+ */
+
+const STATUS_LABELS = {
+  introduced: 'Introduced',
+  passed_house: 'Passed House',
+  passed_senate: 'Passed Senate',
+  resolving_differences: 'Resolving differences',
+  to_president: 'To President',
+  became_law: 'Became law',
+  vetoed: 'Vetoed',
+};
+
+const CANONICAL_BILL_ID_RE = /^(hr|s|hjres|sjres|hconres|sconres|hres|sres)(\d+)-(\d+)$/;
+
+// Matched against action text; action_type (BILLSTATUS <type>) is checked first where it exists
+const MILESTONE_PATTERNS = {
+  passed_house: /passed\/agreed to in house|passed house|on passage passed|on motion to suspend the rules and pass the bill[^.]*agreed to/i,
+  passed_senate: /passed\/agreed to in senate|passed senate/i,
+  resolving_differences: /conference report|resolving differences|agreed to (?:the )?(?:house|senate) amendment|concurred in/i,
+  to_president: /presented to president/i,
+  became_law: /became (?:public|private) law|signed by president/i,
+  vetoed: /vetoed by president|pocket vetoed/i,
+};
+
+const TYPE_MILESTONES = {
+  IntroReferral: 'introduced',
+  ResolvingDifferences: 'resolving_differences',
+  BecameLaw: 'became_law',
+  Veto: 'vetoed',
+};
+
+/**
+ * Parse a canonical bill id (e.g. hr815-119).
+ * @returns {{bill_type: string, bill_number: number, congress: number}|null}
+ */
+function parseCanonicalBillId(id) {
+  const m = CANONICAL_BILL_ID_RE.exec(String(id || '').trim().toLowerCase());
+  if (!m) return null;
+  return { bill_type: m[1], bill_number: Number(m[2]), congress: Number(m[3]) };
+}
+
+/** Milestone an action represents, or null */
+function classifyAction(action) {
+  const byType = TYPE_MILESTONES[action.action_type];
+  const text = action.action_text || '';
+  // A veto override ends in "Became Public Law ... over veto", which should count as law
+  if (MILESTONE_PATTERNS.became_law.test(text)) return 'became_law';
+  if (byType) return byType;
+  if (MILESTONE_PATTERNS.vetoed.test(text)) return 'vetoed';
+  if (MILESTONE_PATTERNS.to_president.test(text)) return 'to_president';
+  if (MILESTONE_PATTERNS.resolving_differences.test(text)) return 'resolving_differences';
+  if (MILESTONE_PATTERNS.passed_senate.test(text)) return 'passed_senate';
+  if (MILESTONE_PATTERNS.passed_house.test(text)) return 'passed_house';
+  return null;
+}
+
+/**
+ * Steps after introduction. Simple resolutions only need their own chamber;
+ * concurrent resolutions need both but never go to the President.
+ */
+function billPath(billType, reached, vetoed) {
+  const type = String(billType || '').toLowerCase();
+  const chambers = type.startsWith('s') ? ['passed_senate', 'passed_house'] : ['passed_house', 'passed_senate'];
+  if (type === 'hres' || type === 'sres') return chambers.slice(0, 1);
+  const differences = reached.resolving_differences ? ['resolving_differences'] : [];
+  if (type === 'hconres' || type === 'sconres') return [...chambers, ...differences];
+  return [...chambers, ...differences, 'to_president', vetoed ? 'vetoed' : 'became_law'];
+}
+
+function byDate(a, b) {
+  return String(a.action_date || '').localeCompare(String(b.action_date || ''));
+}
+
+/**
+ * Derive a bill's status and the steps of its path through Congress.
+ * @param {Object[]} actions - { action_date, action_text, action_type, chamber }
+ * @param {string} billType - e.g. 'hr', 's' (decides which chamber acts first)
+ * @returns {{status: string, label: string, as_of: string|null, steps: Array<{key: string, label: string, date: string|null, reached: boolean}>}}
+ */
+function deriveBillStatus(actions, billType) {
+  const sorted = [...actions].sort(byDate);
+  const reached = {};
+  for (const action of sorted) {
+    const milestone = classifyAction(action);
+    if (milestone && !reached[milestone]) reached[milestone] = action.action_date;
+  }
+  if (!reached.introduced && sorted.length > 0) reached.introduced = sorted[0].action_date;
+
+  // Law after a veto means it was overridden; otherwise a veto is final
+  const vetoed = reached.vetoed && !(reached.became_law && reached.became_law >= reached.vetoed);
+
+  // When both chambers have passed it, the later passage is the current status
+  let status = 'introduced';
+  const passed = ['passed_house', 'passed_senate'].filter((k) => reached[k]).sort((a, b) => reached[a].localeCompare(reached[b]));
+  if (passed.length > 0) status = passed[passed.length - 1];
+  if (reached.resolving_differences) status = 'resolving_differences';
+  if (reached.to_president) status = 'to_president';
+  if (reached.became_law) status = 'became_law';
+  if (vetoed) status = 'vetoed';
+
+  const path = ['introduced', ...billPath(billType, reached, vetoed)];
+
+  return {
+    status,
+    label: STATUS_LABELS[status],
+    as_of: sorted.length > 0 ? sorted[sorted.length - 1].action_date : null,
+    steps: path.map((key) => ({ key, label: STATUS_LABELS[key], date: reached[key] || null, reached: Boolean(reached[key]) })),
+  };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  parseCanonicalBillId,
+  classifyAction,
+  deriveBillStatus,
+};
@@ -0,0 +1,101 @@
+/**
+ * Bill Follow Updates
+ *
+ * What a follower of a bill hasn't been told yet: new roll calls on it (with how their own reps
+ * voted), new BILLSTATUS actions, and the status change those actions cause. Works on the shape
+ * returned by getBillUpdates in models/bill_subscriptions.js, so it runs without a database.
+ * Event keys follow the vote keys: 'bill:hr815-119:action:42:user:7'.
+ */
+
+const { parseCanonicalBillId, deriveBillStatus } = require('./bill_status');
+
+/** notification_events key for one bill update sent to one user */
+function billEventKey(billId, kind, id, userId) {
+  return `bill:${billId}:${kind}:${id}:user:${userId}`;
+}
+
+function recordedSince(items, since) {
+  const start = since ? new Date(since).getTime() : 0;
+  return items.filter((item) => new Date(item.recorded_at).getTime() >= start);
+}
+
+function statusOf(update, actions) {
+  if (actions.length === 0) return null;
+  return deriveBillStatus(actions, parseCanonicalBillId(update.canonical_bill_id)?.bill_type);
+}
+
+/**
+ * Roll calls and actions recorded since `since`, plus the bill's current status, each with its event key.
+ * @param {Object} update - from getBillUpdates: { canonical_bill_id, roll_calls, actions, ... }
+ * @param {number|string} userId
+ * @param {Date|string|null} since - later of the follow date and the digest lookback
+ */
+function billUpdateCandidates(update, userId, since) {
+  const billId = update.canonical_bill_id;
+  const status = statusOf(update, update.actions);
+  return {
+    rollCalls: recordedSince(update.roll_calls, since)
+      .map((rc) => ({ ...rc, event_key: billEventKey(billId, 'rollcall', rc.roll_call, userId) })),
+    actions: recordedSince(update.actions, since)
+      .map((a) => ({ ...a, event_key: billEventKey(billId, 'action', a.id, userId) })),
+    status,
+    statusKey: status ? billEventKey(billId, 'status', status.status, userId) : null,
+  };
+}
+
+/** Every key billUpdateCandidates could send, for checking against notification_events */
+function billUpdateKeys(update, userId, since) {
+  const c = billUpdateCandidates(update, userId, since);
+  return [...c.rollCalls, ...c.actions].map((item) => item.event_key).concat(c.statusKey ? [c.statusKey] : []);
+}
+
+/**
+ * The follower's unsent updates on one bill, or null when there are none.
+ * A status change is reported only when unsent actions moved the bill to a new status.
+ * @param {Object} update - from getBillUpdates
+ * @param {number|string} userId
+ * @param {Date|string|null} since
+ * @param {Set<string>} sentKeys - keys already in notification_events
+ * @returns {{canonical_bill_id: string, issue_id: number|null, issue_title: string|null, ai_summary: Object|null,
+ *   status_change: {from: string|null, to: string, label: string}|null, roll_calls: Object[], actions: Object[],
+ *   events: Array<{event_key: string, event_type: string, payload: Object}>}|null}
+ */
+function pendingBillUpdates(update, userId, since, sentKeys) {
+  const c = billUpdateCandidates(update, userId, since);
+  const rollCalls = c.rollCalls.filter((rc) => !sentKeys.has(rc.event_key));
+  const actions = c.actions.filter((a) => !sentKeys.has(a.event_key));
+
+  let statusChange = null;
+  if (actions.length > 0 && c.status && !sentKeys.has(c.statusKey)) {
+    const newIds = new Set(actions.map((a) => a.id));
+    const before = statusOf(update, update.actions.filter((a) => !newIds.has(a.id)));
+    const from = before ? before.status : null;
+    if (from !== c.status.status && !(from == null && c.status.status === 'introduced')) {
+      statusChange = { from, to: c.status.status, label: c.status.label };
+    }
+  }
+  if (rollCalls.length === 0 && actions.length === 0 && !statusChange) return null;
+
+  const billId = update.canonical_bill_id;
+  const events = [
+    ...rollCalls.map((rc) => ({ event_key: rc.event_key, event_type: 'bill_roll_call', payload: { canonical_bill_id: billId, roll_call: rc.roll_call } })),
+    ...actions.map((a) => ({ event_key: a.event_key, event_type: 'bill_action', payload: { canonical_bill_id: billId, action_id: a.id } })),
+    ...(statusChange ? [{ event_key: c.statusKey, event_type: 'bill_status', payload: { canonical_bill_id: billId, ...statusChange } }] : []),
+  ];
+  return {
+    canonical_bill_id: billId,
+    issue_id: update.issue_id ?? null,
+    issue_title: update.issue_title ?? null,
+    ai_summary: update.ai_summary ?? null,
+    status_change: statusChange,
+    roll_calls: rollCalls,
+    actions,
+    events,
+  };
+}
+
+module.exports = {
+  billEventKey,
+  billUpdateKeys,
+  pendingBillUpdates,
+};
@@ -0,0 +1,96 @@
+/**
+ * Member Comparison
+ *
+ * Lines up several members' positions roll call by roll call and computes
+ * pairwise agreement. Members in the same chamber are compared on shared
+ * roll calls; across chambers (a senator vs. a House member) they never share
+ * a roll call, so they are compared on their latest position on shared issues.
+ */
+
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 10;
+
+const isCast = (vote) => vote === 'yes' || vote === 'no';
+
+/**
+ * Parse ?ids=1,2,3 into unique positive integers.
+ * @returns {{ids: number[], error: string|null}}
+ */
+function parseCompareIds(raw) {
+  const ids = [...new Set(String(raw || '').split(',').map((s) => Number(s.trim())).filter((n) => Number.isInteger(n) && n > 0))];
+  if (ids.length < MIN_MEMBERS) return { ids, error: `At least ${MIN_MEMBERS} representative ids required (ids=1,2)` };
+  if (ids.length > MAX_MEMBERS) return { ids, error: `At most ${MAX_MEMBERS} representatives can be compared` };
+  return { ids, error: null };
+}
+
+/** True when at least one member voted yes and another voted no */
+function isSplit(positions) {
+  const cast = Object.values(positions).filter(isCast);
+  return cast.includes('yes') && cast.includes('no');
+}
+
+/**
+ * Group per-member vote rows into one entry per roll call, newest first.
+ * @param {Object[]} rows - { roll_call, representative_id, vote, vote_date, chamber, issue_id, title, question }
+ */
+function groupRollCalls(rows) {
+  const byRoll = new Map();
+  for (const row of rows) {
+    if (!byRoll.has(row.roll_call)) {
+      byRoll.set(row.roll_call, {
+        roll_call: row.roll_call,
+        vote_date: row.vote_date,
+        chamber: row.chamber,
+        issue_id: row.issue_id,
+        title: row.title || null,
+        question: row.question || null,
+        positions: {},
+      });
+    }
+    byRoll.get(row.roll_call).positions[row.representative_id] = row.vote;
+  }
+  return [...byRoll.values()]
+    .map((rc) => ({ ...rc, split: isSplit(rc.positions) }))
+    .sort((a, b) => new Date(b.vote_date || 0) - new Date(a.vote_date || 0) || b.roll_call.localeCompare(a.roll_call));
+}
+
+function tally(entries, a, b) {
+  let compared = 0;
+  let agreed = 0;
+  for (const positions of entries) {
+    const va = positions[a];
+    const vb = positions[b];
+    if (!isCast(va) || !isCast(vb)) continue;
+    compared += 1;
+    if (va === vb) agreed += 1;
+  }
+  return { compared, agreed, agreement: compared > 0 ? Math.round((agreed / compared) * 10000) / 10000 : null };
+}
+
+/**
+ * Pairwise agreement for every pair of members.
+ * @param {Object[]} reps - { id, chamber }
+ * @param {Object[]} rollCalls - From groupRollCalls()
+ * @param {Map<number, Object>} issuePositions - issue_id -> { repId: latest cast vote }
+ */
+function pairwiseAgreement(reps, rollCalls, issuePositions) {
+  const pairs = [];
+  for (let i = 0; i < reps.length; i++) {
+    for (let j = i + 1; j < reps.length; j++) {
+      const a = reps[i];
+      const b = reps[j];
+      const sameChamber = a.chamber === b.chamber;
+      const entries = sameChamber ? rollCalls.map((rc) => rc.positions) : [...issuePositions.values()];
+      pairs.push({ a: a.id, b: b.id, basis: sameChamber ? 'roll_call' : 'issue', ...tally(entries, a.id, b.id) });
+    }
+  }
+  return pairs;
+}
+
+module.exports = {
+  MAX_MEMBERS,
+  parseCompareIds,
+  isSplit,
+  groupRollCalls,
+  pairwiseAgreement,
+};
@@ -0,0 +1,355 @@
+/**
+ * Digest Email Rendering
+ *
+ * HTML for the daily / weekly digest and instant alerts, kept apart from scripts/send_daily_digest.js so a
+ * digest can be rendered (and written to an .eml file) without a database or mail provider.
+ */
+
+const { EVENT_LABELS } = require('./notifications');
+const { STATUS_LABELS } = require('./bill_status');
+
+// Heading, intro and summary wording per cadence
+const CADENCE_COPY = {
+  instant: { title: 'Alert', intro: 'just voted', period: 'New votes' },
+  daily: { title: 'Daily', intro: 'voted since your last update', period: 'Since your last update' },
+  weekly: { title: 'Weekly', intro: 'voted this week', period: 'This week' },
+};
+
+function formatDate(voteDate) {
+  if (!voteDate) return '—';
+  const d = new Date(voteDate);
+  if (isNaN(d.getTime())) return '—';
+  const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  return `${months[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+}
+
+function voteLabel(vote) {
+  if (!vote) return '—';
+  const v = String(vote).toLowerCase();
+  if (v === 'yes') return 'Yes';
+  if (v === 'no') return 'No';
+  if (v === 'present' || v === 'abstain') return 'Present';
+  return vote;
+}
+
+/** Inline style for vote (green YES, red NO, default for Present/other) */
+function voteStyle(vote) {
+  const v = String(vote).toLowerCase();
+  if (v === 'yes') return 'color:#059669; font-weight:700;';
+  if (v === 'no') return 'color:#dc2626; font-weight:700;';
+  return 'font-weight:600; color:#374151;';
+}
+
+function repSubtitle(section) {
+  const parts = [];
+  if (section.state) parts.push(section.state);
+  if (section.chamber === 'senate') {
+    parts.push('Senator');
+  } else if (section.district != null && section.district !== '' && section.district !== 0) {
+    parts.push(`District ${section.district}`);
+  }
+  const loc = parts.length ? parts.join(' ') : '';
+  if (section.party && String(section.party).trim()) return loc ? `${loc} • ${section.party}` : section.party;
+  return loc || '';
+}
+
+const EMAIL_TITLE_MAX = 72;
+const MAX_ACTIONS_PER_BILL = 5;
+const MAX_ROLL_CALLS_PER_TOPIC = 10;
+
+/** Bill title: prefer AI plain-English, else issue title, vote_title (senate), question, or bill ID */
+function billTitle(v) {
+  const ai = v.ai_summary && typeof v.ai_summary === 'object';
+  if (ai && v.ai_summary.plain_english_title && String(v.ai_summary.plain_english_title).trim())
+    return String(v.ai_summary.plain_english_title).trim();
+  if (v.issue_title && String(v.issue_title).trim()) return v.issue_title.trim();
+  const meta = v.vote_metadata && typeof v.vote_metadata === 'object' ? v.vote_metadata : {};
+  const vt = meta.vote_title;
+  if (vt && typeof vt === 'string' && vt.trim()) return vt.trim();
+  const q = meta.question;
+  if (q && typeof q === 'string' && q.trim()) return q.trim();
+  if (v.canonical_bill_id && !String(v.canonical_bill_id).startsWith('senate-roll:'))
+    return String(v.canonical_bill_id);
+  return '—';
+}
+
+/** Truncate title for email display so long procedural text doesn't dominate */
+function emailTitleDisplay(title) {
+  if (!title || title.length <= EMAIL_TITLE_MAX) return title;
+  return title.slice(0, EMAIL_TITLE_MAX - 1).trim() + '…';
+}
+
+/** True if text looks like Congress.gov boilerplate, not a real summary */
+function isBoilerplate(s) {
+  if (!s || typeof s !== 'string') return true;
+  const t = s.trim();
+  return /^\[?Congressional Bills/i.test(t) || /^\[?From the U\.S\./i.test(t) || t.length < 20;
+}
+
+/** One-sentence summary: prefer AI content; avoid Congress.gov boilerplate (e.g. "[Congressional Bills 119th Congress]...") */
+function oneSentenceSummary(v) {
+  const firstSentence = (s) => {
+    if (!s || typeof s !== 'string') return '';
+    const trimmed = s.trim();
+    const match = trimmed.match(/^[^.!?]+[.!?]?/);
+    return match ? match[0].trim() : trimmed.slice(0, 120) + (trimmed.length > 120 ? '…' : '');
+  };
+  const ai = v.ai_summary && typeof v.ai_summary === 'object';
+  if (ai && v.ai_summary.procedural_subtext && String(v.ai_summary.procedural_subtext).trim())
+    return String(v.ai_summary.procedural_subtext).trim();
+  if (ai && v.ai_summary.short_summary && String(v.ai_summary.short_summary).trim()) {
+    const ss = firstSentence(String(v.ai_summary.short_summary));
+    if (!isBoilerplate(ss)) return ss;
+  }
+  if (ai && Array.isArray(v.ai_summary.key_points) && v.ai_summary.key_points[0]) {
+    const kp = firstSentence(String(v.ai_summary.key_points[0]));
+    if (!isBoilerplate(kp)) return kp;
+  }
+  if (v.bill_summary && String(v.bill_summary).trim()) {
+    const bs = firstSentence(v.bill_summary);
+    if (!isBoilerplate(bs)) return bs;
+  }
+  if (v.issue_description && String(v.issue_description).trim()) {
+    const id = firstSentence(v.issue_description);
+    if (!isBoilerplate(id)) return id;
+  }
+  return '';
+}
+
+/** Badges for event types beyond a plain new vote (missed vote, against party, ...) */
+function eventBadges(v) {
+  return (v.event_types || [])
+    .filter((t) => t !== 'new_vote')
+    .map((t) => `<span style="display: inline-block; margin: 0 4px 4px 0; padding: 2px 6px; background: #fef3c7; color: #92400e; font-size: 11px; font-weight: 600; border-radius: 4px;">${escapeHtml(EVENT_LABELS[t] || t)}</span>`)
+    .join('');
+}
+
+/** Display title for a followed bill: issue / AI title, else the bill id */
+function followedBillTitle(section) {
+  const title = billTitle(section);
+  return title === '—' ? section.canonical_bill_id : title;
+}
+
+function formatTotals(totals) {
+  const parts = [`Yes ${totals.yes}`, `No ${totals.no}`];
+  if (totals.present) parts.push(`Present ${totals.present}`);
+  if (totals.not_voting) parts.push(`Not voting ${totals.not_voting}`);
+  return parts.join(' · ');
+}
+
+/**
+ * One roll call on a followed bill or topic: heading, result and totals, and the reader's reps' positions.
+ * @param {Object} rc - { roll_call, question, result, vote_date, totals, your_reps }
+ * @param {string} heading - bill title (topics) or the question (bills)
+ */
+function rollCallHtml(rc, baseUrl, heading) {
+  const reps = rc.your_reps.length > 0
+    ? rc.your_reps.map((r) => `<div style="font-size: 13px; color: #374151;">${escapeHtml(r.name)}${r.party ? ` (${escapeHtml(String(r.party).charAt(0))}-${escapeHtml(r.state)})` : ''}: <span style="${voteStyle(r.vote)}">${escapeHtml(voteLabel(r.vote))}</span></div>`).join('')
+    : '<div style="font-size: 13px; color: #9ca3af;">None of the representatives you follow voted on this roll call.</div>';
+  return `<div style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+        <div style="font-weight: 600; font-size: 14px; color: #111827;">${escapeHtml(emailTitleDisplay(heading))}</div>
+        <div style="font-size: 13px; color: #6b7280; margin: 2px 0 6px 0;">${escapeHtml([rc.result, formatDate(rc.vote_date), formatTotals(rc.totals)].filter(Boolean).join(' · '))}</div>
+        ${reps}
+        <a href="${baseUrl}/rollcalls/${encodeURIComponent(rc.roll_call)}" style="display: inline-block; margin-top: 6px; color: #2563eb; font-size: 12px; font-weight: 600;">Full roll call →</a>
+      </div>`;
+}
+
+/** One followed bill's block: status change, new roll calls with the reader's reps, new actions */
+function billSectionHtml(section, baseUrl) {
+  const status = section.status_change
+    ? `<p style="margin: 0 0 12px 0; font-size: 14px; color: #374151;"><span style="display: inline-block; padding: 2px 8px; background: #dbeafe; color: #1e40af; font-size: 12px; font-weight: 600; border-radius: 4px;">${escapeHtml(section.status_change.label)}</span>${section.status_change.from ? ` <span style="color: #6b7280;">(was ${escapeHtml(STATUS_LABELS[section.status_change.from] || section.status_change.from)})</span>` : ''}</p>`
+    : '';
+  const rollCalls = section.roll_calls.map((rc) => rollCallHtml(rc, baseUrl, rc.question || 'Roll call vote')).join('');
+  const shown = section.actions.slice(-MAX_ACTIONS_PER_BILL);
+  const hidden = section.actions.length - shown.length;
+  const actions = shown.length > 0
+    ? `<p style="margin: 16px 0 4px 0; font-size: 12px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Actions</p>
+      ${hidden > 0 ? `<p style="margin: 0 0 4px 0; font-size: 13px; color: #6b7280;">${hidden} earlier action${hidden === 1 ? '' : 's'} not shown</p>` : ''}
+      <ul style="margin: 0; padding-left: 18px; font-size: 13px; color: #374151;">${shown.map((a) => `<li style="margin-bottom: 4px;"><span style="color: #6b7280;">${escapeHtml(formatDate(a.action_date))}</span> – ${escapeHtml(a.action_text)}</li>`).join('')}</ul>`
+    : '';
+  return `
+    <div style="margin: 32px 0 0 0;">
+      <p style="margin: 0 0 4px 0; font-size: 12px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Bill you follow · ${escapeHtml(section.canonical_bill_id)}</p>
+      <h2 style="font-size: 18px; font-weight: 700; margin: 0 0 8px 0; color: #111827;">${escapeHtml(followedBillTitle(section))}</h2>
+      ${status}
+      ${rollCalls}
+      ${actions}
+      ${section.issue_id != null ? `<p style="margin: 12px 0 0 0; font-size: 13px;"><a href="${baseUrl}/issues/${section.issue_id}" style="color: #2563eb;">View the bill on RepWatch →</a></p>` : ''}
+    </div>`;
+}
+
+/** Display name for a topic category, e.g. foreign_policy -> Foreign policy */
+function categoryLabel(category) {
+  const words = String(category).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/** One followed topic's block: every new roll call in the category, capped for display */
+function topicSectionHtml(section, baseUrl) {
+  const scope = section.delegation
+    ? `${section.delegation.state}${section.delegation.district != null ? `-${section.delegation.district}` : ''} delegation`
+    : 'All members';
+  const shown = section.roll_calls.slice(0, MAX_ROLL_CALLS_PER_TOPIC);
+  const hidden = section.roll_calls.length - shown.length;
+  return `
+    <div style="margin: 32px 0 0 0;">
+      <p style="margin: 0 0 4px 0; font-size: 12px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Topic you follow · ${escapeHtml(scope)}</p>
+      <h2 style="font-size: 18px; font-weight: 700; margin: 0 0 8px 0; color: #111827;">${escapeHtml(categoryLabel(section.category))}</h2>
+      ${shown.map((rc) => rollCallHtml(rc, baseUrl, billTitle(rc))).join('')}
+      ${hidden > 0 ? `<p style="margin: 12px 0 0 0; font-size: 13px; color: #6b7280;">and ${hidden} more vote${hidden === 1 ? '' : 's'} in this topic</p>` : ''}
+    </div>`;
+}
+
+/** Number of updates in a followed bill's section */
+function billUpdateCount(section) {
+  return section.roll_calls.length + section.actions.length + (section.status_change ? 1 : 0);
+}
+
+/**
+ * Full HTML for one digest email.
+ * @param {Object} opts
+ * @param {string} opts.baseUrl - site URL for links, no trailing slash
+ * @param {string} opts.unsubToken - users.unsub_token (unsubscribe and manage links)
+ * @param {Object[]} opts.repSections - from buildRepSections in scripts/send_daily_digest.js
+ * @param {Object[]} [opts.billSections] - followed bills, from pendingBillUpdates (lib/bill_updates.js)
+ * @param {Object[]} [opts.topicSections] - followed topics, from pendingTopicUpdates (lib/topic_updates.js)
+ * @param {'instant'|'daily'|'weekly'} opts.frequency
+ */
+function htmlDigest({ baseUrl, unsubToken, repSections, billSections = [], topicSections = [], frequency }) {
+  const copy = CADENCE_COPY[frequency] || CADENCE_COPY.daily;
+  const filtered = repSections.filter((s) => s.votes.length > 0);
+  const periodSummary = [
+    ...filtered.map((s) => [s.rep_name, s.votes.length + s.more]),
+    ...billSections.map((s) => [followedBillTitle(s), billUpdateCount(s)]),
+    ...topicSections.map((s) => [categoryLabel(s.category), s.roll_calls.length]),
+  ]
+    .map(([name, count]) => `${escapeHtml(name)}: ${count} update${count === 1 ? '' : 's'}`)
+    .join('<br>\n    ');
+  const sections = filtered.map((section) => {
+    const subtitle = repSubtitle(section);
+    const rows = section.votes
+      .map((v) => {
+        const hasIssue = v.issue_id != null;
+        const linkUrl = hasIssue ? `${baseUrl}/issues/${v.issue_id}` : `${baseUrl}/reps/${v.representative_id}`;
+        const title = emailTitleDisplay(billTitle(v));
+        const summary = oneSentenceSummary(v);
+        const summaryShort = summary.length > 160 ? summary.slice(0, 157) + '…' : summary;
+        const voteL = voteLabel(v.vote);
+        const voteSty = voteStyle(v.vote);
+        return `<tr>
+          <td style="padding: 16px 12px 16px 0; border-bottom: 1px solid #e5e7eb; vertical-align: top; width: 45%;">
+            ${eventBadges(v)}
+            <div style="font-weight: 700; font-size: 15px; color: #111827; margin-bottom: 4px;">${escapeHtml(title)}</div>
+            ${summaryShort ? `<div style="font-size: 13px; color: #6b7280; line-height: 1.4;">${escapeHtml(summaryShort)}</div>` : ''}
+          </td>
+          <td style="padding: 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; white-space: nowrap;"><span style="${voteSty}">${escapeHtml(voteL)}</span></td>
+          <td style="padding: 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; white-space: nowrap; font-size: 14px; color: #374151;">${escapeHtml(formatDate(v.vote_date))}</td>
+          <td style="padding: 16px 0 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top;">
+            <a href="${linkUrl}" style="display: inline-block; padding: 6px 12px; background: #2563eb; color: #fff !important; text-decoration: none; font-size: 12px; font-weight: 600; border-radius: 6px;">View full breakdown →</a>
+          </td>
+        </tr>`;
+      })
+      .join('');
+    return `
+    <div style="margin: 32px 0 0 0;">
+      <h2 style="font-size: 18px; font-weight: 700; margin: 0 0 4px 0; color: #111827;">${escapeHtml(section.rep_name)}</h2>
+      ${subtitle ? `<p style="margin: 0 0 12px 0; font-size: 14px; color: #6b7280;">${escapeHtml(subtitle)}</p>` : ''}
+      <p style="margin: 0 0 12px 0; font-size: 12px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Recent votes</p>
+      <table style="width: 100%; border-collapse: collapse;">
+        <thead><tr style="border-bottom: 1px solid #e5e7eb;">
+          <th style="padding: 10px 12px 10px 0; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Bill</th>
+          <th style="padding: 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Vote</th>
+          <th style="padding: 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Date</th>
+          <th style="padding: 10px 0 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Details</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${section.more > 0 ? `<p style="margin: 12px 0 0 0; font-size: 13px;"><a href="${baseUrl}/reps/${section.rep_id}" style="color: #2563eb;">and ${section.more} more on RepWatch →</a></p>` : ''}
+    </div>`;
+  }).join('') +
+    billSections.map((section) => billSectionHtml(section, baseUrl)).join('') +
+    topicSections.map((section) => topicSectionHtml(section, baseUrl)).join('');
+  const followed = [billSections.length > 0 ? 'bills' : '', topicSections.length > 0 ? 'topics' : ''].filter(Boolean).join(' and ');
+  const onlyFollows = filtered.length === 0 && followed !== '';
+  const followIntro = [
+    billSections.length > 0 ? 'New votes, actions and status changes on each bill you follow.' : '',
+    topicSections.length > 0 ? 'Every new vote in the topics you follow, with your representatives’ positions.' : '',
+  ].filter(Boolean).join(' ');
+  const unsubUrl = `${baseUrl}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}`;
+  const manageUrl = `${baseUrl}/subscriptions?token=${encodeURIComponent(unsubToken)}`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+</head>
+<body style="margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937; background: #f3f4f6;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+    <h1 style="font-size: 24px; font-weight: 700; margin: 0 0 4px 0; color: #111827;">RepWatch ${copy.title}</h1>
+    <p style="font-size: 16px; font-weight: 500; margin: 0 0 8px 0; color: #374151;">${onlyFollows ? `What happened on the ${followed} you follow` : `How your representatives ${copy.intro}`}</p>
+    <p style="margin: 0 0 24px 0; font-size: 14px; color: #6b7280;">${onlyFollows ? followIntro : 'New votes for each representative you follow, based on the updates you chose.'}</p>
+    <div style="height: 1px; background: #e5e7eb; margin: 0 0 8px 0;"></div>
+    ${periodSummary ? `<p style="margin: 16px 0 0 0; font-size: 14px; color: #374151;">${copy.period}:</p><p style="margin: 4px 0 0 0; font-size: 14px; color: #6b7280;">${periodSummary}</p>` : ''}
+    ${sections}
+    <div style="margin-top: 40px; padding-top: 24px; border-top: 1px solid #e5e7eb;">
+      <p style="margin: 0 0 4px 0; font-size: 14px; color: #374151;">See more votes and bill summaries at</p>
+      <p style="margin: 0 0 8px 0;"><a href="${baseUrl}" style="color: #2563eb; font-weight: 500;">${baseUrl}</a></p>
+      <p style="margin: 0 0 20px 0; font-size: 13px; color: #6b7280;">Track how your representatives vote in plain English.</p>
+      <p style="margin: 0 0 8px 0; font-size: 12px; color: #9ca3af;">You received this email because you subscribed to updates about your representative${followed ? `s or ${followed}` : ''} on RepWatch.</p>
+      <p style="margin: 0;"><a href="${manageUrl}" style="color: #6b7280; font-size: 12px;">Manage preferences</a> · <a href="${unsubUrl}" style="color: #6b7280; font-size: 12px;">Unsubscribe</a></p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One rep's block in a digest or alert.
+ * @param {Object[]} rows - the rep's vote rows (rep display fields are read from the first)
+ * @param {Object[]} pending - votes to send, already filtered to the subscription's event types
+ * @param {number} maxVotes - display cap; the rest are counted in `more`
+ */
+function repSection(repId, rows, pending, maxVotes) {
+  const first = rows[0];
+  return {
+    rep_id: repId,
+    rep_name: first.rep_name,
+    state: first.rep_state,
+    district: first.rep_district,
+    chamber: first.rep_chamber,
+    party: first.rep_party,
+    votes: pending.slice(0, maxVotes),
+    more: Math.max(0, pending.length - maxVotes),
+    pending,
+  };
+}
+
+/** Subject line for a digest or alert covering repCount reps, billCount followed bills and topicCount followed topics */
+function digestSubject(frequency, repCount, billCount = 0, topicCount = 0) {
+  const copy = CADENCE_COPY[frequency] || CADENCE_COPY.daily;
+  const follows = [billCount > 0 ? `${billCount} bill(s)` : '', topicCount > 0 ? `${topicCount} topic(s)` : ''].filter(Boolean).join(' and ');
+  if (repCount === 0) return `RepWatch ${copy.title}: Updates on ${follows} you follow`;
+  const subject = `RepWatch ${copy.title}: How your ${repCount} representative(s) ${frequency === 'instant' ? 'just voted' : 'voted'}`;
+  return follows ? `${subject}, plus ${follows} you follow` : subject;
+}
+
+module.exports = {
+  htmlDigest,
+  repSection,
+  digestSubject,
+  billUpdateCount,
+  categoryLabel,
+  billTitle,
+  voteLabel,
+  oneSentenceSummary,
+  escapeHtml,
+};
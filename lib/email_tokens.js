@@ -0,0 +1,61 @@
+/**
+ * Signed Email Tokens
+ *
+ * Stateless tokens for links sent by email (e.g. subscription confirmation):
+ * base64url(JSON payload) + '.' + base64url(HMAC-SHA256). The payload carries a
+ * purpose and an expiry, so a token minted for one link can't be replayed on another.
+ */
+
+const crypto = require('crypto');
+
+// Confirmation links stay valid this long; unconfirmed sign-ups are deleted after the same window
+const CONFIRM_TOKEN_TTL_HOURS = 48;
+
+function hmac(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * @param {string} purpose - e.g. 'confirm'
+ * @param {Object} data - claims to embed (kept small; they're in the URL)
+ * @param {string} secret
+ * @param {number} ttlHours
+ * @returns {string}
+ */
+function signToken(purpose, data, secret, ttlHours, now = new Date()) {
+  if (!secret) throw new Error('Token secret is required');
+  const exp = Math.floor(now.getTime() / 1000) + Math.round(ttlHours * 3600);
+  const body = Buffer.from(JSON.stringify({ ...data, purpose, exp })).toString('base64url');
+  return `${body}.${hmac(secret, body)}`;
+}
+
+/**
+ * Check signature, purpose and expiry.
+ * @returns {{data: Object|null, error: 'invalid'|'expired'|null}}
+ */
+function verifyToken(token, purpose, secret, now = new Date()) {
+  if (!secret || typeof token !== 'string') return { data: null, error: 'invalid' };
+  const [body, sig, extra] = token.split('.');
+  if (!body || !sig || extra !== undefined) return { data: null, error: 'invalid' };
+  const expected = Buffer.from(hmac(secret, body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { data: null, error: 'invalid' };
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { data: null, error: 'invalid' };
+  }
+  if (!payload || payload.purpose !== purpose || !Number.isFinite(payload.exp)) return { data: null, error: 'invalid' };
+  if (payload.exp * 1000 <= now.getTime()) return { data: null, error: 'expired' };
+  const { purpose: _purpose, exp: _exp, ...data } = payload;
+  return { data, error: null };
+}
+
+module.exports = {
+  CONFIRM_TOKEN_TTL_HOURS,
+  signToken,
+  verifyToken,
+};
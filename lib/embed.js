@@ -0,0 +1,164 @@
+/**
+ * Embeddable Representative Widget
+ *
+ * The HTML page behind /embed/reps/:id (routes/embed.js): a member's photo, party and latest votes,
+ * sized for an iframe on a news or advocacy site. It is server-rendered with inline CSS and one
+ * small inline script (which reports its height to public/embed.js), so it loads nothing from the
+ * SPA bundle. Everything here is pure, so widgets can be rendered without a database.
+ */
+
+const { billTitle, voteLabel, escapeHtml } = require('./digest_email');
+
+const EMBED_THEMES = ['auto', 'light', 'dark'];
+const DEFAULT_EMBED_LIMIT = 5;
+const MAX_EMBED_LIMIT = 10;
+const EMBED_CACHE_SECONDS = 5 * 60;
+const PHOTO_ORIGIN = 'https://bioguide.congress.gov';
+
+/**
+ * Widget options from the iframe URL. Embeds are pasted by hand, so bad values fall back to
+ * defaults instead of failing.
+ * @param {Object} query - req.query: theme (auto|light|dark), limit (1-10)
+ * @returns {{theme: string, limit: number}}
+ */
+function parseEmbedOptions(query = {}) {
+  const theme = String(query.theme || '').trim().toLowerCase();
+  const limit = Number(query.limit);
+  return {
+    theme: EMBED_THEMES.includes(theme) ? theme : 'auto',
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_EMBED_LIMIT) : DEFAULT_EMBED_LIMIT,
+  };
+}
+
+/**
+ * frame-ancestors sources from EMBED_ALLOWED_ORIGINS (space- or comma-separated origins).
+ * Unset means any site may embed the widget. Entries that aren't origins are logged and dropped;
+ * when none are left the widget can't be framed at all, rather than by everyone.
+ * @param {string|undefined} raw
+ * @returns {string}
+ */
+function embedFrameAncestors(raw) {
+  const origins = String(raw || '').split(/[\s,]+/).filter(Boolean);
+  if (origins.length === 0) return '*';
+  const isOrigin = (o) => /^https?:\/\/[^\s/'";]+$/.test(o) || /^https?:\/\/\*\.[^\s/'";]+$/.test(o);
+  const invalid = origins.filter((o) => !isOrigin(o));
+  if (invalid.length > 0) console.warn('EMBED_ALLOWED_ORIGINS: ignoring entries that are not origins:', invalid.join(' '));
+  const valid = origins.filter(isOrigin);
+  return valid.length ? valid.join(' ') : "'none'";
+}
+
+/**
+ * Content-Security-Policy for a widget page: nothing but its own inline style and script (by
+ * nonce) and member photos.
+ */
+function embedCsp(nonce, frameAncestors) {
+  return [
+    "default-src 'none'",
+    `img-src ${PHOTO_ORIGIN}`,
+    `style-src 'nonce-${nonce}'`,
+    `script-src 'nonce-${nonce}'`,
+    "base-uri 'none'",
+    "form-action 'none'",
+    `frame-ancestors ${frameAncestors}`,
+  ].join('; ');
+}
+
+const LIGHT = '--bg:#ffffff;--text:#111827;--muted:#6b7280;--border:#e5e7eb;--yes:#059669;--no:#dc2626;';
+const DARK = '--bg:#000000;--text:#f3f4f6;--muted:#9ca3af;--border:#262626;--yes:#34d399;--no:#f87171;';
+
+function themeCss(theme) {
+  if (theme === 'light') return `:root{${LIGHT}}`;
+  if (theme === 'dark') return `:root{${DARK}}`;
+  return `:root{${LIGHT}}@media (prefers-color-scheme: dark){:root{${DARK}}}`;
+}
+
+const BASE_CSS = [
+  '*{box-sizing:border-box}',
+  'body{margin:0;font:14px/1.4 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;background:var(--bg);color:var(--text)}',
+  '.w{border:1px solid var(--border);border-radius:8px;padding:12px}',
+  '.h{display:flex;gap:12px;align-items:center;margin-bottom:8px}',
+  '.h img{width:56px;height:68px;object-fit:cover;border-radius:4px;background:var(--border)}',
+  '.n{font-size:16px;font-weight:600;margin:0}',
+  '.m{color:var(--muted);font-size:12px}',
+  'ul{list-style:none;margin:0;padding:0}',
+  'li{display:flex;gap:8px;padding:6px 0;border-top:1px solid var(--border)}',
+  '.v{flex:0 0 4.5em;font-weight:700}',
+  '.v.yes{color:var(--yes)}.v.no{color:var(--no)}',
+  'a{color:inherit;text-decoration:none}a:hover{text-decoration:underline}',
+  '.f{margin-top:8px;font-size:11px;color:var(--muted)}',
+].join('');
+
+function memberSubtitle(rep) {
+  const seat = rep.chamber === 'senate' ? 'Senator' : (rep.district ? `District ${rep.district}` : 'Representative');
+  return [rep.party, [rep.state, seat].filter(Boolean).join(' ')].filter(Boolean).join(' · ');
+}
+
+function formatVoteDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function page({ title, theme, nonce, body }) {
+  // Tells public/embed.js how tall to make the iframe
+  const resize = 'function r(){parent.postMessage({type:"repwatch:resize",height:document.documentElement.scrollHeight},"*")}'
+    + 'addEventListener("load",r);addEventListener("resize",r);r()';
+  return [
+    '<!doctype html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta name="robots" content="noindex">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style nonce="${nonce}">${themeCss(theme)}${BASE_CSS}</style>`,
+    '</head>',
+    `<body>${body}<script nonce="${nonce}">${resize}</script></body>`,
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * The widget page.
+ * @param {{rep: Object, votes: Object[], theme: string, nonce: string, baseUrl: string}} opts
+ *   rep has photo_url (congressPhotoUrl()); votes come from getRepFeedVotes()
+ * @returns {string}
+ */
+function renderRepWidget({ rep, votes, theme, nonce, baseUrl }) {
+  const repUrl = `${baseUrl}/reps/${rep.id}`;
+  const photo = rep.photo_url && rep.photo_url.startsWith(`${PHOTO_ORIGIN}/`)
+    ? `<img src="${escapeHtml(rep.photo_url)}" alt="" loading="lazy">`
+    : '';
+  const rows = votes.map((v) => {
+    const position = voteLabel(v.vote);
+    const url = v.issue_id != null ? `${baseUrl}/issues/${v.issue_id}` : `${baseUrl}/rollcalls/${encodeURIComponent(v.roll_call)}`;
+    return `<li><span class="v ${escapeHtml(String(v.vote || '').toLowerCase())}">${escapeHtml(position)}</span>`
+      + `<span><a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(billTitle(v))}</a>`
+      + `<br><span class="m">${escapeHtml(formatVoteDate(v.vote_date))}</span></span></li>`;
+  });
+  const body = '<div class="w">'
+    + `<div class="h">${photo}<div><p class="n"><a href="${escapeHtml(repUrl)}" target="_blank" rel="noopener">${escapeHtml(rep.name)}</a></p>`
+    + `<div class="m">${escapeHtml(memberSubtitle(rep))}</div></div></div>`
+    + (rows.length ? `<ul>${rows.join('')}</ul>` : '<p class="m">No recorded votes yet.</p>')
+    + `<div class="f"><a href="${escapeHtml(repUrl)}" target="_blank" rel="noopener">Full voting record on RepWatch →</a></div>`
+    + '</div>';
+  return page({ title: `${rep.name} — RepWatch`, theme, nonce, body });
+}
+
+/** A widget-sized message, for unknown members */
+function renderEmbedMessage({ message, theme, nonce }) {
+  return page({ title: 'RepWatch', theme, nonce, body: `<div class="w"><p class="m">${escapeHtml(message)}</p></div>` });
+}
+
+module.exports = {
+  EMBED_THEMES,
+  DEFAULT_EMBED_LIMIT,
+  MAX_EMBED_LIMIT,
+  EMBED_CACHE_SECONDS,
+  parseEmbedOptions,
+  embedFrameAncestors,
+  embedCsp,
+  renderRepWidget,
+  renderEmbedMessage,
+};
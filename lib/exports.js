@@ -0,0 +1,197 @@
+/**
+ * Bulk Exports
+ *
+ * Query parsing, SQL conditions and row formatting for the vote and issue dumps served by
+ * routes/exports.js and written by scripts/export_data.js. Rows are read in keyset batches
+ * (models/exports.js) and formatted one at a time, so an export never holds the whole result.
+ */
+
+const { parseVoteFilters, buildVoteFilterConditions } = require('./vote_filters');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 2000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// One row per member per roll call
+const VOTE_COLUMNS = [
+  'vote_id', 'roll_call', 'vote_date', 'congress', 'session', 'chamber', 'roll_number', 'question', 'result',
+  'vote', 'representative_id', 'bioguide_id', 'representative_name', 'party', 'state', 'district',
+  'issue_id', 'canonical_bill_id', 'issue_title',
+];
+
+// One row per issue, with its roll calls summarized over the matching votes
+const ISSUE_COLUMNS = [
+  'issue_id', 'canonical_bill_id', 'title', 'plain_english_title', 'categories', 'congress', 'chambers',
+  'roll_calls', 'first_vote_date', 'last_vote_date',
+];
+
+function positiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Parse export params: the vote filters from parseVoteFilters() (from, to, chamber, vote, motion,
+ * category, type) plus congress, member (representative id), issue (issue id) and format.
+ * limit and cursor are ignored; an export is never paged.
+ *
+ * @param {Object} query - req.query, or parsed CLI flags
+ * @returns {{filters: Object, format: string, error: string|null}}
+ */
+function parseExportQuery(query = {}) {
+  const parsed = parseVoteFilters({ ...query, limit: undefined, cursor: undefined });
+  const out = { filters: parsed.filters, format: 'csv', error: parsed.error };
+  if (out.error) return out;
+  const fail = (msg) => Object.assign(out, { error: msg });
+
+  for (const key of ['congress', 'member', 'issue']) {
+    if (query[key] == null || query[key] === '') continue;
+    const n = positiveInt(query[key]);
+    if (n == null) return fail(`Invalid ${key}`);
+    out.filters[key] = n;
+  }
+
+  if (query.format != null && query.format !== '') {
+    const format = String(query.format).trim().toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return fail(`Invalid format (expected ${EXPORT_FORMATS.join(' or ')})`);
+    out.format = format;
+  }
+  return out;
+}
+
+/**
+ * SQL conditions for export filters. Expects `votes v LEFT JOIN issues i`.
+ * @param {Object} filters - From parseExportQuery()
+ * @param {Array} params - Query parameter list; values are appended to it
+ * @returns {string[]} Conditions to AND together
+ */
+function buildExportConditions(filters = {}, params) {
+  const where = buildVoteFilterConditions(filters, params);
+  const add = (value) => { params.push(value); return `$${params.length}`; };
+  if (filters.congress) where.push(`v.congress = ${add(filters.congress)}`);
+  if (filters.member) where.push(`v.representative_id = ${add(filters.member)}`);
+  if (filters.issue) where.push(`v.issue_id = ${add(filters.issue)}`);
+  return where;
+}
+
+/** Dates as YYYY-MM-DD (pg returns DATE columns as local-midnight Dates), arrays joined with ';' */
+function plainValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (Array.isArray(value)) return value.join(';');
+  return value;
+}
+
+/**
+ * One CSV field. Quoted when it contains a delimiter, quote or newline; text that a spreadsheet
+ * would run as a formula (=, +, -, @) is prefixed with an apostrophe.
+ */
+function csvField(value) {
+  const v = plainValue(value);
+  if (v == null) return '';
+  let s = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Header line for a CSV export; NDJSON has none */
+function exportHeader(columns, format) {
+  return format === 'csv' ? `${columns.join(',')}\r\n` : '';
+}
+
+/**
+ * One row as a CSV line (RFC 4180, CRLF) or a JSON line with the given columns.
+ * @param {Object} row
+ * @param {string[]} columns
+ * @param {string} format - csv | ndjson
+ * @returns {string}
+ */
+function formatExportRow(row, columns, format) {
+  if (format === 'csv') return `${columns.map((c) => csvField(row[c])).join(',')}\r\n`;
+  const obj = {};
+  for (const c of columns) {
+    const v = row[c] instanceof Date ? plainValue(row[c]) : row[c];
+    obj[c] = v === undefined ? null : v;
+  }
+  return `${JSON.stringify(obj)}\n`;
+}
+
+/**
+ * Write batches of rows to a stream as they arrive, waiting for 'drain' when its buffer is full.
+ * onStart runs once the first batch has been read (or the export is known to be empty), so
+ * callers can send headers only after the first query succeeded. Stops early if the stream is
+ * destroyed (e.g. the client went away).
+ *
+ * @param {import('stream').Writable} out
+ * @param {AsyncIterable<Object[]>} batches - From models/exports.js
+ * @param {{columns: string[], format: string, onStart?: Function}} opts
+ * @returns {Promise<number>} Rows written
+ */
+async function writeExport(out, batches, { columns, format, onStart }) {
+  // Wait for whichever of 'drain' and 'close' comes first, and remove the other listener so
+  // they don't pile up over a long export
+  const write = (chunk) => (out.write(chunk) ? null : new Promise((resolve) => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  }));
+
+  const iterator = batches[Symbol.asyncIterator]();
+  let next = await iterator.next();
+  if (onStart) onStart();
+  await write(exportHeader(columns, format));
+
+  let count = 0;
+  while (!next.done) {
+    for (const row of next.value) {
+      if (out.destroyed) break;
+      await write(formatExportRow(row, columns, format));
+      count++;
+    }
+    // Don't query the next batch for a client that has gone away
+    if (out.destroyed) {
+      await iterator.return?.();
+      return count;
+    }
+    next = await iterator.next();
+  }
+  return count;
+}
+
+/** Download name, e.g. votes-119-house-member-12.csv */
+function exportFilename(kind, filters, format) {
+  const parts = [kind];
+  if (filters.congress) parts.push(String(filters.congress));
+  if (filters.chamber) parts.push(filters.chamber);
+  if (filters.member) parts.push(`member-${filters.member}`);
+  if (filters.issue) parts.push(`issue-${filters.issue}`);
+  if (filters.from) parts.push(`from-${filters.from}`);
+  if (filters.to) parts.push(`to-${filters.to}`);
+  return `${parts.join('-')}.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  CONTENT_TYPES,
+  VOTE_COLUMNS,
+  ISSUE_COLUMNS,
+  parseExportQuery,
+  buildExportConditions,
+  csvField,
+  exportHeader,
+  formatExportRow,
+  writeExport,
+  exportFilename,
+};
@@ -0,0 +1,234 @@
+/**
+ * Atom and iCalendar Feeds
+ *
+ * Rendering for /feeds (routes/feeds.js): a member's votes, or the roll calls on an issue or in a
+ * topic category, as an Atom feed for feed readers and as an .ics calendar of vote dates. Pure
+ * functions over rows from models/feeds.js, so feeds can be rendered without a database.
+ */
+
+const { billTitle, voteLabel, escapeHtml } = require('./digest_email');
+
+const FEED_ENTRY_LIMIT = 50;
+const FEED_CACHE_SECONDS = 15 * 60;
+
+const CONTENT_TYPES = {
+  atom: 'application/atom+xml; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8',
+};
+
+/** YYYY-MM-DD for a DATE column (pg returns local-midnight Dates) or a date string */
+function dateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+/** RFC 3339 timestamp: created_at when known, else midnight UTC on the vote date */
+function entryTimestamp(row) {
+  if (row.created_at) {
+    const d = new Date(row.created_at);
+    if (!isNaN(d.getTime())) return d.toISOString();
+  }
+  const day = dateOnly(row.vote_date);
+  return day ? `${day}T00:00:00Z` : new Date(0).toISOString();
+}
+
+function rollCallQuestion(row) {
+  const meta = row.vote_metadata && typeof row.vote_metadata === 'object' ? row.vote_metadata : {};
+  return meta.question || meta.vote_title || null;
+}
+
+function rollCallResult(row) {
+  const meta = row.vote_metadata && typeof row.vote_metadata === 'object' ? row.vote_metadata : {};
+  return meta.result || null;
+}
+
+function rollCallUrl(row, baseUrl) {
+  return `${baseUrl}/rollcalls/${encodeURIComponent(row.roll_call)}`;
+}
+
+/** "Pat Doe (D-WA)" */
+function memberLabel(rep) {
+  const party = rep.party ? String(rep.party).trim().charAt(0).toUpperCase() : '';
+  const where = [party, rep.state].filter(Boolean).join('-');
+  return where ? `${rep.name} (${where})` : rep.name;
+}
+
+// ——— Entries ———
+
+/**
+ * One of a member's votes as a feed item: the plain-English title and the member's position.
+ * @param {Object} row - From getRepFeedVotes()
+ * @param {Object} rep - representatives row
+ * @param {string} baseUrl
+ */
+function repVoteItem(row, rep, baseUrl) {
+  const title = billTitle(row);
+  const position = voteLabel(row.vote);
+  const facts = [rollCallQuestion(row), rollCallResult(row)].filter(Boolean).join(' — ');
+  return {
+    id: `urn:repwatch:vote:${row.vote_id}`,
+    title: `${rep.name} voted ${position}: ${title}`,
+    url: row.issue_id != null ? `${baseUrl}/issues/${row.issue_id}` : rollCallUrl(row, baseUrl),
+    updated: entryTimestamp(row),
+    date: dateOnly(row.vote_date),
+    summary: `${memberLabel(rep)} voted ${position}${facts ? ` on ${facts}` : ''}.`,
+    categories: row.categories || [],
+  };
+}
+
+/**
+ * A roll call as a feed item: the plain-English title, result and totals.
+ * @param {Object} row - From getRollCallFeed()
+ * @param {string} baseUrl
+ */
+function rollCallItem(row, baseUrl) {
+  const question = rollCallQuestion(row);
+  const result = rollCallResult(row);
+  const totals = `Yes ${row.yes}, No ${row.no}, Present ${row.present}, Not voting ${row.not_voting}`;
+  return {
+    id: `urn:repwatch:rollcall:${row.roll_call}`,
+    title: `${billTitle(row)}${result ? `: ${result}` : ''}`,
+    url: rollCallUrl(row, baseUrl),
+    updated: entryTimestamp(row),
+    date: dateOnly(row.vote_date),
+    summary: `${question ? `${question}. ` : ''}${totals}.`,
+    categories: row.categories || [],
+  };
+}
+
+// ——— Atom ———
+
+/** Escape text for XML element content and attribute values */
+function xmlEscape(s) {
+  return escapeHtml(String(s)).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Atom 1.0 document (RFC 4287).
+ * @param {{id: string, title: string, subtitle?: string, selfUrl: string, pageUrl: string, items: Object[]}} feed
+ * @returns {string}
+ */
+function buildAtomFeed({ id, title, subtitle, selfUrl, pageUrl, items }) {
+  const updated = items.reduce((max, item) => (item.updated > max ? item.updated : max), new Date(0).toISOString());
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xmlEscape(id)}</id>`,
+    `  <title>${xmlEscape(title)}</title>`,
+  ];
+  if (subtitle) lines.push(`  <subtitle>${xmlEscape(subtitle)}</subtitle>`);
+  lines.push(
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${xmlEscape(pageUrl)}"/>`,
+    '  <author><name>RepWatch</name></author>',
+    '  <generator>RepWatch</generator>'
+  );
+  for (const item of items) {
+    lines.push(
+      '  <entry>',
+      `    <id>${xmlEscape(item.id)}</id>`,
+      `    <title>${xmlEscape(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${xmlEscape(item.url)}"/>`,
+      `    <updated>${item.updated}</updated>`,
+      `    <summary>${xmlEscape(item.summary)}</summary>`,
+      ...item.categories.map((c) => `    <category term="${xmlEscape(c)}"/>`),
+      '  </entry>'
+    );
+  }
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+// ——— iCalendar ———
+
+/** Escape a TEXT value (RFC 5545 §3.3.11) */
+function icsText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets without splitting a UTF-8 character (RFC 5545 §3.1) */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts toward their 75
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(day) {
+  return day.replace(/-/g, '');
+}
+
+function nextDay(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function icsTimestamp(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * iCalendar document with one all-day event per item that has a vote date.
+ * @param {{id: string, name: string, items: Object[]}} calendar
+ * @returns {string} CRLF-delimited
+ */
+function buildCalendar({ id, name, items }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//RepWatch//${icsText(id)}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${FEED_CACHE_SECONDS / 60}M`,
+  ];
+  for (const item of items) {
+    if (!item.date) continue;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsText(item.id.replace(/^urn:/, ''))}@repwatch`,
+      `DTSTAMP:${icsTimestamp(item.updated)}`,
+      `DTSTART;VALUE=DATE:${icsDate(item.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(item.date))}`,
+      `SUMMARY:${icsText(item.title)}`,
+      `DESCRIPTION:${icsText(item.summary)}`,
+      `URL:${item.url}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  FEED_ENTRY_LIMIT,
+  FEED_CACHE_SECONDS,
+  CONTENT_TYPES,
+  memberLabel,
+  repVoteItem,
+  rollCallItem,
+  buildAtomFeed,
+  buildCalendar,
+  foldLine,
+};
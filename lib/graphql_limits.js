@@ -0,0 +1,146 @@
+/**
+ * GraphQL Query Limits
+ *
+ * Depth and complexity of a parsed query, checked by routes/graphql.js before executing it.
+ * Depth counts nested selection sets. Complexity counts one per field, and a list field
+ * multiplies its selection's cost by the number of items it can return: its `limit` argument
+ * (or that argument's default) when it has one, else `extensions.complexity.listSize` on the
+ * field, else DEFAULT_LIST_SIZE. Introspection (__schema, __type) is measured on its own, with
+ * limits that fit the standard introspection query of schema explorers (depth 15, complexity
+ * about 52000) but not deeper cycles through `fields { type { fields ... } }`. Query text longer
+ * than MAX_QUERY_LENGTH is rejected before it is parsed.
+ */
+
+const {
+  Kind, getNamedType, getNullableType, GraphQLList, isObjectType, isInterfaceType, SchemaMetaFieldDef, TypeMetaFieldDef,
+} = require('graphql');
+const { getArgumentValues } = require('graphql/execution/values');
+
+const MAX_DEPTH = 7;
+const MAX_COMPLEXITY = 20000;
+const MAX_INTROSPECTION_DEPTH = 15;
+const MAX_INTROSPECTION_COMPLEXITY = 60000;
+const MAX_QUERY_LENGTH = 10000;
+const DEFAULT_LIST_SIZE = 10;
+const META_FIELDS = { __schema: SchemaMetaFieldDef, __type: TypeMetaFieldDef };
+
+function findOperation(document, operationName) {
+  const operations = document.definitions.filter((d) => d.kind === Kind.OPERATION_DEFINITION);
+  if (operationName) return operations.find((op) => op.name && op.name.value === operationName) || null;
+  return operations.length === 1 ? operations[0] : null;
+}
+
+function fragmentsOf(document) {
+  const fragments = {};
+  for (const d of document.definitions) {
+    if (d.kind === Kind.FRAGMENT_DEFINITION) fragments[d.name.value] = d;
+  }
+  return fragments;
+}
+
+/** Field nodes in a selection set, with fragment spreads and inline fragments flattened */
+function collectFields(selectionSet, fragments, visited = new Set()) {
+  const fields = [];
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      fields.push(...collectFields(selection.selectionSet, fragments, visited));
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      // Fragment cycles are rejected by validation; guard anyway
+      if (visited.has(name) || !fragments[name]) continue;
+      fields.push(...collectFields(fragments[name].selectionSet, fragments, new Set([...visited, name])));
+    }
+  }
+  return fields;
+}
+
+// __schema and __type; both only exist on the query root
+const isIntrospection = (field) => Object.hasOwn(META_FIELDS, field.name.value);
+
+/** Root fields of the operation: the introspection ones, or the rest */
+function rootFields(operation, fragments, introspection) {
+  return collectFields(operation.selectionSet, fragments).filter((field) => isIntrospection(field) === introspection);
+}
+
+/**
+ * Deepest field nesting in the operation; `{ a { b } }` is 2.
+ * @param {import('graphql').DocumentNode} document
+ * @param {string} [operationName]
+ * @param {{introspection?: boolean}} [opts] - introspection: measure __schema/__type instead of data fields
+ * @returns {number}
+ */
+function queryDepth(document, operationName, { introspection = false } = {}) {
+  const operation = findOperation(document, operationName);
+  if (!operation) return 0;
+  const fragments = fragmentsOf(document);
+
+  const depthOf = (fields) => {
+    let max = 0;
+    for (const field of fields) {
+      max = Math.max(max, 1 + (field.selectionSet ? depthOf(collectFields(field.selectionSet, fragments)) : 0));
+    }
+    return max;
+  };
+  return depthOf(rootFields(operation, fragments, introspection));
+}
+
+/** How many items a list field is assumed to return */
+function listSize(fieldDef, fieldNode, variables) {
+  if (fieldDef.args.some((arg) => arg.name === 'limit')) {
+    try {
+      const { limit } = getArgumentValues(fieldDef, fieldNode, variables);
+      if (Number.isInteger(limit) && limit > 0) return limit;
+    } catch (e) {
+      // Bad variables fail at execution; fall through to the declared size
+    }
+  }
+  return fieldDef.extensions?.complexity?.listSize ?? DEFAULT_LIST_SIZE;
+}
+
+/**
+ * Estimated cost of the operation (see module comment).
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {import('graphql').DocumentNode} document - Already validated against the schema
+ * @param {Object} [variables]
+ * @param {string} [operationName]
+ * @param {{introspection?: boolean}} [opts] - introspection: measure __schema/__type instead of data fields
+ * @returns {number}
+ */
+function queryComplexity(schema, document, variables = {}, operationName, { introspection = false } = {}) {
+  const operation = findOperation(document, operationName);
+  if (!operation) return 0;
+  const fragments = fragmentsOf(document);
+
+  const costOf = (fields, parentType) => {
+    let cost = 0;
+    for (const field of fields) {
+      const fieldDef = isIntrospection(field) ? META_FIELDS[field.name.value] : parentType.getFields()[field.name.value];
+      if (!fieldDef) continue;
+      let fieldCost = 1;
+      if (field.selectionSet) {
+        const childType = getNamedType(fieldDef.type);
+        const childCost = isObjectType(childType) || isInterfaceType(childType)
+          ? costOf(collectFields(field.selectionSet, fragments), childType)
+          : 0;
+        const many = getNullableType(fieldDef.type) instanceof GraphQLList;
+        fieldCost += (many ? listSize(fieldDef, field, variables) : 1) * childCost;
+      }
+      cost += fieldCost;
+    }
+    return cost;
+  };
+  return costOf(rootFields(operation, fragments, introspection), schema.getQueryType());
+}
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_COMPLEXITY,
+  MAX_INTROSPECTION_DEPTH,
+  MAX_INTROSPECTION_COMPLEXITY,
+  MAX_QUERY_LENGTH,
+  DEFAULT_LIST_SIZE,
+  queryDepth,
+  queryComplexity,
+};
@@ -0,0 +1,357 @@
+/**
+ * GraphQL Schema
+ *
+ * Read-only schema behind /api/graphql: representatives, roll calls, votes, issues and bills.
+ * Field names match the REST API (snake_case). Resolvers never touch the database directly:
+ * nested fields go through the per-request DataLoaders in `context.loaders`
+ * (models/graphql_loaders.js), and root lists through `context.models`, so the schema can be
+ * executed against fakes in tests.
+ *
+ * List fields declare `extensions.complexity.listSize` (or take a `limit` argument); see
+ * lib/graphql_limits.js.
+ */
+
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLError,
+} = require('graphql');
+const { parseVoteFilters } = require('./vote_filters');
+const { parseIssueQuery } = require('./issue_filters');
+const { parseMemberQuery } = require('./api_v1');
+const { parseRollCallId } = require('./tallies');
+const { parseCanonicalBillId, deriveBillStatus } = require('./bill_status');
+
+const DEFAULT_VOTES_LIMIT = 20;
+// Members in the larger chamber: the size assumed for a roll call's votes
+const HOUSE_SIZE = 435;
+
+const list = (type) => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)));
+const nonNull = (type) => new GraphQLNonNull(type);
+
+function badInput(message) {
+  return new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+}
+
+/** Throw a parser's error message as a GraphQL input error, else return the parsed value */
+function checked(parsed) {
+  if (parsed.error) throw badInput(parsed.error);
+  return parsed;
+}
+
+// pg returns DATE columns as local-midnight Dates; send them back as the stored calendar day
+const DateScalar = new GraphQLScalarType({
+  name: 'Date',
+  description: 'Calendar date, YYYY-MM-DD',
+  serialize(value) {
+    if (value instanceof Date) {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+  },
+});
+
+const voteFilterArgs = {
+  from: { type: GraphQLString, description: 'YYYY-MM-DD' },
+  to: { type: GraphQLString, description: 'YYYY-MM-DD' },
+  chamber: { type: GraphQLString, description: 'house or senate' },
+  motion: { type: GraphQLString, description: 'Motion family, e.g. "On Passage"' },
+  category: { type: GraphQLString },
+  type: { type: GraphQLString, description: 'issue or procedural' },
+};
+
+const TallyFields = {
+  yes: { type: nonNull(GraphQLInt) },
+  no: { type: nonNull(GraphQLInt) },
+  present: { type: nonNull(GraphQLInt) },
+  not_voting: { type: nonNull(GraphQLInt) },
+  total: { type: nonNull(GraphQLInt) },
+};
+
+const TallyType = new GraphQLObjectType({ name: 'Tally', fields: TallyFields });
+
+const PartyTallyType = new GraphQLObjectType({
+  name: 'PartyTally',
+  fields: {
+    party: { type: nonNull(GraphQLString) },
+    ...TallyFields,
+    majority: { type: GraphQLString, description: 'Major parties only: yes, no, or null on a tie' },
+    defections: { type: GraphQLInt },
+  },
+});
+
+const BillActionType = new GraphQLObjectType({
+  name: 'BillAction',
+  fields: {
+    action_date: { type: nonNull(DateScalar) },
+    action_text: { type: nonNull(GraphQLString) },
+    action_code: { type: GraphQLString },
+    action_type: { type: GraphQLString },
+    chamber: { type: GraphQLString },
+    roll_number: { type: GraphQLInt },
+  },
+});
+
+const BillStatusType = new GraphQLObjectType({
+  name: 'BillStatus',
+  fields: {
+    status: { type: nonNull(GraphQLString) },
+    label: { type: nonNull(GraphQLString) },
+    as_of: { type: DateScalar },
+  },
+});
+
+const RepresentativeType = new GraphQLObjectType({
+  name: 'Representative',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    bioguide_id: { type: GraphQLString },
+    name: { type: nonNull(GraphQLString) },
+    party: { type: GraphQLString },
+    state: { type: nonNull(GraphQLString) },
+    district: { type: GraphQLInt },
+    chamber: { type: nonNull(GraphQLString) },
+    phone: { type: GraphQLString },
+    website: { type: GraphQLString },
+    photo_url: { type: GraphQLString },
+    votes: {
+      type: list(VoteType),
+      description: 'Newest first',
+      args: {
+        ...voteFilterArgs,
+        vote: { type: GraphQLString, description: 'Comma list of yes, no, present, not_voting' },
+        limit: { type: GraphQLInt, defaultValue: DEFAULT_VOTES_LIMIT },
+      },
+      resolve: (rep, args, ctx) => {
+        const { filters, limit } = checked(parseVoteFilters(args));
+        return ctx.loaders.representativeVotes.load({ id: rep.id, filters, limit });
+      },
+    },
+  }),
+});
+
+const VoteType = new GraphQLObjectType({
+  name: 'Vote',
+  fields: () => ({
+    vote: { type: nonNull(GraphQLString), description: 'yes, no, present or not voting' },
+    vote_date: { type: DateScalar },
+    representative_id: { type: nonNull(GraphQLInt) },
+    roll_call_id: { type: nonNull(GraphQLString), resolve: (v) => v.roll_call },
+    representative: {
+      type: RepresentativeType,
+      resolve: (v, args, ctx) => ctx.loaders.representative.load(v.representative_id),
+    },
+    roll_call: {
+      type: RollCallType,
+      resolve: (v, args, ctx) => ctx.loaders.rollCall.load(v.roll_call),
+    },
+  }),
+});
+
+const RollCallType = new GraphQLObjectType({
+  name: 'RollCall',
+  fields: () => ({
+    id: { type: nonNull(GraphQLString), description: 'e.g. house-119-2026-78', resolve: (rc) => rc.roll_call },
+    chamber: { type: nonNull(GraphQLString) },
+    congress: { type: GraphQLInt },
+    session: { type: GraphQLInt },
+    roll_number: { type: GraphQLInt },
+    vote_date: { type: DateScalar },
+    question: { type: GraphQLString },
+    vote_title: { type: GraphQLString },
+    motion_family: { type: GraphQLString },
+    result: { type: GraphQLString },
+    outcome: { type: GraphQLString, description: 'passed, failed or null' },
+    totals: { type: nonNull(TallyType), resolve: (rc) => rc.tallies.totals },
+    by_party: {
+      type: list(PartyTallyType),
+      extensions: { complexity: { listSize: 4 } },
+      resolve: (rc) => rc.tallies.by_party,
+    },
+    issue: {
+      type: IssueType,
+      resolve: (rc, args, ctx) => (rc.issue_id != null ? ctx.loaders.issue.load(rc.issue_id) : null),
+    },
+    votes: {
+      type: list(VoteType),
+      description: "Every member's position, by state and district",
+      args: {
+        vote: { type: GraphQLString, description: 'Only this position, e.g. no' },
+        party: { type: GraphQLString },
+        state: { type: GraphQLString },
+      },
+      extensions: { complexity: { listSize: HOUSE_SIZE } },
+      resolve: (rc, args) => rc.votes
+        .filter((v) => !args.vote || v.vote === args.vote.toLowerCase())
+        .filter((v) => !args.party || (v.party || '').toLowerCase() === args.party.toLowerCase())
+        .filter((v) => !args.state || v.state === args.state.toUpperCase())
+        .map((v) => ({ ...v, roll_call: rc.roll_call, vote_date: rc.vote_date })),
+    },
+  }),
+});
+
+const IssueType = new GraphQLObjectType({
+  name: 'Issue',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    title: { type: GraphQLString },
+    plain_english_title: { type: GraphQLString, resolve: (i) => i.ai_summary?.plain_english_title || null },
+    summary: { type: GraphQLString, description: 'AI short summary', resolve: (i) => i.ai_summary?.short_summary || null },
+    description: { type: GraphQLString },
+    canonical_bill_id: { type: GraphQLString },
+    categories: { type: list(GraphQLString), resolve: (i) => i.categories || [] },
+    vote_date: { type: DateScalar },
+    bill: {
+      type: BillType,
+      resolve: (i) => billFor(i.canonical_bill_id),
+    },
+    roll_calls: {
+      type: list(RollCallType),
+      description: 'Oldest first',
+      extensions: { complexity: { listSize: 5 } },
+      resolve: async (i, args, ctx) => {
+        const ids = await ctx.loaders.issueRollCallIds.load(i.id);
+        return (await ctx.loaders.rollCall.loadMany(ids)).filter(Boolean);
+      },
+    },
+  }),
+});
+
+const BillType = new GraphQLObjectType({
+  name: 'Bill',
+  fields: () => ({
+    id: { type: nonNull(GraphQLString), description: 'Canonical bill id, e.g. hr815-119' },
+    bill_type: { type: nonNull(GraphQLString) },
+    bill_number: { type: nonNull(GraphQLInt) },
+    congress: { type: nonNull(GraphQLInt) },
+    status: {
+      type: BillStatusType,
+      description: 'Derived from the actions; null when none are stored',
+      resolve: async (bill, args, ctx) => {
+        const actions = await ctx.loaders.billActions.load(bill.id);
+        return actions.length ? deriveBillStatus(actions, bill.bill_type) : null;
+      },
+    },
+    actions: {
+      type: list(BillActionType),
+      description: 'Oldest first',
+      extensions: { complexity: { listSize: 20 } },
+      resolve: (bill, args, ctx) => ctx.loaders.billActions.load(bill.id),
+    },
+    issues: {
+      type: list(IssueType),
+      extensions: { complexity: { listSize: 2 } },
+      resolve: (bill, args, ctx) => ctx.loaders.billIssues.load(bill.id),
+    },
+  }),
+});
+
+function billFor(canonicalBillId) {
+  const parsed = parseCanonicalBillId(canonicalBillId);
+  return parsed ? { id: String(canonicalBillId).toLowerCase(), ...parsed } : null;
+}
+
+const pageArgs = {
+  page: { type: GraphQLInt, defaultValue: 1 },
+  limit: { type: GraphQLInt, defaultValue: 50, description: 'At most 100' },
+};
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    representative: {
+      type: RepresentativeType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { id }, ctx) => ctx.loaders.representative.load(id),
+    },
+    representatives: {
+      type: list(RepresentativeType),
+      args: {
+        state: { type: GraphQLString },
+        chamber: { type: GraphQLString },
+        party: { type: GraphQLString },
+        ...pageArgs,
+      },
+      resolve: async (root, args, ctx) => {
+        const query = checked(parseMemberQuery(args));
+        const { reps } = await ctx.models.searchReps(query.filters, query);
+        for (const rep of reps) ctx.loaders.representative.prime(rep.id, rep);
+        return reps;
+      },
+    },
+    roll_call: {
+      type: RollCallType,
+      args: { id: { type: nonNull(GraphQLString), description: 'e.g. house-119-2026-78' } },
+      resolve: (root, { id }, ctx) => {
+        const rollCall = String(id).trim().toLowerCase();
+        if (!parseRollCallId(rollCall)) throw badInput('Invalid roll call id (expected e.g. house-119-2026-78)');
+        return ctx.loaders.rollCall.load(rollCall);
+      },
+    },
+    roll_calls: {
+      type: list(RollCallType),
+      description: 'Newest first',
+      args: {
+        ...voteFilterArgs,
+        congress: { type: GraphQLInt },
+        ...pageArgs,
+      },
+      resolve: async (root, args, ctx) => {
+        const { filters } = checked(parseVoteFilters({ ...args, limit: undefined }));
+        const { page, limit } = checked(parseMemberQuery({ page: args.page, limit: args.limit }));
+        const ids = await ctx.models.listRollCallIds(filters, args.congress ?? null, { page, limit });
+        return (await ctx.loaders.rollCall.loadMany(ids)).filter(Boolean);
+      },
+    },
+    issue: {
+      type: IssueType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { id }, ctx) => ctx.loaders.issue.load(id),
+    },
+    issues: {
+      type: list(IssueType),
+      description: 'Arguments as GET /api/issues',
+      args: {
+        q: { type: GraphQLString },
+        category: { type: GraphQLString },
+        chamber: { type: GraphQLString },
+        congress: { type: GraphQLInt },
+        from: { type: GraphQLString },
+        to: { type: GraphQLString },
+        outcome: { type: GraphQLString, description: 'passed or failed' },
+        state: { type: GraphQLString },
+        district: { type: GraphQLInt },
+        sort: { type: GraphQLString, description: 'newest, oldest, title or relevance' },
+        ...pageArgs,
+      },
+      resolve: async (root, args, ctx) => {
+        const issueQuery = checked(parseIssueQuery(args));
+        const { issues } = await ctx.models.searchIssues(issueQuery.filters, issueQuery);
+        for (const issue of issues) ctx.loaders.issue.prime(issue.id, issue);
+        return issues;
+      },
+    },
+    bill: {
+      type: BillType,
+      args: { id: { type: nonNull(GraphQLString), description: 'Canonical bill id, e.g. hr815-119' } },
+      resolve: async (root, { id }, ctx) => {
+        const bill = billFor(String(id).trim());
+        if (!bill) throw badInput('Invalid bill id (expected e.g. hr815-119)');
+        return (await ctx.models.billExists(bill.id)) ? bill : null;
+      },
+    },
+  },
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+module.exports = {
+  DEFAULT_VOTES_LIMIT,
+  schema,
+};
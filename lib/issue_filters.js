@@ -0,0 +1,174 @@
+/**
+ * Issue List Filters
+ *
+ * Parses query-string search/filter/sort options for GET /api/issues and
+ * builds the matching SQL. Outcome and chamber come from the issue's votes;
+ * "latest roll call" means the most recent vote linked to the issue.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const CHAMBERS = ['house', 'senate'];
+const OUTCOMES = ['passed', 'failed'];
+
+// Full-text document; migrations/012_add_issues_search_index.sql indexes this exact expression
+const SEARCH_DOCUMENT_SQL = `to_tsvector('english',
+  coalesce(i.title, '') || ' ' || coalesce(i.description, '') || ' ' || coalesce(i.bill_summary, '') || ' ' ||
+  coalesce(i.ai_summary->>'plain_english_title', '') || ' ' || coalesce(i.ai_summary->>'short_summary', '') || ' ' ||
+  coalesce(i.ai_summary->>'medium_summary', ''))`;
+
+// Vote results look like "Passed", "Agreed to", "Cloture Motion Agreed to", "Failed", "Motion Rejected", "Not Agreed to"
+const FAILED_RESULT_RE = '(fail|reject|not agreed|not sustained|defeated)';
+const PASSED_RESULT_RE = '(pass|agreed|adopted|confirmed|sustained)';
+
+const SORTS = {
+  newest: 'i.vote_date DESC NULLS LAST, i.id DESC',
+  oldest: 'i.vote_date ASC NULLS LAST, i.id ASC',
+  title: 'lower(i.title) ASC NULLS LAST, i.id ASC',
+  relevance: null, // needs the search query; see buildIssueOrderBy()
+};
+
+/**
+ * Classify a roll call result string.
+ * @param {string|null} result
+ * @returns {'passed'|'failed'|null}
+ */
+function classifyOutcome(result) {
+  if (!result) return null;
+  if (new RegExp(FAILED_RESULT_RE, 'i').test(result)) return 'failed';
+  if (new RegExp(PASSED_RESULT_RE, 'i').test(result)) return 'passed';
+  return null;
+}
+
+function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(`${s}T00:00:00Z`).getTime());
+}
+
+/**
+ * Parse issue list options from a request query.
+ *
+ * Supported params: q, category, chamber, congress, from, to, outcome,
+ * state, district, sort (newest|oldest|title|relevance), page, limit.
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, sort: string, page: number, limit: number, error: string|null}}
+ */
+function parseIssueQuery(query = {}) {
+  const out = { filters: {}, sort: 'newest', page: 1, limit: DEFAULT_LIMIT, error: null };
+  const fail = (msg) => Object.assign(out, { error: msg });
+  const str = (v) => (v == null ? '' : String(v).trim());
+
+  if (str(query.q)) out.filters.q = str(query.q);
+  if (str(query.category)) out.filters.category = str(query.category).toLowerCase();
+
+  if (str(query.chamber)) {
+    const chamber = str(query.chamber).toLowerCase();
+    if (!CHAMBERS.includes(chamber)) return fail(`Invalid chamber (expected ${CHAMBERS.join(' or ')})`);
+    out.filters.chamber = chamber;
+  }
+
+  if (str(query.congress)) {
+    const congress = Number(query.congress);
+    if (!Number.isInteger(congress) || congress < 1) return fail('Invalid congress');
+    out.filters.congress = congress;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (!str(query[key])) continue;
+    if (!isIsoDate(str(query[key]))) return fail(`Invalid ${key} date (expected YYYY-MM-DD)`);
+    out.filters[key] = str(query[key]);
+  }
+
+  if (str(query.outcome)) {
+    const outcome = str(query.outcome).toLowerCase();
+    if (!OUTCOMES.includes(outcome)) return fail(`Invalid outcome (expected ${OUTCOMES.join(' or ')})`);
+    out.filters.outcome = outcome;
+  }
+
+  if (str(query.state)) out.filters.state = str(query.state).toUpperCase();
+  if (str(query.district)) {
+    const district = Number(query.district);
+    if (!Number.isInteger(district) || district < 0) return fail('Invalid district');
+    out.filters.district = district;
+  }
+
+  if (str(query.sort)) {
+    const sort = str(query.sort).toLowerCase();
+    if (!(sort in SORTS)) return fail(`Invalid sort (expected one of: ${Object.keys(SORTS).join(', ')})`);
+    if (sort === 'relevance' && !out.filters.q) return fail('sort=relevance requires q');
+    out.sort = sort;
+  } else if (out.filters.q) {
+    out.sort = 'relevance';
+  }
+
+  if (str(query.page)) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) return fail('Invalid page');
+    out.page = page;
+  }
+  if (str(query.limit)) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return fail('Invalid limit');
+    out.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return out;
+}
+
+/**
+ * Build SQL conditions for parsed filters. Expects `issues i` and the
+ * `latest` lateral row (latest roll call: chamber, congress, result).
+ * @param {Object} filters - From parseIssueQuery()
+ * @param {Array} params - Query parameter list; values are appended to it
+ * @returns {string[]} Conditions to AND together
+ */
+function buildIssueConditions(filters = {}, params) {
+  const where = [];
+  const add = (value) => { params.push(value); return `$${params.length}`; };
+
+  if (filters.q) where.push(`${SEARCH_DOCUMENT_SQL} @@ websearch_to_tsquery('english', ${add(filters.q)})`);
+  if (filters.category) {
+    where.push(`EXISTS (SELECT 1 FROM unnest(i.categories) c WHERE LOWER(c) = ${add(filters.category)})`);
+  }
+  if (filters.chamber) {
+    where.push(`EXISTS (SELECT 1 FROM votes v WHERE v.issue_id = i.id AND v.chamber = ${add(filters.chamber)})`);
+  }
+  if (filters.congress) {
+    where.push(`EXISTS (SELECT 1 FROM votes v WHERE v.issue_id = i.id AND v.congress = ${add(filters.congress)})`);
+  }
+  if (filters.from) where.push(`i.vote_date >= ${add(filters.from)}::date`);
+  if (filters.to) where.push(`i.vote_date <= ${add(filters.to)}::date`);
+  if (filters.outcome === 'failed') where.push(`latest.result ~* '${FAILED_RESULT_RE}'`);
+  if (filters.outcome === 'passed') {
+    where.push(`latest.result ~* '${PASSED_RESULT_RE}' AND latest.result !~* '${FAILED_RESULT_RE}'`);
+  }
+  if (filters.state) {
+    const repConditions = [`r.state = ${add(filters.state)}`];
+    if (filters.district != null) repConditions.push(`(r.district = ${add(filters.district)} OR r.chamber = 'senate')`);
+    where.push(`EXISTS (SELECT 1 FROM votes v JOIN representatives r ON r.id = v.representative_id
+                        WHERE v.issue_id = i.id AND ${repConditions.join(' AND ')})`);
+  }
+  return where;
+}
+
+/**
+ * ORDER BY clause for a sort key. Relevance ranks against the search query,
+ * so it appends the query text to params.
+ */
+function buildIssueOrderBy(sort, filters, params) {
+  if (sort === 'relevance') {
+    params.push(filters.q);
+    return `ts_rank(${SEARCH_DOCUMENT_SQL}, websearch_to_tsquery('english', $${params.length})) DESC, ${SORTS.newest}`;
+  }
+  return SORTS[sort] || SORTS.newest;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  classifyOutcome,
+  parseIssueQuery,
+  buildIssueConditions,
+  buildIssueOrderBy,
+};
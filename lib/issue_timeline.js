@@ -0,0 +1,111 @@
+/**
+ * Issue Timeline
+ *
+ * Groups an issue's vote rows into its roll calls in the order they were
+ * taken (rule, previous question, amendments, cloture, passage, concurrence),
+ * each labeled with its motion family and outcome and tallied by party and state.
+ */
+
+const { canonicalizeMotion } = require('./motion_normalizer');
+const { classifyOutcome } = require('./issue_filters');
+const { tallyBy, tallyRollCall } = require('./tallies');
+
+/** Order members by state, then district (at-large/senators last), then name */
+function compareMembers(a, b) {
+  if (a.state !== b.state) return (a.state || '').localeCompare(b.state || '');
+  const da = a.district != null ? Number(a.district) : 9999;
+  const db = b.district != null ? Number(b.district) : 9999;
+  if (da !== db) return da - db;
+  return (a.representative_name || '').localeCompare(b.representative_name || '');
+}
+
+function chronological(a, b) {
+  const ta = a.vote_date ? new Date(a.vote_date).getTime() : 0;
+  const tb = b.vote_date ? new Date(b.vote_date).getTime() : 0;
+  if (ta !== tb) return ta - tb;
+  return (Number(a.roll_number) || 0) - (Number(b.roll_number) || 0);
+}
+
+function memberVote(row) {
+  return {
+    representative_id: row.representative_id,
+    representative_name: row.representative_name,
+    party: row.party,
+    state: row.state,
+    district: row.district,
+    vote: row.vote,
+  };
+}
+
+/**
+ * Group vote rows into roll calls, oldest first.
+ * @param {Object[]} rows - One per member per roll call: { roll_call, chamber, congress, roll_number, vote_date, vote_metadata, representative_id, representative_name, party, state, district, vote }
+ * @returns {Object[]} [{ roll_call, chamber, congress, roll_number, vote_date, question, vote_title, motion_family, result, outcome, tallies, votes }]
+ */
+function buildIssueTimeline(rows) {
+  const byRoll = new Map();
+  for (const row of rows) {
+    if (!byRoll.has(row.roll_call)) {
+      const vm = row.vote_metadata || {};
+      const result = vm.result || null;
+      byRoll.set(row.roll_call, {
+        roll_call: row.roll_call,
+        chamber: row.chamber,
+        congress: row.congress,
+        roll_number: row.roll_number,
+        vote_date: row.vote_date,
+        question: vm.question || null,
+        vote_title: vm.vote_title || null,
+        motion_family: canonicalizeMotion(vm.question || vm.vote_title).family,
+        result,
+        outcome: classifyOutcome(result),
+        votes: [],
+      });
+    }
+    byRoll.get(row.roll_call).votes.push(memberVote(row));
+  }
+  const timeline = [...byRoll.values()].sort(chronological);
+  for (const rc of timeline) {
+    rc.votes.sort(compareMembers);
+    rc.tallies = tallyRollCall(rc.votes);
+  }
+  return timeline;
+}
+
+/**
+ * Each member's position on the latest roll call they voted on.
+ * @param {Object[]} timeline - From buildIssueTimeline()
+ * @returns {Object[]} Member votes with vote_date and roll_call, in delegation order
+ */
+function latestMemberVotes(timeline) {
+  const latest = new Map();
+  for (const rc of timeline) {
+    for (const v of rc.votes) {
+      latest.set(v.representative_id, { ...v, chamber: rc.chamber, vote_date: rc.vote_date, roll_call: rc.roll_call });
+    }
+  }
+  return [...latest.values()].sort(compareMembers);
+}
+
+/**
+ * Tallies for members' latest votes across the whole issue, including a per-chamber split.
+ * No defectors here: latest votes can come from different roll calls, so there is no
+ * single party majority to break from.
+ * @param {Object[]} latestVotes - From latestMemberVotes()
+ */
+function tallyLatestVotes(latestVotes) {
+  const { totals, by_state } = tallyRollCall(latestVotes);
+  return {
+    totals,
+    by_party: tallyBy(latestVotes, 'party'),
+    by_state,
+    by_chamber: tallyBy(latestVotes, 'chamber'),
+  };
+}
+
+module.exports = {
+  compareMembers,
+  tallyLatestVotes,
+  buildIssueTimeline,
+  latestMemberVotes,
+};
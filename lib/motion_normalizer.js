@@ -220,8 +220,38 @@ function extractAmendment(motionText) {
   return null;
 }
 
+/**
+ * Build a SQL condition that matches motion text canonicalizing to `family`.
+ * Mirrors canonicalizeMotion(): a text belongs to the first family whose
+ * pattern matches, so earlier families' patterns are excluded.
+ * @param {string} family - Canonical family name (key of MOTION_FAMILIES)
+ * @param {string} expr - SQL expression holding the motion text
+ * @param {Array} params - Query parameter list; patterns are appended to it
+ * @returns {string|null} SQL condition, or null for an unknown family
+ */
+function motionFamilySqlCondition(family, expr, params) {
+  const names = Object.keys(MOTION_FAMILIES);
+  const idx = names.indexOf(family);
+  if (idx === -1) return null;
+
+  // Postgres ARE uses \y for word boundaries; ~* is the case-insensitive match
+  const toSql = (pattern) => {
+    params.push(pattern.source.replace(/\\b/g, '\\y'));
+    const op = pattern.flags.includes('i') ? '~*' : '~';
+    return `${expr} ${op} $${params.length}`;
+  };
+  const anyOf = (fam) => MOTION_FAMILIES[fam].patterns.map(toSql).join(' OR ');
+
+  const conditions = [`(${anyOf(family)})`];
+  for (const earlier of names.slice(0, idx)) {
+    conditions.push(`NOT (${anyOf(earlier)})`);
+  }
+  return `(${expr} IS NOT NULL AND ${conditions.join(' AND ')})`;
+}
+
 module.exports = {
   canonicalizeMotion,
+  motionFamilySqlCondition,
   compareMotions,
   simplifyMotionText,
   extractAmendment,
@@ -0,0 +1,272 @@
+/**
+ * Notification Preferences and Events
+ *
+ * Subscription cadence (frequency) and event types, and which of a rep's votes
+ * a subscriber should hear about. Event keys follow the notification_events
+ * scheme ('vote:house-119-2026-78:rep:123') with the user appended, because
+ * event_key is unique across all users.
+ */
+
+const { parseCanonicalBillId } = require('./bill_status');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const DEFAULT_FREQUENCY = 'daily';
+
+// Bill and topic follows go out with the digest; there is no per-action instant alert
+const FOLLOW_FREQUENCIES = ['daily', 'weekly'];
+
+// Topic tags the AI summaries assign (issues.categories); mirrors CATEGORIES in src/lib/voteFilters.ts
+const TOPIC_CATEGORIES = [
+  'healthcare', 'taxation', 'environment', 'defense', 'economy', 'immigration', 'education',
+  'justice', 'energy', 'agriculture', 'foreign_policy', 'civil_rights', 'housing', 'transportation',
+];
+
+const EVENT_TYPES = ['new_vote', 'missed_vote', 'against_party', 'followed_bill'];
+const DEFAULT_EVENT_TYPES = ['new_vote'];
+
+const EVENT_LABELS = {
+  new_vote: 'New vote',
+  missed_vote: 'Missed vote',
+  against_party: 'Voted against party',
+  followed_bill: 'Bill you follow',
+};
+
+// How far back (by ingestion time) a digest looks for votes not yet sent; twice the
+// cadence so a skipped run is caught up by the next one
+const LOOKBACK_DAYS = { daily: 2, weekly: 14 };
+
+// Minimum gap between digests, a little under the cadence so cron drift doesn't skip one
+const MIN_DIGEST_GAP_HOURS = { daily: 20, weekly: 6.5 * 24 };
+
+/**
+ * Validate subscription preferences from a request body. Omitted fields stay null
+ * so an existing subscription keeps its current value.
+ * @returns {{prefs: {frequency: string|null, event_types: string[]|null}, error: string|null}}
+ */
+function parseSubscriptionPrefs(body) {
+  const prefs = { frequency: null, event_types: null };
+  if (body?.frequency != null) {
+    const frequency = String(body.frequency).toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+      return { prefs, error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    prefs.frequency = frequency;
+  }
+  if (body?.event_types != null) {
+    const list = Array.isArray(body.event_types) ? body.event_types : String(body.event_types).split(',');
+    const types = [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+    const unknown = types.filter((t) => !EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return { prefs, error: `Unknown event_types: ${unknown.join(', ')} (allowed: ${EVENT_TYPES.join(', ')})` };
+    }
+    if (types.length === 0) return { prefs, error: 'event_types must include at least one event type' };
+    prefs.event_types = types;
+  }
+  return { prefs, error: null };
+}
+
+/**
+ * Validate a change to existing subscriptions (manage page): frequency, event_types and paused.
+ * Omitted fields stay null and are left alone.
+ * @returns {{update: {frequency: string|null, event_types: string[]|null, paused: boolean|null}, error: string|null}}
+ */
+function parseSubscriptionUpdate(body) {
+  const { prefs, error } = parseSubscriptionPrefs(body);
+  const update = { ...prefs, paused: null };
+  if (error) return { update, error };
+  if (body?.paused != null) {
+    if (typeof body.paused !== 'boolean') return { update, error: 'paused must be true or false' };
+    update.paused = body.paused;
+  }
+  if (update.frequency == null && update.event_types == null && update.paused == null) {
+    return { update, error: 'Nothing to update: send frequency, event_types or paused' };
+  }
+  return { update, error: null };
+}
+
+/**
+ * Validate bill ids to follow (array or comma-separated), e.g. ['hr815-119'].
+ * @returns {{bill_ids: string[], error: string|null}}
+ */
+function parseBillIds(raw) {
+  if (raw == null) return { bill_ids: [], error: null };
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  const ids = [...new Set(list.map((id) => String(id).trim().toLowerCase()).filter(Boolean))];
+  const invalid = ids.filter((id) => !parseCanonicalBillId(id));
+  if (invalid.length > 0) return { bill_ids: [], error: `Invalid bill ids: ${invalid.join(', ')} (expected e.g. hr815-119)` };
+  return { bill_ids: ids, error: null };
+}
+
+/** Frequency for a bill or topic follow: instant falls back to null (keep the current value, or daily) */
+function followFrequency(frequency) {
+  return FOLLOW_FREQUENCIES.includes(frequency) ? frequency : null;
+}
+
+/**
+ * Validate a change to a followed bill: frequency (daily / weekly) and paused.
+ * @returns {{update: {frequency: string|null, paused: boolean|null}, error: string|null}}
+ */
+function parseBillSubscriptionUpdate(body) {
+  const update = { frequency: null, paused: null };
+  if (body?.frequency != null) {
+    const frequency = String(body.frequency).toLowerCase();
+    if (!FOLLOW_FREQUENCIES.includes(frequency)) {
+      return { update, error: `frequency must be one of: ${FOLLOW_FREQUENCIES.join(', ')}` };
+    }
+    update.frequency = frequency;
+  }
+  if (body?.paused != null) {
+    if (typeof body.paused !== 'boolean') return { update, error: 'paused must be true or false' };
+    update.paused = body.paused;
+  }
+  if (update.frequency == null && update.paused == null) {
+    return { update, error: 'Nothing to update: send frequency or paused' };
+  }
+  return { update, error: null };
+}
+
+/**
+ * Validate topic categories to follow (array or comma-separated), e.g. ['healthcare', 'energy'].
+ * @returns {{categories: string[], error: string|null}}
+ */
+function parseCategories(raw) {
+  if (raw == null) return { categories: [], error: null };
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  const categories = [...new Set(list.map((c) => String(c).trim().toLowerCase().replace(/[\s-]+/g, '_')).filter(Boolean))];
+  const unknown = categories.filter((c) => !TOPIC_CATEGORIES.includes(c));
+  if (unknown.length > 0) {
+    return { categories: [], error: `Unknown categories: ${unknown.join(', ')} (allowed: ${TOPIC_CATEGORIES.join(', ')})` };
+  }
+  return { categories, error: null };
+}
+
+/**
+ * Validate a delegation limit for topic follows: { state: 'WA', district?: 7 }. The delegation is the
+ * state's senators plus that district's House member (every House member of the state without a district).
+ * @returns {{delegation: {state: string, district: number|null}|null, error: string|null}}
+ */
+function parseDelegation(raw) {
+  if (raw == null) return { delegation: null, error: null };
+  const state = typeof raw.state === 'string' ? raw.state.trim().toUpperCase() : '';
+  if (!/^[A-Z]{2}$/.test(state)) return { delegation: null, error: 'delegation.state must be a two-letter state code' };
+  let district = null;
+  if (raw.district != null && raw.district !== '') {
+    district = Number(raw.district);
+    if (!Number.isInteger(district) || district < 0 || district > 99) {
+      return { delegation: null, error: 'delegation.district must be a district number' };
+    }
+  }
+  return { delegation: { state, district }, error: null };
+}
+
+/**
+ * Validate a change to a followed topic: frequency, paused and delegation (null clears the limit).
+ * delegation stays undefined when omitted so the current limit is kept.
+ * @returns {{update: {frequency: string|null, paused: boolean|null, delegation: Object|null|undefined}, error: string|null}}
+ */
+function parseTopicSubscriptionUpdate(body) {
+  const update = { frequency: null, paused: null, delegation: undefined };
+  if (body?.frequency != null || body?.paused != null) {
+    const parsed = parseBillSubscriptionUpdate(body);
+    if (parsed.error) return { update, error: parsed.error };
+    Object.assign(update, parsed.update);
+  }
+  if (body && Object.prototype.hasOwnProperty.call(body, 'delegation')) {
+    const { delegation, error } = parseDelegation(body.delegation);
+    if (error) return { update, error };
+    update.delegation = delegation;
+  }
+  if (update.frequency == null && update.paused == null && update.delegation === undefined) {
+    return { update, error: 'Nothing to update: send frequency, paused or delegation' };
+  }
+  return { update, error: null };
+}
+
+/**
+ * Every event type a vote triggers, regardless of what anyone subscribed to.
+ * @param {{vote: string, issue_id: number|null, party_majority: 'yes'|'no'|null}} vote
+ * @param {Set<number>} [followedIssueIds]
+ */
+function voteEventTypes(vote, followedIssueIds = new Set()) {
+  const types = ['new_vote'];
+  if (vote.vote === 'not voting') types.push('missed_vote');
+  if ((vote.vote === 'yes' || vote.vote === 'no') && vote.party_majority && vote.vote !== vote.party_majority) {
+    types.push('against_party');
+  }
+  if (vote.issue_id != null && followedIssueIds.has(vote.issue_id)) types.push('followed_bill');
+  return types;
+}
+
+/**
+ * Votes a subscriber asked to hear about, each tagged with the matching event types.
+ * @param {Object[]} votes
+ * @param {string[]} subscribedTypes - rep_subscriptions.event_types
+ * @param {Set<number>} [followedIssueIds]
+ * @returns {Object[]} votes with event_types (most specific first)
+ */
+function selectVoteEvents(votes, subscribedTypes, followedIssueIds) {
+  const wanted = new Set(Array.isArray(subscribedTypes) && subscribedTypes.length > 0 ? subscribedTypes : DEFAULT_EVENT_TYPES);
+  const out = [];
+  for (const vote of votes) {
+    const matched = voteEventTypes(vote, followedIssueIds).filter((t) => wanted.has(t)).reverse();
+    if (matched.length > 0) out.push({ ...vote, event_types: matched });
+  }
+  return out;
+}
+
+/** notification_events key for one vote sent to one user */
+function voteEventKey(rollCall, repId, userId) {
+  return `vote:${rollCall}:rep:${repId}:user:${userId}`;
+}
+
+/** notification_events key for one digest email (one per user, cadence and day) */
+function digestEventKey(frequency, userId, date) {
+  return `digest:${frequency}:${userId}:${date}`;
+}
+
+/**
+ * RFC 8058 one-click unsubscribe headers. Mail clients POST "List-Unsubscribe=One-Click"
+ * to the URL, so it must work without a browser or cookies.
+ * @param {string} baseUrl - e.g. https://repwatch.co
+ * @param {string} unsubToken - users.unsub_token
+ * @returns {{'List-Unsubscribe': string, 'List-Unsubscribe-Post': string}}
+ */
+function listUnsubscribeHeaders(baseUrl, unsubToken) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}`;
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+}
+
+/** True when enough time has passed since the user's last digest at this cadence */
+function isDigestDue(frequency, lastSentAt, now = new Date()) {
+  if (!lastSentAt) return true;
+  const gapHours = (now.getTime() - new Date(lastSentAt).getTime()) / 3600000;
+  return gapHours >= (MIN_DIGEST_GAP_HOURS[frequency] ?? MIN_DIGEST_GAP_HOURS.daily);
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_FREQUENCY,
+  FOLLOW_FREQUENCIES,
+  TOPIC_CATEGORIES,
+  EVENT_TYPES,
+  DEFAULT_EVENT_TYPES,
+  EVENT_LABELS,
+  LOOKBACK_DAYS,
+  parseSubscriptionPrefs,
+  parseSubscriptionUpdate,
+  parseBillIds,
+  followFrequency,
+  parseBillSubscriptionUpdate,
+  parseCategories,
+  parseDelegation,
+  parseTopicSubscriptionUpdate,
+  voteEventTypes,
+  selectVoteEvents,
+  voteEventKey,
+  digestEventKey,
+  listUnsubscribeHeaders,
+  isDigestDue,
+};
@@ -0,0 +1,224 @@
+/**
+ * Vote Share Cards
+ *
+ * The 1200×630 PNG behind /og/reps/:id/votes/:rollCall.png (routes/og.js): a member's photo,
+ * name, position and the plain-English bill title, sized for Open Graph and Twitter
+ * summary_large_image previews. Drawn with @napi-rs/canvas; fetching the photo and caching the
+ * PNG on disk happen in services/og_cards.js.
+ */
+
+const crypto = require('crypto');
+const { billTitle } = require('./digest_email');
+const { formatDate, seatLabel } = require('./page_meta');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+// Bump when the layout changes so cached cards are drawn again
+const CARD_VERSION = 1;
+const FONT_FAMILY = '"DejaVu Sans", "Helvetica Neue", Arial, sans-serif';
+
+// The native canvas module is loaded on the first draw, not whenever the app loads this file
+const canvasModule = () => require('@napi-rs/canvas');
+
+const COLORS = {
+  bg: '#000000',
+  panel: '#111111',
+  text: '#f3f4f6',
+  muted: '#9ca3af',
+  border: '#262626',
+  yes: '#34d399',
+  no: '#f87171',
+  other: '#d1d5db',
+};
+
+/** "VOTED NO" and the color it is drawn in */
+function positionLabel(vote) {
+  const v = String(vote || '').toLowerCase();
+  if (v === 'yes' || v === 'yea' || v === 'aye') return { label: 'VOTED YES', tone: 'yes' };
+  if (v === 'no' || v === 'nay') return { label: 'VOTED NO', tone: 'no' };
+  if (v === 'present' || v === 'abstain') return { label: 'VOTED PRESENT', tone: 'other' };
+  return { label: 'DID NOT VOTE', tone: 'other' };
+}
+
+/**
+ * Everything drawn on a card. Cards are cached by cardKey() of this, so a renamed bill or a
+ * corrected position gets a new image.
+ * @param {Object} rep - getRepById() row (with photo_url)
+ * @param {Object} vote - getRepRollCallVote() row
+ * @param {string} baseUrl - Shown in the footer
+ */
+function voteCardContent(rep, vote, baseUrl) {
+  const meta = vote.vote_metadata || {};
+  const { label, tone } = positionLabel(vote.vote);
+  return {
+    name: rep.name,
+    seat: [rep.party, seatLabel(rep)].filter(Boolean).join(' · '),
+    position: label,
+    tone,
+    title: billTitle(vote),
+    detail: [formatDate(vote.vote_date), meta.question, meta.result].filter(Boolean).join(' · '),
+    photoUrl: rep.photo_url || null,
+    site: new URL(baseUrl).host,
+  };
+}
+
+/** Short content hash for cache file names */
+function cardKey(content) {
+  return crypto.createHash('sha256').update(JSON.stringify([CARD_VERSION, content])).digest('hex').slice(0, 16);
+}
+
+/**
+ * Greedy word wrap. The last line gets an ellipsis when the text doesn't fit in maxLines, and
+ * words wider than a line are broken.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} maxLines
+ * @param {(s: string) => number} measure - Width of a string in the current font
+ * @returns {string[]}
+ */
+function wrapText(text, maxWidth, maxLines, measure) {
+  const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measure(candidate) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    let rest = word;
+    while (measure(rest) > maxWidth) {
+      let n = rest.length - 1;
+      while (n > 1 && measure(rest.slice(0, n)) > maxWidth) n--;
+      lines.push(rest.slice(0, n));
+      rest = rest.slice(n);
+    }
+    line = rest;
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  const full = kept[maxLines - 1];
+  let last = full;
+  while (last && measure(`${last}…`) > maxWidth) last = last.slice(0, -1);
+  // Back up to a word boundary rather than ending on part of a word
+  if (last !== full && last.lastIndexOf(' ') > 0) last = last.slice(0, last.lastIndexOf(' '));
+  kept[maxLines - 1] = `${last.replace(/[\s,;:.–—-]+$/, '')}…`;
+  return kept;
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function initials(name) {
+  return String(name || '').split(/\s+/).filter(Boolean).map((n) => n.charAt(0)).join('').slice(0, 2).toUpperCase() || '?';
+}
+
+/** Draws the photo scaled to cover the box, or initials when there is none */
+async function drawPhoto(ctx, photo, name, box) {
+  ctx.save();
+  roundedRect(ctx, box.x, box.y, box.w, box.h, 12);
+  ctx.clip();
+  ctx.fillStyle = COLORS.panel;
+  ctx.fillRect(box.x, box.y, box.w, box.h);
+  let image = null;
+  if (photo) {
+    try {
+      image = await canvasModule().loadImage(photo);
+    } catch (e) {
+      image = null;
+    }
+  }
+  if (image && image.width > 0 && image.height > 0) {
+    const scale = Math.max(box.w / image.width, box.h / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    ctx.drawImage(image, box.x + (box.w - w) / 2, box.y + (box.h - h) / 2, w, h);
+  } else {
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = `bold 96px ${FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(initials(name), box.x + box.w / 2, box.y + box.h / 2);
+  }
+  ctx.restore();
+}
+
+/**
+ * Draws a card.
+ * @param {Object} content - From voteCardContent()
+ * @param {Buffer|null} photo - The member's photo (JPEG/PNG bytes); initials are drawn without it
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function renderVoteCard(content, photo) {
+  const canvas = canvasModule().createCanvas(CARD_WIDTH, CARD_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  const accent = COLORS[content.tone] || COLORS.other;
+
+  ctx.fillStyle = COLORS.bg;
+  ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+  ctx.fillStyle = accent;
+  ctx.fillRect(0, 0, 16, CARD_HEIGHT);
+
+  await drawPhoto(ctx, photo, content.name, { x: 80, y: 72, w: 260, h: 318 });
+
+  const x = 390;
+  const width = CARD_WIDTH - x - 80;
+  const fit = (text, font, lines) => {
+    ctx.font = font;
+    return wrapText(text, width, lines, (s) => ctx.measureText(s).width);
+  };
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+
+  ctx.fillStyle = COLORS.text;
+  const nameFont = `bold 52px ${FONT_FAMILY}`;
+  ctx.fillText(fit(content.name, nameFont, 1)[0] || '', x, 124);
+
+  ctx.fillStyle = COLORS.muted;
+  const seatFont = `28px ${FONT_FAMILY}`;
+  ctx.fillText(fit(content.seat, seatFont, 1)[0] || '', x, 168);
+
+  ctx.fillStyle = accent;
+  const positionFont = `bold 80px ${FONT_FAMILY}`;
+  ctx.fillText(fit(content.position, positionFont, 1)[0] || '', x, 270);
+
+  ctx.fillStyle = COLORS.text;
+  const titleFont = `38px ${FONT_FAMILY}`;
+  fit(content.title, titleFont, 3).forEach((line, n) => ctx.fillText(line, x, 332 + n * 50));
+
+  ctx.fillStyle = COLORS.border;
+  ctx.fillRect(80, 520, CARD_WIDTH - 160, 2);
+
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = `24px ${FONT_FAMILY}`;
+  const detail = wrapText(content.detail, CARD_WIDTH - 160 - 260, 1, (s) => ctx.measureText(s).width)[0] || '';
+  ctx.fillText(detail, 80, 572);
+
+  ctx.fillStyle = COLORS.text;
+  ctx.font = `bold 28px ${FONT_FAMILY}`;
+  ctx.textAlign = 'right';
+  ctx.fillText(content.site, CARD_WIDTH - 80, 572);
+
+  return canvas.encode('png');
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  CARD_VERSION,
+  positionLabel,
+  voteCardContent,
+  cardKey,
+  wrapText,
+  renderVoteCard,
+};
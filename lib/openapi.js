@@ -0,0 +1,32 @@
+/**
+ * OpenAPI Document
+ *
+ * docs/openapi.yaml describes every route under /api. It is served as JSON at
+ * /api/openapi.json, checked against real responses in tests/openapi.test.js, and turned into
+ * the frontend's types (src/lib/api-types.ts) by `npm run api:types`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SPEC_PATH = path.join(__dirname, '..', 'docs', 'openapi.yaml');
+
+let cached = null;
+
+/** The parsed document, read once per process */
+function loadOpenApiSpec() {
+  if (!cached) cached = yaml.load(fs.readFileSync(SPEC_PATH, 'utf8'));
+  return cached;
+}
+
+/**
+ * Express route path → OpenAPI path template: /reps/:id/stats → /reps/{id}/stats
+ * @param {string} expressPath
+ * @returns {string}
+ */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, '{$1}');
+}
+
+module.exports = { SPEC_PATH, loadOpenApiSpec, toOpenApiPath };
@@ -0,0 +1,188 @@
+/**
+ * Page Metadata for Shared Links
+ *
+ * /reps/:id and /issues/:id are rendered by the SPA in the browser, so link unfurlers (which
+ * never run JavaScript) would only see index.html's "RepWatch" shell. services/prerender.js
+ * looks the page's rep or issue up and uses these helpers to write a per-page <title>, meta
+ * description, Open Graph and Twitter card tags, plus a plain-text summary inside #root that
+ * React replaces when it mounts. Links to a single vote use its share card (lib/og_card.js) as
+ * the image. Everything here is pure.
+ */
+
+const { billTitle, voteLabel, oneSentenceSummary, escapeHtml } = require('./digest_email');
+const { memberLabel } = require('./feeds');
+
+const SITE_NAME = 'RepWatch';
+const MAX_DESCRIPTION_LENGTH = 200;
+
+function formatDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return '';
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/** Shortens at a word boundary so previews don't cut words in half */
+function truncate(text, max = MAX_DESCRIPTION_LENGTH) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:.–—-]+$/, '')}…`;
+}
+
+function seatLabel(rep) {
+  if (rep.chamber === 'senate') return rep.state ? `U.S. Senator from ${rep.state}` : 'U.S. Senator';
+  if (rep.state && rep.district) return `U.S. Representative for ${rep.state}-${rep.district}`;
+  return rep.state ? `U.S. Representative from ${rep.state}` : 'U.S. Representative';
+}
+
+/**
+ * Metadata for a member's page.
+ * @param {Object} rep - getRepById() row (with photo_url)
+ * @param {Object|null} latestVote - Newest getRepFeedVotes() row, if any
+ * @param {string} baseUrl
+ * @returns {{title: string, heading: string, description: string, url: string, type: string, image: string|null, imageAlt: string|null}}
+ */
+function repPageMeta(rep, latestVote, baseUrl) {
+  const parts = [`How ${rep.name}, ${seatLabel(rep)}, votes in Congress: every roll call, attendance and party loyalty.`];
+  if (latestVote) {
+    const date = formatDate(latestVote.vote_date);
+    parts.push(`Latest: voted ${voteLabel(latestVote.vote)} on ${billTitle(latestVote)}${date ? ` (${date})` : ''}.`);
+  }
+  return {
+    title: `${memberLabel(rep)} — voting record | ${SITE_NAME}`,
+    heading: memberLabel(rep),
+    description: truncate(parts.join(' ')),
+    url: `${baseUrl}/reps/${rep.id}`,
+    type: 'profile',
+    image: rep.photo_url || null,
+    imageAlt: rep.photo_url ? `Official photo of ${rep.name}` : null,
+  };
+}
+
+/**
+ * Metadata for a member's page shared from one vote (/reps/:id?vote=:rollCall), with that vote's
+ * share card (routes/og.js) as the image.
+ * @param {Object} rep - getRepById() row
+ * @param {Object} vote - getRepRollCallVote() row
+ * @param {string} baseUrl
+ * @param {{width: number, height: number}} card - Share card size in pixels
+ */
+function repVoteShareMeta(rep, vote, baseUrl, card) {
+  const rollCall = encodeURIComponent(vote.roll_call);
+  const title = `${rep.name} voted ${voteLabel(vote.vote)} on ${billTitle(vote)}`;
+  const date = formatDate(vote.vote_date);
+  const result = vote.vote_metadata && vote.vote_metadata.result;
+  const parts = [
+    `${memberLabel(rep)} voted ${voteLabel(vote.vote)}${date ? ` on ${date}` : ''}${result ? ` — ${result}` : ''}.`,
+    `See every vote by ${rep.name} on ${SITE_NAME}.`,
+  ];
+  return {
+    title: `${title} | ${SITE_NAME}`,
+    heading: title,
+    description: truncate(parts.join(' ')),
+    url: `${baseUrl}/reps/${rep.id}?vote=${rollCall}`,
+    type: 'article',
+    image: `${baseUrl}/og/reps/${rep.id}/votes/${rollCall}.png`,
+    imageAlt: title,
+    imageWidth: card.width,
+    imageHeight: card.height,
+  };
+}
+
+/**
+ * Metadata for a bill or vote page.
+ * @param {Object} issue - getIssueById() row
+ * @param {Object|null} rollCall - Newest getRollCallFeed() row for the issue, with yes/no totals
+ * @param {string} baseUrl
+ * @returns {{title: string, heading: string, description: string, url: string, type: string, image: null, imageAlt: null}}
+ */
+function issuePageMeta(issue, rollCall, baseUrl) {
+  const title = billTitle({ ...issue, issue_title: issue.title });
+  const parts = [oneSentenceSummary({ ...issue, issue_description: issue.description })];
+  if (rollCall) {
+    const meta = rollCall.vote_metadata || {};
+    const date = formatDate(rollCall.vote_date);
+    const outcome = [meta.result, `${rollCall.yes}–${rollCall.no}`].filter(Boolean).join(' ');
+    parts.push(`${outcome}${date ? ` on ${date}` : ''}. See how every member voted.`);
+  } else {
+    parts.push('See how every member voted.');
+  }
+  return {
+    title: `${title} | ${SITE_NAME}`,
+    heading: title,
+    description: truncate(parts.filter(Boolean).join(' ')),
+    url: `${baseUrl}/issues/${issue.id}`,
+    type: 'article',
+    image: null,
+    imageAlt: null,
+  };
+}
+
+/**
+ * <title>, description, canonical link, Open Graph and Twitter card tags.
+ * @param {Object} meta - From repPageMeta() or issuePageMeta()
+ * @returns {string}
+ */
+function renderMetaTags(meta) {
+  const tag = (attr, key, value) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`;
+  const tags = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    tag('name', 'description', meta.description),
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    tag('property', 'og:site_name', SITE_NAME),
+    tag('property', 'og:type', meta.type),
+    tag('property', 'og:title', meta.title),
+    tag('property', 'og:description', meta.description),
+    tag('property', 'og:url', meta.url),
+  ];
+  if (meta.image) {
+    tags.push(tag('property', 'og:image', meta.image));
+    if (meta.imageWidth && meta.imageHeight) {
+      tags.push(tag('property', 'og:image:width', String(meta.imageWidth)), tag('property', 'og:image:height', String(meta.imageHeight)));
+    }
+    if (meta.imageAlt) tags.push(tag('property', 'og:image:alt', meta.imageAlt));
+  }
+  tags.push(
+    // Share cards are wide enough for the large layout; member photos are small portraits
+    tag('name', 'twitter:card', meta.imageWidth >= 600 ? 'summary_large_image' : 'summary'),
+    tag('name', 'twitter:title', meta.title),
+    tag('name', 'twitter:description', meta.description)
+  );
+  if (meta.image) {
+    tags.push(tag('name', 'twitter:image', meta.image));
+    if (meta.imageAlt) tags.push(tag('name', 'twitter:image:alt', meta.imageAlt));
+  }
+  return tags.join('\n    ');
+}
+
+/**
+ * index.html with the page's tags in place of its <title>, and a text version of the page in
+ * #root for crawlers. createRoot() clears #root on mount, so the SPA is unaffected.
+ * @param {string} template - The built index.html
+ * @param {Object} meta - From repPageMeta() or issuePageMeta()
+ * @returns {string}
+ */
+function injectPageMeta(template, meta) {
+  const tags = renderMetaTags(meta);
+  const head = /<title>[\s\S]*?<\/title>/i.test(template)
+    ? template.replace(/<title>[\s\S]*?<\/title>/i, () => tags)
+    : template.replace(/<\/head>/i, () => `  ${tags}\n  </head>`);
+  const summary = `<main><h1>${escapeHtml(meta.heading)}</h1><p>${escapeHtml(meta.description)}</p>`
+    + `<p><a href="${escapeHtml(meta.url)}">${escapeHtml(meta.url)}</a></p></main>`;
+  return head.replace(/<div id="root"><\/div>/, () => `<div id="root">${summary}</div>`);
+}
+
+module.exports = {
+  SITE_NAME,
+  MAX_DESCRIPTION_LENGTH,
+  formatDate,
+  truncate,
+  seatLabel,
+  repPageMeta,
+  repVoteShareMeta,
+  issuePageMeta,
+  renderMetaTags,
+  injectPageMeta,
+};
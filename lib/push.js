@@ -0,0 +1,98 @@
+/**
+ * Web Push Helpers
+ *
+ * Validation of browser PushSubscription objects and the notification text for a rep's new
+ * votes. Sending (VAPID, encryption) lives in services/push.js.
+ */
+
+const { billTitle, voteLabel } = require('./digest_email');
+
+const MAX_ENDPOINT_LENGTH = 2048;
+const BASE64URL = /^[A-Za-z0-9_-]+={0,2}$/;
+// Reps one browser can follow; bounds the rows a single endpoint can add
+const MAX_PUSH_REPS = 50;
+
+// Browser push services (Chrome/FCM, Firefox autopush, Safari, Edge/WNS). The sender POSTs to the
+// stored endpoint, so any other host would let a caller aim it at an arbitrary, even internal, URL.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com'];
+
+/** True for an https URL on a known push service, on the default port and without credentials */
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  const host = url.hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix));
+}
+
+/**
+ * Validate a PushSubscription as serialized by the browser (subscription.toJSON()).
+ * @returns {{subscription: {endpoint: string, p256dh: string, auth: string}|null, error: string|null}}
+ */
+function parsePushSubscription(raw) {
+  const endpoint = typeof raw?.endpoint === 'string' ? raw.endpoint.trim() : '';
+  const p256dh = typeof raw?.keys?.p256dh === 'string' ? raw.keys.p256dh.trim() : '';
+  const auth = typeof raw?.keys?.auth === 'string' ? raw.keys.auth.trim() : '';
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return { subscription: null, error: 'subscription.endpoint must be a URL' };
+  }
+  if (url.protocol !== 'https:' || endpoint.length > MAX_ENDPOINT_LENGTH) {
+    return { subscription: null, error: 'subscription.endpoint must be an https URL' };
+  }
+  if (!isPushServiceEndpoint(endpoint)) {
+    return { subscription: null, error: 'subscription.endpoint must be on a browser push service' };
+  }
+  if (!BASE64URL.test(p256dh) || !BASE64URL.test(auth)) {
+    return { subscription: null, error: 'subscription.keys.p256dh and subscription.keys.auth are required' };
+  }
+  return { subscription: { endpoint, p256dh, auth }, error: null };
+}
+
+/** notification_events key for one vote pushed to one browser */
+function pushEventKey(rollCall, repId, pushSubscriptionId) {
+  return `vote:${rollCall}:rep:${repId}:push:${pushSubscriptionId}`;
+}
+
+/**
+ * Notification for one rep's new votes; one vote links to its bill, several to the rep page.
+ * The tag makes a newer notification about the same rep replace the older one.
+ * @param {{rep_id: number, rep_name: string, pending: Object[]}} section - from repSection()
+ * @param {string} baseUrl
+ * @returns {{title: string, body: string, url: string, tag: string}}
+ */
+function buildPushNotification(section, baseUrl) {
+  const votes = section.pending;
+  const tag = `rep-${section.rep_id}`;
+  if (votes.length === 1) {
+    const v = votes[0];
+    return {
+      title: `${section.rep_name} voted ${voteLabel(v.vote)}`,
+      body: billTitle(v),
+      url: v.issue_id != null ? `${baseUrl}/issues/${v.issue_id}` : `${baseUrl}/reps/${section.rep_id}`,
+      tag,
+    };
+  }
+  const titles = votes.slice(0, 2).map((v) => billTitle(v));
+  return {
+    title: `${section.rep_name}: ${votes.length} new votes`,
+    body: titles.join('; ') + (votes.length > 2 ? ` and ${votes.length - 2} more` : ''),
+    url: `${baseUrl}/reps/${section.rep_id}`,
+    tag,
+  };
+}
+
+module.exports = {
+  MAX_PUSH_REPS,
+  isPushServiceEndpoint,
+  parsePushSubscription,
+  pushEventKey,
+  buildPushNotification,
+};
@@ -0,0 +1,109 @@
+/**
+ * Roll Call Tallies
+ *
+ * Counts member positions on a roll call overall and grouped by party,
+ * state or chamber, and finds members who broke from their party's majority.
+ * Vote values are the normalized DB values
+ * ('yes', 'no', 'present', 'abstain', 'not voting').
+ */
+
+const { MAJOR_PARTIES, majorityPosition } = require('./vote_stats');
+
+const ROLL_CALL_RE = /^(house|senate)-(\d+)-(?:(\d{4})-)?(\d+)$/;
+
+/**
+ * Parse a roll call id: house-{congress}-{year}-{roll} (older House rows: house-{congress}-{roll}).
+ * @returns {{chamber: string, congress: number, year: number|null, roll_number: number}|null}
+ */
+function parseRollCallId(id) {
+  const m = ROLL_CALL_RE.exec(String(id || '').trim().toLowerCase());
+  if (!m) return null;
+  return {
+    chamber: m[1],
+    congress: Number(m[2]),
+    year: m[3] ? Number(m[3]) : null,
+    roll_number: Number(m[4]),
+  };
+}
+
+function emptyTally() {
+  return { yes: 0, no: 0, present: 0, not_voting: 0, total: 0 };
+}
+
+function addVote(tally, vote) {
+  const v = String(vote || '').toLowerCase();
+  if (v === 'yes') tally.yes += 1;
+  else if (v === 'no') tally.no += 1;
+  else if (v === 'present' || v === 'abstain') tally.present += 1;
+  else tally.not_voting += 1;
+  tally.total += 1;
+  return tally;
+}
+
+/**
+ * Tally votes grouped by a key.
+ * @param {Object[]} votes
+ * @param {string} field - Row field to group on (e.g. 'party', 'state')
+ * @returns {Object[]} [{ [field]: value, yes, no, present, not_voting, total }], largest groups first
+ */
+function tallyBy(votes, field) {
+  const groups = new Map();
+  for (const v of votes) {
+    const key = v[field] || 'Unknown';
+    if (!groups.has(key)) groups.set(key, emptyTally());
+    addVote(groups.get(key), v.vote);
+  }
+  return [...groups.entries()]
+    .map(([key, t]) => ({ [field]: key, ...t }))
+    .sort((a, b) => b.total - a.total || String(a[field]).localeCompare(String(b[field])));
+}
+
+/**
+ * Major-party members who cast yes/no against their party's majority.
+ * @param {Object[]} votes - { representative_id, representative_name, party, state, district, vote }
+ * @param {Object<string, 'yes'|'no'|null>} majorities - party -> majority position
+ */
+function findDefectors(votes, majorities) {
+  return votes
+    .filter((v) => MAJOR_PARTIES.includes(v.party) && (v.vote === 'yes' || v.vote === 'no'))
+    .filter((v) => majorities[v.party] && v.vote !== majorities[v.party])
+    .map((v) => ({
+      representative_id: v.representative_id,
+      representative_name: v.representative_name,
+      party: v.party,
+      state: v.state,
+      district: v.district,
+      vote: v.vote,
+      party_position: majorities[v.party],
+    }));
+}
+
+/**
+ * Overall, per-party and per-state tallies for one roll call, plus party defectors.
+ * Major-party rows in by_party carry the party's majority position and defection count.
+ * @param {Object[]} votes - { vote, party, state, ... }
+ */
+function tallyRollCall(votes) {
+  const majorities = {};
+  const byParty = tallyBy(votes, 'party').map((p) => {
+    const majority = MAJOR_PARTIES.includes(p.party) ? majorityPosition(p.yes, p.no) : null;
+    majorities[p.party] = majority;
+    return { ...p, majority };
+  });
+  const defectors = findDefectors(votes, majorities);
+  return {
+    totals: votes.reduce((t, v) => addVote(t, v.vote), emptyTally()),
+    by_party: byParty.map((p) => ({ ...p, defections: defectors.filter((d) => d.party === p.party).length })),
+    by_state: tallyBy(votes, 'state').sort((a, b) => a.state.localeCompare(b.state)),
+    defectors,
+  };
+}
+
+module.exports = {
+  parseRollCallId,
+  emptyTally,
+  addVote,
+  tallyBy,
+  findDefectors,
+  tallyRollCall,
+};
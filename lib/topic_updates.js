@@ -0,0 +1,69 @@
+/**
+ * Topic Follow Updates
+ *
+ * Which new roll calls in a follower's categories (issues.categories) they haven't been sent,
+ * grouped by category, each with the positions of "their" reps: their delegation when the topic
+ * follow is limited to one, otherwise the reps they follow. Works on the rows returned by
+ * getCategoryRollCalls in models/category_subscriptions.js, so it runs without a database.
+ * A roll call is sent once per user even when it is tagged with several followed categories.
+ */
+
+/** notification_events key for one topic roll call sent to one user */
+function topicEventKey(rollCall, userId) {
+  return `topic:rollcall:${rollCall}:user:${userId}`;
+}
+
+/** True if the member belongs to the delegation (state senators plus the district's House member) */
+function inDelegation(member, delegation) {
+  if (member.state !== delegation.state) return false;
+  return member.chamber === 'senate' || delegation.district == null || Number(member.district) === delegation.district;
+}
+
+/**
+ * @param {Object[]} subs - the user's topic follows: { category, state, district, followed_at }
+ * @param {Object[]} rollCalls - from getCategoryRollCalls (categories, recorded_at, positions, ...)
+ * @param {Set<number>} followedRepIds - reps the user follows (shown when a topic has no delegation)
+ * @param {number|string} userId
+ * @param {Date|string} windowStart - digest lookback; roll calls recorded before it (or the follow) are skipped
+ * @param {Set<string>} sentKeys - keys already in notification_events
+ * @returns {Array<{category: string, delegation: {state: string, district: number|null}|null, roll_calls: Object[],
+ *   events: Array<{event_key: string, event_type: string, payload: Object}>}>}
+ */
+function pendingTopicUpdates(subs, rollCalls, followedRepIds, userId, windowStart, sentKeys) {
+  const taken = new Set();
+  const sections = [];
+  for (const sub of subs) {
+    const delegation = sub.state ? { state: sub.state, district: sub.district ?? null } : null;
+    const since = Math.max(new Date(windowStart).getTime(), new Date(sub.followed_at).getTime());
+    const picked = [];
+    for (const rc of rollCalls) {
+      const key = topicEventKey(rc.roll_call, userId);
+      if (taken.has(key) || sentKeys.has(key)) continue;
+      if (!rc.categories.includes(sub.category) || new Date(rc.recorded_at).getTime() < since) continue;
+      const yourReps = rc.positions.filter((p) => (delegation ? inDelegation(p, delegation) : followedRepIds.has(p.representative_id)));
+      // Limited to a delegation: only roll calls that delegation voted on
+      if (delegation && yourReps.length === 0) continue;
+      taken.add(key);
+      const { positions, ...rest } = rc;
+      picked.push({ ...rest, your_reps: yourReps, event_key: key });
+    }
+    if (picked.length === 0) continue;
+    sections.push({
+      category: sub.category,
+      delegation,
+      roll_calls: picked,
+      events: picked.map((rc) => ({
+        event_key: rc.event_key,
+        event_type: 'topic_roll_call',
+        payload: { category: sub.category, roll_call: rc.roll_call, issue_id: rc.issue_id },
+      })),
+    });
+  }
+  return sections;
+}
+
+module.exports = {
+  topicEventKey,
+  inDelegation,
+  pendingTopicUpdates,
+};
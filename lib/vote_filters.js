@@ -0,0 +1,168 @@
+/**
+ * Vote History Filters
+ *
+ * Parses query-string filters for member vote lists, turns them into SQL
+ * conditions, and encodes the opaque keyset cursors used for pagination.
+ */
+
+const { MOTION_FAMILIES, motionFamilySqlCondition } = require('./motion_normalizer');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Query value -> value stored in votes.vote
+const VOTE_VALUES = {
+  yes: 'yes',
+  no: 'no',
+  present: 'present',
+  abstain: 'abstain',
+  not_voting: 'not voting',
+  'not voting': 'not voting',
+};
+
+const CHAMBERS = ['house', 'senate'];
+const VOTE_TYPES = ['issue', 'procedural'];
+
+// Sort key used when vote_date is missing, so cursors never compare NULLs
+const NULL_DATE = '0001-01-01';
+const SORT_DATE_SQL = `COALESCE(v.vote_date, DATE '${NULL_DATE}')`;
+
+/** Split a comma-separated (or repeated) query value into trimmed, non-empty parts */
+function listParam(value) {
+  const raw = Array.isArray(value) ? value.join(',') : (value == null ? '' : String(value));
+  return raw.split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function isIsoDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(`${s}T00:00:00Z`).getTime());
+}
+
+/**
+ * Parse vote filters from a request query.
+ *
+ * Supported params: from, to (YYYY-MM-DD), chamber (house|senate),
+ * vote (yes,no,present,not_voting), motion (a MOTION_FAMILIES name),
+ * category, type (issue|procedural), limit, cursor.
+ *
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, limit: number, cursor: Object|null, error: string|null}}
+ */
+function parseVoteFilters(query = {}) {
+  const out = { filters: {}, limit: DEFAULT_LIMIT, cursor: null, error: null };
+  const fail = (msg) => Object.assign(out, { error: msg });
+
+  for (const key of ['from', 'to']) {
+    if (query[key] == null || query[key] === '') continue;
+    const s = String(query[key]).trim();
+    if (!isIsoDate(s)) return fail(`Invalid ${key} date (expected YYYY-MM-DD)`);
+    out.filters[key] = s;
+  }
+
+  if (query.chamber) {
+    const chamber = String(query.chamber).trim().toLowerCase();
+    if (!CHAMBERS.includes(chamber)) return fail(`Invalid chamber (expected ${CHAMBERS.join(' or ')})`);
+    out.filters.chamber = chamber;
+  }
+
+  const votes = listParam(query.vote).map((v) => v.toLowerCase());
+  if (votes.length) {
+    const mapped = votes.map((v) => VOTE_VALUES[v]);
+    if (mapped.includes(undefined)) return fail('Invalid vote (expected yes, no, present or not_voting)');
+    out.filters.votes = [...new Set(mapped)];
+  }
+
+  if (query.motion) {
+    const wanted = String(query.motion).trim().toLowerCase();
+    const family = Object.keys(MOTION_FAMILIES).find((f) => f.toLowerCase() === wanted);
+    if (!family) return fail(`Invalid motion (expected one of: ${Object.keys(MOTION_FAMILIES).join(', ')})`);
+    out.filters.motion = family;
+  }
+
+  if (query.category) {
+    out.filters.category = String(query.category).trim().toLowerCase();
+  }
+
+  if (query.type) {
+    const type = String(query.type).trim().toLowerCase();
+    if (!VOTE_TYPES.includes(type)) return fail(`Invalid type (expected ${VOTE_TYPES.join(' or ')})`);
+    out.filters.type = type;
+  }
+
+  if (query.limit != null && query.limit !== '') {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return fail('Invalid limit');
+    out.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return fail('Invalid cursor');
+    out.cursor = cursor;
+  }
+
+  return out;
+}
+
+/**
+ * Build SQL conditions for parsed filters. Expects `votes v LEFT JOIN issues i`.
+ * @param {Object} filters - From parseVoteFilters()
+ * @param {Array} params - Query parameter list; values are appended to it
+ * @returns {string[]} Conditions to AND together
+ */
+function buildVoteFilterConditions(filters = {}, params) {
+  const where = [];
+  const add = (value) => { params.push(value); return `$${params.length}`; };
+
+  if (filters.from) where.push(`v.vote_date >= ${add(filters.from)}::date`);
+  if (filters.to) where.push(`v.vote_date <= ${add(filters.to)}::date`);
+  if (filters.chamber) where.push(`v.chamber = ${add(filters.chamber)}`);
+  if (filters.votes && filters.votes.length) where.push(`v.vote = ANY(${add(filters.votes)}::text[])`);
+  if (filters.motion) {
+    const motionText = `COALESCE(v.vote_metadata->>'question', v.vote_metadata->>'vote_title')`;
+    where.push(motionFamilySqlCondition(filters.motion, motionText, params));
+  }
+  if (filters.category) {
+    where.push(`EXISTS (SELECT 1 FROM unnest(i.categories) c WHERE LOWER(c) = ${add(filters.category)})`);
+  }
+  if (filters.type === 'issue') where.push('v.issue_id IS NOT NULL');
+  if (filters.type === 'procedural') where.push('v.issue_id IS NULL');
+  return where;
+}
+
+/**
+ * Keyset condition for rows after the cursor, in (sort date DESC, id DESC) order.
+ * @param {{date: string, id: number}} cursor
+ * @param {Array} params
+ * @returns {string}
+ */
+function cursorCondition(cursor, params) {
+  params.push(cursor.date, cursor.id);
+  return `(${SORT_DATE_SQL}, v.id) < ($${params.length - 1}::date, $${params.length}::int)`;
+}
+
+/** Opaque cursor for the row a page ended on */
+function encodeCursor(sortDate, id) {
+  return Buffer.from(JSON.stringify({ d: sortDate, id })).toString('base64url');
+}
+
+/** @returns {{date: string, id: number}|null} */
+function decodeCursor(token) {
+  try {
+    const parsed = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!parsed || !isIsoDate(String(parsed.d)) || !Number.isInteger(parsed.id)) return null;
+    return { date: parsed.d, id: parsed.id };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_DATE_SQL,
+  parseVoteFilters,
+  buildVoteFilterConditions,
+  cursorCondition,
+  encodeCursor,
+  decodeCursor,
+};
@@ -105,6 +105,16 @@ function parseBillKey(billKey) {
   };
 }
 
+/**
+ * Convert a bill key to the canonical bill id used by issues
+ * @param {string} billKey - Bill key in format congress:bill_type:bill_number
+ * @returns {string} Format: {bill_type}{bill_number}-{congress} (e.g. hr815-119)
+ */
+function billKeyToCanonicalId(billKey) {
+  const { congress, billType, billNumber } = parseBillKey(billKey);
+  return `${billType}${billNumber}-${congress}`;
+}
+
 /**
  * Extract bill reference from text (e.g., "H.R. 123", "S. 456")
  * @param {string} text - Text containing bill reference
@@ -187,6 +197,7 @@ module.exports = {
   makeBillKey,
   parseVoteKey,
   parseBillKey,
+  billKeyToCanonicalId,
   extractBillReference,
   extractRollNumber,
 };
@@ -0,0 +1,93 @@
+/**
+ * Member Voting Statistics
+ *
+ * Attendance, party unity and cross-party agreement computed from a member's
+ * roll calls and each major party's majority position on them.
+ */
+
+const MAJOR_PARTIES = ['Democrat', 'Republican'];
+
+/**
+ * Majority position of a party on one roll call.
+ * @param {number} yes
+ * @param {number} no
+ * @returns {'yes'|'no'|null} null on a tie or when nobody voted yes/no
+ */
+function majorityPosition(yes, no) {
+  if (yes > no) return 'yes';
+  if (no > yes) return 'no';
+  return null;
+}
+
+/** The major party a member is compared against, or null for independents/others */
+function otherMajorParty(party) {
+  if (!MAJOR_PARTIES.includes(party)) return null;
+  return MAJOR_PARTIES.find((p) => p !== party);
+}
+
+function rate(n, d) {
+  return d > 0 ? Math.round((n / d) * 10000) / 10000 : null;
+}
+
+function emptyBucket() {
+  return { roll_calls: 0, missed: 0, party_votes: 0, with_party: 0, other_party_votes: 0, with_other_party: 0 };
+}
+
+function finishBucket(b) {
+  return {
+    roll_calls: b.roll_calls,
+    missed: b.missed,
+    missed_rate: rate(b.missed, b.roll_calls),
+    party_unity: rate(b.with_party, b.party_votes),
+    with_other_party: rate(b.with_other_party, b.other_party_votes),
+  };
+}
+
+/**
+ * Compute stats for a member.
+ * @param {Array<{roll_call: string, vote: string, month: string|null, majorities: Object<string, 'yes'|'no'|null>}>} rollCalls
+ *   One entry per roll call the member has a record on; majorities keyed by party name.
+ * @param {string|null} party - The member's party
+ * @returns {{totals: Object, by_month: Object[]}}
+ */
+function computeVoteStats(rollCalls, party) {
+  const other = otherMajorParty(party);
+  const totals = emptyBucket();
+  const months = new Map();
+
+  for (const rc of rollCalls) {
+    const month = rc.month || 'unknown';
+    if (!months.has(month)) months.set(month, emptyBucket());
+    const buckets = [totals, months.get(month)];
+    const cast = rc.vote === 'yes' || rc.vote === 'no';
+    const ownMajority = party ? rc.majorities[party] : null;
+    const otherMajority = other ? rc.majorities[other] : null;
+
+    for (const b of buckets) {
+      b.roll_calls += 1;
+      if (rc.vote === 'not voting') b.missed += 1;
+      if (cast && ownMajority) {
+        b.party_votes += 1;
+        if (rc.vote === ownMajority) b.with_party += 1;
+      }
+      if (cast && otherMajority) {
+        b.other_party_votes += 1;
+        if (rc.vote === otherMajority) b.with_other_party += 1;
+      }
+    }
+  }
+
+  return {
+    totals: finishBucket(totals),
+    by_month: [...months.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, b]) => ({ month, ...finishBucket(b) })),
+  };
+}
+
+module.exports = {
+  MAJOR_PARTIES,
+  majorityPosition,
+  otherMajorParty,
+  computeVoteStats,
+};
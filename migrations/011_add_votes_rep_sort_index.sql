@@ -0,0 +1,5 @@
+-- Keyset pagination for member vote history (/api/reps/:id?cursor=...)
+-- Matches ORDER BY COALESCE(vote_date, '0001-01-01') DESC, id DESC in models/votes.js
+
+CREATE INDEX IF NOT EXISTS idx_votes_rep_sort
+  ON votes (representative_id, (COALESCE(vote_date, DATE '0001-01-01')) DESC, id DESC);
@@ -0,0 +1,10 @@
+-- Full-text search for GET /api/issues?q=...
+-- Expression must match SEARCH_DOCUMENT_SQL in lib/issue_filters.js for the planner to use it
+
+CREATE INDEX IF NOT EXISTS idx_issues_search
+  ON issues USING GIN (to_tsvector('english',
+    coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(bill_summary, '') || ' ' ||
+    coalesce(ai_summary->>'plain_english_title', '') || ' ' || coalesce(ai_summary->>'short_summary', '') || ' ' ||
+    coalesce(ai_summary->>'medium_summary', '')));
+
+CREATE INDEX IF NOT EXISTS idx_issues_vote_date ON issues (vote_date DESC NULLS LAST, id DESC);
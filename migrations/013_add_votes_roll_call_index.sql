@@ -0,0 +1,3 @@
+-- Per-roll-call lookups (party majorities for /api/reps/:id/stats, roll call detail, comparisons)
+
+CREATE INDEX IF NOT EXISTS idx_votes_roll_call ON votes (roll_call);
@@ -0,0 +1,23 @@
+-- Every BILLSTATUS action on a bill (introduction, floor votes, presentment, signature/veto)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS bill_actions (
+  id BIGSERIAL PRIMARY KEY,
+  canonical_bill_id TEXT NOT NULL, -- e.g. 'hr815-119' (matches issues.canonical_bill_id)
+  action_date DATE NOT NULL,
+  action_text TEXT NOT NULL,
+  action_code TEXT NOT NULL DEFAULT '',
+  action_type TEXT,                -- BILLSTATUS <type>, e.g. 'Floor', 'President', 'BecameLaw'
+  chamber TEXT,                    -- 'house' | 'senate'
+  roll_number INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Re-ingesting the same BILLSTATUS file is a no-op
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bill_actions_unique
+  ON bill_actions (canonical_bill_id, action_date, action_code, md5(action_text));
+
+CREATE INDEX IF NOT EXISTS idx_bill_actions_bill_date ON bill_actions (canonical_bill_id, action_date);
+
+COMMIT;
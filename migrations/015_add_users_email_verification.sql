@@ -0,0 +1,25 @@
+-- Double opt-in: when the confirmation email was last sent, and grandfather existing subscribers
+
+BEGIN;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'verification_sent_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN verification_sent_at TIMESTAMPTZ;
+    -- Addresses that signed up before confirmation existed are already getting digests; keep them.
+    -- Runs once (with the column add) so later re-runs never verify pending sign-ups.
+    UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+  END IF;
+END $$;
+
+-- The digest job purges unconfirmed sign-ups by when they were last asked to confirm; index that
+-- expression so the scan stays cheap (replaces an earlier index on created_at alone)
+DROP INDEX IF EXISTS idx_users_unverified;
+CREATE INDEX IF NOT EXISTS idx_users_unverified_since
+  ON users ((COALESCE(verification_sent_at, created_at)))
+  WHERE email_verified_at IS NULL;
+
+COMMIT;
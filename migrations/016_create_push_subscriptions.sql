@@ -0,0 +1,35 @@
+-- Web Push: browser subscriptions (no email needed) and the reps each one follows
+
+BEGIN;
+
+-- One row per browser PushSubscription; endpoint is unique per browser profile + site
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  last_success_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(endpoint)
+);
+
+-- Reps a browser gets notified about (the push counterpart of rep_subscriptions)
+CREATE TABLE IF NOT EXISTS push_rep_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  push_subscription_id BIGINT NOT NULL REFERENCES push_subscriptions(id) ON DELETE CASCADE,
+  representative_id INTEGER NOT NULL REFERENCES representatives(id) ON DELETE CASCADE,
+  event_types JSONB NOT NULL DEFAULT '["new_vote"]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(push_subscription_id, representative_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_rep_subscriptions_rep ON push_rep_subscriptions(representative_id);
+
+-- Push sends share the notification_events log (and its unique event_key) with email
+ALTER TABLE notification_events ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE notification_events
+  ADD COLUMN IF NOT EXISTS push_subscription_id BIGINT REFERENCES push_subscriptions(id) ON DELETE CASCADE;
+
+COMMIT;
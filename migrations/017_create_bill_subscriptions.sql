@@ -0,0 +1,22 @@
+-- Bill follows: users watching a bill (by canonical_bill_id) for new roll calls, BILLSTATUS actions
+-- and status changes, delivered with the daily / weekly digest
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS bill_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  canonical_bill_id TEXT NOT NULL,         -- e.g. 'hr815-119' (matches issues.canonical_bill_id)
+  frequency TEXT NOT NULL DEFAULT 'daily', -- 'daily' | 'weekly'
+  paused_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(user_id, canonical_bill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_subscriptions_bill ON bill_subscriptions(canonical_bill_id);
+
+-- Digests look up a bill's newly recorded actions by ingestion time
+CREATE INDEX IF NOT EXISTS idx_bill_actions_created ON bill_actions(canonical_bill_id, created_at);
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Topic follows: users watching an issue category (issues.categories, e.g. 'healthcare') for every new
+-- roll call, optionally limited to their own delegation; delivered with the daily / weekly digest
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS category_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,                  -- e.g. 'healthcare', 'foreign_policy'
+  frequency TEXT NOT NULL DEFAULT 'daily', -- 'daily' | 'weekly'
+  state TEXT,                              -- delegation limit (e.g. 'WA'); NULL = every member
+  district INTEGER,                        -- with state: that district's House member plus the senators
+  paused_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(user_id, category)
+);
+
+-- Topic digests start from the roll calls ingested in the lookback window
+CREATE INDEX IF NOT EXISTS idx_votes_created_at ON votes(created_at);
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Public API (/api/v1): issued keys and per-day request counts
+
+BEGIN;
+
+-- Only the SHA-256 of a key is stored; key_prefix (e.g. 'rw_4f9c2a1b') identifies it in listings
+CREATE TABLE IF NOT EXISTS api_keys (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,                  -- partner or project name
+  contact_email TEXT,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL,
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+  daily_quota INTEGER NOT NULL DEFAULT 10000,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(key_hash)
+);
+
+-- Requests per key per UTC day; also enforces daily_quota
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id BIGINT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  requests INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, day)
+);
+
+COMMIT;
@@ -0,0 +1,87 @@
+const { pool } = require("../db/pool");
+const { generateApiKey, DEFAULT_RATE_LIMIT_PER_MINUTE, DEFAULT_DAILY_QUOTA } = require("../lib/api_keys");
+
+const KEY_COLUMNS = 'id, name, contact_email, key_prefix, rate_limit_per_minute, daily_quota, last_used_at, revoked_at, created_at';
+
+/**
+ * Issue a key. The plaintext is only ever returned here.
+ * @param {{name: string, contactEmail?: string|null, rateLimitPerMinute?: number, dailyQuota?: number}} opts
+ * @returns {Promise<{key: string, apiKey: Object}>}
+ */
+async function createApiKey({ name, contactEmail = null, rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE, dailyQuota = DEFAULT_DAILY_QUOTA }) {
+  const { key, prefix, hash } = generateApiKey();
+  const result = await pool.query(
+    `INSERT INTO api_keys (name, contact_email, key_prefix, key_hash, rate_limit_per_minute, daily_quota)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, contactEmail, prefix, hash, rateLimitPerMinute, dailyQuota]
+  );
+  return { key, apiKey: result.rows[0] };
+}
+
+/** Active (not revoked) key by hash, or null */
+async function getApiKeyByHash(hash) {
+  const result = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL`,
+    [hash]
+  );
+  return result.rows[0] || null;
+}
+
+async function listApiKeys() {
+  const result = await pool.query(
+    `SELECT ${KEY_COLUMNS},
+            COALESCE((SELECT requests FROM api_key_usage u WHERE u.api_key_id = k.id AND u.day = CURRENT_DATE), 0) AS requests_today
+     FROM api_keys k
+     ORDER BY created_at`
+  );
+  return result.rows;
+}
+
+/** Revoke by key prefix; returns the number of keys revoked */
+async function revokeApiKey(prefix) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = now() WHERE key_prefix = $1 AND revoked_at IS NULL',
+    [prefix]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Count one request against today's usage.
+ * @returns {Promise<number>} requests made with the key today, including this one
+ */
+async function recordApiKeyUsage(apiKeyId) {
+  const result = await pool.query(
+    `WITH touched AS (
+       UPDATE api_keys SET last_used_at = now() WHERE id = $1
+     )
+     INSERT INTO api_key_usage (api_key_id, day, requests)
+     VALUES ($1, CURRENT_DATE, 1)
+     ON CONFLICT (api_key_id, day) DO UPDATE SET requests = api_key_usage.requests + 1
+     RETURNING requests`,
+    [apiKeyId]
+  );
+  return result.rows[0].requests;
+}
+
+/** Requests per day for the last `days` days, newest first */
+async function getApiKeyUsage(apiKeyId, days = 30) {
+  const result = await pool.query(
+    `SELECT to_char(day, 'YYYY-MM-DD') AS day, requests
+     FROM api_key_usage
+     WHERE api_key_id = $1 AND day > CURRENT_DATE - $2::int
+     ORDER BY day DESC`,
+    [apiKeyId, days]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  createApiKey,
+  getApiKeyByHash,
+  listApiKeys,
+  revokeApiKey,
+  recordApiKeyUsage,
+  getApiKeyUsage,
+};
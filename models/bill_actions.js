@@ -0,0 +1,49 @@
+const { pool } = require("../db/pool");
+
+/**
+ * Store a bill's BILLSTATUS actions; actions already stored are skipped.
+ * The first actions stored for a bill are its history, so they are recorded (created_at) at their
+ * action date rather than now: bill follow updates go by created_at, and a backfill would
+ * otherwise send every follower the bill's whole record.
+ * @param {string} canonicalBillId - e.g. hr815-119
+ * @param {Object[]} actions - IndexedAction objects from BillStatusIndex
+ * @returns {Promise<number>} Number of new actions inserted
+ */
+async function upsertBillActions(canonicalBillId, actions) {
+  const known = await pool.query(
+    'SELECT EXISTS (SELECT 1 FROM bill_actions WHERE canonical_bill_id = $1) AS known',
+    [canonicalBillId]
+  );
+  const backfill = !known.rows[0].known;
+  let inserted = 0;
+  for (const a of actions) {
+    const result = await pool.query(
+      `INSERT INTO bill_actions (canonical_bill_id, action_date, action_text, action_code, action_type, chamber, roll_number, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8::boolean THEN LEAST(now(), $2::date::timestamptz) ELSE now() END)
+       ON CONFLICT (canonical_bill_id, action_date, action_code, md5(action_text)) DO NOTHING`,
+      [canonicalBillId, a.action_date, a.action_text || '', a.action_code || '', a.action_type || null, a.chamber || null, a.roll_number || null, backfill]
+    );
+    inserted += result.rowCount;
+  }
+  return inserted;
+}
+
+/**
+ * Every stored action on a bill, oldest first.
+ * @param {string} canonicalBillId
+ */
+async function getBillActions(canonicalBillId) {
+  const result = await pool.query(
+    `SELECT action_date::text AS action_date, action_text, action_code, action_type, chamber, roll_number
+     FROM bill_actions
+     WHERE canonical_bill_id = $1
+     ORDER BY action_date ASC, id ASC`,
+    [canonicalBillId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  upsertBillActions,
+  getBillActions
+};
@@ -0,0 +1,177 @@
+const { pool } = require("../db/pool");
+
+/** True if the bill has an issue or stored BILLSTATUS actions, i.e. something to follow */
+async function billExists(canonicalBillId) {
+  const result = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM issues WHERE canonical_bill_id = $1)
+         OR EXISTS (SELECT 1 FROM bill_actions WHERE canonical_bill_id = $1) AS exists`,
+    [canonicalBillId]
+  );
+  return result.rows[0].exists;
+}
+
+/**
+ * A user's followed bills with the issue's display fields, newest follow first.
+ * @param {number|string} userId
+ */
+async function getBillSubscriptions(userId) {
+  const result = await pool.query(
+    `SELECT bs.canonical_bill_id, i.id AS issue_id, i.title, i.ai_summary->>'plain_english_title' AS plain_english_title,
+            bs.frequency, bs.paused_at, bs.created_at
+     FROM bill_subscriptions bs
+     LEFT JOIN LATERAL (
+       SELECT id, title, ai_summary FROM issues WHERE canonical_bill_id = bs.canonical_bill_id ORDER BY id LIMIT 1
+     ) i ON true
+     WHERE bs.user_id = $1
+     ORDER BY bs.created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Follow (or resume) a bill. A null frequency keeps the existing value, or 'daily' for a new row.
+ * @param {number|string} userId
+ * @param {string} canonicalBillId
+ * @param {string|null} frequency
+ * @param {{resume?: boolean}} [opts] - resume: false leaves a paused follow paused
+ */
+async function upsertBillSubscription(userId, canonicalBillId, frequency, { resume = true } = {}) {
+  await pool.query(
+    `INSERT INTO bill_subscriptions (user_id, canonical_bill_id, frequency)
+     VALUES ($1, $2, COALESCE($3, 'daily'))
+     ON CONFLICT (user_id, canonical_bill_id) DO UPDATE
+       SET paused_at = CASE WHEN $4::boolean THEN NULL ELSE bill_subscriptions.paused_at END,
+           frequency = COALESCE($3, bill_subscriptions.frequency),
+           updated_at = now()`,
+    [userId, canonicalBillId, frequency, resume]
+  );
+}
+
+/**
+ * Change frequency / paused on one followed bill, or on all of them when canonicalBillId is null.
+ * Null fields are left alone.
+ * @returns {Promise<number>} Number of bill follows updated
+ */
+async function updateBillSubscriptions(userId, canonicalBillId, update) {
+  const result = await pool.query(
+    `UPDATE bill_subscriptions
+     SET frequency = COALESCE($3, frequency),
+         paused_at = CASE WHEN $4::boolean IS NULL THEN paused_at
+                          WHEN $4::boolean THEN COALESCE(paused_at, now())
+                          ELSE NULL END,
+         updated_at = now()
+     WHERE user_id = $1 AND ($2::text IS NULL OR canonical_bill_id = $2)`,
+    [userId, canonicalBillId, update.frequency, update.paused]
+  );
+  return result.rowCount;
+}
+
+/** Stop following one bill; returns true if a follow was removed */
+async function deleteBillSubscription(userId, canonicalBillId) {
+  const result = await pool.query(
+    'DELETE FROM bill_subscriptions WHERE user_id = $1 AND canonical_bill_id = $2',
+    [userId, canonicalBillId]
+  );
+  return result.rowCount > 0;
+}
+
+/** Issue ids of the user's active bill follows (for the followed_bill event type on rep votes) */
+async function getFollowedIssueIds(userId) {
+  const result = await pool.query(
+    `SELECT i.id
+     FROM bill_subscriptions bs
+     JOIN issues i ON i.canonical_bill_id = bs.canonical_bill_id
+     WHERE bs.user_id = $1 AND bs.paused_at IS NULL`,
+    [userId]
+  );
+  return new Set(result.rows.map((r) => r.id));
+}
+
+/**
+ * What happened on each bill recently, for lib/bill_updates.js:
+ * { canonical_bill_id, issue_id, issue_title, ai_summary, roll_calls, actions }.
+ * roll_calls are those first recorded in the last lookbackDays, with totals and the given reps' positions;
+ * actions are every stored action (the status is derived from all of them), each with recorded_at.
+ * @param {string[]} billIds
+ * @param {number[]} repIds - the follower's reps, shown on each roll call
+ * @param {number} lookbackDays
+ * @returns {Promise<Map<string, Object>>} canonical_bill_id -> update
+ */
+async function getBillUpdates(billIds, repIds, lookbackDays) {
+  if (billIds.length === 0) return new Map();
+  const issues = await pool.query(
+    `SELECT DISTINCT ON (canonical_bill_id) canonical_bill_id, id AS issue_id, title AS issue_title, ai_summary
+     FROM issues
+     WHERE canonical_bill_id = ANY($1::text[])
+     ORDER BY canonical_bill_id, id`,
+    [billIds]
+  );
+  const rollCalls = await pool.query(
+    `SELECT i.canonical_bill_id, v.roll_call, MIN(v.vote_date) AS vote_date, MIN(v.created_at) AS recorded_at,
+            (ARRAY_AGG(v.vote_metadata))[1] AS vote_metadata,
+            COUNT(*) FILTER (WHERE v.vote = 'yes')::int AS yes,
+            COUNT(*) FILTER (WHERE v.vote = 'no')::int AS no,
+            COUNT(*) FILTER (WHERE v.vote IN ('present', 'abstain'))::int AS present,
+            COUNT(*) FILTER (WHERE v.vote NOT IN ('yes', 'no', 'present', 'abstain'))::int AS not_voting
+     FROM votes v
+     JOIN issues i ON i.id = v.issue_id
+     WHERE i.canonical_bill_id = ANY($1::text[])
+     GROUP BY i.canonical_bill_id, v.roll_call
+     HAVING MIN(v.created_at) >= now() - ($2::int * interval '1 day')
+     ORDER BY MIN(v.vote_date), v.roll_call`,
+    [billIds, lookbackDays]
+  );
+  const positions = rollCalls.rows.length > 0 && repIds.length > 0
+    ? await pool.query(
+      `SELECT v.roll_call, v.representative_id, v.vote, r.name, r.party, r.state
+       FROM votes v
+       JOIN representatives r ON r.id = v.representative_id
+       WHERE v.roll_call = ANY($1::text[]) AND v.representative_id = ANY($2::int[])
+       ORDER BY r.name`,
+      [rollCalls.rows.map((rc) => rc.roll_call), repIds]
+    )
+    : { rows: [] };
+  const actions = await pool.query(
+    `SELECT id, canonical_bill_id, action_date::text AS action_date, action_text, action_type, chamber,
+            created_at AS recorded_at
+     FROM bill_actions
+     WHERE canonical_bill_id = ANY($1::text[])
+     ORDER BY action_date ASC, id ASC`,
+    [billIds]
+  );
+
+  const byBill = new Map(billIds.map((id) => [id, {
+    canonical_bill_id: id, issue_id: null, issue_title: null, ai_summary: null, roll_calls: [], actions: [],
+  }]));
+  for (const row of issues.rows) Object.assign(byBill.get(row.canonical_bill_id), row);
+  for (const row of rollCalls.rows) {
+    const vm = row.vote_metadata || {};
+    byBill.get(row.canonical_bill_id).roll_calls.push({
+      roll_call: row.roll_call,
+      vote_date: row.vote_date,
+      recorded_at: row.recorded_at,
+      question: vm.question || vm.vote_title || null,
+      result: vm.result || null,
+      totals: { yes: row.yes, no: row.no, present: row.present, not_voting: row.not_voting },
+      your_reps: positions.rows
+        .filter((p) => p.roll_call === row.roll_call)
+        .map((p) => ({ representative_id: p.representative_id, name: p.name, party: p.party, state: p.state, vote: p.vote })),
+    });
+  }
+  for (const row of actions.rows) {
+    const { canonical_bill_id: billId, ...action } = row;
+    byBill.get(billId).actions.push({ ...action, id: Number(action.id) });
+  }
+  return byBill;
+}
+
+module.exports = {
+  billExists,
+  getBillSubscriptions,
+  upsertBillSubscription,
+  updateBillSubscriptions,
+  deleteBillSubscription,
+  getFollowedIssueIds,
+  getBillUpdates
+};
@@ -0,0 +1,130 @@
+const { pool } = require("../db/pool");
+
+/**
+ * A user's followed topics, alphabetically.
+ * @param {number|string} userId
+ */
+async function getCategorySubscriptions(userId) {
+  const result = await pool.query(
+    `SELECT category, frequency, state, district, paused_at, created_at
+     FROM category_subscriptions
+     WHERE user_id = $1
+     ORDER BY category`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Follow (or resume) a topic. A null frequency keeps the existing value, or 'daily' for a new row;
+ * an undefined delegation keeps the existing limit (none for a new row).
+ * @param {number|string} userId
+ * @param {string} category
+ * @param {{frequency: string|null, delegation?: {state: string, district: number|null}|null, resume?: boolean}} prefs
+ *   resume: false leaves a paused follow paused
+ */
+async function upsertCategorySubscription(userId, category, { frequency, delegation, resume = true }) {
+  await pool.query(
+    `INSERT INTO category_subscriptions (user_id, category, frequency, state, district)
+     VALUES ($1, $2, COALESCE($3, 'daily'), $5, $6)
+     ON CONFLICT (user_id, category) DO UPDATE
+       SET paused_at = CASE WHEN $7::boolean THEN NULL ELSE category_subscriptions.paused_at END,
+           frequency = COALESCE($3, category_subscriptions.frequency),
+           state = CASE WHEN $4::boolean THEN EXCLUDED.state ELSE category_subscriptions.state END,
+           district = CASE WHEN $4::boolean THEN EXCLUDED.district ELSE category_subscriptions.district END,
+           updated_at = now()`,
+    [userId, category, frequency, delegation !== undefined, delegation?.state ?? null, delegation?.district ?? null, resume]
+  );
+}
+
+/**
+ * Change frequency / paused / delegation on one followed topic, or on all of them when category is null.
+ * Null frequency and paused, and an undefined delegation, are left alone.
+ * @returns {Promise<number>} Number of topic follows updated
+ */
+async function updateCategorySubscriptions(userId, category, { frequency, paused, delegation }) {
+  const result = await pool.query(
+    `UPDATE category_subscriptions
+     SET frequency = COALESCE($3, frequency),
+         paused_at = CASE WHEN $4::boolean IS NULL THEN paused_at
+                          WHEN $4::boolean THEN COALESCE(paused_at, now())
+                          ELSE NULL END,
+         state = CASE WHEN $5::boolean THEN $6 ELSE state END,
+         district = CASE WHEN $5::boolean THEN $7::int ELSE district END,
+         updated_at = now()
+     WHERE user_id = $1 AND ($2::text IS NULL OR category = $2)`,
+    [userId, category, frequency, paused, delegation !== undefined, delegation?.state ?? null, delegation?.district ?? null]
+  );
+  return result.rowCount;
+}
+
+/** Stop following one topic; returns true if a follow was removed */
+async function deleteCategorySubscription(userId, category) {
+  const result = await pool.query(
+    'DELETE FROM category_subscriptions WHERE user_id = $1 AND category = $2',
+    [userId, category]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Roll calls first recorded in the last lookbackDays on issues tagged with any of the categories,
+ * for lib/topic_updates.js. Each has the issue fields emails display, lowercased `categories`,
+ * totals, and `positions` of the given reps and of every member from the given states.
+ * @param {string[]} categories
+ * @param {number} lookbackDays
+ * @param {number[]} repIds - reps the follower follows
+ * @param {string[]} states - states of the follower's delegation limits
+ */
+async function getCategoryRollCalls(categories, lookbackDays, repIds, states) {
+  if (categories.length === 0) return [];
+  const rollCalls = await pool.query(
+    `WITH recent AS (
+       SELECT DISTINCT roll_call FROM votes WHERE created_at >= now() - ($2::int * interval '1 day')
+     )
+     SELECT v.roll_call, i.id AS issue_id, i.title AS issue_title, i.ai_summary, i.canonical_bill_id,
+            ARRAY(SELECT DISTINCT LOWER(c) FROM unnest(i.categories) c) AS categories,
+            MIN(v.vote_date) AS vote_date, MIN(v.created_at) AS recorded_at,
+            (ARRAY_AGG(v.vote_metadata))[1] AS vote_metadata,
+            COUNT(*) FILTER (WHERE v.vote = 'yes')::int AS yes,
+            COUNT(*) FILTER (WHERE v.vote = 'no')::int AS no,
+            COUNT(*) FILTER (WHERE v.vote IN ('present', 'abstain'))::int AS present,
+            COUNT(*) FILTER (WHERE v.vote NOT IN ('yes', 'no', 'present', 'abstain'))::int AS not_voting
+     FROM votes v
+     JOIN issues i ON i.id = v.issue_id
+     WHERE v.roll_call IN (SELECT roll_call FROM recent)
+       AND EXISTS (SELECT 1 FROM unnest(i.categories) c WHERE LOWER(c) = ANY($1::text[]))
+     GROUP BY v.roll_call, i.id
+     HAVING MIN(v.created_at) >= now() - ($2::int * interval '1 day')
+     ORDER BY MIN(v.vote_date), v.roll_call`,
+    [categories, lookbackDays]
+  );
+  if (rollCalls.rows.length === 0) return [];
+  const positions = await pool.query(
+    `SELECT v.roll_call, v.representative_id, v.vote, r.name, r.party, r.state, r.district, r.chamber
+     FROM votes v
+     JOIN representatives r ON r.id = v.representative_id
+     WHERE v.roll_call = ANY($1::text[])
+       AND (v.representative_id = ANY($2::int[]) OR r.state = ANY($3::text[]))
+     ORDER BY r.name`,
+    [rollCalls.rows.map((rc) => rc.roll_call), repIds, states]
+  );
+  return rollCalls.rows.map((row) => {
+    const { vote_metadata: vm, yes, no, present, not_voting: notVoting, ...rc } = row;
+    return {
+      ...rc,
+      question: vm?.question || vm?.vote_title || null,
+      result: vm?.result || null,
+      totals: { yes, no, present, not_voting: notVoting },
+      positions: positions.rows.filter((p) => p.roll_call === row.roll_call),
+    };
+  });
+}
+
+module.exports = {
+  getCategorySubscriptions,
+  upsertCategorySubscription,
+  updateCategorySubscriptions,
+  deleteCategorySubscription,
+  getCategoryRollCalls
+};
@@ -0,0 +1,79 @@
+const { pool } = require("../db/pool");
+const { EXPORT_BATCH_SIZE, buildExportConditions } = require("../lib/exports");
+
+// Bulk export reads (lib/exports.js). Each yields batches of rows in primary-key order, fetched
+// with a keyset condition, so memory stays flat however large the export and no connection is
+// held between batches.
+
+/**
+ * Votes joined with their member and issue, one row per member per roll call.
+ * @param {Object} filters - From parseExportQuery()
+ * @param {{batchSize?: number}} [opts]
+ * @returns {AsyncGenerator<Object[]>}
+ */
+async function* streamVoteExport(filters, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+  let lastId = 0;
+  for (;;) {
+    const params = [];
+    const where = buildExportConditions(filters, params);
+    params.push(lastId, batchSize);
+    const result = await pool.query(
+      `SELECT v.id AS vote_id, v.roll_call, v.vote_date, v.congress, v.session, v.chamber, v.roll_number,
+              COALESCE(v.vote_metadata->>'question', v.vote_metadata->>'vote_title') AS question,
+              v.vote_metadata->>'result' AS result, v.vote,
+              r.id AS representative_id, r.bioguide_id, r.name AS representative_name, r.party, r.state, r.district,
+              v.issue_id, i.canonical_bill_id, i.title AS issue_title
+       FROM votes v
+       JOIN representatives r ON r.id = v.representative_id
+       LEFT JOIN issues i ON v.issue_id = i.id
+       WHERE ${[...where, `v.id > $${params.length - 1}`].join(' AND ')}
+       ORDER BY v.id
+       LIMIT $${params.length}`,
+      params
+    );
+    if (result.rows.length > 0) yield result.rows;
+    if (result.rows.length < batchSize) return;
+    lastId = result.rows[result.rows.length - 1].vote_id;
+  }
+}
+
+/**
+ * Issues that have at least one vote matching the filters, with those votes summarized.
+ * @param {Object} filters - From parseExportQuery()
+ * @param {{batchSize?: number}} [opts]
+ * @returns {AsyncGenerator<Object[]>}
+ */
+async function* streamIssueExport(filters, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+  let lastId = 0;
+  for (;;) {
+    const params = [];
+    const where = buildExportConditions(filters, params);
+    params.push(lastId, batchSize);
+    const result = await pool.query(
+      `SELECT i.id AS issue_id, i.canonical_bill_id, i.title, i.ai_summary->>'plain_english_title' AS plain_english_title,
+              i.categories, agg.congress, agg.chambers, agg.roll_calls, agg.first_vote_date, agg.last_vote_date
+       FROM issues i
+       JOIN LATERAL (
+         SELECT MAX(v.congress) AS congress,
+                ARRAY_AGG(DISTINCT v.chamber ORDER BY v.chamber) AS chambers,
+                COUNT(DISTINCT v.roll_call)::int AS roll_calls,
+                MIN(v.vote_date) AS first_vote_date,
+                MAX(v.vote_date) AS last_vote_date
+         FROM votes v
+         WHERE ${['v.issue_id = i.id', ...where].join(' AND ')}
+       ) agg ON agg.roll_calls > 0
+       WHERE i.id > $${params.length - 1}
+       ORDER BY i.id
+       LIMIT $${params.length}`,
+      params
+    );
+    if (result.rows.length > 0) yield result.rows;
+    if (result.rows.length < batchSize) return;
+    lastId = result.rows[result.rows.length - 1].issue_id;
+  }
+}
+
+module.exports = {
+  streamVoteExport,
+  streamIssueExport
+};
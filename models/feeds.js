@@ -0,0 +1,62 @@
+const { pool } = require("../db/pool");
+const { SORT_DATE_SQL } = require("../lib/vote_filters");
+
+/**
+ * A member's latest votes, newest first, with the issue fields feed titles use (billTitle()).
+ * @param {number} repId
+ * @param {number} limit
+ */
+async function getRepFeedVotes(repId, limit) {
+  const result = await pool.query(
+    `SELECT v.id AS vote_id, v.vote, v.vote_date, v.created_at, v.roll_call, v.chamber, v.vote_metadata, v.issue_id,
+            i.title AS issue_title, i.canonical_bill_id, i.ai_summary, i.categories
+     FROM votes v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     WHERE v.representative_id = $1
+     ORDER BY ${SORT_DATE_SQL} DESC, v.id DESC
+     LIMIT $2`,
+    [repId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Latest roll calls on one issue or on any issue in a topic category, newest first, with totals.
+ * @param {{issueId?: number, category?: string}} scope
+ * @param {number} limit
+ */
+async function getRollCallFeed({ issueId, category }, limit) {
+  const params = [];
+  const where = [];
+  if (issueId != null) {
+    params.push(issueId);
+    where.push(`v.issue_id = $${params.length}`);
+  }
+  if (category) {
+    params.push(category);
+    where.push(`EXISTS (SELECT 1 FROM unnest(i.categories) c WHERE LOWER(c) = $${params.length})`);
+  }
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT v.roll_call, MIN(v.vote_date) AS vote_date, MAX(v.created_at) AS created_at, MIN(v.chamber) AS chamber,
+            (ARRAY_AGG(v.vote_metadata))[1] AS vote_metadata, v.issue_id,
+            i.title AS issue_title, i.canonical_bill_id, i.ai_summary, i.categories,
+            COUNT(*) FILTER (WHERE v.vote = 'yes')::int AS yes,
+            COUNT(*) FILTER (WHERE v.vote = 'no')::int AS no,
+            COUNT(*) FILTER (WHERE v.vote IN ('present', 'abstain'))::int AS present,
+            COUNT(*) FILTER (WHERE v.vote = 'not voting')::int AS not_voting
+     FROM votes v
+     JOIN issues i ON v.issue_id = i.id
+     WHERE ${where.join(' AND ')}
+     GROUP BY v.roll_call, v.issue_id, i.id
+     ORDER BY MAX(${SORT_DATE_SQL}) DESC, v.roll_call DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  getRepFeedVotes,
+  getRollCallFeed
+};
@@ -0,0 +1,167 @@
+const DataLoader = require("dataloader");
+const { pool } = require("../db/pool");
+const { getRepsByIds } = require("./reps");
+const { SORT_DATE_SQL, buildVoteFilterConditions } = require("../lib/vote_filters");
+const { buildIssueTimeline } = require("../lib/issue_timeline");
+
+// Batched lookups behind /api/graphql. One set per request, so a nested query such as
+// roll_calls { votes { representative } } costs one query per level rather than one per row.
+
+function byKey(rows, key) {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row[key])) map.set(row[key], []);
+    map.get(row[key]).push(row);
+  }
+  return map;
+}
+
+async function loadRepresentatives(ids) {
+  const reps = await getRepsByIds(ids);
+  const byId = new Map(reps.map((r) => [r.id, r]));
+  return ids.map((id) => byId.get(id) || null);
+}
+
+async function loadIssues(ids) {
+  const result = await pool.query('SELECT * FROM issues WHERE id = ANY($1::int[])', [ids]);
+  const byId = new Map(result.rows.map((i) => [i.id, i]));
+  return ids.map((id) => byId.get(id) || null);
+}
+
+/** Roll calls shaped like buildIssueTimeline() entries, plus session and issue_id */
+async function loadRollCalls(ids) {
+  const result = await pool.query(
+    `SELECT v.roll_call, v.vote, v.vote_date, v.chamber, v.congress, v.session, v.roll_number, v.vote_metadata, v.issue_id,
+            r.id AS representative_id, r.name AS representative_name, r.party, r.state, r.district
+     FROM votes v
+     JOIN representatives r ON r.id = v.representative_id
+     WHERE v.roll_call = ANY($1::text[])`,
+    [ids]
+  );
+  const first = new Map();
+  for (const row of result.rows) {
+    if (!first.has(row.roll_call)) first.set(row.roll_call, row);
+  }
+  const byId = new Map(buildIssueTimeline(result.rows).map((rc) => {
+    const row = first.get(rc.roll_call);
+    return [rc.roll_call, { ...rc, session: row.session ?? null, issue_id: row.issue_id ?? null }];
+  }));
+  return ids.map((id) => byId.get(id) || null);
+}
+
+/** Roll call ids on each issue, oldest first */
+async function loadIssueRollCallIds(issueIds) {
+  const result = await pool.query(
+    `SELECT issue_id, roll_call
+     FROM votes
+     WHERE issue_id = ANY($1::int[])
+     GROUP BY issue_id, roll_call
+     ORDER BY issue_id, MIN(vote_date) ASC NULLS FIRST, MIN(COALESCE(roll_number, 0)) ASC`,
+    [issueIds]
+  );
+  const byIssue = byKey(result.rows, 'issue_id');
+  return issueIds.map((id) => (byIssue.get(id) || []).map((r) => r.roll_call));
+}
+
+/**
+ * A page of each member's votes, newest first. Keys are { id, filters, limit }; keys that share
+ * filters and limit are fetched together with a per-member row number.
+ */
+async function loadRepresentativeVotes(keys) {
+  const groups = new Map();
+  for (const key of keys) {
+    const signature = JSON.stringify({ filters: key.filters, limit: key.limit });
+    if (!groups.has(signature)) groups.set(signature, { filters: key.filters, limit: key.limit, ids: [] });
+    groups.get(signature).ids.push(key.id);
+  }
+
+  const votes = new Map();
+  for (const [signature, group] of groups) {
+    const params = [group.ids];
+    const where = ['v.representative_id = ANY($1::int[])', ...buildVoteFilterConditions(group.filters, params)];
+    params.push(group.limit);
+    const result = await pool.query(
+      `SELECT representative_id, roll_call, vote, vote_date, chamber, issue_id
+       FROM (
+         SELECT v.representative_id, v.roll_call, v.vote, v.vote_date, v.chamber, v.issue_id,
+                ROW_NUMBER() OVER (PARTITION BY v.representative_id ORDER BY ${SORT_DATE_SQL} DESC, v.id DESC) AS rn
+         FROM votes v
+         LEFT JOIN issues i ON v.issue_id = i.id
+         WHERE ${where.join(' AND ')}
+       ) ranked
+       WHERE rn <= $${params.length}
+       ORDER BY representative_id, rn`,
+      params
+    );
+    const byRep = byKey(result.rows, 'representative_id');
+    for (const id of group.ids) votes.set(`${signature}:${id}`, byRep.get(id) || []);
+  }
+  return keys.map((key) => votes.get(`${JSON.stringify({ filters: key.filters, limit: key.limit })}:${key.id}`));
+}
+
+async function loadBillActions(billIds) {
+  const result = await pool.query(
+    `SELECT canonical_bill_id, action_date::text AS action_date, action_text, action_code, action_type, chamber, roll_number
+     FROM bill_actions
+     WHERE canonical_bill_id = ANY($1::text[])
+     ORDER BY canonical_bill_id, action_date ASC, id ASC`,
+    [billIds]
+  );
+  const byBill = byKey(result.rows, 'canonical_bill_id');
+  return billIds.map((id) => byBill.get(id) || []);
+}
+
+async function loadBillIssues(billIds) {
+  const result = await pool.query(
+    'SELECT * FROM issues WHERE canonical_bill_id = ANY($1::text[]) ORDER BY id',
+    [billIds]
+  );
+  const byBill = byKey(result.rows, 'canonical_bill_id');
+  return billIds.map((id) => byBill.get(id) || []);
+}
+
+/**
+ * Roll call ids matching vote filters, newest first.
+ * @param {Object} filters - From parseVoteFilters() (from, to, chamber, motion, category, type)
+ * @param {number|null} congress
+ * @param {{page: number, limit: number}} opts
+ * @returns {Promise<string[]>}
+ */
+async function listRollCallIds(filters, congress, { page, limit }) {
+  const params = [];
+  const where = buildVoteFilterConditions(filters, params);
+  if (congress != null) {
+    params.push(congress);
+    where.push(`v.congress = $${params.length}`);
+  }
+  params.push(limit, (page - 1) * limit);
+  const result = await pool.query(
+    `SELECT v.roll_call
+     FROM votes v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     GROUP BY v.roll_call
+     ORDER BY MAX(${SORT_DATE_SQL}) DESC, MAX(COALESCE(v.roll_number, 0)) DESC, v.roll_call DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows.map((r) => r.roll_call);
+}
+
+/** Fresh loaders for one request; DataLoader caches per instance */
+function createLoaders() {
+  return {
+    representative: new DataLoader(loadRepresentatives),
+    issue: new DataLoader(loadIssues),
+    rollCall: new DataLoader(loadRollCalls),
+    issueRollCallIds: new DataLoader(loadIssueRollCallIds),
+    representativeVotes: new DataLoader(loadRepresentativeVotes, { cacheKeyFn: (key) => JSON.stringify(key) }),
+    billActions: new DataLoader(loadBillActions),
+    billIssues: new DataLoader(loadBillIssues),
+  };
+}
+
+module.exports = {
+  createLoaders,
+  listRollCallIds
+};
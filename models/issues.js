@@ -1,5 +1,6 @@
 const { pool } = require("../db/pool");
 const ms = require('ms');
+const { buildIssueConditions, buildIssueOrderBy, classifyOutcome } = require("../lib/issue_filters");
 
 const SUMMARY_TTL_DAYS = Number(process.env.AI_SUMMARY_TTL_DAYS || 30);
 const EXPLAIN_TTL_DAYS = Number(process.env.AI_EXPLAIN_TTL_DAYS || 30);
@@ -58,8 +59,54 @@ async function writeExplain(id, voteKey, json, meta = {}) {
   );
 }
 
+/**
+ * Search/filter issues for the browsable list.
+ * @param {Object} filters - From parseIssueQuery()
+ * @param {{sort: string, page: number, limit: number}} opts
+ * @returns {Promise<{issues: Object[], total: number}>}
+ */
+async function searchIssues(filters, { sort, page, limit }) {
+  const params = [];
+  const where = buildIssueConditions(filters, params);
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  // Latest roll call linked to the issue supplies chamber, congress and outcome
+  const latestJoin = `LEFT JOIN LATERAL (
+      SELECT v.chamber, v.congress, v.roll_call, v.vote_metadata->>'result' AS result
+      FROM votes v
+      WHERE v.issue_id = i.id
+      ORDER BY v.vote_date DESC NULLS LAST, COALESCE(v.roll_number, 0) DESC
+      LIMIT 1
+    ) latest ON true`;
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM issues i ${latestJoin} ${whereSql}`,
+    params
+  );
+
+  const pageParams = [...params];
+  const orderBy = buildIssueOrderBy(sort, filters, pageParams);
+  pageParams.push(limit, (page - 1) * limit);
+  const result = await pool.query(
+    `SELECT i.id, i.title, i.description, i.canonical_bill_id, i.bill_id, i.bill_summary, i.ai_summary,
+            i.categories, i.vote_date, i.source,
+            latest.chamber, latest.congress, latest.roll_call AS latest_roll_call, latest.result
+     FROM issues i
+     ${latestJoin}
+     ${whereSql}
+     ORDER BY ${orderBy}
+     LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+    pageParams
+  );
+
+  return {
+    issues: result.rows.map((row) => ({ ...row, outcome: classifyOutcome(row.result) })),
+    total: countResult.rows[0].total,
+  };
+}
+
 module.exports = {
   getIssueById,
+  searchIssues,
   getCachedSummary,
   isSummaryFresh,
   isExplainFresh,
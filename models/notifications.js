@@ -0,0 +1,126 @@
+const { pool } = require("../db/pool");
+const { MAJOR_PARTIES, majorityPosition } = require("../lib/vote_stats");
+
+/**
+ * Votes by the given reps that alerts and digests may cover, newest first, each with its party's
+ * majority position on that roll call (major parties only) and the issue fields emails display.
+ * @param {number[]} repIds
+ * @param {Object} window
+ * @param {number} [window.afterVoteId] - only votes.id greater than this (instant alerts cursor)
+ * @param {number} [window.lookbackDays] - only votes ingested in the last N days (digests)
+ * @returns {Promise<Map<number, Object[]>>} repId -> vote rows
+ */
+async function getAlertVotes(repIds, { afterVoteId = null, lookbackDays = null } = {}) {
+  if (repIds.length === 0) return new Map();
+  const result = await pool.query(
+    `WITH recent AS (
+       SELECT v.*
+       FROM votes v
+       WHERE v.representative_id = ANY($1::int[])
+         AND ($2::int IS NULL OR v.id > $2)
+         AND ($3::int IS NULL OR v.created_at >= now() - ($3::int * interval '1 day'))
+     ),
+     party_counts AS (
+       SELECT v.roll_call, r.party,
+              COUNT(*) FILTER (WHERE v.vote = 'yes')::int AS yes,
+              COUNT(*) FILTER (WHERE v.vote = 'no')::int AS no
+       FROM votes v
+       JOIN representatives r ON r.id = v.representative_id
+       WHERE v.roll_call IN (SELECT roll_call FROM recent)
+         AND r.party = ANY($4::text[])
+       GROUP BY v.roll_call, r.party
+     )
+     SELECT v.id AS vote_id, v.representative_id, v.vote_date, v.vote, v.roll_call, v.issue_id, v.vote_metadata,
+            i.title AS issue_title, i.canonical_bill_id, i.bill_summary, i.ai_summary, i.description AS issue_description,
+            r.name AS rep_name, r.state AS rep_state, r.district AS rep_district, r.party AS rep_party,
+            r.chamber AS rep_chamber,
+            pc.yes AS party_yes, pc.no AS party_no
+     FROM recent v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     JOIN representatives r ON v.representative_id = r.id
+     LEFT JOIN party_counts pc ON pc.roll_call = v.roll_call AND pc.party = r.party
+     ORDER BY v.representative_id, v.vote_date DESC NULLS LAST, v.id DESC`,
+    [repIds, afterVoteId, lookbackDays, MAJOR_PARTIES]
+  );
+  const byRep = new Map();
+  for (const row of result.rows) {
+    if (!byRep.has(row.representative_id)) byRep.set(row.representative_id, []);
+    byRep.get(row.representative_id).push({
+      ...row,
+      party_majority: row.party_yes != null ? majorityPosition(row.party_yes, row.party_no) : null,
+    });
+  }
+  return byRep;
+}
+
+/** Event keys from the list that are already in notification_events */
+async function getSentEventKeys(keys) {
+  if (keys.length === 0) return new Set();
+  const r = await pool.query('SELECT event_key FROM notification_events WHERE event_key = ANY($1::text[])', [keys]);
+  return new Set(r.rows.map((row) => row.event_key));
+}
+
+/**
+ * Insert notification_events rows for votes about to be sent (each with event_key and event_types);
+ * returns the votes this call claimed. Ones already present were sent before, or are being sent
+ * by another run.
+ * @param {{userId?: number|string, pushSubscriptionId?: number|string}} recipient
+ * @param {Object[]} votes
+ * @param {Object} [payloadExtra] - merged into each event's payload (e.g. { instant: true })
+ */
+async function claimVoteEvents(recipient, votes, payloadExtra = {}) {
+  const claimed = [];
+  for (const v of votes) {
+    const r = await pool.query(
+      `INSERT INTO notification_events (user_id, push_subscription_id, representative_id, event_type, event_key, payload)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+       ON CONFLICT (event_key) DO NOTHING
+       RETURNING id`,
+      [
+        recipient.userId ?? null,
+        recipient.pushSubscriptionId ?? null,
+        v.representative_id,
+        v.event_types[0],
+        v.event_key,
+        JSON.stringify({ roll_call: v.roll_call, vote: v.vote, issue_id: v.issue_id, event_types: v.event_types, ...payloadExtra }),
+      ]
+    );
+    if (r.rows.length > 0) claimed.push(v);
+  }
+  return claimed;
+}
+
+async function markEventsSent(keys) {
+  if (keys.length === 0) return;
+  await pool.query('UPDATE notification_events SET sent_at = now() WHERE event_key = ANY($1::text[])', [keys]);
+}
+
+/** Drop claims that were never sent so a later run can retry them */
+async function releaseEventClaims(keys) {
+  if (keys.length === 0) return;
+  await pool.query('DELETE FROM notification_events WHERE event_key = ANY($1::text[]) AND sent_at IS NULL', [keys]);
+}
+
+/** Value stored under a notification_state key, or null */
+async function getNotificationState(key) {
+  const r = await pool.query('SELECT value FROM notification_state WHERE key = $1', [key]);
+  return r.rows[0]?.value ?? null;
+}
+
+async function setNotificationState(key, value) {
+  await pool.query(
+    `INSERT INTO notification_state (key, value) VALUES ($1, $2::jsonb)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+module.exports = {
+  getAlertVotes,
+  getSentEventKeys,
+  claimVoteEvents,
+  markEventsSent,
+  releaseEventClaims,
+  getNotificationState,
+  setNotificationState
+};
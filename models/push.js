@@ -0,0 +1,93 @@
+const { pool } = require("../db/pool");
+
+/**
+ * Store (or refresh the keys of) a browser push subscription.
+ * @param {{endpoint: string, p256dh: string, auth: string}} subscription
+ * @param {string|null} userAgent
+ * @returns {Promise<number>} push_subscriptions.id
+ */
+async function upsertPushSubscription(subscription, userAgent) {
+  const result = await pool.query(
+    `INSERT INTO push_subscriptions (endpoint, p256dh, auth, user_agent)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (endpoint) DO UPDATE
+       SET p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth, user_agent = EXCLUDED.user_agent, updated_at = now()
+     RETURNING id`,
+    [subscription.endpoint, subscription.p256dh, subscription.auth, userAgent]
+  );
+  return result.rows[0].id;
+}
+
+/** push_subscriptions.id for an endpoint, or null */
+async function getPushSubscriptionId(endpoint) {
+  const result = await pool.query('SELECT id FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+  return result.rows[0]?.id ?? null;
+}
+
+/** Follow a rep from this browser; null eventTypes keeps the existing value (or the default) */
+async function addPushRep(pushSubscriptionId, repId, eventTypes) {
+  await pool.query(
+    `INSERT INTO push_rep_subscriptions (push_subscription_id, representative_id, event_types)
+     VALUES ($1, $2, COALESCE($3::jsonb, '["new_vote"]'::jsonb))
+     ON CONFLICT (push_subscription_id, representative_id) DO UPDATE
+       SET event_types = COALESCE($3::jsonb, push_rep_subscriptions.event_types)`,
+    [pushSubscriptionId, repId, eventTypes ? JSON.stringify(eventTypes) : null]
+  );
+}
+
+async function removePushRep(pushSubscriptionId, repId) {
+  await pool.query(
+    'DELETE FROM push_rep_subscriptions WHERE push_subscription_id = $1 AND representative_id = $2',
+    [pushSubscriptionId, repId]
+  );
+}
+
+/** Forget a browser entirely (rep follows and send log cascade) */
+async function deletePushSubscription(pushSubscriptionId) {
+  await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [pushSubscriptionId]);
+}
+
+/** Rep ids a browser follows */
+async function getPushRepIds(pushSubscriptionId) {
+  const result = await pool.query(
+    'SELECT representative_id FROM push_rep_subscriptions WHERE push_subscription_id = $1 ORDER BY representative_id',
+    [pushSubscriptionId]
+  );
+  return result.rows.map((r) => r.representative_id);
+}
+
+/**
+ * Every browser that follows at least one rep:
+ * { id, endpoint, p256dh, auth, subs: [{ representative_id, event_types }] }[]
+ */
+async function getPushSubscribers() {
+  const result = await pool.query(
+    `SELECT ps.id, ps.endpoint, ps.p256dh, ps.auth, prs.representative_id, prs.event_types
+     FROM push_subscriptions ps
+     JOIN push_rep_subscriptions prs ON prs.push_subscription_id = ps.id
+     ORDER BY ps.id`
+  );
+  const byId = new Map();
+  for (const row of result.rows) {
+    if (!byId.has(row.id)) {
+      byId.set(row.id, { id: row.id, endpoint: row.endpoint, p256dh: row.p256dh, auth: row.auth, subs: [] });
+    }
+    byId.get(row.id).subs.push({ representative_id: row.representative_id, event_types: row.event_types });
+  }
+  return [...byId.values()];
+}
+
+async function markPushSuccess(pushSubscriptionId) {
+  await pool.query('UPDATE push_subscriptions SET last_success_at = now() WHERE id = $1', [pushSubscriptionId]);
+}
+
+module.exports = {
+  upsertPushSubscription,
+  getPushSubscriptionId,
+  addPushRep,
+  removePushRep,
+  deletePushSubscription,
+  getPushRepIds,
+  getPushSubscribers,
+  markPushSuccess
+};
@@ -1,4 +1,3 @@
-
 const { pool } = require("../db/pool");
 
 // Fetch all representatives
@@ -7,7 +6,64 @@ async function getAllReps() {
   return result.rows;
 }
 
+// Official congressional photo URL (Biographical Directory of the United States Congress)
+function congressPhotoUrl(bioguideId) {
+  if (!bioguideId || typeof bioguideId !== 'string') return null;
+  const id = String(bioguideId).trim();
+  if (!id) return null;
+  const letter = id.charAt(0).toUpperCase();
+  return `https://bioguide.congress.gov/bioguide/photo/${letter}/${id}.jpg`;
+}
+
+const REP_COLUMNS = 'id, name, party, state, district, chamber, bioguide_id, phone, website';
+
+/**
+ * One page of representatives, by state, chamber and district.
+ * @param {{state?: string, chamber?: string, party?: string}} filters - From parseMemberQuery()
+ * @param {{page: number, limit: number}} opts
+ * @returns {Promise<{reps: Object[], total: number}>}
+ */
+async function searchReps(filters, { page, limit }) {
+  const params = [];
+  const where = [];
+  const add = (value) => { params.push(value); return `$${params.length}`; };
+  if (filters.state) where.push(`state = ${add(filters.state)}`);
+  if (filters.chamber) where.push(`chamber = ${add(filters.chamber)}`);
+  if (filters.party) where.push(`LOWER(party) = LOWER(${add(filters.party)})`);
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM representatives ${whereSql}`, params);
+  const result = await pool.query(
+    `SELECT ${REP_COLUMNS}
+     FROM representatives
+     ${whereSql}
+     ORDER BY state ASC, chamber DESC, district ASC NULLS FIRST, name ASC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return {
+    reps: result.rows.map((r) => ({ ...r, photo_url: congressPhotoUrl(r.bioguide_id) })),
+    total: countResult.rows[0].total,
+  };
+}
+
+/** One representative with photo_url, or null */
+async function getRepById(id) {
+  const result = await pool.query(`SELECT ${REP_COLUMNS} FROM representatives WHERE id = $1`, [id]);
+  const row = result.rows[0];
+  return row ? { ...row, photo_url: congressPhotoUrl(row.bioguide_id) } : null;
+}
+
+/** Representatives with photo_url, in no particular order; unknown ids are skipped */
+async function getRepsByIds(ids) {
+  const result = await pool.query(`SELECT ${REP_COLUMNS} FROM representatives WHERE id = ANY($1::int[])`, [ids]);
+  return result.rows.map((r) => ({ ...r, photo_url: congressPhotoUrl(r.bioguide_id) }));
+}
+
 module.exports = {
-  getAllReps
+  getAllReps,
+  congressPhotoUrl,
+  searchReps,
+  getRepsByIds,
+  getRepById
 };
-
@@ -0,0 +1,96 @@
+const { pool } = require("../db/pool");
+
+/**
+ * User that owns a manage/unsubscribe token (users.unsub_token, sent in every email), or null.
+ * @param {string} token
+ */
+async function getUserByToken(token) {
+  const result = await pool.query(
+    'SELECT id, email, email_verified_at, created_at FROM users WHERE unsub_token = $1',
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's subscriptions with the rep's display fields, ordered by rep name.
+ * @param {number|string} userId
+ */
+async function getSubscriptions(userId) {
+  const result = await pool.query(
+    `SELECT rs.representative_id, r.name, r.party, r.state, r.district, r.chamber,
+            rs.frequency, rs.event_types, rs.paused_at, rs.created_at
+     FROM rep_subscriptions rs
+     JOIN representatives r ON r.id = rs.representative_id
+     WHERE rs.user_id = $1
+     ORDER BY r.name`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Add (or resume) a subscription. Null prefs keep the existing value, or the column default for a new row.
+ * @param {number|string} userId
+ * @param {number} repId
+ * @param {{frequency: string|null, event_types: string[]|null}} prefs
+ * @param {{resume?: boolean}} [opts] - resume: false leaves a paused subscription paused
+ */
+async function upsertSubscription(userId, repId, prefs, { resume = true } = {}) {
+  await pool.query(
+    `INSERT INTO rep_subscriptions (user_id, representative_id, frequency, event_types)
+     VALUES ($1, $2, COALESCE($3, 'daily'), COALESCE($4::jsonb, '["new_vote"]'::jsonb))
+     ON CONFLICT (user_id, representative_id) DO UPDATE
+       SET paused_at = CASE WHEN $5::boolean THEN NULL ELSE rep_subscriptions.paused_at END,
+           frequency = COALESCE($3, rep_subscriptions.frequency),
+           event_types = COALESCE($4::jsonb, rep_subscriptions.event_types),
+           updated_at = now()`,
+    [userId, repId, prefs.frequency, prefs.event_types ? JSON.stringify(prefs.event_types) : null, resume]
+  );
+}
+
+/**
+ * Change frequency / event types / paused on one subscription, or on all of them when repId is null.
+ * Null fields are left alone.
+ * @param {number|string} userId
+ * @param {number|null} repId
+ * @param {{frequency: string|null, event_types: string[]|null, paused: boolean|null}} update
+ * @returns {Promise<number>} Number of subscriptions updated
+ */
+async function updateSubscriptions(userId, repId, update) {
+  const result = await pool.query(
+    `UPDATE rep_subscriptions
+     SET frequency = COALESCE($3, frequency),
+         event_types = COALESCE($4::jsonb, event_types),
+         paused_at = CASE WHEN $5::boolean IS NULL THEN paused_at
+                          WHEN $5::boolean THEN COALESCE(paused_at, now())
+                          ELSE NULL END,
+         updated_at = now()
+     WHERE user_id = $1 AND ($2::int IS NULL OR representative_id = $2)`,
+    [userId, repId, update.frequency, update.event_types ? JSON.stringify(update.event_types) : null, update.paused]
+  );
+  return result.rowCount;
+}
+
+/** Stop following one rep; returns true if a subscription was removed */
+async function deleteSubscription(userId, repId) {
+  const result = await pool.query(
+    'DELETE FROM rep_subscriptions WHERE user_id = $1 AND representative_id = $2',
+    [userId, repId]
+  );
+  return result.rowCount > 0;
+}
+
+/** Delete the user and everything tied to them (subscriptions and send log cascade) */
+async function deleteUser(userId) {
+  await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+}
+
+module.exports = {
+  getUserByToken,
+  getSubscriptions,
+  upsertSubscription,
+  updateSubscriptions,
+  deleteSubscription,
+  deleteUser
+};
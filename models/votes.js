@@ -0,0 +1,213 @@
+const { pool } = require("../db/pool");
+const { SORT_DATE_SQL, buildVoteFilterConditions, cursorCondition, encodeCursor } = require("../lib/vote_filters");
+const { MAJOR_PARTIES, majorityPosition } = require("../lib/vote_stats");
+
+// Prefer vote_title (rich: "Motion to Invoke Cloture: Motion to Proceed to S. 5")
+// over the terse question ("On Cloture on the Motion to Proceed")
+function formatVoteRow(v) {
+  const vm = v.vote_metadata || {};
+  const title = v.title || vm.vote_title || vm.question || null;
+  return {
+    ...v,
+    title,
+    ai_summary: v.ai_summary ? { ...v.ai_summary, categories: v.categories || v.ai_summary.categories || [] } : null
+  };
+}
+
+/**
+ * One page of a representative's votes, newest first.
+ * @param {number} repId
+ * @param {Object} filters - From parseVoteFilters()
+ * @param {{limit: number, cursor: Object|null}} page
+ * @returns {Promise<{votes: Object[], page: {limit: number, total: number, next_cursor: string|null}}>}
+ */
+async function getRepVotesPage(repId, filters, { limit, cursor }) {
+  const params = [repId];
+  const where = ['v.representative_id = $1', ...buildVoteFilterConditions(filters, params)];
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total
+     FROM votes v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     WHERE ${where.join(' AND ')}`,
+    params
+  );
+
+  const pageParams = [...params];
+  const pageWhere = [...where];
+  if (cursor) pageWhere.push(cursorCondition(cursor, pageParams));
+  pageParams.push(limit + 1);
+
+  const result = await pool.query(
+    `SELECT v.id AS vote_id, ${SORT_DATE_SQL}::text AS sort_date,
+            v.vote, v.vote_date, v.roll_call, v.chamber, v.vote_metadata, v.issue_id,
+            i.canonical_bill_id as bill_id, i.title, i.ai_summary, i.categories
+     FROM votes v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     WHERE ${pageWhere.join(' AND ')}
+     ORDER BY ${SORT_DATE_SQL} DESC, v.id DESC
+     LIMIT $${pageParams.length}`,
+    pageParams
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = result.rows.length > limit && last ? encodeCursor(last.sort_date, last.vote_id) : null;
+
+  return {
+    votes: rows.map(({ vote_id, sort_date, ...v }) => formatVoteRow(v)),
+    page: { limit, total: countResult.rows[0].total, next_cursor: nextCursor }
+  };
+}
+
+/**
+ * Every roll call a representative has a record on, with each party's majority position.
+ * Parties compared: both major parties plus the member's own.
+ * @param {number} repId
+ * @param {string|null} party - The member's party
+ * @returns {Promise<Array<{roll_call: string, vote: string, month: string|null, majorities: Object}>>}
+ */
+async function getRepRollCallPositions(repId, party) {
+  const parties = [...new Set([...MAJOR_PARTIES, party].filter(Boolean))];
+  const result = await pool.query(
+    `WITH member_votes AS (
+       SELECT roll_call, vote, to_char(vote_date, 'YYYY-MM') AS month
+       FROM votes
+       WHERE representative_id = $1
+     ),
+     party_counts AS (
+       SELECT v.roll_call, r.party,
+              COUNT(*) FILTER (WHERE v.vote = 'yes')::int AS yes,
+              COUNT(*) FILTER (WHERE v.vote = 'no')::int AS no
+       FROM votes v
+       JOIN representatives r ON r.id = v.representative_id
+       WHERE v.roll_call IN (SELECT roll_call FROM member_votes)
+         AND r.party = ANY($2::text[])
+       GROUP BY v.roll_call, r.party
+     )
+     SELECT mv.roll_call, mv.vote, mv.month, pc.party, pc.yes, pc.no
+     FROM member_votes mv
+     LEFT JOIN party_counts pc ON pc.roll_call = mv.roll_call`,
+    [repId, parties]
+  );
+
+  const byRoll = new Map();
+  for (const row of result.rows) {
+    if (!byRoll.has(row.roll_call)) {
+      byRoll.set(row.roll_call, { roll_call: row.roll_call, vote: row.vote, month: row.month, majorities: {} });
+    }
+    if (row.party) byRoll.get(row.roll_call).majorities[row.party] = majorityPosition(row.yes, row.no);
+  }
+  return [...byRoll.values()];
+}
+
+/**
+ * Vote rows for every roll call on which at least two of the given members have a record.
+ * @param {number[]} repIds
+ */
+async function getSharedRollCallVotes(repIds) {
+  const result = await pool.query(
+    `WITH shared AS (
+       SELECT roll_call
+       FROM votes
+       WHERE representative_id = ANY($1::int[])
+       GROUP BY roll_call
+       HAVING COUNT(DISTINCT representative_id) >= 2
+     )
+     SELECT v.roll_call, v.representative_id, v.vote, v.vote_date, v.chamber, v.issue_id,
+            COALESCE(i.ai_summary->>'plain_english_title', i.title, v.vote_metadata->>'vote_title') AS title,
+            v.vote_metadata->>'question' AS question
+     FROM votes v
+     JOIN shared s ON s.roll_call = v.roll_call
+     LEFT JOIN issues i ON i.id = v.issue_id
+     WHERE v.representative_id = ANY($1::int[])`,
+    [repIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Each member's latest yes/no on every issue they voted on, keyed by issue.
+ * @param {number[]} repIds
+ * @returns {Promise<Map<number, Object<number, string>>>} issue_id -> { repId: vote }
+ */
+async function getLatestIssuePositions(repIds) {
+  const result = await pool.query(
+    `SELECT DISTINCT ON (v.issue_id, v.representative_id) v.issue_id, v.representative_id, v.vote
+     FROM votes v
+     WHERE v.representative_id = ANY($1::int[])
+       AND v.issue_id IS NOT NULL
+       AND v.vote IN ('yes', 'no')
+     ORDER BY v.issue_id, v.representative_id, v.vote_date DESC NULLS LAST, COALESCE(v.roll_number, 0) DESC`,
+    [repIds]
+  );
+  const byIssue = new Map();
+  for (const row of result.rows) {
+    if (!byIssue.has(row.issue_id)) byIssue.set(row.issue_id, {});
+    byIssue.get(row.issue_id)[row.representative_id] = row.vote;
+  }
+  return byIssue;
+}
+
+/**
+ * Every member's position on one roll call, ordered by state and district.
+ * @param {string} rollCall - e.g. house-119-2026-78
+ */
+async function getRollCallVotes(rollCall) {
+  const result = await pool.query(
+    `SELECT v.vote, v.vote_date, v.chamber, v.congress, v.session, v.roll_number, v.vote_metadata, v.issue_id,
+            r.id AS representative_id, r.name AS representative_name, r.party, r.state, r.district
+     FROM votes v
+     JOIN representatives r ON r.id = v.representative_id
+     WHERE v.roll_call = $1
+     ORDER BY r.state ASC, r.district ASC NULLS LAST, r.name ASC`,
+    [rollCall]
+  );
+  return result.rows;
+}
+
+/**
+ * One member's position on one roll call, with the issue fields share cards use (billTitle()).
+ * @param {number} repId
+ * @param {string} rollCall - e.g. house-119-2026-78
+ */
+async function getRepRollCallVote(repId, rollCall) {
+  const result = await pool.query(
+    `SELECT v.id AS vote_id, v.vote, v.vote_date, v.roll_call, v.chamber, v.vote_metadata, v.issue_id,
+            i.title AS issue_title, i.canonical_bill_id, i.ai_summary
+     FROM votes v
+     LEFT JOIN issues i ON v.issue_id = i.id
+     WHERE v.representative_id = $1 AND v.roll_call = $2
+     ORDER BY v.id DESC
+     LIMIT 1`,
+    [repId, rollCall]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Every member's position on every roll call linked to an issue.
+ * @param {number} issueId
+ */
+async function getIssueVotes(issueId) {
+  const result = await pool.query(
+    `SELECT v.vote, v.vote_date, v.roll_call, v.chamber, v.congress, v.roll_number, v.vote_metadata,
+            r.id AS representative_id, r.name AS representative_name, r.party, r.state, r.district
+     FROM votes v
+     JOIN representatives r ON v.representative_id = r.id
+     WHERE v.issue_id = $1`,
+    [issueId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  formatVoteRow,
+  getRollCallVotes,
+  getRepRollCallVote,
+  getIssueVotes,
+  getRepVotesPage,
+  getRepRollCallPositions,
+  getSharedRollCallVotes,
+  getLatestIssuePositions
+};
@@ -0,0 +1,46 @@
+/*
+ * RepWatch embed loader: turns each
+ *   <div data-repwatch-rep="12" data-theme="dark" data-limit="5"></div>
+ * into an iframe of /embed/reps/12 (routes/embed.js) and keeps it as tall as its content.
+ * Include once per page: <script src="https://repwatch.co/embed.js" async></script>
+ */
+(() => {
+  const script = document.currentScript
+  const origin = script ? new URL(script.src).origin : 'https://repwatch.co'
+  const frames = []
+
+  const mount = () => {
+    document.querySelectorAll('[data-repwatch-rep]:not([data-repwatch-mounted])').forEach((el) => {
+      const id = parseInt(el.getAttribute('data-repwatch-rep'), 10)
+      if (!(id > 0)) return
+      const params = new URLSearchParams()
+      const theme = el.getAttribute('data-theme')
+      const limit = el.getAttribute('data-limit')
+      if (theme) params.set('theme', theme)
+      if (limit) params.set('limit', limit)
+      const qs = params.toString()
+
+      const iframe = document.createElement('iframe')
+      iframe.src = `${origin}/embed/reps/${id}${qs ? `?${qs}` : ''}`
+      iframe.title = el.getAttribute('data-title') || 'How this member of Congress voted (RepWatch)'
+      iframe.loading = 'lazy'
+      iframe.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin')
+      iframe.style.cssText = 'border:0;width:100%;max-width:480px;height:360px;display:block'
+      el.setAttribute('data-repwatch-mounted', '')
+      el.appendChild(iframe)
+      frames.push(iframe)
+    })
+  }
+
+  // Widget pages post their height after load and on resize
+  window.addEventListener('message', (event) => {
+    if (event.origin !== origin || !event.data || event.data.type !== 'repwatch:resize') return
+    const height = Number(event.data.height)
+    if (!(height > 0)) return
+    const iframe = frames.find((f) => f.contentWindow === event.source)
+    if (iframe) iframe.style.height = `${Math.ceil(height)}px`
+  })
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', mount)
+  else mount()
+})()
@@ -0,0 +1,31 @@
+/* RepWatch service worker: shows Web Push vote alerts (see services/push.js) */
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch (e) {
+    data = { title: 'RepWatch', body: event.data ? event.data.text() : '' }
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'RepWatch', {
+      body: data.body || '',
+      tag: data.tag,
+      renotify: !!data.tag,
+      data: { url: data.url || '/' },
+    })
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = (event.notification.data && event.notification.data.url) || '/'
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      for (const win of windows) {
+        if (win.url === url && 'focus' in win) return win.focus()
+      }
+      return self.clients.openWindow(url)
+    })
+  )
+})
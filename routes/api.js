@@ -1,10 +1,40 @@
 const express = require("express");
 const crypto = require("crypto");
 const router = express.Router();
-const { getAllReps } = require("../models/reps");
-const { getIssueById, getCachedSummary, isSummaryFresh, isExplainFresh, writeSummary, writeExplain } = require("../models/issues");
+const { getAllReps, congressPhotoUrl } = require("../models/reps");
+const { getIssueById, searchIssues, getCachedSummary, isSummaryFresh, isExplainFresh, writeSummary, writeExplain } = require("../models/issues");
+const { getRepVotesPage, getRepRollCallPositions, getSharedRollCallVotes, getLatestIssuePositions, getRollCallVotes, getIssueVotes } = require("../models/votes");
+const { parseVoteFilters } = require("../lib/vote_filters");
+const { parseIssueQuery } = require("../lib/issue_filters");
+const { computeVoteStats, otherMajorParty } = require("../lib/vote_stats");
+const { parseCompareIds, groupRollCalls, pairwiseAgreement } = require("../lib/compare");
+const { parseRollCallId, tallyRollCall } = require("../lib/tallies");
+const { canonicalizeMotion } = require("../lib/motion_normalizer");
+const { buildIssueTimeline, latestMemberVotes, tallyLatestVotes } = require("../lib/issue_timeline");
+const { parseCanonicalBillId, deriveBillStatus } = require("../lib/bill_status");
+const { getBillActions } = require("../models/bill_actions");
+const { MAX_PUSH_REPS, parsePushSubscription } = require("../lib/push");
+const { createRateLimiter } = require("../lib/api_keys");
+const { upsertPushSubscription, getPushSubscriptionId, addPushRep, removePushRep, deletePushSubscription, getPushRepIds } = require("../models/push");
+const push = require("../services/push");
+const { getUserByToken, getSubscriptions, upsertSubscription, updateSubscriptions, deleteSubscription, deleteUser } = require("../models/subscriptions");
+const { billExists, getBillSubscriptions, upsertBillSubscription, updateBillSubscriptions, deleteBillSubscription } = require("../models/bill_subscriptions");
+const { getCategorySubscriptions, upsertCategorySubscription, updateCategorySubscriptions, deleteCategorySubscription } = require("../models/category_subscriptions");
+const {
+  parseSubscriptionPrefs,
+  parseSubscriptionUpdate,
+  parseBillIds,
+  followFrequency,
+  parseBillSubscriptionUpdate,
+  parseCategories,
+  parseDelegation,
+  parseTopicSubscriptionUpdate
+} = require("../lib/notifications");
+const { CONFIRM_TOKEN_TTL_HOURS, signToken, verifyToken } = require("../lib/email_tokens");
+const mailer = require("../services/mailer");
 const { summarizeIssue, explainVote } = require("../services/llm_wrappers");
 const districtResolver = require('../services/district_resolver');
+const { loadOpenApiSpec } = require('../lib/openapi');
 
 // In-process tiny LRU cache to short-circuit repeated calls within same process
 const LRU_CAP = 200;
@@ -32,16 +62,48 @@ let llmCacheHits = 0;
 setInterval(() => {
   const rate = llmRequests === 0 ? 0 : Math.round((llmCacheHits / llmRequests) * 100);
   console.log(`LLM cache hit rate: ${rate}% (${llmCacheHits}/${llmRequests})`);
-}, 60000);
+}, 60000).unref(); // don't hold the process open (scripts and tests load this router)
 
 // Health check (no DB required) — for Render and debugging
 router.get('/health', (req, res) => {
   res.json({ ok: true, service: 'repwatch-api' });
 });
 
+// GET /api/openapi.json — docs/openapi.yaml, which documents every route below and /api/v1
+router.get('/openapi.json', (req, res) => {
+  try {
+    res.json(loadOpenApiSpec());
+  } catch (e) {
+    console.error('OpenAPI spec error:', e);
+    res.status(500).json({ error: 'Failed to load API description' });
+  }
+});
+
 // ——— Email notifications (subscribe / unsubscribe) ———
 
-// POST /api/subscribe — subscribe email to one or more reps
+// Don't resend a confirmation email to the same unverified address more often than this
+const CONFIRM_RESEND_MINUTES = 10;
+
+// Add what a subscribe request asked to follow. Never resumes anything the subscriber has paused:
+// resuming is done from the manage page.
+async function applyFollows(userId, { reps = [], bills = [], categories = [], delegation, frequency, event_types }) {
+  const prefs = { frequency: frequency ?? null, event_types: event_types ?? null };
+  for (const repId of reps) {
+    await upsertSubscription(userId, repId, prefs, { resume: false });
+  }
+  for (const billId of bills) {
+    await upsertBillSubscription(userId, billId, followFrequency(prefs.frequency), { resume: false });
+  }
+  for (const category of categories) {
+    await upsertCategorySubscription(userId, category, { frequency: followFrequency(prefs.frequency), delegation, resume: false });
+  }
+}
+
+// POST /api/subscribe — subscribe email to one or more reps, bills (bill_ids, e.g. hr815-119) and/or topics
+// (categories, optionally limited to a delegation { state, district? }), with optional frequency and
+// event_types. Always answers 202 and sends a confirmation email. Nothing is written for an address we
+// already have (anyone can post it): the requested follows ride in the signed link and are added when
+// it's followed.
 router.post('/subscribe', async (req, res) => {
   const { pool } = require('../db/pool');
   try {
@@ -53,44 +115,76 @@ router.post('/subscribe', async (req, res) => {
     if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       return res.status(400).json({ error: 'Valid email required' });
     }
-    if (representativeIds.length === 0) {
-      return res.status(400).json({ error: 'At least one representative_id required' });
+    const { bill_ids: billIds, error: billsError } = parseBillIds(req.body?.bill_ids);
+    if (billsError) return res.status(400).json({ error: billsError });
+    const { categories, error: categoriesError } = parseCategories(req.body?.categories);
+    if (categoriesError) return res.status(400).json({ error: categoriesError });
+    const { delegation, error: delegationError } = parseDelegation(req.body?.delegation);
+    if (delegationError) return res.status(400).json({ error: delegationError });
+    if (representativeIds.length === 0 && billIds.length === 0 && categories.length === 0) {
+      return res.status(400).json({ error: 'At least one representative_id, bill_id or category required' });
+    }
+    const { prefs, error: prefsError } = parseSubscriptionPrefs(req.body);
+    if (prefsError) return res.status(400).json({ error: prefsError });
+
+    const tokenSecret = process.env.EMAIL_TOKEN_SECRET;
+    if (!tokenSecret || !mailer.isConfigured()) {
+      return res.status(503).json({ error: 'Email subscriptions are not available right now' });
     }
 
     const validReps = await pool.query(
-      'SELECT id FROM representatives WHERE id = ANY($1::int[])',
+      'SELECT id, name FROM representatives WHERE id = ANY($1::int[])',
       [representativeIds]
     );
     const validIds = validReps.rows.map((r) => r.id);
-    if (validIds.length === 0) {
-      return res.status(400).json({ error: 'No valid representative IDs found' });
+    const validBills = [];
+    for (const billId of billIds) {
+      if (await billExists(billId)) validBills.push(billId);
+    }
+    if (validIds.length === 0 && validBills.length === 0 && categories.length === 0) {
+      return res.status(400).json({ error: billIds.length > 0 ? 'No valid representative IDs or bills found' : 'No valid representative IDs found' });
     }
 
+    const follows = { reps: validIds, bills: validBills, categories, delegation, ...prefs };
     const unsubToken = crypto.randomBytes(24).toString('hex');
-    const userResult = await pool.query(
+    const inserted = await pool.query(
       `INSERT INTO users (email, unsub_token)
        VALUES ($1, $2)
-       ON CONFLICT (email) DO UPDATE SET updated_at = now()
-       RETURNING id, unsub_token`,
+       ON CONFLICT (email) DO NOTHING
+       RETURNING id`,
       [email, unsubToken]
     );
-    const row = userResult.rows[0];
-    const userId = row.id;
-    const tokenToReturn = row.unsub_token;
-
-    for (const repId of validIds) {
-      await pool.query(
-        `INSERT INTO rep_subscriptions (user_id, representative_id)
-         VALUES ($1, $2)
-         ON CONFLICT (user_id, representative_id) DO UPDATE SET paused_at = NULL, updated_at = now()`,
-        [userId, repId]
+    let userId;
+    let tokenData;
+    let recentlySent = false;
+    if (inserted.rows.length > 0) {
+      // New address: its follows wait, unmailed, behind the confirmation
+      userId = inserted.rows[0].id;
+      await applyFollows(userId, follows);
+      tokenData = { uid: String(userId), email };
+    } else {
+      const existing = await pool.query(
+        `SELECT id, verification_sent_at > now() - ($2::int * interval '1 minute') AS recently_sent
+         FROM users WHERE email = $1`,
+        [email, CONFIRM_RESEND_MINUTES]
       );
+      if (existing.rows.length === 0) throw new Error('Subscriber deleted during subscribe');
+      userId = existing.rows[0].id;
+      recentlySent = existing.rows[0].recently_sent;
+      tokenData = { uid: String(userId), email, follows };
     }
 
-    res.status(200).json({
-      subscribed: true,
-      message: `Subscribed to ${validIds.length} representative(s). Check your inbox for updates.`,
-      unsub_token: tokenToReturn,
+    // Rate-limited per address, confirmed or not, since anyone can type one in
+    if (!recentlySent) {
+      const token = signToken('confirm', tokenData, tokenSecret, CONFIRM_TOKEN_TTL_HOURS);
+      await mailer.sendConfirmationEmail(email, token, validReps.rows.map((r) => r.name), CONFIRM_TOKEN_TTL_HOURS, validBills, categories);
+      await pool.query('UPDATE users SET verification_sent_at = now() WHERE id = $1', [userId]);
+    }
+    // Same answer whether or not the address is already subscribed
+    res.status(202).json({
+      subscribed: false,
+      confirmation_required: true,
+      message: 'Almost done: check your inbox and click the link to confirm your subscription.',
     });
   } catch (e) {
     console.error('Subscribe error:', e);
@@ -98,35 +192,70 @@ router.post('/subscribe', async (req, res) => {
   }
 });
 
-// GET /api/unsubscribe?token=... — one-click unsubscribe (for email links); returns HTML
-router.get('/unsubscribe', async (req, res) => {
+// GET /api/subscribe/confirm?token=... — double opt-in link from the confirmation email; returns HTML.
+// Links sent to an existing address carry the follows it asked for, which are added here.
+router.get('/subscribe/confirm', async (req, res) => {
   const { pool } = require('../db/pool');
   const token = typeof req.query?.token === 'string' ? req.query.token.trim() : '';
-  if (!token) {
+  const { data, error } = verifyToken(token, 'confirm', process.env.EMAIL_TOKEN_SECRET);
+  if (error) {
+    const message = error === 'expired'
+      ? 'This confirmation link has expired. Subscribe again from any representative page to get a new one.'
+      : 'Invalid confirmation link.';
     res.status(400).send(
-      '<!DOCTYPE html><html><body><p>Missing unsubscribe token.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
+      `<!DOCTYPE html><html><body><p>${message}</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>`
     );
     return;
   }
   try {
-    const userResult = await pool.query(
-      'SELECT id FROM users WHERE unsub_token = $1',
-      [token]
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, now()), updated_at = now()
+       WHERE id = $1 AND email = $2
+       RETURNING id`,
+      [data.uid, data.email]
     );
-    if (userResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       res.status(404).send(
-        '<!DOCTYPE html><html><body><p>Invalid or expired unsubscribe link.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
+        '<!DOCTYPE html><html><body><p>Invalid or expired confirmation link. Subscribe again from any representative page to get a new one.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
       );
       return;
     }
-    await pool.query(
-      `UPDATE rep_subscriptions SET paused_at = now(), updated_at = now()
-       WHERE user_id = $1`,
-      [userResult.rows[0].id]
-    );
+    if (data.follows) await applyFollows(result.rows[0].id, data.follows);
+    const paused = data.follows ? ' Anything you had paused stays paused; resume it from the manage link in any of our emails.' : '';
     res.set('Content-Type', 'text/html').send(
-      '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Unsubscribed</title></head><body><p>You’re unsubscribed. You won’t receive any more email updates from RepWatch.</p><p><a href="https://repwatch.co">Back to RepWatch</a></p></body></html>'
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Subscription confirmed</title></head><body><p>You’re subscribed. We’ll email you when your representatives vote.${paused}</p><p><a href="https://repwatch.co">Back to RepWatch</a></p></body></html>`
+    );
+  } catch (e) {
+    console.error('Confirm subscription error:', e);
+    res.status(500).send(
+      '<!DOCTYPE html><html><body><p>Something went wrong. Please try again later.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
+    );
+  }
+});
+
+// GET /api/unsubscribe?token=... — unsubscribe link in the email body; pauses everything and
+// redirects to the manage page
+router.get('/unsubscribe', async (req, res) => {
+  const token = typeof req.query?.token === 'string' ? req.query.token.trim() : '';
+  if (!token) {
+    res.status(400).send(
+      '<!DOCTYPE html><html><body><p>Missing unsubscribe token.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
     );
+    return;
+  }
+  try {
+    const user = await getUserByToken(token);
+    if (!user) {
+      res.status(404).send(
+        '<!DOCTYPE html><html><body><p>Invalid or expired unsubscribe link.</p><p><a href="https://repwatch.co">RepWatch</a></p></body></html>'
+      );
+      return;
+    }
+    await updateSubscriptions(user.id, null, { frequency: null, event_types: null, paused: true });
+    await updateBillSubscriptions(user.id, null, { frequency: null, paused: true });
+    await updateCategorySubscriptions(user.id, null, { frequency: null, paused: true });
+    // Land on the manage page so they can see what was paused and resume any rep
+    res.redirect(303, `/subscriptions?token=${encodeURIComponent(token)}&unsubscribed=1`);
   } catch (e) {
     console.error('Unsubscribe error:', e);
     res.status(500).send(
@@ -135,6 +264,351 @@ router.get('/unsubscribe', async (req, res) => {
   }
 });
 
+// POST /api/unsubscribe?token=... — RFC 8058 one-click unsubscribe, sent by the mail client
+// (body "List-Unsubscribe=One-Click") from the List-Unsubscribe header; no browser, no redirect
+router.post('/unsubscribe', async (req, res) => {
+  const token = typeof req.query?.token === 'string' ? req.query.token.trim() : '';
+  if (!token) return res.status(400).json({ error: 'token required' });
+  try {
+    const user = await getUserByToken(token);
+    if (!user) return res.status(404).json({ error: 'Invalid or expired unsubscribe link' });
+    await updateSubscriptions(user.id, null, { frequency: null, event_types: null, paused: true });
+    await updateBillSubscriptions(user.id, null, { frequency: null, paused: true });
+    await updateCategorySubscriptions(user.id, null, { frequency: null, paused: true });
+    res.json({ unsubscribed: true });
+  } catch (e) {
+    console.error('Unsubscribe error:', e);
+    res.status(500).json({ error: 'Unsubscribe failed' });
+  }
+});
+
+// ——— Manage subscriptions (token from the email footer; users.unsub_token) ———
+
+/** Resolve ?token= to its user, or send 401/404 and return null */
+async function requireSubscriber(req, res) {
+  const token = typeof req.query?.token === 'string' ? req.query.token.trim() : '';
+  if (!token) {
+    res.status(401).json({ error: 'token required' });
+    return null;
+  }
+  const user = await getUserByToken(token);
+  if (!user) {
+    res.status(404).json({ error: 'Invalid or expired link' });
+    return null;
+  }
+  return user;
+}
+
+async function subscriptionsResponse(user) {
+  const subscriptions = await getSubscriptions(user.id);
+  const bills = await getBillSubscriptions(user.id);
+  const topics = await getCategorySubscriptions(user.id);
+  return {
+    email: user.email,
+    email_verified: !!user.email_verified_at,
+    subscriptions: subscriptions.map((s) => ({ ...s, paused: s.paused_at != null })),
+    bills: bills.map((b) => ({ ...b, paused: b.paused_at != null })),
+    topics: topics.map((t) => ({ ...t, paused: t.paused_at != null })),
+  };
+}
+
+// GET /api/subscriptions?token=... — the subscriber's email and every rep, bill and topic they follow
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Subscriptions error:', e);
+    res.status(500).json({ error: 'Failed to load subscriptions' });
+  }
+});
+
+// POST /api/subscriptions?token=... — follow another rep; body { representative_id, frequency?, event_types? }
+router.post('/subscriptions', async (req, res) => {
+  const { pool } = require('../db/pool');
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const repId = Number(req.body?.representative_id);
+    if (!Number.isInteger(repId) || repId <= 0) {
+      return res.status(400).json({ error: 'representative_id required' });
+    }
+    const { prefs, error } = parseSubscriptionPrefs(req.body);
+    if (error) return res.status(400).json({ error });
+    const rep = await pool.query('SELECT id FROM representatives WHERE id = $1', [repId]);
+    if (rep.rows.length === 0) return res.status(404).json({ error: 'Representative not found' });
+    await upsertSubscription(user.id, repId, prefs);
+    res.status(201).json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Add subscription error:', e);
+    res.status(500).json({ error: 'Failed to add subscription' });
+  }
+});
+
+// PATCH /api/subscriptions?token=... — change every subscription; body { frequency?, event_types?, paused? }
+// PATCH /api/subscriptions/:repId?token=... — change one
+router.patch(['/subscriptions', '/subscriptions/:repId'], async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const repId = req.params.repId == null ? null : Number(req.params.repId);
+    if (repId != null && (!Number.isInteger(repId) || repId <= 0)) {
+      return res.status(400).json({ error: 'Invalid representative id' });
+    }
+    const { update, error } = parseSubscriptionUpdate(req.body);
+    if (error) return res.status(400).json({ error });
+    const updated = await updateSubscriptions(user.id, repId, update);
+    if (repId != null && updated === 0) return res.status(404).json({ error: 'Not subscribed to this representative' });
+    // "Pause all" / "Resume all" and a daily / weekly switch cover followed bills and topics too
+    if (repId == null) {
+      const followUpdate = { frequency: followFrequency(update.frequency), paused: update.paused };
+      await updateBillSubscriptions(user.id, null, followUpdate);
+      await updateCategorySubscriptions(user.id, null, followUpdate);
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Update subscription error:', e);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+// DELETE /api/subscriptions/:repId?token=... — stop following one rep
+router.delete('/subscriptions/:repId', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const repId = Number(req.params.repId);
+    if (!Number.isInteger(repId) || repId <= 0) return res.status(400).json({ error: 'Invalid representative id' });
+    if (!(await deleteSubscription(user.id, repId))) {
+      return res.status(404).json({ error: 'Not subscribed to this representative' });
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Remove subscription error:', e);
+    res.status(500).json({ error: 'Failed to remove subscription' });
+  }
+});
+
+// POST /api/subscriptions/bills?token=... — follow a bill; body { canonical_bill_id, frequency? }
+router.post('/subscriptions/bills', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const { bill_ids: billIds, error } = parseBillIds(req.body?.canonical_bill_id);
+    if (error) return res.status(400).json({ error });
+    if (billIds.length !== 1) return res.status(400).json({ error: 'canonical_bill_id required' });
+    const { update, error: updateError } = req.body?.frequency != null
+      ? parseBillSubscriptionUpdate({ frequency: req.body.frequency })
+      : { update: { frequency: null }, error: null };
+    if (updateError) return res.status(400).json({ error: updateError });
+    if (!(await billExists(billIds[0]))) return res.status(404).json({ error: 'Bill not found' });
+    await upsertBillSubscription(user.id, billIds[0], update.frequency);
+    res.status(201).json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Follow bill error:', e);
+    res.status(500).json({ error: 'Failed to follow bill' });
+  }
+});
+
+// PATCH /api/subscriptions/bills/:billId?token=... — change one followed bill; body { frequency?, paused? }
+router.patch('/subscriptions/bills/:billId', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const { bill_ids: billIds, error: idError } = parseBillIds(req.params.billId);
+    if (idError || billIds.length !== 1) return res.status(400).json({ error: 'Invalid bill id (expected e.g. hr815-119)' });
+    const { update, error } = parseBillSubscriptionUpdate(req.body);
+    if (error) return res.status(400).json({ error });
+    if ((await updateBillSubscriptions(user.id, billIds[0], update)) === 0) {
+      return res.status(404).json({ error: 'Not following this bill' });
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Update bill follow error:', e);
+    res.status(500).json({ error: 'Failed to update bill follow' });
+  }
+});
+
+// DELETE /api/subscriptions/bills/:billId?token=... — stop following a bill
+router.delete('/subscriptions/bills/:billId', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const { bill_ids: billIds, error } = parseBillIds(req.params.billId);
+    if (error || billIds.length !== 1) return res.status(400).json({ error: 'Invalid bill id (expected e.g. hr815-119)' });
+    if (!(await deleteBillSubscription(user.id, billIds[0]))) {
+      return res.status(404).json({ error: 'Not following this bill' });
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Unfollow bill error:', e);
+    res.status(500).json({ error: 'Failed to unfollow bill' });
+  }
+});
+
+/** Validate :category, or send 400 and return null */
+function topicParam(req, res) {
+  const { categories, error } = parseCategories(req.params.category);
+  if (error || categories.length !== 1) {
+    res.status(400).json({ error: error || 'Invalid category' });
+    return null;
+  }
+  return categories[0];
+}
+
+// POST /api/subscriptions/topics?token=... — follow a topic; body { category, frequency?, delegation? }
+router.post('/subscriptions/topics', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const { categories, error } = parseCategories(req.body?.category);
+    if (error) return res.status(400).json({ error });
+    if (categories.length !== 1) return res.status(400).json({ error: 'category required' });
+    const { update, error: updateError } = parseTopicSubscriptionUpdate({
+      frequency: req.body?.frequency ?? undefined,
+      delegation: req.body?.delegation ?? null,
+    });
+    if (updateError) return res.status(400).json({ error: updateError });
+    await upsertCategorySubscription(user.id, categories[0], { frequency: update.frequency, delegation: update.delegation });
+    res.status(201).json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Follow topic error:', e);
+    res.status(500).json({ error: 'Failed to follow topic' });
+  }
+});
+
+// PATCH /api/subscriptions/topics/:category?token=... — change one followed topic; body { frequency?, paused?, delegation? }
+router.patch('/subscriptions/topics/:category', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const category = topicParam(req, res);
+    if (!category) return;
+    const { update, error } = parseTopicSubscriptionUpdate(req.body);
+    if (error) return res.status(400).json({ error });
+    if ((await updateCategorySubscriptions(user.id, category, update)) === 0) {
+      return res.status(404).json({ error: 'Not following this topic' });
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Update topic follow error:', e);
+    res.status(500).json({ error: 'Failed to update topic follow' });
+  }
+});
+
+// DELETE /api/subscriptions/topics/:category?token=... — stop following a topic
+router.delete('/subscriptions/topics/:category', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    const category = topicParam(req, res);
+    if (!category) return;
+    if (!(await deleteCategorySubscription(user.id, category))) {
+      return res.status(404).json({ error: 'Not following this topic' });
+    }
+    res.json(await subscriptionsResponse(user));
+  } catch (e) {
+    console.error('Unfollow topic error:', e);
+    res.status(500).json({ error: 'Failed to unfollow topic' });
+  }
+});
+
+// DELETE /api/account?token=... — delete the subscriber, their subscriptions and send history
+router.delete('/account', async (req, res) => {
+  try {
+    const user = await requireSubscriber(req, res);
+    if (!user) return;
+    await deleteUser(user.id);
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete account error:', e);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// ——— Web Push ("Notify me" without an email address) ———
+
+// GET /api/push/key — VAPID public key the browser subscribes with
+router.get('/push/key', (req, res) => {
+  if (!push.isConfigured()) return res.status(503).json({ error: 'Push notifications are not available right now' });
+  res.json({ public_key: push.getVapidPublicKey() });
+});
+
+// Push sign-ups need no account, so cap how fast one client can add them
+const PUSH_SUBSCRIBES_PER_MINUTE = 20;
+const pushLimiter = createRateLimiter();
+
+// POST /api/push/subscribe — body { subscription: PushSubscription JSON, representative_id, event_types? }
+router.post('/push/subscribe', async (req, res) => {
+  const { pool } = require('../db/pool');
+  try {
+    if (!push.isConfigured()) return res.status(503).json({ error: 'Push notifications are not available right now' });
+    const rate = pushLimiter.hit(req.ip, PUSH_SUBSCRIBES_PER_MINUTE);
+    if (!rate.allowed) {
+      res.set('Retry-After', String(Math.max(1, rate.reset - Math.floor(Date.now() / 1000))));
+      return res.status(429).json({ error: 'Too many requests. Try again in a minute.' });
+    }
+    const { subscription, error } = parsePushSubscription(req.body?.subscription);
+    if (error) return res.status(400).json({ error });
+    const repId = Number(req.body?.representative_id);
+    if (!Number.isInteger(repId) || repId <= 0) return res.status(400).json({ error: 'representative_id required' });
+    const { prefs, error: prefsError } = parseSubscriptionPrefs({ event_types: req.body?.event_types });
+    if (prefsError) return res.status(400).json({ error: prefsError });
+    const rep = await pool.query('SELECT id FROM representatives WHERE id = $1', [repId]);
+    if (rep.rows.length === 0) return res.status(404).json({ error: 'Representative not found' });
+    const existingId = await getPushSubscriptionId(subscription.endpoint);
+    if (existingId) {
+      const following = await getPushRepIds(existingId);
+      if (following.length >= MAX_PUSH_REPS && !following.includes(repId)) {
+        return res.status(409).json({ error: `A browser can follow at most ${MAX_PUSH_REPS} representatives` });
+      }
+    }
+
+    const userAgent = typeof req.get('user-agent') === 'string' ? req.get('user-agent').slice(0, 300) : null;
+    const pushId = await upsertPushSubscription(subscription, userAgent);
+    await addPushRep(pushId, repId, prefs.event_types);
+    res.status(201).json({ subscribed: true, representative_ids: await getPushRepIds(pushId) });
+  } catch (e) {
+    console.error('Push subscribe error:', e);
+    res.status(500).json({ error: 'Push subscription failed' });
+  }
+});
+
+// POST /api/push/status — body { endpoint }; reps this browser is notified about
+router.post('/push/status', async (req, res) => {
+  try {
+    const endpoint = typeof req.body?.endpoint === 'string' ? req.body.endpoint.trim() : '';
+    if (!endpoint) return res.status(400).json({ error: 'endpoint required' });
+    const pushId = await getPushSubscriptionId(endpoint);
+    res.json({ representative_ids: pushId ? await getPushRepIds(pushId) : [] });
+  } catch (e) {
+    console.error('Push status error:', e);
+    res.status(500).json({ error: 'Failed to load push status' });
+  }
+});
+
+// POST /api/push/unsubscribe — body { endpoint, representative_id? }; one rep, or the whole browser when omitted
+router.post('/push/unsubscribe', async (req, res) => {
+  try {
+    const endpoint = typeof req.body?.endpoint === 'string' ? req.body.endpoint.trim() : '';
+    if (!endpoint) return res.status(400).json({ error: 'endpoint required' });
+    const pushId = await getPushSubscriptionId(endpoint);
+    if (!pushId) return res.json({ representative_ids: [] });
+    if (req.body?.representative_id == null) {
+      await deletePushSubscription(pushId);
+      return res.json({ representative_ids: [] });
+    }
+    const repId = Number(req.body.representative_id);
+    if (!Number.isInteger(repId) || repId <= 0) return res.status(400).json({ error: 'Invalid representative_id' });
+    await removePushRep(pushId, repId);
+    res.json({ representative_ids: await getPushRepIds(pushId) });
+  } catch (e) {
+    console.error('Push unsubscribe error:', e);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
 // Lookup representatives and their votes by address
 router.get('/lookup', async (req, res) => {
   try {
@@ -144,6 +618,10 @@ router.get('/lookup', async (req, res) => {
     if (!address) {
       return res.status(400).json({ error: 'Address parameter required' });
     }
+    const voteQuery = parseVoteFilters(req.query);
+    if (voteQuery.error) {
+      return res.status(400).json({ error: voteQuery.error });
+    }
 
     // Resolve address to district
     const district = await districtResolver.resolveAddress(address);
@@ -169,47 +647,14 @@ router.get('/lookup', async (req, res) => {
       return res.status(404).json({ error: 'No representatives found for this district' });
     }
 
-    // Get recent votes for each representative
+    // Get recent votes for each representative (first page; use /api/reps/:id?cursor= for more)
     const representatives = await Promise.all(reps.map(async (rep) => {
-      const votesQuery = `
-        SELECT 
-          v.vote,
-          v.vote_date,
-          v.roll_call,
-          v.chamber,
-          v.vote_metadata,
-          v.issue_id,
-          i.canonical_bill_id as bill_id,
-          i.title,
-          i.ai_summary,
-          i.categories
-        FROM votes v
-        LEFT JOIN issues i ON v.issue_id = i.id
-        WHERE v.representative_id = $1
-        ORDER BY v.vote_date DESC, v.roll_call DESC
-        LIMIT 500
-      `;
-      const { rows: votes } = await pool.query(votesQuery, [rep.id]);
-      console.log(`Rep ${rep.name}: found ${votes.length} votes`);
-      
-      // Prefer vote_title (rich: "Motion to Invoke Cloture: Motion to Proceed to S. 5")
-      // over the terse question ("On Cloture on the Motion to Proceed")
-      const votesWithMergedData = votes.map(vote => {
-        const vm = vote.vote_metadata || {};
-        const title = vote.title || vm.vote_title || vm.question || null;
-        return {
-          ...vote,
-          title,
-          ai_summary: vote.ai_summary ? {
-            ...vote.ai_summary,
-            categories: vote.categories || vote.ai_summary.categories || []
-          } : null
-        };
-      });
-      
+      const { votes, page } = await getRepVotesPage(rep.id, voteQuery.filters, { limit: voteQuery.limit, cursor: null });
+      console.log(`Rep ${rep.name}: found ${page.total} votes`);
       return {
         ...rep,
-        votes: votesWithMergedData
+        votes,
+        votes_page: page
       };
     }));
 
@@ -241,6 +686,10 @@ router.get('/lookup-by-name', async (req, res) => {
     if (!name) {
       return res.status(400).json({ error: 'Name parameter required' });
     }
+    const voteQuery = parseVoteFilters(req.query);
+    if (voteQuery.error) {
+      return res.status(400).json({ error: voteQuery.error });
+    }
 
     const { pool } = require('../db/pool');
     
@@ -261,44 +710,13 @@ router.get('/lookup-by-name', async (req, res) => {
       return res.status(404).json({ error: 'No representatives found with that name' });
     }
 
-    // Get recent votes for each representative
+    // Get recent votes for each representative (first page; use /api/reps/:id?cursor= for more)
     const representatives = await Promise.all(reps.map(async (rep) => {
-      const votesQuery = `
-        SELECT 
-          v.vote,
-          v.vote_date,
-          v.roll_call,
-          v.chamber,
-          v.vote_metadata,
-          v.issue_id,
-          i.canonical_bill_id as bill_id,
-          i.title,
-          i.ai_summary,
-          i.categories
-        FROM votes v
-        LEFT JOIN issues i ON v.issue_id = i.id
-        WHERE v.representative_id = $1
-        ORDER BY v.vote_date DESC, v.roll_call DESC
-        LIMIT 500
-      `;
-      const { rows: votes } = await pool.query(votesQuery, [rep.id]);
-      
-      const votesWithMergedData = votes.map(vote => {
-        const vm = vote.vote_metadata || {};
-        const title = vote.title || vm.vote_title || vm.question || null;
-        return {
-          ...vote,
-          title,
-          ai_summary: vote.ai_summary ? {
-            ...vote.ai_summary,
-            categories: vote.categories || vote.ai_summary.categories || []
-          } : null
-        };
-      });
-      
+      const { votes, page } = await getRepVotesPage(rep.id, voteQuery.filters, { limit: voteQuery.limit, cursor: null });
       return {
         ...rep,
-        votes: votesWithMergedData
+        votes,
+        votes_page: page
       };
     }));
 
@@ -360,14 +778,21 @@ router.get('/representatives/:state/:chamber/:district', async (req, res) => {
   }
 });
 
-// Filter issues by state/district/chamber (optional query params)
+// GET /api/issues — search and filter issues (array body; totals in X-Total-Count / X-Total-Pages)
+// Params: q, category, chamber, congress, from, to, outcome, state, district, sort, page, limit
 router.get('/issues', async (req, res) => {
   try {
-    const { state, district, chamber } = req.query;
-    // Simple pass-through: return latest 50 if no filters
-    let sql = 'SELECT * FROM issues ORDER BY vote_date DESC NULLS LAST, id DESC LIMIT 50';
-    const { rows } = await require('../db/pool').pool.query(sql);
-    res.json(rows);
+    const issueQuery = parseIssueQuery(req.query);
+    if (issueQuery.error) return res.status(400).json({ error: issueQuery.error });
+
+    const { issues, total } = await searchIssues(issueQuery.filters, issueQuery);
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Total-Pages': String(Math.max(1, Math.ceil(total / issueQuery.limit))),
+      'X-Page': String(issueQuery.page),
+      'X-Per-Page': String(issueQuery.limit),
+    });
+    res.json(issues);
   } catch (e) {
     console.error('issues list error:', e);
     res.status(500).json({ error: 'Failed to fetch issues' });
@@ -388,36 +813,12 @@ router.get('/issues/:id', async (req, res) => {
     const issue = issueResult.rows[0] || null;
     if (!issue) return res.status(404).json({ error: 'Issue not found' });
 
-    // One row per representative: keep latest vote when an issue has multiple roll calls (e.g. passage + motion to recommit)
-    const votesResult = await pool.query(
-      `WITH ranked AS (
-         SELECT v.vote, v.vote_date, v.roll_call, v.vote_metadata,
-                r.id AS representative_id, r.name AS representative_name, r.party, r.state, r.district,
-                ROW_NUMBER() OVER (PARTITION BY r.id ORDER BY v.vote_date DESC NULLS LAST, COALESCE(v.roll_number, 0) DESC) AS rn
-         FROM votes v
-         JOIN representatives r ON v.representative_id = r.id
-         WHERE v.issue_id = $1
-       )
-       SELECT vote, vote_date, roll_call, vote_metadata,
-              representative_id, representative_name, party, state, district
-       FROM ranked
-       WHERE rn = 1`,
-      [id]
-    );
-    const votesUnsorted = votesResult.rows || [];
-    const votes = votesUnsorted.sort((a, b) => {
-      if (a.state !== b.state) return (a.state || '').localeCompare(b.state || '');
-      const da = a.district != null ? Number(a.district) : 9999;
-      const db = b.district != null ? Number(b.district) : 9999;
-      if (da !== db) return da - db;
-      return (a.representative_name || '').localeCompare(b.representative_name || '');
-    });
-
-    // Outcome: from any vote's metadata (same for all votes on this issue)
-    let result = null;
-    if (votes.length > 0 && votes[0].vote_metadata && typeof votes[0].vote_metadata === 'object') {
-      result = votes[0].vote_metadata.result || null;
-    }
+    // Every roll call on the issue (rule, amendments, passage, ...), oldest first
+    const rollCalls = buildIssueTimeline(await getIssueVotes(id));
+    // Flat list keeps each member's latest position for callers that predate the timeline
+    const votes = latestMemberVotes(rollCalls);
+    const latest = rollCalls[rollCalls.length - 1];
+    const result = latest ? latest.result : null;
 
     res.json({
       issue: {
@@ -442,7 +843,9 @@ router.get('/issues/:id', async (req, res) => {
         vote_date: v.vote_date,
         roll_call: v.roll_call
       })),
-      result
+      result,
+      tallies: tallyLatestVotes(votes),
+      roll_calls: rollCalls
     });
   } catch (e) {
     console.error('issue detail error:', e);
@@ -450,20 +853,90 @@ router.get('/issues/:id', async (req, res) => {
   }
 });
 
-// Official congressional photo URL (Biographical Directory of the United States Congress)
-function congressPhotoUrl(bioguideId) {
-  if (!bioguideId || typeof bioguideId !== 'string') return null;
-  const id = String(bioguideId).trim();
-  if (!id) return null;
-  const letter = id.charAt(0).toUpperCase();
-  return `https://bioguide.congress.gov/bioguide/photo/${letter}/${id}.jpg`;
-}
+// GET /api/bills/:canonicalId/actions — BILLSTATUS actions on a bill (e.g. hr815-119) and its derived status
+router.get('/bills/:canonicalId/actions', async (req, res) => {
+  try {
+    const canonicalId = String(req.params.canonicalId).trim().toLowerCase();
+    const parsed = parseCanonicalBillId(canonicalId);
+    if (!parsed) return res.status(400).json({ error: 'Invalid bill id (expected e.g. hr815-119)' });
+
+    const actions = await getBillActions(canonicalId);
+    if (actions.length === 0) return res.status(404).json({ error: 'No actions recorded for this bill' });
+
+    res.json({
+      canonical_bill_id: canonicalId,
+      status: deriveBillStatus(actions, parsed.bill_type),
+      actions
+    });
+  } catch (e) {
+    console.error('bill actions error:', e);
+    res.status(500).json({ error: 'Failed to fetch bill actions' });
+  }
+});
+
+// GET /api/rollcalls/:rollCall — one roll call (e.g. house-119-2026-78): question, result, tallies, every member's position
+router.get('/rollcalls/:rollCall', async (req, res) => {
+  try {
+    const rollCall = String(req.params.rollCall).trim().toLowerCase();
+    const parsed = parseRollCallId(rollCall);
+    if (!parsed) return res.status(400).json({ error: 'Invalid roll call id (expected e.g. house-119-2026-78)' });
+
+    const rows = await getRollCallVotes(rollCall);
+    if (rows.length === 0) return res.status(404).json({ error: 'Roll call not found' });
+
+    const first = rows[0];
+    const vm = first.vote_metadata || {};
+    let issue = null;
+    if (first.issue_id != null) {
+      const issueRow = await getIssueById(first.issue_id);
+      if (issueRow) {
+        issue = {
+          id: issueRow.id,
+          title: issueRow.title,
+          canonical_bill_id: issueRow.canonical_bill_id,
+          plain_english_title: issueRow.ai_summary?.plain_english_title || null
+        };
+      }
+    }
+
+    res.json({
+      roll_call: {
+        id: rollCall,
+        chamber: first.chamber || parsed.chamber,
+        congress: first.congress || parsed.congress,
+        session: first.session,
+        roll_number: first.roll_number || parsed.roll_number,
+        vote_date: first.vote_date,
+        question: vm.question || null,
+        vote_title: vm.vote_title || null,
+        motion_family: canonicalizeMotion(vm.question || vm.vote_title).family,
+        result: vm.result || null,
+        issue
+      },
+      ...tallyRollCall(rows),
+      votes: rows.map((v) => ({
+        representative_id: v.representative_id,
+        representative_name: v.representative_name,
+        party: v.party,
+        state: v.state,
+        district: v.district,
+        vote: v.vote
+      }))
+    });
+  } catch (e) {
+    console.error('roll call detail error:', e);
+    res.status(500).json({ error: 'Failed to fetch roll call' });
+  }
+});
 
-// GET /api/reps/:id — single representative with all their votes (for rep detail page)
+// GET /api/reps/:id — single representative with a page of their votes (for rep detail page)
+// Filters: from, to, chamber, vote, motion, category, type; paginate with limit + cursor (page.next_cursor)
 router.get('/reps/:id', async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
+    const voteQuery = parseVoteFilters(req.query);
+    if (voteQuery.error) return res.status(400).json({ error: voteQuery.error });
 
     const { pool } = require('../db/pool');
     const repResult = await pool.query(
@@ -475,33 +948,82 @@ router.get('/reps/:id', async (req, res) => {
     if (!row) return res.status(404).json({ error: 'Representative not found' });
     const rep = { ...row, photo_url: congressPhotoUrl(row.bioguide_id) };
 
-    const votesResult = await pool.query(
-      `SELECT v.vote, v.vote_date, v.roll_call, v.chamber, v.vote_metadata, v.issue_id,
-              i.canonical_bill_id as bill_id, i.title, i.ai_summary, i.categories
-       FROM votes v
-       LEFT JOIN issues i ON v.issue_id = i.id
-       WHERE v.representative_id = $1
-       ORDER BY v.vote_date DESC, v.roll_call DESC
-       LIMIT 500`,
-      [id]
-    );
-    const votes = (votesResult.rows || []).map((v) => {
-      const vm = v.vote_metadata || {};
-      const title = v.title || vm.vote_title || vm.question || null;
-      return {
-        ...v,
-        title,
-        ai_summary: v.ai_summary ? { ...v.ai_summary, categories: v.categories || v.ai_summary.categories || [] } : null
-      };
-    });
+    const { votes, page } = await getRepVotesPage(id, voteQuery.filters, voteQuery);
 
-    res.json({ representative: rep, votes });
+    res.json({ representative: rep, votes, page, filters: voteQuery.filters });
   } catch (e) {
     console.error('rep detail error:', e);
     res.status(500).json({ error: 'Failed to fetch representative' });
   }
 });
 
+// GET /api/reps/:id/stats — attendance, party unity and cross-party agreement, overall and per month
+router.get('/reps/:id/stats', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
+
+    const { pool } = require('../db/pool');
+    const repResult = await pool.query('SELECT id, party FROM representatives WHERE id = $1', [id]);
+    const rep = repResult.rows[0] || null;
+    if (!rep) return res.status(404).json({ error: 'Representative not found' });
+
+    const rollCalls = await getRepRollCallPositions(id, rep.party);
+    const { totals, by_month } = computeVoteStats(rollCalls, rep.party);
+
+    res.json({
+      representative_id: rep.id,
+      party: rep.party,
+      compared_party: otherMajorParty(rep.party),
+      totals,
+      by_month
+    });
+  } catch (e) {
+    console.error('rep stats error:', e);
+    res.status(500).json({ error: 'Failed to compute representative stats' });
+  }
+});
+
+// GET /api/compare?ids=1,2,3 — line up members on shared roll calls, with pairwise agreement
+// Add splits=1 to return only roll calls where the members split yes/no
+router.get('/compare', async (req, res) => {
+  try {
+    const { ids, error } = parseCompareIds(req.query.ids);
+    if (error) return res.status(400).json({ error });
+
+    const { pool } = require('../db/pool');
+    const repResult = await pool.query(
+      `SELECT id, name, party, state, district, chamber, bioguide_id
+       FROM representatives WHERE id = ANY($1::int[])`,
+      [ids]
+    );
+    if (repResult.rows.length !== ids.length) {
+      return res.status(404).json({ error: 'One or more representatives not found' });
+    }
+    // Keep the caller's order
+    const reps = ids.map((id) => repResult.rows.find((r) => r.id === id))
+      .map((r) => ({ ...r, photo_url: congressPhotoUrl(r.bioguide_id) }));
+
+    const [voteRows, issuePositions] = await Promise.all([
+      getSharedRollCallVotes(ids),
+      getLatestIssuePositions(ids)
+    ]);
+    const rollCalls = groupRollCalls(voteRows);
+    const splitsOnly = req.query.splits === '1' || req.query.splits === 'true';
+
+    res.json({
+      representatives: reps,
+      agreement: pairwiseAgreement(reps, rollCalls, issuePositions),
+      shared_roll_calls: rollCalls.length,
+      split_roll_calls: rollCalls.filter((rc) => rc.split).length,
+      roll_calls: splitsOnly ? rollCalls.filter((rc) => rc.split) : rollCalls
+    });
+  } catch (e) {
+    console.error('compare error:', e);
+    res.status(500).json({ error: 'Failed to compare representatives' });
+  }
+});
+
 // GET /api/reps
 router.get("/reps", async (req, res) => {
   try {
@@ -0,0 +1,40 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const { EMBED_CACHE_SECONDS, parseEmbedOptions, embedFrameAncestors, embedCsp, renderRepWidget, renderEmbedMessage } = require("../lib/embed");
+const { getRepFeedVotes } = require("../models/feeds");
+const { getRepById } = require("../models/reps");
+const { BASE_URL } = require("../services/mailer");
+
+// Widget pages for other sites to iframe (lib/embed.js); public/embed.js writes the iframes.
+// app.js keeps the rest of the site from being framed; these pages set their own CSP.
+
+const FRAME_ANCESTORS = embedFrameAncestors(process.env.EMBED_ALLOWED_ORIGINS);
+
+function sendWidget(res, status, html, nonce) {
+  res.status(status);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Security-Policy', embedCsp(nonce, FRAME_ANCESTORS));
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  if (status === 200) res.setHeader('Cache-Control', `public, max-age=${EMBED_CACHE_SECONDS}`);
+  res.send(html);
+}
+
+// GET /embed/reps/:id?theme=auto|light|dark&limit=1-10
+router.get('/reps/:id', async (req, res) => {
+  const { theme, limit } = parseEmbedOptions(req.query);
+  const nonce = crypto.randomBytes(16).toString('base64');
+  try {
+    const id = Number(req.params.id);
+    const rep = Number.isInteger(id) && id > 0 ? await getRepById(id) : null;
+    if (!rep) return sendWidget(res, 404, renderEmbedMessage({ message: 'Representative not found.', theme, nonce }), nonce);
+
+    const votes = await getRepFeedVotes(id, limit);
+    sendWidget(res, 200, renderRepWidget({ rep, votes, theme, nonce, baseUrl: BASE_URL }), nonce);
+  } catch (e) {
+    console.error('Embed error:', e);
+    sendWidget(res, 500, renderEmbedMessage({ message: 'Votes are unavailable right now.', theme, nonce }), nonce);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const { CONTENT_TYPES, VOTE_COLUMNS, ISSUE_COLUMNS, parseExportQuery, writeExport, exportFilename } = require("../lib/exports");
+const { streamVoteExport, streamIssueExport } = require("../models/exports");
+
+// Bulk downloads of votes and issues as CSV or NDJSON (lib/exports.js). Rows are streamed in
+// batches, so an unfiltered export is as cheap in memory as a filtered one.
+
+const EXPORTS = {
+  votes: { columns: VOTE_COLUMNS, stream: streamVoteExport },
+  issues: { columns: ISSUE_COLUMNS, stream: streamIssueExport },
+};
+
+async function handleExport(kind, req, res) {
+  const { filters, format, error } = parseExportQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const { columns, stream } = EXPORTS[kind];
+  try {
+    await writeExport(res, stream(filters), {
+      columns,
+      format,
+      onStart: () => {
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(kind, filters, format)}"`);
+        res.setHeader('Cache-Control', 'no-store');
+      },
+    });
+    res.end();
+  } catch (e) {
+    console.error(`Export ${kind} error:`, e);
+    // Once rows have been sent the status can't change; cut the download short instead
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// GET /api/export/votes?format=csv|ndjson&congress=&chamber=&from=&to=&member=&issue=&vote=&motion=&category=&type=
+router.get('/votes', (req, res) => handleExport('votes', req, res));
+
+// GET /api/export/issues — same params; issues with at least one matching vote
+router.get('/issues', (req, res) => handleExport('issues', req, res));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require("express");
+const router = express.Router();
+const { FEED_ENTRY_LIMIT, FEED_CACHE_SECONDS, CONTENT_TYPES, memberLabel, repVoteItem, rollCallItem, buildAtomFeed, buildCalendar } = require("../lib/feeds");
+const { TOPIC_CATEGORIES } = require("../lib/notifications");
+const { categoryLabel } = require("../lib/digest_email");
+const { getRepFeedVotes, getRollCallFeed } = require("../models/feeds");
+const { getRepById } = require("../models/reps");
+const { getIssueById } = require("../models/issues");
+const { BASE_URL } = require("../services/mailer");
+
+// Atom feeds and .ics calendars of votes (lib/feeds.js), outside /api so readers get stable URLs:
+// /feeds/reps/12.atom, /feeds/issues/7.ics, /feeds/categories/healthcare.atom
+
+const formatOf = (req) => (req.path.endsWith('.ics') ? 'ics' : 'atom');
+
+function sendFeed(req, res, feed) {
+  const format = formatOf(req);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+  res.send(format === 'ics' ? buildCalendar(feed) : buildAtomFeed(feed));
+}
+
+const selfUrl = (req) => `${BASE_URL}/feeds${req.path}`;
+
+// GET /feeds/reps/:id.atom | .ics — the member's latest votes and their position on each
+router.get(['/reps/:id.atom', '/reps/:id.ics'], async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid representative id' });
+    const rep = await getRepById(id);
+    if (!rep) return res.status(404).json({ error: 'Representative not found' });
+
+    const rows = await getRepFeedVotes(id, FEED_ENTRY_LIMIT);
+    sendFeed(req, res, {
+      id: `urn:repwatch:rep:${id}`,
+      title: `${memberLabel(rep)} — votes`,
+      name: `${rep.name} votes`,
+      subtitle: `How ${rep.name} voted, newest first`,
+      selfUrl: selfUrl(req),
+      pageUrl: `${BASE_URL}/reps/${id}`,
+      items: rows.map((row) => repVoteItem(row, rep, BASE_URL)),
+    });
+  } catch (e) {
+    console.error('Rep feed error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /feeds/issues/:id.atom | .ics — roll calls on the bill with their result and totals
+router.get(['/issues/:id.atom', '/issues/:id.ics'], async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+    const issue = await getIssueById(id);
+    if (!issue) return res.status(404).json({ error: 'Issue not found' });
+
+    const title = (issue.ai_summary && issue.ai_summary.plain_english_title) || issue.title || issue.canonical_bill_id || `Issue ${id}`;
+    const rows = await getRollCallFeed({ issueId: id }, FEED_ENTRY_LIMIT);
+    sendFeed(req, res, {
+      id: `urn:repwatch:issue:${id}`,
+      title: `${title} — roll calls`,
+      name: title,
+      selfUrl: selfUrl(req),
+      pageUrl: `${BASE_URL}/issues/${id}`,
+      items: rows.map((row) => rollCallItem(row, BASE_URL)),
+    });
+  } catch (e) {
+    console.error('Issue feed error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /feeds/categories/:category.atom | .ics — roll calls on any issue in the topic
+router.get(['/categories/:category.atom', '/categories/:category.ics'], async (req, res) => {
+  try {
+    const category = String(req.params.category).toLowerCase();
+    if (!TOPIC_CATEGORIES.includes(category)) {
+      return res.status(404).json({ error: `Unknown category (expected one of: ${TOPIC_CATEGORIES.join(', ')})` });
+    }
+
+    const rows = await getRollCallFeed({ category }, FEED_ENTRY_LIMIT);
+    sendFeed(req, res, {
+      id: `urn:repwatch:category:${category}`,
+      title: `${categoryLabel(category)} — roll calls`,
+      name: `${categoryLabel(category)} votes`,
+      selfUrl: selfUrl(req),
+      pageUrl: `${BASE_URL}/`,
+      items: rows.map((row) => rollCallItem(row, BASE_URL)),
+    });
+  } catch (e) {
+    console.error('Category feed error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
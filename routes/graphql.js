@@ -0,0 +1,109 @@
+const express = require("express");
+const router = express.Router();
+const { parse, validate, execute, specifiedRules, getOperationAST, GraphQLError } = require("graphql");
+const { schema } = require("../lib/graphql_schema");
+const {
+  MAX_DEPTH,
+  MAX_COMPLEXITY,
+  MAX_INTROSPECTION_DEPTH,
+  MAX_INTROSPECTION_COMPLEXITY,
+  MAX_QUERY_LENGTH,
+  queryDepth,
+  queryComplexity
+} = require("../lib/graphql_limits");
+const { createLoaders, listRollCallIds } = require("../models/graphql_loaders");
+const { searchReps } = require("../models/reps");
+const { searchIssues } = require("../models/issues");
+const { billExists } = require("../models/bill_subscriptions");
+
+// Read-only GraphQL over members, roll calls, votes, issues and bills (lib/graphql_schema.js).
+// Responses follow GraphQL over HTTP: { data, errors }; requests that never execute get a 400.
+
+function sendErrors(res, status, errors) {
+  res.status(status).json({ errors: errors.map((e) => (e instanceof GraphQLError ? e.toJSON() : { message: e.message })) });
+}
+
+/** Hide database and other internal errors; input errors thrown by resolvers pass through */
+function formatError(error) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    console.error('GraphQL resolver error:', error.originalError);
+    return { message: 'Internal server error', locations: error.locations, path: error.path };
+  }
+  return error.toJSON();
+}
+
+function readRequest(req) {
+  const source = req.method === 'GET' ? req.query : (req.body || {});
+  let variables = source.variables || {};
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (e) {
+      return { error: 'variables must be a JSON object' };
+    }
+  }
+  if (typeof source.query !== 'string' || !source.query.trim()) return { error: 'Missing query' };
+  if (source.query.length > MAX_QUERY_LENGTH) return { error: `Query is longer than ${MAX_QUERY_LENGTH} characters` };
+  return { query: source.query, variables, operationName: source.operationName || undefined };
+}
+
+async function handleGraphQL(req, res) {
+  const request = readRequest(req);
+  if (request.error) return sendErrors(res, 400, [new GraphQLError(request.error)]);
+
+  let document;
+  try {
+    document = parse(request.query);
+  } catch (e) {
+    return sendErrors(res, 400, [e]);
+  }
+  const validationErrors = validate(schema, document, specifiedRules);
+  if (validationErrors.length > 0) return sendErrors(res, 400, validationErrors);
+
+  const operation = getOperationAST(document, request.operationName);
+  if (operation && operation.operation !== 'query') {
+    return sendErrors(res, 400, [new GraphQLError(`Only queries are supported; this API is read-only (got a ${operation.operation})`)]);
+  }
+
+  const depth = queryDepth(document, request.operationName);
+  if (depth > MAX_DEPTH) {
+    return sendErrors(res, 400, [new GraphQLError(`Query depth ${depth} exceeds the limit of ${MAX_DEPTH}`)]);
+  }
+  const complexity = queryComplexity(schema, document, request.variables, request.operationName);
+  if (complexity > MAX_COMPLEXITY) {
+    return sendErrors(res, 400, [new GraphQLError(`Query complexity ${complexity} exceeds the limit of ${MAX_COMPLEXITY}; lower limits or request fewer nested lists`)]);
+  }
+  const introspection = { introspection: true };
+  const introspectionDepth = queryDepth(document, request.operationName, introspection);
+  if (introspectionDepth > MAX_INTROSPECTION_DEPTH) {
+    return sendErrors(res, 400, [new GraphQLError(`Introspection depth ${introspectionDepth} exceeds the limit of ${MAX_INTROSPECTION_DEPTH}`)]);
+  }
+  const introspectionComplexity = queryComplexity(schema, document, request.variables, request.operationName, introspection);
+  if (introspectionComplexity > MAX_INTROSPECTION_COMPLEXITY) {
+    return sendErrors(res, 400, [new GraphQLError(`Introspection complexity ${introspectionComplexity} exceeds the limit of ${MAX_INTROSPECTION_COMPLEXITY}`)]);
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document,
+      variableValues: request.variables,
+      operationName: request.operationName,
+      contextValue: {
+        loaders: createLoaders(),
+        models: { searchReps, searchIssues, billExists, listRollCallIds },
+      },
+    });
+    res.json(result.errors ? { ...result, errors: result.errors.map(formatError) } : result);
+  } catch (e) {
+    console.error('GraphQL error:', e);
+    res.status(500).json({ errors: [{ message: 'Internal server error' }] });
+  }
+}
+
+// GET /api/graphql?query=...&variables=...&operationName=...
+router.get('/', handleGraphQL);
+// POST /api/graphql — body { query, variables?, operationName? }
+router.post('/', handleGraphQL);
+
+module.exports = router;
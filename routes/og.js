@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { parseRollCallId } = require("../lib/tallies");
+const { getRepById } = require("../models/reps");
+const { getRepRollCallVote } = require("../models/votes");
+const { getVoteCard } = require("../services/og_cards");
+const { BASE_URL } = require("../services/mailer");
+
+// PNG share cards for link previews (lib/og_card.js), drawn once and kept on disk
+// (services/og_cards.js). Member pages shared as /reps/:id?vote=:rollCall use them as og:image.
+
+const OG_CACHE_SECONDS = 24 * 60 * 60;
+
+// GET /og/reps/:id/votes/:rollCall.png — the member's photo, name, position and the bill title
+router.get('/reps/:id/votes/:rollCall.png', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid representative id' });
+    const rollCall = String(req.params.rollCall).trim().toLowerCase();
+    if (!parseRollCallId(rollCall)) return res.status(400).json({ error: 'Invalid roll call id (expected e.g. house-119-2026-78)' });
+
+    const rep = await getRepById(id);
+    if (!rep) return res.status(404).json({ error: 'Representative not found' });
+    const vote = await getRepRollCallVote(id, rollCall);
+    if (!vote) return res.status(404).json({ error: 'No vote by this member on that roll call' });
+
+    const png = await getVoteCard(rep, vote, BASE_URL);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', `public, max-age=${OG_CACHE_SECONDS}`);
+    res.send(png);
+  } catch (e) {
+    console.error('Share card error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
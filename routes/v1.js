@@ -0,0 +1,217 @@
+const express = require("express");
+const router = express.Router();
+const { searchReps, getRepById } = require("../models/reps");
+const { searchIssues, getIssueById } = require("../models/issues");
+const { getRepVotesPage, getRollCallVotes, getIssueVotes } = require("../models/votes");
+const { getApiKeyByHash, recordApiKeyUsage, getApiKeyUsage } = require("../models/api_keys");
+const { hashApiKey, readApiKey, createRateLimiter } = require("../lib/api_keys");
+const {
+  apiError,
+  parseMemberQuery,
+  pageMeta,
+  memberResource,
+  memberVoteResource,
+  issueResource,
+  positionResource,
+} = require("../lib/api_v1");
+const { parseVoteFilters } = require("../lib/vote_filters");
+const { parseIssueQuery } = require("../lib/issue_filters");
+const { parseRollCallId, tallyRollCall } = require("../lib/tallies");
+const { canonicalizeMotion } = require("../lib/motion_normalizer");
+const { buildIssueTimeline } = require("../lib/issue_timeline");
+
+// Public, versioned API for partners. Every request needs an issued key (scripts/manage_api_keys.js);
+// responses are { data, meta? } and errors { error: { code, message } }.
+
+const limiter = createRateLimiter();
+
+function sendError(res, code, message) {
+  const { status, body } = apiError(code, message);
+  res.status(status).json(body);
+}
+
+// Keys are sent server-to-server or from partner sites, so allow any origin
+router.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Headers', 'Authorization, X-API-Key, Content-Type');
+  res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+
+// Authenticate, apply the per-minute limit, then count the request against the daily quota
+router.use(async (req, res, next) => {
+  try {
+    const key = readApiKey(req.headers);
+    if (!key) return sendError(res, 'unauthorized', 'Missing API key: send Authorization: Bearer <key> or X-API-Key');
+    const apiKey = await getApiKeyByHash(hashApiKey(key));
+    if (!apiKey) return sendError(res, 'unauthorized', 'Invalid or revoked API key');
+
+    const rate = limiter.hit(apiKey.id, apiKey.rate_limit_per_minute);
+    res.set({
+      'X-RateLimit-Limit': String(rate.limit),
+      'X-RateLimit-Remaining': String(rate.remaining),
+      'X-RateLimit-Reset': String(rate.reset),
+    });
+    if (!rate.allowed) {
+      res.set('Retry-After', String(Math.max(1, rate.reset - Math.floor(Date.now() / 1000))));
+      return sendError(res, 'rate_limited', `Rate limit of ${rate.limit} requests per minute exceeded`);
+    }
+
+    const today = await recordApiKeyUsage(apiKey.id);
+    if (today > apiKey.daily_quota) {
+      return sendError(res, 'quota_exceeded', `Daily quota of ${apiKey.daily_quota} requests exceeded; resets at 00:00 UTC`);
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (e) {
+    console.error('API key check error:', e);
+    sendError(res, 'internal_error', 'Failed to check API key');
+  }
+});
+
+// GET /api/v1/usage — the calling key's limits and requests per day (last 30 days)
+router.get('/usage', async (req, res) => {
+  try {
+    const k = req.apiKey;
+    res.json({
+      data: {
+        name: k.name,
+        key_prefix: k.key_prefix,
+        rate_limit_per_minute: k.rate_limit_per_minute,
+        daily_quota: k.daily_quota,
+        days: await getApiKeyUsage(k.id, 30),
+      },
+    });
+  } catch (e) {
+    console.error('v1 usage error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch usage');
+  }
+});
+
+// GET /api/v1/members — params: state, chamber, party, page, limit
+router.get('/members', async (req, res) => {
+  try {
+    const query = parseMemberQuery(req.query);
+    if (query.error) return sendError(res, 'invalid_request', query.error);
+    const { reps, total } = await searchReps(query.filters, query);
+    res.json({ data: reps.map(memberResource), meta: pageMeta(query.page, query.limit, total) });
+  } catch (e) {
+    console.error('v1 members error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch members');
+  }
+});
+
+// GET /api/v1/members/:id
+router.get('/members/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return sendError(res, 'invalid_request', 'Invalid member id');
+    const rep = await getRepById(id);
+    if (!rep) return sendError(res, 'not_found', 'Member not found');
+    res.json({ data: memberResource(rep) });
+  } catch (e) {
+    console.error('v1 member error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch member');
+  }
+});
+
+// GET /api/v1/members/:id/votes — newest first; filters as /api/reps/:id; paginate with limit + cursor
+router.get('/members/:id/votes', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return sendError(res, 'invalid_request', 'Invalid member id');
+    const voteQuery = parseVoteFilters(req.query);
+    if (voteQuery.error) return sendError(res, 'invalid_request', voteQuery.error);
+    const rep = await getRepById(id);
+    if (!rep) return sendError(res, 'not_found', 'Member not found');
+    const { votes, page } = await getRepVotesPage(id, voteQuery.filters, voteQuery);
+    res.json({ data: votes.map(memberVoteResource), meta: page });
+  } catch (e) {
+    console.error('v1 member votes error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch votes');
+  }
+});
+
+// GET /api/v1/rollcalls/:rollCall — e.g. house-119-2026-78: question, result, tallies, every member's vote
+router.get('/rollcalls/:rollCall', async (req, res) => {
+  try {
+    const rollCall = String(req.params.rollCall).trim().toLowerCase();
+    const parsed = parseRollCallId(rollCall);
+    if (!parsed) return sendError(res, 'invalid_request', 'Invalid roll call id (expected e.g. house-119-2026-78)');
+    const rows = await getRollCallVotes(rollCall);
+    if (rows.length === 0) return sendError(res, 'not_found', 'Roll call not found');
+
+    const first = rows[0];
+    const vm = first.vote_metadata || {};
+    const issue = first.issue_id != null ? await getIssueById(first.issue_id) : null;
+    const { totals, by_party } = tallyRollCall(rows);
+    res.json({
+      data: {
+        id: rollCall,
+        chamber: first.chamber || parsed.chamber,
+        congress: first.congress || parsed.congress,
+        session: first.session ?? null,
+        roll_number: first.roll_number || parsed.roll_number,
+        vote_date: first.vote_date,
+        question: vm.question || null,
+        motion_family: canonicalizeMotion(vm.question || vm.vote_title).family,
+        result: vm.result || null,
+        issue: issue ? issueResource(issue) : null,
+        totals,
+        by_party,
+        votes: rows.map(positionResource),
+      },
+    });
+  } catch (e) {
+    console.error('v1 roll call error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch roll call');
+  }
+});
+
+// GET /api/v1/issues — params as /api/issues (q, category, chamber, congress, from, to, outcome, state, district, sort, page, limit)
+router.get('/issues', async (req, res) => {
+  try {
+    const issueQuery = parseIssueQuery(req.query);
+    if (issueQuery.error) return sendError(res, 'invalid_request', issueQuery.error);
+    const { issues, total } = await searchIssues(issueQuery.filters, issueQuery);
+    res.json({ data: issues.map(issueResource), meta: pageMeta(issueQuery.page, issueQuery.limit, total) });
+  } catch (e) {
+    console.error('v1 issues error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch issues');
+  }
+});
+
+// GET /api/v1/issues/:id — issue plus every roll call on it, oldest first
+router.get('/issues/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return sendError(res, 'invalid_request', 'Invalid issue id');
+    const issue = await getIssueById(id);
+    if (!issue) return sendError(res, 'not_found', 'Issue not found');
+    const rollCalls = buildIssueTimeline(await getIssueVotes(id));
+    const latest = rollCalls[rollCalls.length - 1];
+    res.json({
+      data: {
+        ...issueResource({ ...issue, outcome: latest ? latest.outcome : null }),
+        roll_calls: rollCalls.map((rc) => ({
+          id: rc.roll_call,
+          chamber: rc.chamber,
+          vote_date: rc.vote_date,
+          question: rc.question,
+          motion_family: rc.motion_family,
+          result: rc.result,
+          totals: rc.tallies.totals,
+          votes: rc.votes.map(positionResource),
+        })),
+      },
+    });
+  } catch (e) {
+    console.error('v1 issue error:', e);
+    sendError(res, 'internal_error', 'Failed to fetch issue');
+  }
+});
+
+router.use((req, res) => sendError(res, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+
+module.exports = router;
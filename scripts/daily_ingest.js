@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 /**
- * Full daily pipeline: House votes → real bill titles (Congress.gov) → AI summaries.
+ * Full daily pipeline: House and Senate votes → bill actions (GovInfo BILLSTATUS, for bill
+ * follow updates) → real bill titles (Congress.gov) → AI summaries.
  * Run once per day (e.g. via cron, Render cron job, or GitHub Actions).
  *
  * Requires: DATABASE_URL, CONGRESS_API_KEY, and LLM config for summaries.
@@ -8,7 +9,7 @@
  * Usage:
  *   node scripts/daily_ingest.js
  *   node scripts/daily_ingest.js --year=2026
- *   node scripts/daily_ingest.js --votes-only   # skip titles and AI summaries
+ *   node scripts/daily_ingest.js --votes-only   # skip bill actions, titles and AI summaries
  *
  * Schedule (cron, daily at 6 AM UTC):
  *   0 6 * * * cd /path/to/RepWatch && node scripts/daily_ingest.js
@@ -47,12 +48,16 @@ try {
     process.exit(0);
   }
 
-  // Step 3: Fetch real bill titles and CRS summaries from Congress.gov (required for display)
-  console.log('\n━━━ Step 3: Bill titles (Congress.gov) ━━━\n');
+  // Step 3: Store new BILLSTATUS actions; the digest tells bill followers about them
+  console.log('\n━━━ Step 3: Bill actions (GovInfo) ━━━\n');
+  run('ingest_bill_actions.js');
+
+  // Step 4: Fetch real bill titles and CRS summaries from Congress.gov (required for display)
+  console.log('\n━━━ Step 4: Bill titles (Congress.gov) ━━━\n');
   run('fetch_bill_summaries.js', '--new --limit=50');
 
-  // Step 4: Generate AI summaries for issues that don't have one yet
-  console.log('\n━━━ Step 4: AI summaries ━━━\n');
+  // Step 5: Generate AI summaries for issues that don't have one yet
+  console.log('\n━━━ Step 5: AI summaries ━━━\n');
   run('generate_ai_summaries_for_votes.js', '--limit=50');
 
   console.log('\n✅ Daily ingest finished successfully.\n');
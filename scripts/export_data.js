@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Dump votes (joined with members and issues) or issues as CSV or NDJSON.
+ *
+ * Usage:
+ *   node scripts/export_data.js votes [--format=csv|ndjson] [--out=votes.csv] [filters]
+ *   node scripts/export_data.js issues [--format=csv|ndjson] [--out=issues.csv] [filters]
+ *
+ * Filters (same as GET /api/export/votes): --congress=119 --chamber=house|senate
+ *   --from=YYYY-MM-DD --to=YYYY-MM-DD --member=<representative id> --issue=<issue id>
+ *   --vote=yes,no --motion="On Passage" --category=healthcare --type=issue|procedural
+ *
+ * Writes to stdout unless --out is given. Rows are read in batches, so large exports
+ * don't need much memory.
+ */
+
+// db/pool logs connection details with console.log; keep stdout for the data
+console.log = console.error;
+
+require('dotenv').config();
+const fs = require('fs');
+const { pool } = require('../db/pool');
+const { VOTE_COLUMNS, ISSUE_COLUMNS, parseExportQuery, writeExport } = require('../lib/exports');
+const { streamVoteExport, streamIssueExport } = require('../models/exports');
+
+const EXPORTS = {
+  votes: { columns: VOTE_COLUMNS, stream: streamVoteExport },
+  issues: { columns: ISSUE_COLUMNS, stream: streamIssueExport },
+};
+
+const [kind, ...args] = process.argv.slice(2);
+
+async function main() {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z]+)=(.*)$/);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    flags[match[1]] = match[2];
+  }
+  if (!EXPORTS[kind]) throw new Error('Usage: export_data.js votes|issues [--format=csv|ndjson] [--out=file] [filters] (see the header of this file)');
+  const { filters, format, error } = parseExportQuery(flags);
+  if (error) throw new Error(error);
+
+  const out = flags.out ? fs.createWriteStream(flags.out) : process.stdout;
+  const { columns, stream } = EXPORTS[kind];
+  const count = await writeExport(out, stream(filters), { columns, format });
+  if (flags.out) await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+  console.error(`Exported ${count} ${kind}${flags.out ? ` to ${flags.out}` : ''}`);
+}
+
+main()
+  .then(() => pool.end())
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
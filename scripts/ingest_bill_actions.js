@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Persist BILLSTATUS actions into bill_actions so /api/bills/:canonicalId/actions
+ * can show what happened to a bill after the vote.
+ *
+ * By default downloads BILLSTATUS XML from GovInfo bulk data for issues that have a
+ * canonical bill id, into data/bill_texts/, then indexes and stores every action.
+ *
+ * Usage: node scripts/ingest_bill_actions.js [--limit=N] [--dir=data/bill_texts/] [--no-download]
+ *   --dir          Directory of BILLSTATUS XML files (default data/bill_texts/)
+ *   --no-download  Only index files already in --dir
+ *   --limit        Max issues to download for (default 200, most recent first)
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const fetch = require('node-fetch');
+const { pool } = require('../db/pool');
+const BillStatusIndex = require('../services/billstatus_index');
+const { billKeyToCanonicalId } = require('../lib/vote_keys');
+const { parseCanonicalBillId } = require('../lib/bill_status');
+const { upsertBillActions } = require('../models/bill_actions');
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : null;
+};
+const DIR = argValue('dir') || path.join(__dirname, '..', 'data', 'bill_texts');
+const LIMIT = parseInt(argValue('limit') || '200', 10);
+const download = !args.includes('--no-download');
+
+function billStatusUrl({ congress, bill_type, bill_number }) {
+  return `https://www.govinfo.gov/bulkdata/BILLSTATUS/${congress}/${bill_type}/BILLSTATUS-${congress}${bill_type}${bill_number}.xml`;
+}
+
+async function downloadBillStatus() {
+  const { rows } = await pool.query(
+    `SELECT canonical_bill_id
+     FROM issues
+     WHERE canonical_bill_id IS NOT NULL
+     ORDER BY vote_date DESC NULLS LAST, id DESC
+     LIMIT $1`,
+    [LIMIT]
+  );
+  await fs.mkdir(DIR, { recursive: true });
+
+  let saved = 0;
+  for (const { canonical_bill_id } of rows) {
+    const parsed = parseCanonicalBillId(canonical_bill_id);
+    if (!parsed) continue; // e.g. senate-roll:* nominations have no BILLSTATUS
+    try {
+      const res = await fetch(billStatusUrl(parsed), { headers: { Accept: 'application/xml' } });
+      if (!res.ok) {
+        console.warn(`⚠ ${canonical_bill_id}: GovInfo returned ${res.status}`);
+        continue;
+      }
+      const file = path.join(DIR, `BILLSTATUS-${parsed.congress}${parsed.bill_type}${parsed.bill_number}.xml`);
+      await fs.writeFile(file, await res.text(), 'utf8');
+      saved++;
+      await new Promise((r) => setTimeout(r, 250));
+    } catch (err) {
+      console.error(`✗ ${canonical_bill_id}: ${err.message}`);
+    }
+  }
+  console.log(`Downloaded ${saved}/${rows.length} BILLSTATUS files to ${DIR}\n`);
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════╗');
+  console.log('║   INGEST BILL ACTIONS (BILLSTATUS)                 ║');
+  console.log('╚════════════════════════════════════════════════════╝\n');
+
+  try {
+    if (download) await downloadBillStatus();
+
+    const index = new BillStatusIndex();
+    await index.indexDirectory(DIR);
+
+    let bills = 0;
+    let inserted = 0;
+    for (const billKey of index.getBillKeys()) {
+      const canonicalId = billKeyToCanonicalId(billKey);
+      inserted += await upsertBillActions(canonicalId, index.getActions(billKey));
+      bills++;
+    }
+
+    console.log(`\nDone: ${inserted} new actions across ${bills} bills.\n`);
+  } catch (err) {
+    console.error('Fatal:', err);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -9,6 +9,8 @@
  *   node scripts/ingest_house_votes.js --year 2026 --all (fetch all available for that year)
  *   node scripts/ingest_house_votes.js --catch-up (catch up 2025 + 2026 to today, then ensure issues)
  *   node scripts/ingest_house_votes.js --year 2025 --start-roll 200 --count 50
+ *
+ * New votes trigger instant alerts for subscribers (services/instant_alerts.js) unless --no-alerts.
  */
 
 require('dotenv').config();
@@ -16,6 +18,7 @@ const fetch = require('node-fetch');
 const { pool } = require('../db/pool');
 const { parseEVSXML } = require('../services/evs_house_reader');
 const { normalizeBillToken } = require('../services/bill_normalize');
+const { sendInstantAlerts } = require('../services/instant_alerts');
 
 const CURRENT_YEAR = new Date().getFullYear();
 
@@ -26,6 +29,7 @@ const startRollArg = args.find(arg => arg.startsWith('--start-roll='));
 const countArg = args.find(arg => arg.startsWith('--count='));
 const allFlag = args.includes('--all');
 const catchUpFlag = args.includes('--catch-up');
+const noAlertsFlag = args.includes('--no-alerts');
 
 const YEAR = yearArg ? parseInt(yearArg.split('=')[1]) : CURRENT_YEAR;
 const CONGRESS = YEAR >= 2025 ? 119 : 118;
@@ -394,6 +398,15 @@ async function ingestVotesForYear(year) {
   console.log(`   Latest vote_date in DB for ${year}: ${latestDateAfter || 'none'}\n`);
 }
 
+/** Alert failures are logged but never fail the ingest */
+async function sendInstantAlertsSafely() {
+  try {
+    await sendInstantAlerts();
+  } catch (err) {
+    console.error('⚠️  Instant alerts failed:', err.message);
+  }
+}
+
 /**
  * Main: catch-up (multiple years) or single-year ingestion, then ensure issues.
  */
@@ -417,6 +430,7 @@ async function main() {
       await ingestVotesForYear(YEAR);
       await ensureIssuesFromVotes();
     }
+    if (!noAlertsFlag) await sendInstantAlertsSafely();
     console.log('✅ Ingest complete.\n');
   } catch (err) {
     console.error('Fatal error:', err);
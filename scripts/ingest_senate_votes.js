@@ -15,6 +15,8 @@
  *   node scripts/ingest_senate_votes.js --year=2025 --count=100  # fetch latest 100 for 2025
  *   node scripts/ingest_senate_votes.js --catch-up               # catch up 2025 + 2026
  *   node scripts/ingest_senate_votes.js --year=2026 --start-roll=50 --count=10
+ *
+ * New votes trigger instant alerts for subscribers (services/instant_alerts.js) unless --no-alerts.
  */
 
 require('dotenv').config();
@@ -22,6 +24,7 @@ const fetch = require('node-fetch');
 const { pool } = require('../db/pool');
 const { parseSenateXML } = require('../services/senate_votes_reader');
 const { normalizeBillToken } = require('../services/bill_normalize');
+const { sendInstantAlerts } = require('../services/instant_alerts');
 
 const CURRENT_YEAR = new Date().getFullYear();
 
@@ -31,6 +34,7 @@ const startArg   = args.find(a => a.startsWith('--start-roll='));
 const countArg   = args.find(a => a.startsWith('--count='));
 const allFlag    = args.includes('--all');
 const catchUpFlag = args.includes('--catch-up');
+const noAlertsFlag = args.includes('--no-alerts');
 
 const YEAR       = yearArg  ? parseInt(yearArg.split('=')[1])  : CURRENT_YEAR;
 const START_ROLL = startArg ? parseInt(startArg.split('=')[1]) : null;
@@ -484,6 +488,15 @@ async function ingestVotesForYear(year) {
 
 // ─── Main ───────────────────────────────────────────────────────────────────────
 
+/** Alert failures are logged but never fail the ingest */
+async function sendInstantAlertsSafely() {
+  try {
+    await sendInstantAlerts();
+  } catch (err) {
+    console.error('⚠️  Instant alerts failed:', err.message);
+  }
+}
+
 async function main() {
   try {
     if (catchUpFlag) {
@@ -505,6 +518,7 @@ async function main() {
       await ingestVotesForYear(YEAR);
       await ensureIssuesFromVotes();
     }
+    if (!noAlertsFlag) await sendInstantAlertsSafely();
     console.log('✅ Senate ingest complete.\n');
   } catch (err) {
     console.error('Fatal error:', err);
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Issue, list and revoke keys for the public API (/api/v1).
+ *
+ * Usage:
+ *   node scripts/manage_api_keys.js create --name="Acme Civic" [--email=dev@acme.org] [--rate-limit=60] [--daily-quota=10000]
+ *   node scripts/manage_api_keys.js list
+ *   node scripts/manage_api_keys.js revoke --prefix=rw_4f9c2a1b
+ *
+ * The full key is printed once by `create`; only its hash is stored.
+ */
+
+require('dotenv').config();
+const { pool } = require('../db/pool');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../models/api_keys');
+const { DEFAULT_RATE_LIMIT_PER_MINUTE, DEFAULT_DAILY_QUOTA } = require('../lib/api_keys');
+
+const [command, ...args] = process.argv.slice(2);
+const argValue = (name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+function positiveInt(name, fallback) {
+  const raw = argValue(name);
+  if (raw == null) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--${name} must be a positive integer`);
+  return n;
+}
+
+async function main() {
+  if (command === 'create') {
+    const name = argValue('name');
+    if (!name) throw new Error('--name is required');
+    const { key, apiKey } = await createApiKey({
+      name,
+      contactEmail: argValue('email'),
+      rateLimitPerMinute: positiveInt('rate-limit', DEFAULT_RATE_LIMIT_PER_MINUTE),
+      dailyQuota: positiveInt('daily-quota', DEFAULT_DAILY_QUOTA),
+    });
+    console.log(`Created key ${apiKey.key_prefix} for ${apiKey.name} (${apiKey.rate_limit_per_minute}/min, ${apiKey.daily_quota}/day)`);
+    console.log(`Key (shown once): ${key}`);
+  } else if (command === 'list') {
+    for (const k of await listApiKeys()) {
+      console.log(
+        `${k.key_prefix}  ${k.name}${k.contact_email ? ` <${k.contact_email}>` : ''}  ` +
+        `${k.rate_limit_per_minute}/min  ${k.requests_today}/${k.daily_quota} today` +
+        (k.revoked_at ? '  REVOKED' : '')
+      );
+    }
+  } else if (command === 'revoke') {
+    const prefix = argValue('prefix');
+    if (!prefix) throw new Error('--prefix is required');
+    console.log(`Revoked ${await revokeApiKey(prefix)} key(s)`);
+  } else {
+    throw new Error('Usage: manage_api_keys.js create|list|revoke (see the header of this file)');
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
@@ -1,299 +1,255 @@
 #!/usr/bin/env node
 /**
- * Step 3: Weekly digest notification job.
- * For each subscriber, fetches the actual last 5 House votes for their subscribed reps,
- * builds one email per user, sends via Resend (idempotent by digest:userId:date).
+ * Step 3: Digest notification job (run daily).
+ * Batches each subscriber's reps, followed bills and followed topics by cadence (daily / weekly),
+ * picks the votes they asked to hear about (new votes, missed votes, votes against party, bills
+ * they follow), the new roll calls, actions and status changes on followed bills, and the new roll
+ * calls in followed topics that haven't been sent yet, and sends one email per user per cadence
+ * through the configured email transport (services/email_transport.js).
+ * Idempotent by digest:{frequency}:{userId}:{date}; every vote sent is recorded in
+ * notification_events so it is never sent twice. Only confirmed (double opt-in) addresses
+ * are mailed; sign-ups left unconfirmed past the link lifetime are deleted first.
  *
  * Run: node scripts/send_daily_digest.js
- * Env: DATABASE_URL, RESEND_API_KEY. Optional: NOTIFICATION_BASE_URL, FROM_EMAIL.
+ * Env: DATABASE_URL, plus RESEND_API_KEY or SMTP_URL (or EMAIL_TRANSPORT=file to write .eml
+ * files to EMAIL_OUTBOX_DIR). Optional: NOTIFICATION_BASE_URL, FROM_EMAIL.
  */
 require('dotenv').config();
-const { Resend } = require('resend');
 const { pool } = require('../db/pool');
+const { getAlertVotes, getSentEventKeys } = require('../models/notifications');
+const { getSubscriptions } = require('../models/subscriptions');
+const { getFollowedIssueIds, getBillUpdates } = require('../models/bill_subscriptions');
+const { getCategoryRollCalls } = require('../models/category_subscriptions');
+const { billUpdateKeys, pendingBillUpdates } = require('../lib/bill_updates');
+const { topicEventKey, pendingTopicUpdates } = require('../lib/topic_updates');
+const {
+  LOOKBACK_DAYS,
+  selectVoteEvents,
+  voteEventKey,
+  digestEventKey,
+  listUnsubscribeHeaders,
+  isDigestDue,
+} = require('../lib/notifications');
+const { CONFIRM_TOKEN_TTL_HOURS } = require('../lib/email_tokens');
+const { htmlDigest, digestSubject, repSection } = require('../lib/digest_email');
+const mailer = require('../services/mailer');
 
-const FROM_EMAIL = process.env.FROM_EMAIL || 'RepWatch <updates@updates.repwatch.co>';
-const BASE_URL = (process.env.NOTIFICATION_BASE_URL || 'https://repwatch.co').replace(/\/$/, '');
-const MAX_VOTES_PER_EMAIL = 5;
+const BASE_URL = mailer.BASE_URL;
+const MAX_VOTES_PER_REP = 10;
 
-/** List of { user_id, email, unsub_token, rep_ids: number[] } for active subscribers */
-async function getSubscribersWithReps() {
+/** Delete users who never confirmed their address (subscriptions cascade); returns the count */
+async function expireUnconfirmedUsers() {
   const r = await pool.query(
-    `SELECT rs.user_id, rs.representative_id, u.email, u.unsub_token
-     FROM rep_subscriptions rs
-     JOIN users u ON u.id = rs.user_id
-     WHERE rs.paused_at IS NULL`
+    `DELETE FROM users
+     WHERE email_verified_at IS NULL
+       AND COALESCE(verification_sent_at, created_at) < now() - ($1::int * interval '1 hour')`,
+    [CONFIRM_TOKEN_TTL_HOURS]
   );
-  const byUser = new Map();
-  for (const row of r.rows) {
-    if (!byUser.has(row.user_id)) {
-      byUser.set(row.user_id, { user_id: row.user_id, email: row.email, unsub_token: row.unsub_token, rep_ids: [] });
-    }
-    byUser.get(row.user_id).rep_ids.push(row.representative_id);
-  }
-  return [...byUser.values()];
+  return r.rowCount;
 }
 
-/** Per-rep: last 5 votes by date (any chamber), deduped by bill_id + vote_date. Returns { rep_id, rep_name, state, district, chamber, party, votes }[]. */
-async function getLast5VotesPerRep(repIds) {
-  if (repIds.length === 0) return [];
-  const result = await pool.query(
-    `SELECT v.id AS vote_id, v.representative_id, v.vote_date, v.vote, v.roll_call, v.issue_id, v.vote_metadata,
-            i.title AS issue_title, i.canonical_bill_id, i.bill_summary, i.ai_summary, i.description AS issue_description,
-            r.name AS rep_name, r.state AS rep_state, r.district AS rep_district, r.party AS rep_party,
-            r.chamber AS rep_chamber
-     FROM votes v
-     LEFT JOIN issues i ON v.issue_id = i.id
-     JOIN representatives r ON v.representative_id = r.id
-     WHERE v.representative_id = ANY($1::int[])
-     ORDER BY v.representative_id, v.vote_date DESC NULLS LAST, v.id DESC`,
-    [repIds]
+/**
+ * Active daily / weekly rep subscriptions, bill follows and topic follows of confirmed users
+ * (instant rep subscriptions are alerted at ingestion by services/instant_alerts.js), grouped
+ * into one batch per user and cadence:
+ * { user_id, email, unsub_token, frequency, subs: [{ representative_id, event_types }],
+ *   bills: [{ canonical_bill_id, followed_at }], topics: [{ category, state, district, followed_at }] }[]
+ */
+async function getDigestBatches() {
+  const reps = await pool.query(
+    `SELECT rs.user_id, rs.representative_id, rs.frequency, rs.event_types, u.email, u.unsub_token
+     FROM rep_subscriptions rs
+     JOIN users u ON u.id = rs.user_id
+     WHERE rs.paused_at IS NULL
+       AND rs.frequency IN ('daily', 'weekly')
+       AND u.email_verified_at IS NOT NULL`
   );
-  const byRep = new Map();
-  for (const row of result.rows) {
-    const repId = row.representative_id;
-    if (!byRep.has(repId)) {
-      byRep.set(repId, {
-        rep_id: repId,
-        rep_name: row.rep_name,
-        state: row.rep_state,
-        district: row.rep_district,
-        chamber: row.rep_chamber,
-        party: row.rep_party,
-        votes: [],
-        seenKeys: new Set(),
-      });
+  const bills = await pool.query(
+    `SELECT bs.user_id, bs.canonical_bill_id, bs.frequency, bs.created_at, u.email, u.unsub_token
+     FROM bill_subscriptions bs
+     JOIN users u ON u.id = bs.user_id
+     WHERE bs.paused_at IS NULL
+       AND bs.frequency IN ('daily', 'weekly')
+       AND u.email_verified_at IS NOT NULL`
+  );
+  const topics = await pool.query(
+    `SELECT cs.user_id, cs.category, cs.state, cs.district, cs.frequency, cs.created_at, u.email, u.unsub_token
+     FROM category_subscriptions cs
+     JOIN users u ON u.id = cs.user_id
+     WHERE cs.paused_at IS NULL
+       AND cs.frequency IN ('daily', 'weekly')
+       AND u.email_verified_at IS NOT NULL
+     ORDER BY cs.category`
+  );
+  const batches = new Map();
+  const batchFor = (row) => {
+    const key = `${row.user_id}:${row.frequency}`;
+    if (!batches.has(key)) {
+      batches.set(key, { user_id: row.user_id, email: row.email, unsub_token: row.unsub_token, frequency: row.frequency, subs: [], bills: [], topics: [] });
     }
-    const rec = byRep.get(repId);
-    const billKey = `${row.canonical_bill_id || row.issue_id || row.roll_call || row.vote_id}_${row.vote_date}`;
-    if (rec.seenKeys.has(billKey)) continue;
-    rec.seenKeys.add(billKey);
-    if (rec.votes.length < MAX_VOTES_PER_EMAIL) rec.votes.push(row);
+    return batches.get(key);
+  };
+  for (const row of reps.rows) {
+    batchFor(row).subs.push({ representative_id: row.representative_id, event_types: row.event_types });
   }
-  return [...byRep.values()].map(({ seenKeys, ...rest }) => rest);
-}
-
-function formatDate(voteDate) {
-  if (!voteDate) return '—';
-  const d = new Date(voteDate);
-  if (isNaN(d.getTime())) return '—';
-  const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-  return `${months[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()}`;
+  for (const row of bills.rows) {
+    batchFor(row).bills.push({ canonical_bill_id: row.canonical_bill_id, followed_at: row.created_at });
+  }
+  for (const row of topics.rows) {
+    batchFor(row).topics.push({ category: row.category, state: row.state, district: row.district, followed_at: row.created_at });
+  }
+  return [...batches.values()];
 }
 
-function voteLabel(vote) {
-  if (!vote) return '—';
-  const v = String(vote).toLowerCase();
-  if (v === 'yes') return 'Yes';
-  if (v === 'no') return 'No';
-  if (v === 'present' || v === 'abstain') return 'Present';
-  return vote;
+/** When the user's last digest at this cadence went out, or null */
+async function getLastDigestSentAt(userId, frequency) {
+  const r = await pool.query(
+    `SELECT MAX(sent_at) AS sent_at FROM notification_events WHERE user_id = $1 AND event_type = $2`,
+    [userId, `${frequency}_digest`]
+  );
+  return r.rows[0]?.sent_at || null;
 }
 
-/** Inline style for vote (green YES, red NO, default for Present/other) */
-function voteStyle(vote) {
-  const v = String(vote).toLowerCase();
-  if (v === 'yes') return 'color:#059669; font-weight:700;';
-  if (v === 'no') return 'color:#dc2626; font-weight:700;';
-  return 'font-weight:600; color:#374151;';
-}
+/**
+ * One section per subscribed rep with the unsent votes matching that subscription's event types.
+ * Returns { rep_id, rep_name, state, district, chamber, party, votes, more, pending }[]; votes is capped for display.
+ */
+async function buildRepSections(batch) {
+  const repIds = batch.subs.map((s) => s.representative_id);
+  const votesByRep = await getAlertVotes(repIds, { lookbackDays: LOOKBACK_DAYS[batch.frequency] });
+  const followedIssueIds = await getFollowedIssueIds(batch.user_id);
 
-function repSubtitle(section) {
-  const parts = [];
-  if (section.state) parts.push(section.state);
-  if (section.chamber === 'senate') {
-    parts.push('Senator');
-  } else if (section.district != null && section.district !== '' && section.district !== 0) {
-    parts.push(`District ${section.district}`);
+  const sections = [];
+  for (const sub of batch.subs) {
+    const rows = votesByRep.get(sub.representative_id) || [];
+    if (rows.length === 0) continue;
+    const candidates = selectVoteEvents(rows, sub.event_types, followedIssueIds)
+      .map((v) => ({ ...v, event_key: voteEventKey(v.roll_call, v.representative_id, batch.user_id) }));
+    const sent = await getSentEventKeys(candidates.map((v) => v.event_key));
+    const pending = candidates.filter((v) => !sent.has(v.event_key));
+    if (pending.length === 0) continue;
+    sections.push(repSection(sub.representative_id, rows, pending, MAX_VOTES_PER_REP));
   }
-  const loc = parts.length ? parts.join(' ') : '';
-  if (section.party && String(section.party).trim()) return loc ? `${loc} • ${section.party}` : section.party;
-  return loc || '';
+  return sections;
 }
 
-const EMAIL_TITLE_MAX = 72;
-
-/** Bill title: prefer AI plain-English, else issue title, vote_title (senate), question, or bill ID */
-function billTitle(v) {
-  const ai = v.ai_summary && typeof v.ai_summary === 'object';
-  if (ai && v.ai_summary.plain_english_title && String(v.ai_summary.plain_english_title).trim())
-    return String(v.ai_summary.plain_english_title).trim();
-  if (v.issue_title && String(v.issue_title).trim()) return v.issue_title.trim();
-  const meta = v.vote_metadata && typeof v.vote_metadata === 'object' ? v.vote_metadata : {};
-  const vt = meta.vote_title;
-  if (vt && typeof vt === 'string' && vt.trim()) return vt.trim();
-  const q = meta.question;
-  if (q && typeof q === 'string' && q.trim()) return q.trim();
-  if (v.canonical_bill_id && !String(v.canonical_bill_id).startsWith('senate-roll:'))
-    return String(v.canonical_bill_id);
-  return '—';
-}
+/**
+ * One section per followed bill with unsent roll calls, actions or a status change since the later
+ * of the follow date and the lookback window. Roll calls show how each of the user's reps voted.
+ */
+async function buildBillSections(batch) {
+  if (batch.bills.length === 0) return [];
+  const lookbackDays = LOOKBACK_DAYS[batch.frequency];
+  const windowStart = Date.now() - lookbackDays * 86400000;
+  const repIds = (await getSubscriptions(batch.user_id)).map((s) => s.representative_id);
+  const updates = await getBillUpdates(batch.bills.map((b) => b.canonical_bill_id), repIds, lookbackDays);
 
-/** Truncate title for email display so long procedural text doesn't dominate */
-function emailTitleDisplay(title) {
-  if (!title || title.length <= EMAIL_TITLE_MAX) return title;
-  return title.slice(0, EMAIL_TITLE_MAX - 1).trim() + '…';
+  const sections = [];
+  for (const bill of batch.bills) {
+    const update = updates.get(bill.canonical_bill_id);
+    const since = new Date(Math.max(windowStart, new Date(bill.followed_at).getTime()));
+    const sent = await getSentEventKeys(billUpdateKeys(update, batch.user_id, since));
+    const section = pendingBillUpdates(update, batch.user_id, since, sent);
+    if (section) sections.push(section);
+  }
+  return sections;
 }
 
-/** True if text looks like Congress.gov boilerplate, not a real summary */
-function isBoilerplate(s) {
-  if (!s || typeof s !== 'string') return true;
-  const t = s.trim();
-  return /^\[?Congressional Bills/i.test(t) || /^\[?From the U\.S\./i.test(t) || t.length < 20;
+/**
+ * One section per followed topic with unsent roll calls recorded since the later of the follow date
+ * and the lookback window, each with the positions of the user's delegation (or followed reps).
+ */
+async function buildTopicSections(batch) {
+  if (batch.topics.length === 0) return [];
+  const lookbackDays = LOOKBACK_DAYS[batch.frequency];
+  const repIds = (await getSubscriptions(batch.user_id)).map((s) => s.representative_id);
+  const states = [...new Set(batch.topics.map((t) => t.state).filter(Boolean))];
+  const rollCalls = await getCategoryRollCalls(batch.topics.map((t) => t.category), lookbackDays, repIds, states);
+  if (rollCalls.length === 0) return [];
+  const sent = await getSentEventKeys(rollCalls.map((rc) => topicEventKey(rc.roll_call, batch.user_id)));
+  const windowStart = new Date(Date.now() - lookbackDays * 86400000);
+  return pendingTopicUpdates(batch.topics, rollCalls, new Set(repIds), batch.user_id, windowStart, sent);
 }
 
-/** One-sentence summary: prefer AI content; avoid Congress.gov boilerplate (e.g. "[Congressional Bills 119th Congress]...") */
-function oneSentenceSummary(v) {
-  const firstSentence = (s) => {
-    if (!s || typeof s !== 'string') return '';
-    const trimmed = s.trim();
-    const match = trimmed.match(/^[^.!?]+[.!?]?/);
-    return match ? match[0].trim() : trimmed.slice(0, 120) + (trimmed.length > 120 ? '…' : '');
-  };
-  const ai = v.ai_summary && typeof v.ai_summary === 'object';
-  if (ai && v.ai_summary.procedural_subtext && String(v.ai_summary.procedural_subtext).trim())
-    return String(v.ai_summary.procedural_subtext).trim();
-  if (ai && v.ai_summary.short_summary && String(v.ai_summary.short_summary).trim()) {
-    const ss = firstSentence(String(v.ai_summary.short_summary));
-    if (!isBoilerplate(ss)) return ss;
-  }
-  if (ai && Array.isArray(v.ai_summary.key_points) && v.ai_summary.key_points[0]) {
-    const kp = firstSentence(String(v.ai_summary.key_points[0]));
-    if (!isBoilerplate(kp)) return kp;
-  }
-  if (v.bill_summary && String(v.bill_summary).trim()) {
-    const bs = firstSentence(v.bill_summary);
-    if (!isBoilerplate(bs)) return bs;
-  }
-  if (v.issue_description && String(v.issue_description).trim()) {
-    const id = firstSentence(v.issue_description);
-    if (!isBoilerplate(id)) return id;
+/** Record every vote covered by a digest (including ones past the display cap) as sent */
+async function recordVoteEvents(userId, digestKey, sections) {
+  for (const section of sections) {
+    for (const v of section.pending) {
+      await pool.query(
+        `INSERT INTO notification_events (user_id, representative_id, event_type, event_key, payload, sent_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, now())
+         ON CONFLICT (event_key) DO NOTHING`,
+        [
+          userId,
+          v.representative_id,
+          v.event_types[0],
+          v.event_key,
+          JSON.stringify({ roll_call: v.roll_call, vote: v.vote, issue_id: v.issue_id, event_types: v.event_types, digest: digestKey }),
+        ]
+      );
+    }
   }
-  return '';
-}
-
-function htmlDigest(userEmail, unsubToken, repSections) {
-  const filtered = repSections.filter((s) => s.votes.length > 0);
-  const weekSummary = filtered
-    .map((s) => `${escapeHtml(s.rep_name)} voted on ${s.votes.length} bill${s.votes.length === 1 ? '' : 's'}`)
-    .join('<br>\n    ');
-  const sections = filtered.map((section) => {
-    const subtitle = repSubtitle(section);
-    const rows = section.votes
-      .map((v) => {
-        const hasIssue = v.issue_id != null;
-        const linkUrl = hasIssue ? `${BASE_URL}/issues/${v.issue_id}` : `${BASE_URL}/reps/${v.representative_id}`;
-        const title = emailTitleDisplay(billTitle(v));
-        const summary = oneSentenceSummary(v);
-        const summaryShort = summary.length > 160 ? summary.slice(0, 157) + '…' : summary;
-        const voteL = voteLabel(v.vote);
-        const voteSty = voteStyle(v.vote);
-        return `<tr>
-          <td style="padding: 16px 12px 16px 0; border-bottom: 1px solid #e5e7eb; vertical-align: top; width: 45%;">
-            <div style="font-weight: 700; font-size: 15px; color: #111827; margin-bottom: 4px;">${escapeHtml(title)}</div>
-            ${summaryShort ? `<div style="font-size: 13px; color: #6b7280; line-height: 1.4;">${escapeHtml(summaryShort)}</div>` : ''}
-          </td>
-          <td style="padding: 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; white-space: nowrap;"><span style="${voteSty}">${escapeHtml(voteL)}</span></td>
-          <td style="padding: 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top; white-space: nowrap; font-size: 14px; color: #374151;">${escapeHtml(formatDate(v.vote_date))}</td>
-          <td style="padding: 16px 0 16px 12px; border-bottom: 1px solid #e5e7eb; vertical-align: top;">
-            <a href="${linkUrl}" style="display: inline-block; padding: 6px 12px; background: #2563eb; color: #fff !important; text-decoration: none; font-size: 12px; font-weight: 600; border-radius: 6px;">View full breakdown →</a>
-          </td>
-        </tr>`;
-      })
-      .join('');
-    return `
-    <div style="margin: 32px 0 0 0;">
-      <h2 style="font-size: 18px; font-weight: 700; margin: 0 0 4px 0; color: #111827;">${escapeHtml(section.rep_name)}</h2>
-      ${subtitle ? `<p style="margin: 0 0 12px 0; font-size: 14px; color: #6b7280;">${escapeHtml(subtitle)}</p>` : ''}
-      <p style="margin: 0 0 12px 0; font-size: 12px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Recent votes</p>
-      <table style="width: 100%; border-collapse: collapse;">
-        <thead><tr style="border-bottom: 1px solid #e5e7eb;">
-          <th style="padding: 10px 12px 10px 0; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Bill</th>
-          <th style="padding: 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Vote</th>
-          <th style="padding: 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Date</th>
-          <th style="padding: 10px 0 10px 12px; text-align: left; font-size: 11px; font-weight: 600; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.05em;">Details</th>
-        </tr></thead>
-        <tbody>${rows}</tbody>
-      </table>
-    </div>`;
-  }).join('');
-  const unsubUrl = `${BASE_URL}/api/unsubscribe?token=${encodeURIComponent(unsubToken)}`;
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-</head>
-<body style="margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937; background: #f3f4f6;">
-  <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
-    <h1 style="font-size: 24px; font-weight: 700; margin: 0 0 4px 0; color: #111827;">RepWatch Weekly</h1>
-    <p style="font-size: 16px; font-weight: 500; margin: 0 0 8px 0; color: #374151;">How your representatives voted this week</p>
-    <p style="margin: 0 0 24px 0; font-size: 14px; color: #6b7280;">Here are the 5 most recent votes for each representative you follow.</p>
-    <div style="height: 1px; background: #e5e7eb; margin: 0 0 8px 0;"></div>
-    ${weekSummary ? `<p style="margin: 16px 0 0 0; font-size: 14px; color: #374151;">This week:</p><p style="margin: 4px 0 0 0; font-size: 14px; color: #6b7280;">${weekSummary}</p>` : ''}
-    ${sections}
-    <div style="margin-top: 40px; padding-top: 24px; border-top: 1px solid #e5e7eb;">
-      <p style="margin: 0 0 4px 0; font-size: 14px; color: #374151;">See more votes and bill summaries at</p>
-      <p style="margin: 0 0 8px 0;"><a href="${BASE_URL}" style="color: #2563eb; font-weight: 500;">${BASE_URL}</a></p>
-      <p style="margin: 0 0 20px 0; font-size: 13px; color: #6b7280;">Track how your representatives vote in plain English.</p>
-      <p style="margin: 0 0 8px 0; font-size: 12px; color: #9ca3af;">You received this email because you subscribed to updates about your representative on RepWatch.</p>
-      <p style="margin: 0;"><a href="${unsubUrl}" style="color: #6b7280; font-size: 12px;">Unsubscribe</a></p>
-    </div>
-  </div>
-</body>
-</html>`;
 }
 
-function escapeHtml(s) {
-  if (s == null) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+/** Record every bill or topic update covered by a digest as sent */
+async function recordFollowEvents(userId, digestKey, sections) {
+  for (const section of sections) {
+    for (const e of section.events) {
+      await pool.query(
+        `INSERT INTO notification_events (user_id, event_type, event_key, payload, sent_at)
+         VALUES ($1, $2, $3, $4::jsonb, now())
+         ON CONFLICT (event_key) DO NOTHING`,
+        [userId, e.event_type, e.event_key, JSON.stringify({ ...e.payload, digest: digestKey })]
+      );
+    }
+  }
 }
 
 async function main() {
-  const apiKey = process.env.RESEND_API_KEY;
-  if (!apiKey) {
-    console.error('RESEND_API_KEY is required');
+  if (!mailer.isConfigured()) {
+    console.error('No email transport configured: set RESEND_API_KEY or SMTP_URL (or EMAIL_TRANSPORT=file)');
     process.exit(1);
   }
-  const resend = new Resend(apiKey);
+  console.log('Email transport:', mailer.getTransport().name);
+  const expired = await expireUnconfirmedUsers();
+  if (expired > 0) console.log('Removed', expired, 'unconfirmed sign-up(s).');
   const today = new Date().toISOString().slice(0, 10);
-  const subscribers = await getSubscribersWithReps();
+  const batches = await getDigestBatches();
   let sent = 0;
-  for (const sub of subscribers) {
-    const repSections = await getLast5VotesPerRep(sub.rep_ids);
-    const totalVotes = repSections.reduce((n, s) => n + s.votes.length, 0);
-    if (totalVotes === 0) continue;
-    const eventKey = `digest:${sub.user_id}:${today}`;
+  for (const batch of batches) {
     try {
+      if (!isDigestDue(batch.frequency, await getLastDigestSentAt(batch.user_id, batch.frequency))) continue;
+      const repSections = await buildRepSections(batch);
+      const billSections = await buildBillSections(batch);
+      const topicSections = await buildTopicSections(batch);
+      const totalVotes = repSections.reduce((n, s) => n + s.pending.length, 0);
+      const totalBillUpdates = billSections.reduce((n, s) => n + s.events.length, 0);
+      const totalTopicVotes = topicSections.reduce((n, s) => n + s.events.length, 0);
+      if (totalVotes === 0 && totalBillUpdates === 0 && totalTopicVotes === 0) continue;
+      const eventKey = digestEventKey(batch.frequency, batch.user_id, today);
       const insert = await pool.query(
         `INSERT INTO notification_events (user_id, event_type, event_key, payload)
-         VALUES ($1, 'daily_digest', $2, $3::jsonb)
+         VALUES ($1, $2, $3, $4::jsonb)
          ON CONFLICT (event_key) DO NOTHING
          RETURNING id`,
-        [sub.user_id, eventKey, JSON.stringify({ rep_count: repSections.length, vote_count: totalVotes })]
+        [batch.user_id, `${batch.frequency}_digest`, eventKey, JSON.stringify({ rep_count: repSections.length, vote_count: totalVotes, bill_count: billSections.length, bill_update_count: totalBillUpdates, topic_count: topicSections.length, topic_vote_count: totalTopicVotes })]
       );
       if (insert.rows.length === 0) continue;
-      const html = htmlDigest(sub.email, sub.unsub_token, repSections);
-      const { error } = await resend.emails.send({
-        from: FROM_EMAIL,
-        to: [sub.email],
-        subject: `RepWatch Weekly: How your ${repSections.length} representative(s) voted`,
-        html,
+      await mailer.sendEmail({
+        to: batch.email,
+        subject: digestSubject(batch.frequency, repSections.length, billSections.length, topicSections.length),
+        html: htmlDigest({ baseUrl: BASE_URL, unsubToken: batch.unsub_token, repSections, billSections, topicSections, frequency: batch.frequency }),
+        headers: listUnsubscribeHeaders(BASE_URL, batch.unsub_token),
       });
-      if (error) {
-        console.error('Resend error for user', sub.user_id, error);
-        continue;
-      }
       await pool.query(
         'UPDATE notification_events SET sent_at = now() WHERE event_key = $1',
         [eventKey]
       );
+      await recordVoteEvents(batch.user_id, eventKey, repSections);
+      await recordFollowEvents(batch.user_id, eventKey, [...billSections, ...topicSections]);
       sent++;
     } catch (e) {
-      console.error('Send error for user', sub.user_id, e);
+      console.error('Send error for user', batch.user_id, e);
     }
   }
   console.log('Sent', sent, 'digest(s).');
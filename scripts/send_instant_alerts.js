@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * Send instant vote alerts for votes ingested since the last run.
+ * Vote ingest scripts already do this at the end of each run; use this to retry after a failure
+ * or when ingesting with --no-alerts.
+ *
+ * Run: node scripts/send_instant_alerts.js
+ * Env: DATABASE_URL, plus an email transport (see scripts/send_daily_digest.js).
+ */
+require('dotenv').config();
+const { pool } = require('../db/pool');
+const { sendInstantAlerts } = require('../services/instant_alerts');
+
+sendInstantAlerts()
+  .then(() => pool.end())
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
@@ -19,9 +19,9 @@ async function run() {
 
   const unsubToken = crypto.randomBytes(24).toString('hex');
   const userResult = await pool.query(
-    `INSERT INTO users (email, unsub_token)
-     VALUES ($1, $2)
-     ON CONFLICT (email) DO UPDATE SET updated_at = now()
+    `INSERT INTO users (email, unsub_token, email_verified_at)
+     VALUES ($1, $2, now())
+     ON CONFLICT (email) DO UPDATE SET email_verified_at = COALESCE(users.email_verified_at, now()), updated_at = now()
      RETURNING id, unsub_token`,
     [email, unsubToken]
   );
@@ -22,6 +22,7 @@ const globAsync = util.promisify(glob);
  * @property {string} action_text - Full action text
  * @property {number|null} roll_number - Extracted roll number if present
  * @property {string} action_code - Action code if available
+ * @property {string|null} action_type - BILLSTATUS action type (e.g. 'Floor', 'President', 'BecameLaw')
  * @property {string} chamber - 'house' or 'senate'
  */
 
@@ -86,6 +87,7 @@ class BillStatusIndex {
         action_text: actionText,
         roll_number: rollNumber,
         action_code: actionCode,
+        action_type: action.type || null,
         chamber
       };
 
@@ -222,6 +224,24 @@ class BillStatusIndex {
     return billActions.filter(action => action.action_date === date);
   }
 
+  /**
+   * Get every action on a bill, oldest first
+   * @param {string} billKey - Bill key
+   * @returns {Array<IndexedAction>}
+   */
+  getActions(billKey) {
+    const actions = this.actionsByBillKey.get(billKey) || [];
+    return [...actions].sort((a, b) => a.action_date.localeCompare(b.action_date));
+  }
+
+  /**
+   * Get the keys of every indexed bill
+   * @returns {Array<string>}
+   */
+  getBillKeys() {
+    return Array.from(this.actionsByBillKey.keys());
+  }
+
   /**
    * Find all actions on a specific date
    * @param {string} date - ISO date (YYYY-MM-DD)
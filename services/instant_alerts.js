@@ -0,0 +1,152 @@
+/**
+ * Instant Vote Alerts
+ *
+ * Run at the end of each vote ingest. Walks votes inserted since the last run (cursor in
+ * notification_state, by votes.id) and alerts on the new votes of followed reps, filtered to
+ * each subscription's event types:
+ *   - email to confirmed instant-frequency subscribers, one message per user
+ *   - Web Push to browsers that clicked "Notify me" (services/push.js), one per rep
+ * Every vote is claimed in notification_events before sending (vote:{roll_call}:rep:{rep}:user:{user}
+ * or ...:push:{id}), so overlapping runs and the digest never send it twice.
+ */
+
+const { pool } = require('../db/pool');
+const {
+  getAlertVotes,
+  claimVoteEvents,
+  markEventsSent,
+  releaseEventClaims,
+  getNotificationState,
+  setNotificationState,
+} = require('../models/notifications');
+const { getPushSubscribers } = require('../models/push');
+const { getFollowedIssueIds } = require('../models/bill_subscriptions');
+const { selectVoteEvents, voteEventKey, listUnsubscribeHeaders } = require('../lib/notifications');
+const { htmlDigest, digestSubject, repSection } = require('../lib/digest_email');
+const mailer = require('./mailer');
+const push = require('./push');
+
+const CURSOR_KEY = 'instant_alerts_cursor';
+const MAX_VOTES_PER_REP = 10;
+// Backfills (--catch-up, --all) insert old roll calls too; only votes this recent are "news"
+const MAX_VOTE_AGE_DAYS = 3;
+
+/** Active instant subscriptions of confirmed users, grouped by user */
+async function getInstantSubscribers() {
+  const r = await pool.query(
+    `SELECT rs.user_id, rs.representative_id, rs.event_types, u.email, u.unsub_token
+     FROM rep_subscriptions rs
+     JOIN users u ON u.id = rs.user_id
+     WHERE rs.paused_at IS NULL
+       AND rs.frequency = 'instant'
+       AND u.email_verified_at IS NOT NULL`
+  );
+  const byUser = new Map();
+  for (const row of r.rows) {
+    if (!byUser.has(row.user_id)) {
+      byUser.set(row.user_id, { user_id: row.user_id, email: row.email, unsub_token: row.unsub_token, subs: [] });
+    }
+    byUser.get(row.user_id).subs.push({ representative_id: row.representative_id, event_types: row.event_types });
+  }
+  return [...byUser.values()];
+}
+
+/** Keep only votes cast within the alert window */
+function recentVotesByRep(votesByRep, now = new Date()) {
+  const oldest = now.getTime() - MAX_VOTE_AGE_DAYS * 86400000;
+  const recent = new Map();
+  for (const [repId, rows] of votesByRep) {
+    const kept = rows.filter((v) => v.vote_date && new Date(v.vote_date).getTime() >= oldest);
+    if (kept.length > 0) recent.set(repId, kept);
+  }
+  return recent;
+}
+
+/** Alert sections for one email subscriber: their claimed, unsent votes per followed rep */
+async function buildAlertSections(subscriber, votesByRep) {
+  const followedIssueIds = await getFollowedIssueIds(subscriber.user_id);
+  const sections = [];
+  for (const sub of subscriber.subs) {
+    const rows = votesByRep.get(sub.representative_id) || [];
+    if (rows.length === 0) continue;
+    const candidates = selectVoteEvents(rows, sub.event_types, followedIssueIds)
+      .map((v) => ({ ...v, event_key: voteEventKey(v.roll_call, v.representative_id, subscriber.user_id) }));
+    const claimed = await claimVoteEvents({ userId: subscriber.user_id }, candidates, { instant: true });
+    if (claimed.length > 0) sections.push(repSection(sub.representative_id, rows, claimed, MAX_VOTES_PER_REP));
+  }
+  return sections;
+}
+
+/** Email each instant subscriber; returns { sent, failed } */
+async function sendEmailAlerts(subscribers, votesByRep) {
+  let sent = 0;
+  let failed = 0;
+  for (const subscriber of subscribers) {
+    let sections = [];
+    try {
+      sections = await buildAlertSections(subscriber, votesByRep);
+      if (sections.length === 0) continue;
+      await mailer.sendEmail({
+        to: subscriber.email,
+        subject: digestSubject('instant', sections.length),
+        html: htmlDigest({ baseUrl: mailer.BASE_URL, unsubToken: subscriber.unsub_token, repSections: sections, frequency: 'instant' }),
+        headers: listUnsubscribeHeaders(mailer.BASE_URL, subscriber.unsub_token),
+      });
+      await markEventsSent(sections.flatMap((s) => s.pending.map((v) => v.event_key)));
+      sent++;
+    } catch (e) {
+      failed++;
+      console.error('Instant alert error for user', subscriber.user_id, e);
+      await releaseEventClaims(sections.flatMap((s) => s.pending.map((v) => v.event_key)));
+    }
+  }
+  return { sent, failed };
+}
+
+/**
+ * Send alerts for votes ingested since the last run and advance the cursor.
+ * The first run only sets the cursor, so enabling alerts doesn't send the whole vote history.
+ * @param {Object} [opts]
+ * @param {(msg: string) => void} [opts.log]
+ * @returns {Promise<{emails: number, pushes: number, votes: number}>} alerts sent, new votes scanned
+ */
+async function sendInstantAlerts({ log = console.log } = {}) {
+  const emailEnabled = mailer.isConfigured();
+  const pushEnabled = push.isConfigured();
+  if (!emailEnabled && !pushEnabled) {
+    log('Instant alerts skipped: no email transport or VAPID keys configured');
+    return { emails: 0, pushes: 0, votes: 0 };
+  }
+  if (!emailEnabled) log('Instant alerts: no email transport configured; sending push notifications only');
+  const maxVoteId = (await pool.query('SELECT COALESCE(MAX(id), 0)::int AS max_id FROM votes')).rows[0].max_id;
+  const cursor = await getNotificationState(CURSOR_KEY);
+  if (cursor == null) {
+    await setNotificationState(CURSOR_KEY, { last_vote_id: maxVoteId });
+    log(`Instant alerts: cursor initialized at vote ${maxVoteId}`);
+    return { emails: 0, pushes: 0, votes: 0 };
+  }
+  const afterVoteId = Number(cursor.last_vote_id) || 0;
+  if (maxVoteId <= afterVoteId) return { emails: 0, pushes: 0, votes: 0 };
+
+  const emailSubscribers = emailEnabled ? await getInstantSubscribers() : [];
+  const pushSubscribers = pushEnabled ? await getPushSubscribers() : [];
+  const repIds = [...new Set([...emailSubscribers, ...pushSubscribers].flatMap((s) => s.subs.map((sub) => sub.representative_id)))];
+  const votesByRep = recentVotesByRep(await getAlertVotes(repIds, { afterVoteId }));
+
+  const email = await sendEmailAlerts(emailSubscribers, votesByRep);
+  const pushed = pushEnabled ? await push.sendPushAlerts(votesByRep, mailer.BASE_URL, pushSubscribers) : { sent: 0, failed: 0, expired: 0 };
+  const failed = email.failed + pushed.failed;
+
+  // Already-sent votes are skipped by event_key on a rescan, so holding the cursor is safe
+  if (failed === 0) await setNotificationState(CURSOR_KEY, { last_vote_id: maxVoteId });
+  log(
+    `Instant alerts: ${email.sent} email(s), ${pushed.sent} push(es) for votes ${afterVoteId + 1}–${maxVoteId}` +
+    (pushed.expired ? `; removed ${pushed.expired} expired browser(s)` : '') +
+    (failed ? ` (${failed} failed; will retry)` : '')
+  );
+  return { emails: email.sent, pushes: pushed.sent, votes: maxVoteId - afterVoteId };
+}
+
+module.exports = {
+  sendInstantAlerts,
+};
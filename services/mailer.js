@@ -0,0 +1,68 @@
+/**
+ * Outgoing email for the API and the digest job, through the transport picked in
+ * services/email_transport.js (Resend, SMTP, or .eml files).
+ */
+
+const { createTransportFromEnv } = require('./email_transport');
+const { escapeHtml } = require('../lib/digest_email');
+
+const FROM_EMAIL = process.env.FROM_EMAIL || 'RepWatch <updates@updates.repwatch.co>';
+const BASE_URL = (process.env.NOTIFICATION_BASE_URL || 'https://repwatch.co').replace(/\/$/, '');
+
+let transport;
+function getTransport() {
+  if (transport === undefined) transport = createTransportFromEnv();
+  return transport;
+}
+
+function isConfigured() {
+  return getTransport() != null;
+}
+
+/** Send one email; throws if no transport is configured or the transport rejects the message */
+async function sendEmail({ to, subject, html, text, headers }) {
+  const t = getTransport();
+  if (!t) throw new Error('No email transport configured (set RESEND_API_KEY, SMTP_URL or EMAIL_TRANSPORT)');
+  return t.send({ from: FROM_EMAIL, to, subject, html, text, headers });
+}
+
+/**
+ * Double opt-in email: nothing is sent to the address until this link is followed.
+ * @param {string} email
+ * @param {string} token - signed 'confirm' token
+ * @param {string[]} repNames - representatives being subscribed to
+ * @param {number} ttlHours - how long the link stays valid
+ * @param {string[]} [billIds] - bills being followed (canonical ids)
+ * @param {string[]} [categories] - topics being followed
+ */
+async function sendConfirmationEmail(email, token, repNames, ttlHours, billIds = [], categories = []) {
+  const confirmUrl = `${BASE_URL}/api/subscribe/confirm?token=${encodeURIComponent(token)}`;
+  const reps = repNames.map(escapeHtml).join(', ');
+  const bills = billIds.map(escapeHtml).join(', ');
+  const about = [
+    repNames.length > 0 || (billIds.length === 0 && categories.length === 0) ? `how ${reps || 'your representatives'} vote${repNames.length === 1 ? 's' : ''}` : '',
+    billIds.length > 0 ? `what happens to ${billIds.length === 1 ? 'bill' : 'bills'} ${bills}` : '',
+    categories.length > 0 ? `new votes on ${categories.map((c) => escapeHtml(c.replace(/_/g, ' '))).join(', ')}` : '',
+  ].filter(Boolean).join(' and ');
+  const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2937; background: #f3f4f6;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+    <h1 style="font-size: 24px; font-weight: 700; margin: 0 0 16px 0; color: #111827;">Confirm your RepWatch subscription</h1>
+    <p style="margin: 0 0 16px 0;">Someone (hopefully you) asked to get email updates about ${about}.</p>
+    <p style="margin: 0 0 24px 0;"><a href="${confirmUrl}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #fff !important; text-decoration: none; font-weight: 600; border-radius: 6px;">Confirm subscription</a></p>
+    <p style="margin: 0 0 8px 0; font-size: 13px; color: #6b7280;">This link expires in ${ttlHours} hours. If you didn't ask for this, ignore this email and nothing will change.</p>
+  </div>
+</body>
+</html>`;
+  await sendEmail({ to: email, subject: 'Confirm your RepWatch subscription', html });
+}
+
+module.exports = {
+  BASE_URL,
+  getTransport,
+  isConfigured,
+  sendEmail,
+  sendConfirmationEmail,
+};
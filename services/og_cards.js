@@ -0,0 +1,115 @@
+/**
+ * Share cards on disk: draws a member's vote card (lib/og_card.js) once and keeps the PNG under
+ * OG_CACHE_DIR (default data/og-cache). File names carry a hash of everything on the card, so a
+ * new bill title or a corrected position is a new file rather than a stale one. Writing a card
+ * removes older drawings of it, and the oldest cards go once there are more than OG_CACHE_MAX_FILES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { voteCardContent, cardKey, renderVoteCard } = require('../lib/og_card');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'og-cache');
+const PHOTO_ORIGIN = 'https://bioguide.congress.gov/';
+const PHOTO_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_FILES = 5000;
+// Pruning goes a bit below the cap, so it doesn't run again on the very next card
+const PRUNE_TO = 0.9;
+
+const cacheDir = () => path.resolve(process.env.OG_CACHE_DIR || DEFAULT_CACHE_DIR);
+const maxFiles = () => Number.parseInt(process.env.OG_CACHE_MAX_FILES, 10) || DEFAULT_MAX_FILES;
+
+// Concurrent requests for the same card share one render
+const inFlight = new Map();
+
+/**
+ * The member's official photo.
+ * @returns {Promise<{photo: Buffer|null, final: boolean}>} final is false when the fetch failed
+ *   in a way worth retrying, so the card drawn without it shouldn't be cached
+ */
+async function fetchPhoto(url) {
+  if (!url || !url.startsWith(PHOTO_ORIGIN)) return { photo: null, final: true };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PHOTO_TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, { signal: controller.signal });
+    if (resp.status === 404) return { photo: null, final: true };
+    if (!resp.ok) return { photo: null, final: false };
+    return { photo: await resp.buffer(), final: true };
+  } catch (e) {
+    console.warn('Share card photo unavailable:', url, e.message);
+    return { photo: null, final: false };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Deletes other drawings of the card in `file` (same member and roll call, older content), then
+ * the least recently drawn cards while the directory holds more than OG_CACHE_MAX_FILES.
+ * @param {string} file - The card just written; never removed
+ * @param {string} prefix - "rep-{id}-{rollCall}-", shared by every drawing of that card
+ */
+async function pruneCache(file, prefix) {
+  const dir = path.dirname(file);
+  const keep = path.basename(file);
+  const names = (await fs.promises.readdir(dir)).filter((n) => n.endsWith('.png') && n !== keep);
+  const isStale = (n) => n.startsWith(prefix) && /^[0-9a-f]{16}\.png$/.test(n.slice(prefix.length));
+  const stale = names.filter(isStale);
+  let others = names.filter((n) => !isStale(n));
+  if (others.length + 1 > maxFiles()) {
+    const dated = await Promise.all(others.map(async (n) => {
+      const stat = await fs.promises.stat(path.join(dir, n)).catch(() => null);
+      return { n, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    dated.sort((a, b) => a.mtime - b.mtime);
+    const excess = others.length + 1 - Math.floor(maxFiles() * PRUNE_TO);
+    others = dated.slice(0, Math.max(excess, 0)).map((d) => d.n);
+  } else {
+    others = [];
+  }
+  await Promise.all([...stale, ...others].map((n) => fs.promises.rm(path.join(dir, n), { force: true })));
+}
+
+async function drawAndStore(file, prefix, content) {
+  const { photo, final } = await fetchPhoto(content.photoUrl);
+  const png = await renderVoteCard(content, photo);
+  if (final) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename, so a request never reads a half-written card
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, png);
+    await fs.promises.rename(tmp, file);
+    try {
+      await pruneCache(file, prefix);
+    } catch (e) {
+      console.warn('Share card cache prune failed:', e.message);
+    }
+  }
+  return png;
+}
+
+/**
+ * PNG bytes of a member's card for one roll call, from disk when it has been drawn before.
+ * @param {Object} rep - getRepById() row
+ * @param {Object} vote - getRepRollCallVote() row
+ * @param {string} baseUrl
+ * @returns {Promise<Buffer>}
+ */
+async function getVoteCard(rep, vote, baseUrl) {
+  const content = voteCardContent(rep, vote, baseUrl);
+  const prefix = `rep-${rep.id}-${vote.roll_call}-`;
+  const file = path.join(cacheDir(), `${prefix}${cardKey(content)}.png`);
+  try {
+    return await fs.promises.readFile(file);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (!inFlight.has(file)) {
+    inFlight.set(file, drawAndStore(file, prefix, content).finally(() => inFlight.delete(file)));
+  }
+  return inFlight.get(file);
+}
+
+module.exports = { getVoteCard };
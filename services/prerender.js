@@ -0,0 +1,74 @@
+/**
+ * On-demand prerendering of shareable SPA pages: serves the built index.html for /reps/:id and
+ * /issues/:id with that page's title, description and Open Graph / Twitter tags
+ * (lib/page_meta.js), so links unfurl on social media and crawlers see more than an empty shell.
+ * Anything it can't render falls through to the plain SPA fallback in app.js.
+ */
+
+const fs = require('fs');
+const { repPageMeta, repVoteShareMeta, issuePageMeta, injectPageMeta } = require('../lib/page_meta');
+const { CARD_WIDTH, CARD_HEIGHT } = require('../lib/og_card');
+const { parseRollCallId } = require('../lib/tallies');
+const { getRepById } = require('../models/reps');
+const { getRepRollCallVote } = require('../models/votes');
+const { getIssueById } = require('../models/issues');
+const { getRepFeedVotes, getRollCallFeed } = require('../models/feeds');
+const { BASE_URL } = require('./mailer');
+
+const PAGES = [
+  {
+    pattern: /^\/reps\/(\d+)\/?$/,
+    async meta(id, query) {
+      const rep = await getRepById(id);
+      if (!rep) return null;
+      // Shared from one vote: preview that vote's share card (routes/og.js)
+      const rollCall = typeof query.vote === 'string' ? query.vote.trim().toLowerCase() : '';
+      if (rollCall && parseRollCallId(rollCall)) {
+        const vote = await getRepRollCallVote(id, rollCall);
+        if (vote) return repVoteShareMeta(rep, vote, BASE_URL, { width: CARD_WIDTH, height: CARD_HEIGHT });
+      }
+      const [latest] = await getRepFeedVotes(id, 1);
+      return repPageMeta(rep, latest || null, BASE_URL);
+    },
+  },
+  {
+    pattern: /^\/issues\/(\d+)\/?$/,
+    async meta(id) {
+      const issue = await getIssueById(id);
+      if (!issue) return null;
+      const [rollCall] = await getRollCallFeed({ issueId: id }, 1);
+      return issuePageMeta(issue, rollCall || null, BASE_URL);
+    },
+  },
+];
+
+/**
+ * Express middleware for the production server.
+ * @param {string} indexPath - The built dist/index.html, read once on first use
+ */
+function prerenderPages(indexPath) {
+  let template;
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    const page = PAGES.find((p) => p.pattern.test(req.path));
+    if (!page) return next();
+    const id = Number(req.path.match(page.pattern)[1]);
+    if (!Number.isSafeInteger(id) || id <= 0) return next();
+
+    try {
+      const meta = await page.meta(id, req.query);
+      // Unknown ids get the plain shell; the SPA shows its own not-found state
+      if (!meta) return next();
+      if (template === undefined) template = await fs.promises.readFile(indexPath, 'utf8');
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      // Same as express.static's index.html: revalidate so a deploy's new asset hashes are picked up
+      res.setHeader('Cache-Control', 'no-cache');
+      res.send(injectPageMeta(template, meta));
+    } catch (e) {
+      console.error('Prerender error:', e);
+      next();
+    }
+  };
+}
+
+module.exports = { prerenderPages };
@@ -0,0 +1,98 @@
+/**
+ * Web Push delivery (VAPID). Browsers that clicked "Notify me" get one notification per followed
+ * rep with new votes, sent from the instant alerts run after each vote ingest.
+ *
+ * Env: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY (generate with `npx web-push generate-vapid-keys`),
+ * VAPID_SUBJECT (mailto: or https: contact, default mailto:updates@repwatch.co).
+ */
+
+const { selectVoteEvents } = require('../lib/notifications');
+const { pushEventKey, buildPushNotification, isPushServiceEndpoint } = require('../lib/push');
+const { repSection } = require('../lib/digest_email');
+const { claimVoteEvents, markEventsSent, releaseEventClaims } = require('../models/notifications');
+const { getPushSubscribers, deletePushSubscription, markPushSuccess } = require('../models/push');
+
+const NOTIFICATION_TTL_SECONDS = 24 * 3600;
+
+let webpush;
+function getWebPush() {
+  if (!webpush) {
+    webpush = require('web-push');
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:updates@repwatch.co',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+  }
+  return webpush;
+}
+
+function isConfigured() {
+  return !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+/** True when the push service says this subscription is gone for good */
+function isExpiredSubscriptionError(err) {
+  return err && (err.statusCode === 404 || err.statusCode === 410);
+}
+
+/**
+ * Push each browser its followed reps' new votes (already limited to the alert window).
+ * Browsers whose subscription has expired (404/410), or whose endpoint isn't on a known push
+ * service, are deleted.
+ * @param {Map<number, Object[]>} votesByRep - from getAlertVotes
+ * @param {string} baseUrl
+ * @param {Object[]} [subscribers] - from getPushSubscribers (loaded when omitted)
+ * @returns {Promise<{sent: number, failed: number, expired: number}>}
+ */
+async function sendPushAlerts(votesByRep, baseUrl, subscribers = null) {
+  if (!subscribers) subscribers = await getPushSubscribers();
+  const totals = { sent: 0, failed: 0, expired: 0 };
+  for (const browser of subscribers) {
+    // Stored before endpoints were limited to push services; never POST to them
+    if (!isPushServiceEndpoint(browser.endpoint)) {
+      await deletePushSubscription(browser.id);
+      totals.expired++;
+      continue;
+    }
+    const target = { endpoint: browser.endpoint, keys: { p256dh: browser.p256dh, auth: browser.auth } };
+    let delivered = 0;
+    for (const sub of browser.subs) {
+      const rows = votesByRep.get(sub.representative_id) || [];
+      if (rows.length === 0) continue;
+      const candidates = selectVoteEvents(rows, sub.event_types)
+        .map((v) => ({ ...v, event_key: pushEventKey(v.roll_call, v.representative_id, browser.id) }));
+      const claimed = await claimVoteEvents({ pushSubscriptionId: browser.id }, candidates, { push: true });
+      if (claimed.length === 0) continue;
+      const keys = claimed.map((v) => v.event_key);
+      const notification = buildPushNotification(repSection(sub.representative_id, rows, claimed, claimed.length), baseUrl);
+      try {
+        await getWebPush().sendNotification(target, JSON.stringify(notification), { TTL: NOTIFICATION_TTL_SECONDS });
+        await markEventsSent(keys);
+        delivered++;
+        totals.sent++;
+      } catch (err) {
+        if (isExpiredSubscriptionError(err)) {
+          await deletePushSubscription(browser.id);
+          totals.expired++;
+          break;
+        }
+        console.error('Push error for subscription', browser.id, err.statusCode || '', err.body || err.message);
+        await releaseEventClaims(keys);
+        totals.failed++;
+      }
+    }
+    if (delivered > 0) await markPushSuccess(browser.id);
+  }
+  return totals;
+}
+
+module.exports = {
+  isConfigured,
+  getVapidPublicKey,
+  sendPushAlerts,
+};
@@ -7,6 +7,10 @@ import Home from './pages/Home'
 import Changelog from './pages/Changelog'
 import Issue from './pages/Issue'
 import Representative from './pages/Representative'
+import Compare from './pages/Compare'
+import RollCall from './pages/RollCall'
+import ManageSubscriptions from './pages/ManageSubscriptions'
+import Topics from './pages/Topics'
 import ErrorBoundary from './components/ErrorBoundary'
 
 function App() {
@@ -33,6 +37,10 @@ function App() {
             <Route path="/changelog" element={<Changelog />} />
             <Route path="/issues/:id" element={<ErrorBoundary><Issue /></ErrorBoundary>} />
             <Route path="/reps/:id" element={<Representative />} />
+            <Route path="/compare" element={<ErrorBoundary><Compare /></ErrorBoundary>} />
+            <Route path="/rollcalls/:rollCall" element={<ErrorBoundary><RollCall /></ErrorBoundary>} />
+            <Route path="/subscriptions" element={<ErrorBoundary><ManageSubscriptions /></ErrorBoundary>} />
+            <Route path="/topics" element={<ErrorBoundary><Topics /></ErrorBoundary>} />
           </Routes>
         </main>
 
@@ -48,6 +56,9 @@ function App() {
                 <Link to="/about" className="text-oled-secondary hover:text-oled-text transition-colors">
                   About
                 </Link>
+                <Link to="/topics" className="text-oled-secondary hover:text-oled-text transition-colors">
+                  Follow a topic
+                </Link>
                 <Link to="/data-sources" className="text-oled-secondary hover:text-oled-text transition-colors">
                   Data Sources
                 </Link>
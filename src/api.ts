@@ -1,3 +1,5 @@
+import type { components } from './lib/api-types'
+
 /**
  * API base URL for backend. Empty = same origin (use Vite proxy in dev).
  * Set VITE_API_URL=http://localhost:8080 in .env to hit the backend directly if proxy fails.
@@ -8,3 +10,10 @@ export function apiUrl(path: string): string {
   const p = path.startsWith('/') ? path : `/${path}`
   return `${API_BASE}${p}`
 }
+
+/**
+ * A schema from docs/openapi.yaml, e.g. ApiSchema<'RepResponse'>. The types in lib/api-types.ts
+ * are generated from the spec with `npm run api:types`; the spec is checked against real
+ * responses in tests/openapi.test.js.
+ */
+export type ApiSchema<Name extends keyof components['schemas']> = components['schemas'][Name]
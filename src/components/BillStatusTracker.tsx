@@ -0,0 +1,70 @@
+import { useState } from 'react'
+import type { ApiSchema } from '../api'
+
+export type BillAction = ApiSchema<'BillAction'>
+export type BillStatus = ApiSchema<'BillStatus'>
+
+interface BillStatusTrackerProps {
+  status: BillStatus
+  actions: BillAction[]
+}
+
+function formatDate(date: string | null): string {
+  if (!date) return ''
+  // Dates are plain YYYY-MM-DD; parse as UTC so they don't shift a day in US time zones
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+}
+
+/** Where a bill stands (introduced → passed each chamber → President → law/veto) and its full action log */
+export default function BillStatusTracker({ status, actions }: BillStatusTrackerProps) {
+  const [showActions, setShowActions] = useState(false)
+  return (
+    <div>
+      <ol className="flex flex-wrap gap-y-3">
+        {status.steps.map((step, i) => {
+          const current = step.key === status.status
+          const dot = step.key === 'vetoed' && step.reached
+            ? 'bg-red-400 border-red-400'
+            : step.reached ? 'bg-green-400 border-green-400' : 'bg-oled-bg border-oled-border'
+          return (
+            <li key={step.key} className="flex items-start flex-1 min-w-[110px]">
+              <div className="flex flex-col items-start">
+                <div className="flex items-center w-full">
+                  <span className={`w-3 h-3 rounded-full border ${dot}`} />
+                  {i < status.steps.length - 1 && (
+                    <span className={`h-px flex-1 min-w-[40px] ml-1 ${status.steps[i + 1].reached ? 'bg-green-400/60' : 'bg-oled-border'}`} />
+                  )}
+                </div>
+                <span className={`text-xs mt-1 ${current ? 'text-oled-text font-medium' : step.reached ? 'text-oled-text' : 'text-oled-secondary'}`}>
+                  {step.label}
+                </span>
+                {step.date && <span className="text-xs text-oled-secondary">{formatDate(step.date)}</span>}
+              </div>
+            </li>
+          )
+        })}
+      </ol>
+      {status.as_of && (
+        <p className="text-xs text-oled-secondary mt-3">Latest action {formatDate(status.as_of)}</p>
+      )}
+      <button
+        type="button"
+        onClick={() => setShowActions((v) => !v)}
+        className="text-sm text-oled-secondary hover:text-oled-text underline mt-2"
+      >
+        {showActions ? 'Hide actions' : `Show all ${actions.length} actions`}
+      </button>
+      {showActions && (
+        <ul className="mt-3 space-y-2 text-sm border-l-2 border-oled-border/50 pl-4">
+          {[...actions].reverse().map((a, i) => (
+            <li key={`${a.action_date}-${a.action_code}-${i}`}>
+              <span className="text-oled-secondary whitespace-nowrap mr-2">{formatDate(a.action_date)}</span>
+              {a.chamber && <span className="text-xs text-oled-secondary capitalize mr-2">{a.chamber}</span>}
+              <span className="text-oled-text">{a.action_text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -2,14 +2,18 @@ import { useState } from 'react'
 
 interface CopyLinkButtonProps {
   className?: string
+  /** Path (and query) to copy instead of the current page's, e.g. a vote share link */
+  path?: string
+  label?: string
+  title?: string
 }
 
-export default function CopyLinkButton({ className = '' }: CopyLinkButtonProps) {
+export default function CopyLinkButton({ className = '', path, label = 'Copy link', title = 'Copy link to this page' }: CopyLinkButtonProps) {
   const [copied, setCopied] = useState(false)
 
   const handleCopy = async () => {
     try {
-      const url = window.location.origin + window.location.pathname
+      const url = window.location.origin + (path ?? window.location.pathname)
       await navigator.clipboard.writeText(url)
       setCopied(true)
       setTimeout(() => setCopied(false), 2000)
@@ -23,7 +27,7 @@ export default function CopyLinkButton({ className = '' }: CopyLinkButtonProps)
       type="button"
       onClick={handleCopy}
       className={`text-sm text-oled-secondary hover:text-oled-text transition-colors inline-flex items-center gap-1.5 ${className}`}
-      title="Copy link to this page"
+      title={title}
     >
       {copied ? (
         <>
@@ -32,7 +36,7 @@ export default function CopyLinkButton({ className = '' }: CopyLinkButtonProps)
       ) : (
         <>
           <LinkIcon />
-          Copy link
+          {label}
         </>
       )}
     </button>
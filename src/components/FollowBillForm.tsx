@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { apiUrl } from '../api'
+import { FOLLOW_FREQUENCY_OPTIONS, type FollowFrequency } from '../lib/notifications'
+
+interface FollowBillFormProps {
+  canonicalBillId: string
+  className?: string
+}
+
+type FollowState = 'idle' | 'form' | 'loading' | 'success'
+
+/** "Follow this bill": email updates on new roll calls, actions and status changes */
+export default function FollowBillForm({ canonicalBillId, className = '' }: FollowBillFormProps) {
+  const [state, setState] = useState<FollowState>('idle')
+  const [email, setEmail] = useState('')
+  const [frequency, setFrequency] = useState<FollowFrequency>('daily')
+  const [message, setMessage] = useState('')
+
+  const submit = () => {
+    const address = email.trim()
+    if (!address) return
+    setState('loading')
+    setMessage('')
+    fetch(apiUrl('/api/subscribe'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: address, bill_ids: [canonicalBillId], frequency }),
+    })
+      .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+      .then(({ ok, body }) => {
+        if (ok) {
+          setState('success')
+          setMessage(body.message || "You're following this bill. We'll email you when something happens.")
+        } else {
+          setState('form')
+          setMessage(body.error || 'Could not follow this bill.')
+        }
+      })
+      .catch(() => {
+        setState('form')
+        setMessage('Something went wrong. Please try again.')
+      })
+  }
+
+  return (
+    <div className={`p-6 border border-oled-border rounded ${className}`}>
+      {state === 'success' ? (
+        <p className="text-oled-text text-sm">{message}</p>
+      ) : state === 'form' || state === 'loading' ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault()
+            submit()
+          }}
+          className="flex flex-col gap-4"
+        >
+          <div className="flex flex-col sm:flex-row gap-3 items-start">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Your email"
+              required
+              disabled={state === 'loading'}
+              className="px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary focus:outline-none focus:ring-1 focus:ring-oled-border min-w-[200px]"
+            />
+            <select
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value as FollowFrequency)}
+              disabled={state === 'loading'}
+              aria-label="How often"
+              className="px-2 py-2 bg-oled-bg border border-oled-border rounded text-oled-text text-sm"
+            >
+              {FOLLOW_FREQUENCY_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={state === 'loading'}
+              className="px-4 py-2 rounded bg-oled-text text-oled-bg font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              {state === 'loading' ? 'Following…' : 'Follow'}
+            </button>
+            {state !== 'loading' && (
+              <button
+                type="button"
+                onClick={() => { setState('idle'); setEmail(''); setMessage('') }}
+                className="text-sm text-oled-secondary hover:text-oled-text"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          {message && <p className="text-sm text-red-400">{message}</p>}
+        </form>
+      ) : (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={() => setState('form')}
+            className="px-4 py-2 rounded border border-oled-border text-oled-text font-medium hover:bg-oled-card transition-colors"
+          >
+            Follow this bill
+          </button>
+          <span className="text-sm text-oled-secondary">
+            Get an email when it gets a new vote, action or status, with how your representatives voted.
+          </span>
+        </div>
+      )}
+    </div>
+  )
+}
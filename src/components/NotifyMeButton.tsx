@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react'
+import { isPushSupported, getPushRepIds, enablePush, disablePush } from '../lib/push'
+
+interface NotifyMeButtonProps {
+  representativeId: number
+  className?: string
+}
+
+/** Browser push notifications for one rep, no email needed. Hidden where Web Push isn't supported. */
+export default function NotifyMeButton({ representativeId, className = '' }: NotifyMeButtonProps) {
+  const [enabled, setEnabled] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+  const supported = isPushSupported()
+
+  useEffect(() => {
+    if (!supported) return
+    const controller = new AbortController()
+    getPushRepIds(controller.signal)
+      .then((ids) => {
+        if (!controller.signal.aborted) setEnabled(ids.includes(representativeId))
+      })
+      .catch(() => {
+        if (!controller.signal.aborted) setEnabled(false)
+      })
+    return () => controller.abort()
+  }, [supported, representativeId])
+
+  if (!supported) return null
+
+  const toggle = () => {
+    setBusy(true)
+    setMessage('')
+    const action = enabled ? disablePush(representativeId) : enablePush(representativeId)
+    action
+      .then((ids) => setEnabled(ids.includes(representativeId)))
+      .catch((err) => setMessage(err.message))
+      .finally(() => setBusy(false))
+  }
+
+  return (
+    <div className={`flex flex-wrap items-center gap-3 ${className}`}>
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={busy}
+        className="px-4 py-2 rounded border border-oled-border text-oled-text font-medium hover:bg-oled-card disabled:opacity-50 transition-colors"
+      >
+        {busy ? 'Working…' : enabled ? 'Notifications on ✓' : 'Notify me'}
+      </button>
+      <span className="text-sm text-oled-secondary">
+        {enabled ? 'This browser will notify you when this representative votes. Click to turn off.' : 'Or get a browser notification when they vote. No email needed.'}
+      </span>
+      {message && <p className="w-full text-sm text-red-400">{message}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+import { Link } from 'react-router-dom'
+import type { Defector, PartyTally } from '../lib/tallies'
+
+interface PartySplitTableProps {
+  parties: PartyTally[]
+  defectors?: Defector[]
+}
+
+/** Yes/no/present/not voting per party, each party's majority, and who broke from it */
+export default function PartySplitTable({ parties, defectors }: PartySplitTableProps) {
+  const showMajority = parties.some((p) => p.majority !== undefined)
+  return (
+    <div>
+      <div className="overflow-x-auto border border-oled-border rounded">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-oled-border bg-oled-card/50">
+              <th className="text-left py-3 px-3 font-medium text-oled-text">Party</th>
+              <th className="text-right py-3 px-3 font-medium text-oled-text">Yes</th>
+              <th className="text-right py-3 px-3 font-medium text-oled-text">No</th>
+              <th className="text-right py-3 px-3 font-medium text-oled-text">Present</th>
+              <th className="text-right py-3 px-3 font-medium text-oled-text">Not voting</th>
+              {showMajority && <th className="text-right py-3 px-3 font-medium text-oled-text">Broke ranks</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {parties.map((p) => (
+              <tr key={p.party} className="border-b border-oled-border/50">
+                <td className="py-2 px-3 text-oled-text">
+                  {p.party}
+                  {p.majority && <span className="ml-2 text-xs text-oled-secondary">majority {p.majority}</span>}
+                </td>
+                <td className="py-2 px-3 text-right text-green-400">{p.yes}</td>
+                <td className="py-2 px-3 text-right text-red-400">{p.no}</td>
+                <td className="py-2 px-3 text-right text-oled-secondary">{p.present}</td>
+                <td className="py-2 px-3 text-right text-oled-secondary">{p.not_voting}</td>
+                {showMajority && (
+                  <td className="py-2 px-3 text-right text-oled-text">{p.majority ? p.defections ?? 0 : '—'}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {defectors && defectors.length > 0 && (
+        <div className="mt-3 text-sm">
+          <h3 className="text-oled-text font-medium mb-2">Voted against their party ({defectors.length})</h3>
+          <ul className="flex flex-wrap gap-2">
+            {defectors.map((d) => (
+              <li key={d.representative_id}>
+                <Link
+                  to={`/reps/${d.representative_id}`}
+                  className="inline-block px-2 py-1 border border-oled-border rounded hover:bg-oled-card text-oled-secondary hover:text-oled-text"
+                >
+                  {d.representative_name} ({d.party.charAt(0)}-{d.state}) voted{' '}
+                  <span className={d.vote === 'yes' ? 'text-green-400' : 'text-red-400'}>{d.vote}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
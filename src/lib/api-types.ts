@@ -0,0 +1,3004 @@
+/**
+ * This file was auto-generated by openapi-typescript.
+ * Do not make direct changes to the file.
+ */
+
+export interface paths {
+    "/health": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Liveness check (no database) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Health"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/openapi.json": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** This document, as JSON */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description OpenAPI 3.1 document */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["OpenApiDocument"];
+                    };
+                };
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/_diag": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Environment diagnostics */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Diagnostics */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Diagnostics"];
+                    };
+                };
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/subscribe": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Subscribe an email to reps, bills and/or topics
+         * @description Always a 202 and a confirmation email (double opt-in). Nothing is changed for an address that already exists: the link adds the requested follows when followed, and never resumes paused ones.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["SubscribeRequest"];
+                };
+            };
+            responses: {
+                /** @description Confirmation email sent (at most one per address every 10 minutes) */
+                202: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["SubscribeResult"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+                503: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/subscribe/confirm": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Confirmation link from the email (HTML) */
+        get: {
+            parameters: {
+                query: {
+                    token: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Html"];
+                400: components["responses"]["Html"];
+                404: components["responses"]["Html"];
+                500: components["responses"]["Html"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/unsubscribe": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Unsubscribe link; pauses everything and redirects to the manage page */
+        get: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Redirect to /subscriptions?token=...&unsubscribed=1 */
+                303: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content?: never;
+                };
+                400: components["responses"]["Html"];
+                404: components["responses"]["Html"];
+                500: components["responses"]["Html"];
+            };
+        };
+        put?: never;
+        /** RFC 8058 one-click unsubscribe */
+        post: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Everything paused */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["UnsubscribeResult"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/subscriptions": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** The subscriber's email and everything they follow */
+        get: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        /** Follow another rep */
+        post: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["AddSubscriptionRequest"];
+                };
+            };
+            responses: {
+                201: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        /** Change every subscription (also pauses, resumes or re-times followed bills and topics) */
+        patch: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["SubscriptionUpdate"];
+                };
+            };
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        trace?: never;
+    };
+    "/subscriptions/{repId}": {
+        parameters: {
+            query: {
+                /** @description The subscriber's unsubscribe token (from any email) */
+                token: components["parameters"]["Token"];
+            };
+            header?: never;
+            path: {
+                repId: number;
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Stop following one rep */
+        delete: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    repId: number;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /** Change one rep subscription */
+        patch: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    repId: number;
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["SubscriptionUpdate"];
+                };
+            };
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        trace?: never;
+    };
+    "/subscriptions/bills": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Follow a bill */
+        post: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["FollowBillRequest"];
+                };
+            };
+            responses: {
+                201: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/subscriptions/bills/{billId}": {
+        parameters: {
+            query: {
+                /** @description The subscriber's unsubscribe token (from any email) */
+                token: components["parameters"]["Token"];
+            };
+            header?: never;
+            path: {
+                /** @description Canonical bill id, e.g. hr815-119 */
+                billId: string;
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Stop following a bill */
+        delete: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    /** @description Canonical bill id, e.g. hr815-119 */
+                    billId: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /** Change one followed bill */
+        patch: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    /** @description Canonical bill id, e.g. hr815-119 */
+                    billId: string;
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["FollowUpdate"];
+                };
+            };
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        trace?: never;
+    };
+    "/subscriptions/topics": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Follow a topic */
+        post: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["FollowTopicRequest"];
+                };
+            };
+            responses: {
+                201: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/subscriptions/topics/{category}": {
+        parameters: {
+            query: {
+                /** @description The subscriber's unsubscribe token (from any email) */
+                token: components["parameters"]["Token"];
+            };
+            header?: never;
+            path: {
+                category: components["schemas"]["Category"];
+            };
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Stop following a topic */
+        delete: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    category: components["schemas"]["Category"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        options?: never;
+        head?: never;
+        /** Change one followed topic */
+        patch: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path: {
+                    category: components["schemas"]["Category"];
+                };
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["TopicFollowUpdate"];
+                };
+            };
+            responses: {
+                200: components["responses"]["Subscriptions"];
+                400: components["responses"]["Error"];
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        trace?: never;
+    };
+    "/account": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Delete the subscriber, their subscriptions and send history */
+        delete: {
+            parameters: {
+                query: {
+                    /** @description The subscriber's unsubscribe token (from any email) */
+                    token: components["parameters"]["Token"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Deleted */
+                204: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content?: never;
+                };
+                401: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/push/key": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** VAPID application server key */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Public key */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["PushKey"];
+                    };
+                };
+                503: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/push/subscribe": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Notify this browser about a rep
+         * @description The endpoint must be on a browser push service (FCM, Mozilla autopush, Apple, WNS). A browser follows at most 50 reps, and one client can call this 20 times a minute.
+         */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["PushSubscribeRequest"];
+                };
+            };
+            responses: {
+                /** @description Subscribed */
+                201: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["PushSubscribed"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                409: components["responses"]["Error"];
+                429: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+                503: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/push/status": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Reps this browser is notified about */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["PushEndpointRequest"];
+                };
+            };
+            responses: {
+                200: components["responses"]["PushReps"];
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/push/unsubscribe": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Stop notifying about one rep, or forget the browser */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["PushEndpointRequest"];
+                };
+            };
+            responses: {
+                200: components["responses"]["PushReps"];
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/lookup": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Representatives for an address, each with a first page of votes */
+        get: {
+            parameters: {
+                query: {
+                    address: string;
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                    limit?: components["parameters"]["VoteLimit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Representatives with votes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["AddressLookupResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/lookup-by-name": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Representatives matching a name, each with a first page of votes */
+        get: {
+            parameters: {
+                query: {
+                    name: string;
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                    limit?: components["parameters"]["VoteLimit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Representatives with votes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["NameLookupResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/district/resolve": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Congressional district for an address or ZIP */
+        get: {
+            parameters: {
+                query?: {
+                    address?: string;
+                    zip?: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Resolved district */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["DistrictResolution"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/representatives/{state}/{chamber}/{district}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Representatives for a state, chamber and district */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    state: string;
+                    chamber: components["schemas"]["Chamber"];
+                    district: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["RepresentativeRows"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reps": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Every representative */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["RepresentativeRows"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reps/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** One representative with a page of their votes, newest first */
+        get: {
+            parameters: {
+                query?: {
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                    limit?: components["parameters"]["VoteLimit"];
+                    /** @description page.next_cursor from the previous page */
+                    cursor?: components["parameters"]["VoteCursor"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Representative and votes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["RepResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/reps/{id}/stats": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Attendance, party unity and cross-party agreement, overall and per month */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Stats */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["StatsResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/compare": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Line up members on shared roll calls, with pairwise agreement */
+        get: {
+            parameters: {
+                query: {
+                    /** @description Comma-separated member ids (2-4) */
+                    ids: string;
+                    splits?: "1" | "true";
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Comparison */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["CompareResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/issues": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * Search and filter issues
+         * @description Totals are in the X-Total-Count, X-Total-Pages, X-Page and X-Per-Page headers.
+         */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Full-text search */
+                    q?: components["parameters"]["IssueQ"];
+                    category?: components["parameters"]["IssueCategory"];
+                    chamber?: components["parameters"]["IssueChamber"];
+                    congress?: components["parameters"]["IssueCongress"];
+                    from?: components["parameters"]["IssueFrom"];
+                    to?: components["parameters"]["IssueTo"];
+                    outcome?: components["parameters"]["IssueOutcome"];
+                    state?: components["parameters"]["IssueState"];
+                    district?: components["parameters"]["IssueDistrict"];
+                    sort?: components["parameters"]["IssueSort"];
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["PageLimit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of issues */
+                200: {
+                    headers: {
+                        "X-Total-Count"?: number;
+                        "X-Total-Pages"?: number;
+                        "X-Page"?: number;
+                        "X-Per-Page"?: number;
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["IssueList"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/issues/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Full issue with every roll call, members' latest votes and tallies */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Issue detail */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["IssueResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/issues/{id}/summary": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** AI summary of an issue (cached) */
+        get: {
+            parameters: {
+                query?: {
+                    refresh?: components["parameters"]["Refresh"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Summary */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["SummaryResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/issues/{id}/explain": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** AI explanation of what a Yea or Nay vote means (cached) */
+        get: {
+            parameters: {
+                query?: {
+                    vote?: string;
+                    refresh?: components["parameters"]["Refresh"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Explanation */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["ExplainResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/bills/{canonicalId}/actions": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** BILLSTATUS actions on a bill and its derived status */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description e.g. hr815-119 */
+                    canonicalId: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Actions and status */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BillActionsResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/rollcalls/{rollCall}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** One roll call with tallies and every member's position */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description e.g. house-119-2026-78 */
+                    rollCall: components["parameters"]["RollCallPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Roll call detail */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["RollCallResponse"];
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/usage": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** The calling key's limits and requests per day (last 30 days) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Usage */
+                200: {
+                    headers: {
+                        "X-RateLimit-Limit": components["headers"]["RateLimitLimit"];
+                        "X-RateLimit-Remaining": components["headers"]["RateLimitRemaining"];
+                        "X-RateLimit-Reset": components["headers"]["RateLimitReset"];
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1UsageResponse"];
+                    };
+                };
+                401: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/members": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Members of Congress */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Two-letter code */
+                    state?: string;
+                    chamber?: components["schemas"]["Chamber"];
+                    party?: string;
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["PageLimit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of members */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1MemberList"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/members/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** One member */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Member */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1MemberResponse"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                404: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/members/{id}/votes": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** A member's votes, newest first */
+        get: {
+            parameters: {
+                query?: {
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                    limit?: components["parameters"]["VoteLimit"];
+                    /** @description page.next_cursor from the previous page */
+                    cursor?: components["parameters"]["VoteCursor"];
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of votes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1MemberVoteList"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                404: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/rollcalls/{rollCall}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** One roll call with totals and every member's vote */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description e.g. house-119-2026-78 */
+                    rollCall: components["parameters"]["RollCallPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Roll call */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1RollCallResponse"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                404: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/issues": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Search and filter issues */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Full-text search */
+                    q?: components["parameters"]["IssueQ"];
+                    category?: components["parameters"]["IssueCategory"];
+                    chamber?: components["parameters"]["IssueChamber"];
+                    congress?: components["parameters"]["IssueCongress"];
+                    from?: components["parameters"]["IssueFrom"];
+                    to?: components["parameters"]["IssueTo"];
+                    outcome?: components["parameters"]["IssueOutcome"];
+                    state?: components["parameters"]["IssueState"];
+                    district?: components["parameters"]["IssueDistrict"];
+                    sort?: components["parameters"]["IssueSort"];
+                    page?: components["parameters"]["Page"];
+                    limit?: components["parameters"]["PageLimit"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description One page of issues */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1IssueList"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/v1/issues/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** One issue with every roll call on it */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Issue */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["V1IssueResponse"];
+                    };
+                };
+                400: components["responses"]["V1Error"];
+                401: components["responses"]["V1Error"];
+                404: components["responses"]["V1Error"];
+                429: components["responses"]["V1Error"];
+                500: components["responses"]["V1Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/export/votes": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Every matching vote, one row per member per roll call (columns: VOTE_COLUMNS in lib/exports.js) */
+        get: {
+            parameters: {
+                query?: {
+                    format?: components["parameters"]["ExportFormat"];
+                    congress?: components["parameters"]["IssueCongress"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    /** @description Representative id */
+                    member?: components["parameters"]["ExportMember"];
+                    /** @description Issue id */
+                    issue?: components["parameters"]["ExportIssue"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Export"];
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/export/issues": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Issues with at least one matching vote, with those roll calls summarized (columns: ISSUE_COLUMNS in lib/exports.js) */
+        get: {
+            parameters: {
+                query?: {
+                    format?: components["parameters"]["ExportFormat"];
+                    congress?: components["parameters"]["IssueCongress"];
+                    chamber?: components["parameters"]["VoteChamber"];
+                    from?: components["parameters"]["VoteFrom"];
+                    to?: components["parameters"]["VoteTo"];
+                    /** @description Representative id */
+                    member?: components["parameters"]["ExportMember"];
+                    /** @description Issue id */
+                    issue?: components["parameters"]["ExportIssue"];
+                    /** @description Comma list of yes, no, present, not_voting */
+                    vote?: components["parameters"]["VoteValue"];
+                    /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+                    motion?: components["parameters"]["VoteMotion"];
+                    category?: components["parameters"]["VoteCategory"];
+                    type?: components["parameters"]["VoteType"];
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Export"];
+                400: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/reps/{id}.atom": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** A member's latest votes and their position on each (Atom) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Atom 1.0 feed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/atom+xml": string;
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/reps/{id}.ics": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** A member's latest votes and their position on each (iCalendar, one all-day event per vote date) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description iCalendar */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "text/calendar": string;
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/issues/{id}.atom": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Latest roll calls on an issue with result and totals (Atom) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Atom 1.0 feed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/atom+xml": string;
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/issues/{id}.ics": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Latest roll calls on an issue with result and totals (iCalendar, one all-day event per vote date) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description iCalendar */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "text/calendar": string;
+                    };
+                };
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/categories/{category}.atom": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Latest roll calls on issues in a topic category (Atom) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description A topic category, e.g. healthcare */
+                    category: components["parameters"]["FeedCategory"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Atom 1.0 feed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/atom+xml": string;
+                    };
+                };
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/feeds/categories/{category}.ics": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Latest roll calls on issues in a topic category (iCalendar, one all-day event per vote date) */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description A topic category, e.g. healthcare */
+                    category: components["parameters"]["FeedCategory"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description iCalendar */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "text/calendar": string;
+                    };
+                };
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/embed/reps/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Widget page for other sites to iframe (written by public/embed.js); bad options fall back to defaults */
+        get: {
+            parameters: {
+                query?: {
+                    theme?: "auto" | "light" | "dark";
+                    limit?: number;
+                };
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Html"];
+                404: components["responses"]["Html"];
+                500: components["responses"]["Html"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/og/reps/{id}/votes/{rollCall}.png": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** 1200×630 share card of the member's vote on one roll call (photo, name, position, bill title); cached on disk */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    id: components["parameters"]["IdPath"];
+                    /** @description e.g. house-119-2026-78 */
+                    rollCall: components["parameters"]["RollCallPath"];
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["Png"];
+                400: components["responses"]["Error"];
+                404: components["responses"]["Error"];
+                500: components["responses"]["Error"];
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/graphql": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Run a read-only GraphQL query (schema in lib/graphql_schema.js) */
+        get: {
+            parameters: {
+                query: {
+                    query: string;
+                    /** @description JSON-encoded object */
+                    variables?: string;
+                    operationName?: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                200: components["responses"]["GraphQL"];
+                400: components["responses"]["GraphQL"];
+                500: components["responses"]["GraphQL"];
+            };
+        };
+        put?: never;
+        /** Run a read-only GraphQL query (schema in lib/graphql_schema.js) */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["GraphQLRequest"];
+                };
+            };
+            responses: {
+                200: components["responses"]["GraphQL"];
+                400: components["responses"]["GraphQL"];
+                500: components["responses"]["GraphQL"];
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+}
+export type webhooks = Record<string, never>;
+export interface components {
+    schemas: {
+        Error: {
+            error: string;
+        };
+        Health: {
+            ok: boolean;
+            service: string;
+        };
+        OpenApiDocument: {
+            openapi: string;
+            info: Record<string, never>;
+            paths: Record<string, never>;
+        };
+        Diagnostics: {
+            openaiKeyPresent: boolean;
+            model: string;
+            sampleIssue?: Record<string, never> | null;
+            envNodeEnv?: string | null;
+        };
+        /** @enum {string} */
+        Chamber: "house" | "senate";
+        /** @enum {string} */
+        Frequency: "instant" | "daily" | "weekly";
+        /**
+         * @description Followed bills and topics go out with the digest
+         * @enum {string}
+         */
+        FollowFrequency: "daily" | "weekly";
+        /** @enum {string} */
+        EventType: "new_vote" | "missed_vote" | "against_party" | "followed_bill";
+        /**
+         * @description Issue category tag (issues.categories)
+         * @enum {string}
+         */
+        Category: "healthcare" | "taxation" | "environment" | "defense" | "economy" | "immigration" | "education" | "justice" | "energy" | "agriculture" | "foreign_policy" | "civil_rights" | "housing" | "transportation";
+        /** @description A state's senators plus one district's House member (the whole House delegation without a district) */
+        Delegation: {
+            state: string;
+            district?: number | null;
+        };
+        SubscribeRequest: {
+            email: string;
+            representative_ids?: number[];
+            bill_ids?: string[];
+            categories?: components["schemas"]["Category"][];
+            delegation?: components["schemas"]["Delegation"] | null;
+            frequency?: components["schemas"]["Frequency"];
+            event_types?: components["schemas"]["EventType"][];
+        };
+        SubscribeResult: {
+            subscribed: boolean;
+            confirmation_required?: boolean;
+            message: string;
+        };
+        UnsubscribeResult: {
+            unsubscribed: boolean;
+        };
+        AddSubscriptionRequest: {
+            representative_id: number;
+            frequency?: components["schemas"]["Frequency"];
+            event_types?: components["schemas"]["EventType"][];
+        };
+        SubscriptionUpdate: {
+            frequency?: components["schemas"]["Frequency"];
+            event_types?: components["schemas"]["EventType"][];
+            paused?: boolean;
+        };
+        FollowBillRequest: {
+            canonical_bill_id: string;
+            frequency?: components["schemas"]["FollowFrequency"];
+        };
+        FollowUpdate: {
+            frequency?: components["schemas"]["FollowFrequency"];
+            paused?: boolean;
+        };
+        FollowTopicRequest: {
+            category: components["schemas"]["Category"];
+            frequency?: components["schemas"]["FollowFrequency"];
+            delegation?: components["schemas"]["Delegation"] | null;
+        };
+        TopicFollowUpdate: {
+            frequency?: components["schemas"]["FollowFrequency"];
+            paused?: boolean;
+            /** @description null follows every member; omit to keep the current limit */
+            delegation?: components["schemas"]["Delegation"] | null;
+        };
+        /** @description One followed rep */
+        Subscription: {
+            representative_id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            frequency: components["schemas"]["Frequency"];
+            event_types: components["schemas"]["EventType"][];
+            paused: boolean;
+            paused_at: string | null;
+            created_at: string;
+        };
+        /** @description One followed bill */
+        BillSubscription: {
+            canonical_bill_id: string;
+            issue_id: number | null;
+            title: string | null;
+            plain_english_title: string | null;
+            frequency: components["schemas"]["FollowFrequency"];
+            paused: boolean;
+            paused_at: string | null;
+            created_at: string;
+        };
+        /** @description One followed topic; state and district are the delegation limit, if any */
+        TopicSubscription: {
+            category: components["schemas"]["Category"];
+            frequency: components["schemas"]["FollowFrequency"];
+            state: string | null;
+            district: number | null;
+            paused: boolean;
+            paused_at: string | null;
+            created_at: string;
+        };
+        SubscriptionsResponse: {
+            email: string;
+            email_verified: boolean;
+            subscriptions: components["schemas"]["Subscription"][];
+            bills: components["schemas"]["BillSubscription"][];
+            topics: components["schemas"]["TopicSubscription"][];
+        };
+        PushKey: {
+            public_key: string;
+        };
+        PushSubscribeRequest: {
+            /** @description PushSubscription.toJSON() */
+            subscription: {
+                endpoint: string;
+                keys: {
+                    p256dh: string;
+                    auth: string;
+                };
+            };
+            representative_id: number;
+            event_types?: components["schemas"]["EventType"][];
+        };
+        PushEndpointRequest: {
+            endpoint: string;
+            /** @description Unsubscribe only: omit to forget the browser */
+            representative_id?: number;
+        };
+        PushReps: {
+            representative_ids: number[];
+        };
+        PushSubscribed: {
+            subscribed: boolean;
+            representative_ids: number[];
+        };
+        /** @description A representatives row (every column) */
+        RepresentativeRow: {
+            id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            bioguide_id: string | null;
+            phone?: string | null;
+            website?: string | null;
+        } & {
+            [key: string]: unknown;
+        };
+        RepresentativeRowList: components["schemas"]["RepresentativeRow"][];
+        Representative: {
+            id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            bioguide_id: string | null;
+            phone: string | null;
+            website: string | null;
+            contact_json?: unknown;
+            photo_url: string | null;
+        };
+        /** @description AI summary of an issue (issues.ai_summary) */
+        AiSummary: {
+            plain_english_title?: string;
+            short_summary?: string;
+            medium_summary?: string;
+            key_points?: string[];
+            vote_context?: {
+                vote_type?: string;
+                stage?: string;
+                status_quo_brief?: string;
+            };
+            what_a_yea_vote_means?: string;
+            what_a_nay_vote_means?: string;
+            categories?: string[];
+        } & {
+            [key: string]: unknown;
+        };
+        /** @description Roll call metadata from the clerk / Senate XML */
+        VoteMetadata: {
+            question?: string;
+            vote_title?: string;
+            result?: string;
+        } & {
+            [key: string]: unknown;
+        };
+        /** @description One of a member's votes, newest first */
+        RepVote: {
+            vote: string;
+            vote_date: string | null;
+            roll_call: string;
+            chamber: string;
+            vote_metadata: components["schemas"]["VoteMetadata"] | null;
+            issue_id: number | null;
+            bill_id: string | null;
+            title: string | null;
+            ai_summary: components["schemas"]["AiSummary"] | null;
+            categories: string[] | null;
+        };
+        VotesPage: {
+            limit: number;
+            total: number;
+            next_cursor: string | null;
+        };
+        LookupRepresentative: {
+            id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            bioguide_id: string | null;
+            phone: string | null;
+            website: string | null;
+            votes: components["schemas"]["RepVote"][];
+            votes_page: components["schemas"]["VotesPage"];
+        };
+        AddressLookupResponse: {
+            address: string;
+            district: {
+                state: string;
+                district: number | string | null;
+                chamber: string;
+            };
+            representatives: components["schemas"]["LookupRepresentative"][];
+        };
+        NameLookupResponse: {
+            /** @enum {string} */
+            searchType: "name";
+            query: string;
+            representatives: components["schemas"]["LookupRepresentative"][];
+        };
+        DistrictResolution: {
+            state: string;
+            district: number | string | null;
+            chamber: string;
+            /** @description zip, zip_most_common, tigerweb or centroid_fallback */
+            source: string;
+            confidence?: number;
+            approx_km?: number;
+            approximate?: boolean;
+            cached: boolean;
+            /** @enum {string} */
+            cache: "memory" | "resolver";
+        } & {
+            [key: string]: unknown;
+        };
+        RepResponse: {
+            representative: components["schemas"]["Representative"];
+            votes: components["schemas"]["RepVote"][];
+            page: components["schemas"]["VotesPage"];
+            /** @description Parsed vote filters */
+            filters: Record<string, never>;
+        };
+        StatsBucket: {
+            roll_calls: number;
+            missed: number;
+            missed_rate: number | null;
+            party_unity: number | null;
+            with_other_party: number | null;
+        };
+        MonthStatsBucket: components["schemas"]["StatsBucket"] & {
+            /** @description YYYY-MM */
+            month: string;
+        };
+        StatsResponse: {
+            representative_id: number;
+            party: string | null;
+            compared_party: string | null;
+            totals: components["schemas"]["StatsBucket"];
+            by_month: components["schemas"]["MonthStatsBucket"][];
+        };
+        CompareRep: {
+            id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            bioguide_id: string | null;
+            photo_url: string | null;
+        };
+        AgreementPair: {
+            a: number;
+            b: number;
+            /** @enum {string} */
+            basis: "roll_call" | "issue";
+            compared: number;
+            agreed: number;
+            agreement: number | null;
+        };
+        SharedRollCall: {
+            roll_call: string;
+            vote_date: string | null;
+            chamber: string;
+            issue_id: number | null;
+            title: string | null;
+            question: string | null;
+            /** @description member id -> vote */
+            positions: {
+                [key: string]: string;
+            };
+            split: boolean;
+        };
+        CompareResponse: {
+            representatives: components["schemas"]["CompareRep"][];
+            agreement: components["schemas"]["AgreementPair"][];
+            shared_roll_calls: number;
+            split_roll_calls: number;
+            roll_calls: components["schemas"]["SharedRollCall"][];
+        };
+        Tally: {
+            yes: number;
+            no: number;
+            present: number;
+            not_voting: number;
+            total: number;
+        };
+        PartyTally: components["schemas"]["Tally"] & {
+            party: string;
+            /**
+             * @description Major parties only; null on a tie or for other parties
+             * @enum {string|null}
+             */
+            majority?: "yes" | "no" | null;
+            defections?: number;
+        };
+        StateTally: components["schemas"]["Tally"] & {
+            state: string;
+        };
+        ChamberTally: components["schemas"]["Tally"] & {
+            chamber: string;
+        };
+        Defector: {
+            representative_id: number;
+            representative_name: string;
+            party: string;
+            state: string;
+            district: number | null;
+            /** @enum {string} */
+            vote: "yes" | "no";
+            /** @enum {string} */
+            party_position: "yes" | "no";
+        };
+        RollCallTallies: {
+            totals: components["schemas"]["Tally"];
+            by_party: components["schemas"]["PartyTally"][];
+            by_state: components["schemas"]["StateTally"][];
+            by_chamber?: components["schemas"]["ChamberTally"][];
+            defectors?: components["schemas"]["Defector"][];
+        };
+        MemberPosition: {
+            representative_id: number;
+            representative_name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            vote: string;
+        };
+        IssueListItem: {
+            id: number;
+            title: string | null;
+            description: string | null;
+            canonical_bill_id: string | null;
+            bill_id: string | null;
+            bill_summary: string | null;
+            ai_summary: components["schemas"]["AiSummary"] | null;
+            categories: string[] | null;
+            vote_date: string | null;
+            source: string | null;
+            /** @description Latest roll call */
+            chamber: string | null;
+            congress: number | null;
+            latest_roll_call: string | null;
+            result: string | null;
+            /** @enum {string|null} */
+            outcome: "passed" | "failed" | null;
+        };
+        IssueList: components["schemas"]["IssueListItem"][];
+        IssueDetail: {
+            id: number;
+            title: string | null;
+            description: string | null;
+            canonical_bill_id: string | null;
+            bill_id: string | null;
+            bill_summary: string | null;
+            ai_summary: components["schemas"]["AiSummary"] | null;
+            categories: string[] | null;
+            vote_date: string | null;
+            source: string | null;
+        };
+        /** @description A member's latest vote on the issue */
+        IssueVote: components["schemas"]["MemberPosition"] & {
+            vote_date: string | null;
+            roll_call: string;
+        };
+        TimelineRollCall: {
+            roll_call: string;
+            chamber: string;
+            congress: number | null;
+            roll_number: number | null;
+            vote_date: string | null;
+            question: string | null;
+            vote_title: string | null;
+            motion_family: string | null;
+            result: string | null;
+            /** @enum {string|null} */
+            outcome: "passed" | "failed" | null;
+            tallies: components["schemas"]["RollCallTallies"];
+            votes: components["schemas"]["MemberPosition"][];
+        };
+        IssueResponse: {
+            issue: components["schemas"]["IssueDetail"];
+            votes: components["schemas"]["IssueVote"][];
+            /** @description Result of the latest roll call */
+            result: string | null;
+            tallies: components["schemas"]["RollCallTallies"];
+            roll_calls: components["schemas"]["TimelineRollCall"][];
+        };
+        BillAction: {
+            action_date: string;
+            action_text: string;
+            action_code: string | null;
+            action_type: string | null;
+            chamber: string | null;
+            roll_number: number | null;
+        };
+        BillStatus: {
+            /** @enum {string} */
+            status: "introduced" | "passed_house" | "passed_senate" | "resolving_differences" | "to_president" | "became_law" | "vetoed";
+            label: string;
+            as_of: string | null;
+            steps: {
+                key: string;
+                label: string;
+                date: string | null;
+                reached: boolean;
+            }[];
+        };
+        BillActionsResponse: {
+            canonical_bill_id: string;
+            status: components["schemas"]["BillStatus"];
+            actions: components["schemas"]["BillAction"][];
+        };
+        RollCallIssue: {
+            id: number;
+            title: string | null;
+            canonical_bill_id: string | null;
+            plain_english_title: string | null;
+        };
+        RollCallResponse: components["schemas"]["RollCallTallies"] & {
+            roll_call: {
+                id: string;
+                chamber: string;
+                congress: number;
+                session: number | string | null;
+                roll_number: number;
+                vote_date: string | null;
+                question: string | null;
+                vote_title: string | null;
+                motion_family: string | null;
+                result: string | null;
+                issue: components["schemas"]["RollCallIssue"] | null;
+            };
+            votes: components["schemas"]["MemberPosition"][];
+        };
+        /** @description Cache hits spread the summary into the body; a miss returns { summary, meta } */
+        SummaryResponse: {
+            cached: boolean;
+            /** @enum {string} */
+            cache: "memory" | "db" | "miss";
+            updated_at?: string | null;
+            summary?: components["schemas"]["AiSummary"];
+            meta?: Record<string, never>;
+        } & {
+            [key: string]: unknown;
+        };
+        ExplainResponse: {
+            cached: boolean;
+            /** @enum {string} */
+            cache: "memory" | "db" | "miss";
+            updated_at?: string | null;
+            explanation: unknown;
+            meta?: Record<string, never>;
+        };
+        V1Error: {
+            error: {
+                /** @enum {string} */
+                code: "invalid_request" | "unauthorized" | "not_found" | "rate_limited" | "quota_exceeded" | "internal_error";
+                message: string;
+            };
+        };
+        V1PageMeta: {
+            page: number;
+            limit: number;
+            total: number;
+            total_pages: number;
+        };
+        V1Member: {
+            id: number;
+            bioguide_id: string | null;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            chamber: string;
+            phone: string | null;
+            website: string | null;
+            photo_url: string | null;
+        };
+        V1MemberList: {
+            data: components["schemas"]["V1Member"][];
+            meta: components["schemas"]["V1PageMeta"];
+        };
+        V1MemberResponse: {
+            data: components["schemas"]["V1Member"];
+        };
+        V1MemberVote: {
+            roll_call: string;
+            chamber: string;
+            vote_date: string | null;
+            vote: string;
+            question: string | null;
+            result: string | null;
+            issue: {
+                id: number;
+                canonical_bill_id: string | null;
+                title: string | null;
+                categories: string[];
+            } | null;
+        };
+        V1MemberVoteList: {
+            data: components["schemas"]["V1MemberVote"][];
+            meta: components["schemas"]["VotesPage"];
+        };
+        V1Issue: {
+            id: number;
+            canonical_bill_id: string | null;
+            title: string | null;
+            plain_english_title: string | null;
+            summary: string | null;
+            categories: string[];
+            vote_date: string | null;
+            /** @enum {string|null} */
+            outcome: "passed" | "failed" | null;
+        };
+        V1IssueList: {
+            data: components["schemas"]["V1Issue"][];
+            meta: components["schemas"]["V1PageMeta"];
+        };
+        V1Position: {
+            member_id: number;
+            name: string;
+            party: string | null;
+            state: string;
+            district: number | null;
+            vote: string;
+        };
+        V1IssueResponse: {
+            data: components["schemas"]["V1Issue"] & {
+                roll_calls: {
+                    id: string;
+                    chamber: string;
+                    vote_date: string | null;
+                    question: string | null;
+                    motion_family: string | null;
+                    result: string | null;
+                    totals: components["schemas"]["Tally"];
+                    votes: components["schemas"]["V1Position"][];
+                }[];
+            };
+        };
+        V1RollCallResponse: {
+            data: {
+                id: string;
+                chamber: string;
+                congress: number;
+                session: number | string | null;
+                roll_number: number;
+                vote_date: string | null;
+                question: string | null;
+                motion_family: string | null;
+                result: string | null;
+                issue: components["schemas"]["V1Issue"] | null;
+                totals: components["schemas"]["Tally"];
+                by_party: components["schemas"]["PartyTally"][];
+                votes: components["schemas"]["V1Position"][];
+            };
+        };
+        V1UsageResponse: {
+            data: {
+                name: string;
+                key_prefix: string;
+                rate_limit_per_minute: number;
+                daily_quota: number;
+                days: {
+                    day: string;
+                    requests: number;
+                }[];
+            };
+        };
+        GraphQLRequest: {
+            query: string;
+            variables?: Record<string, never> | null;
+            operationName?: string | null;
+        };
+        GraphQLError: {
+            message: string;
+            locations?: {
+                line?: number;
+                column?: number;
+            }[];
+            path?: (string | number)[];
+            extensions?: Record<string, never>;
+        };
+        GraphQLResponse: {
+            data?: Record<string, never> | null;
+            errors?: components["schemas"]["GraphQLError"][];
+        };
+    };
+    responses: {
+        /** @description Error */
+        Error: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Error"];
+            };
+        };
+        /** @description Error envelope */
+        V1Error: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["V1Error"];
+            };
+        };
+        /** @description Streamed download (Content-Disposition attachment) */
+        Export: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "text/csv": string;
+                "application/x-ndjson": string;
+            };
+        };
+        /** @description HTML page */
+        Html: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "text/html": string;
+            };
+        };
+        /** @description PNG image */
+        Png: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "image/png": string;
+            };
+        };
+        /** @description Service is up */
+        Health: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["Health"];
+            };
+        };
+        /** @description The subscriber's subscriptions after the change */
+        Subscriptions: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["SubscriptionsResponse"];
+            };
+        };
+        /** @description Reps the browser is notified about */
+        PushReps: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["PushReps"];
+            };
+        };
+        /** @description GraphQL result: data and/or errors (400 when the query is invalid or over the depth/complexity limits) */
+        GraphQL: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["GraphQLResponse"];
+            };
+        };
+        /** @description representatives rows */
+        RepresentativeRows: {
+            headers: {
+                [name: string]: unknown;
+            };
+            content: {
+                "application/json": components["schemas"]["RepresentativeRowList"];
+            };
+        };
+    };
+    parameters: {
+        /** @description The subscriber's unsubscribe token (from any email) */
+        Token: string;
+        IdPath: number;
+        /** @description e.g. house-119-2026-78 */
+        RollCallPath: string;
+        Refresh: "1" | "true";
+        Page: number;
+        PageLimit: number;
+        VoteFrom: string;
+        VoteTo: string;
+        VoteChamber: components["schemas"]["Chamber"];
+        /** @description Comma list of yes, no, present, not_voting */
+        VoteValue: string;
+        /** @description Motion family from lib/motion_normalizer.js, e.g. On Passage */
+        VoteMotion: string;
+        VoteCategory: string;
+        VoteType: "issue" | "procedural";
+        VoteLimit: number;
+        /** @description page.next_cursor from the previous page */
+        VoteCursor: string;
+        /** @description A topic category, e.g. healthcare */
+        FeedCategory: string;
+        ExportFormat: "csv" | "ndjson";
+        /** @description Representative id */
+        ExportMember: number;
+        /** @description Issue id */
+        ExportIssue: number;
+        /** @description Full-text search */
+        IssueQ: string;
+        IssueCategory: string;
+        IssueChamber: components["schemas"]["Chamber"];
+        IssueCongress: number;
+        IssueFrom: string;
+        IssueTo: string;
+        IssueOutcome: "passed" | "failed";
+        IssueState: string;
+        IssueDistrict: number;
+        IssueSort: "newest" | "oldest" | "title" | "relevance";
+    };
+    requestBodies: never;
+    headers: {
+        /** @description Requests allowed per minute (sent on every authenticated /v1 response) */
+        RateLimitLimit: number;
+        RateLimitRemaining: number;
+        /** @description Epoch seconds when the minute window resets */
+        RateLimitReset: number;
+    };
+    pathItems: never;
+}
+export type $defs = Record<string, never>;
+export type operations = Record<string, never>;
@@ -0,0 +1,16 @@
+import { useEffect } from 'react'
+
+const SITE_NAME = 'RepWatch'
+
+/**
+ * Keeps the tab title in step with client-side navigation. The server writes the first page's
+ * title into index.html (lib/page_meta.js); this takes over from there.
+ */
+export function useDocumentTitle(title: string | null | undefined) {
+  useEffect(() => {
+    document.title = title ? `${title} | ${SITE_NAME}` : SITE_NAME
+    return () => {
+      document.title = SITE_NAME
+    }
+  }, [title])
+}
@@ -0,0 +1,45 @@
+import type { ApiSchema } from '../api'
+
+/**
+ * Subscription cadence and event types accepted by /api/subscribe.
+ * Mirrors FREQUENCIES and EVENT_TYPES in lib/notifications.js.
+ */
+export type Frequency = ApiSchema<'Frequency'>
+/** Followed bills and topics go out with the digest (FOLLOW_FREQUENCIES) */
+export type FollowFrequency = ApiSchema<'FollowFrequency'>
+export type EventType = ApiSchema<'EventType'>
+
+export const FREQUENCY_OPTIONS: Array<{ value: Frequency; label: string }> = [
+  { value: 'instant', label: 'As it happens' },
+  { value: 'daily', label: 'Daily digest' },
+  { value: 'weekly', label: 'Weekly digest' },
+]
+
+export const FOLLOW_FREQUENCY_OPTIONS: Array<{ value: FollowFrequency; label: string }> = [
+  { value: 'daily', label: 'Daily digest' },
+  { value: 'weekly', label: 'Weekly digest' },
+]
+
+export const EVENT_TYPE_OPTIONS: Array<{ value: EventType; label: string }> = [
+  { value: 'new_vote', label: 'Every new vote' },
+  { value: 'missed_vote', label: 'Missed votes' },
+  { value: 'against_party', label: 'Votes against their party' },
+  { value: 'followed_bill', label: 'Votes on bills I follow' },
+]
+
+/** One followed rep, as returned by /api/subscriptions */
+export type Subscription = ApiSchema<'Subscription'>
+
+/** One followed bill, as returned by /api/subscriptions */
+export type BillSubscription = ApiSchema<'BillSubscription'>
+
+/** One followed topic (issue category), as returned by /api/subscriptions */
+export type TopicSubscription = ApiSchema<'TopicSubscription'>
+
+/** "WA-7 delegation", "WA delegation" or "All members" */
+export function delegationLabel(topic: { state: string | null; district: number | null }): string {
+  if (!topic.state) return 'All members'
+  return `${topic.state}${topic.district != null ? `-${topic.district}` : ''} delegation`
+}
+
+export type SubscriptionsResponse = ApiSchema<'SubscriptionsResponse'>
@@ -0,0 +1,83 @@
+/**
+ * Browser side of Web Push: service worker registration, PushSubscription, and the
+ * /api/push/* routes. The service worker lives at public/sw.js.
+ */
+import { apiUrl } from '../api'
+
+const SW_PATH = '/sw.js'
+
+export function isPushSupported(): boolean {
+  return typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+}
+
+function urlBase64ToUint8Array(base64: string): Uint8Array<ArrayBuffer> {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = atob(padded)
+  const bytes = new Uint8Array(raw.length)
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i)
+  return bytes
+}
+
+async function postJson<T>(path: string, body: object, signal?: AbortSignal): Promise<T> {
+  const res = await fetch(apiUrl(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  })
+  const data = await res.json()
+  if (!res.ok) throw new Error(data.error || 'Request failed')
+  return data as T
+}
+
+/** This browser's existing PushSubscription, without prompting */
+async function currentSubscription(): Promise<PushSubscription | null> {
+  const registration = await navigator.serviceWorker.getRegistration(SW_PATH)
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+/** Rep ids this browser already gets notifications for */
+export async function getPushRepIds(signal?: AbortSignal): Promise<number[]> {
+  if (!isPushSupported()) return []
+  const subscription = await currentSubscription()
+  if (!subscription) return []
+  const { representative_ids } = await postJson<{ representative_ids: number[] }>('/api/push/status', { endpoint: subscription.endpoint }, signal)
+  return representative_ids
+}
+
+/** Ask for permission (if needed), subscribe this browser, and follow the rep */
+export async function enablePush(representativeId: number): Promise<number[]> {
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site. Allow them in your browser settings.')
+  const keyRes = await fetch(apiUrl('/api/push/key'))
+  const keyBody = await keyRes.json()
+  if (!keyRes.ok) throw new Error(keyBody.error || 'Push notifications are not available')
+  const registration = await navigator.serviceWorker.register(SW_PATH)
+  await navigator.serviceWorker.ready
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(keyBody.public_key),
+    }))
+  const { representative_ids } = await postJson<{ representative_ids: number[] }>('/api/push/subscribe', {
+    subscription: subscription.toJSON(),
+    representative_id: representativeId,
+  })
+  return representative_ids
+}
+
+/** Stop notifications for one rep; the browser subscription stays for other reps */
+export async function disablePush(representativeId: number): Promise<number[]> {
+  const subscription = await currentSubscription()
+  if (!subscription) return []
+  const { representative_ids } = await postJson<{ representative_ids: number[] }>('/api/push/unsubscribe', {
+    endpoint: subscription.endpoint,
+    representative_id: representativeId,
+  })
+  if (representative_ids.length === 0) {
+    await postJson('/api/push/unsubscribe', { endpoint: subscription.endpoint })
+    await subscription.unsubscribe()
+  }
+  return representative_ids
+}
@@ -0,0 +1,10 @@
+import type { ApiSchema } from '../api'
+
+/**
+ * Roll call tallies returned by /api/issues/:id and /api/rollcalls/:rollCall.
+ * Mirrors lib/tallies.js.
+ */
+export type Tally = ApiSchema<'Tally'>
+export type PartyTally = ApiSchema<'PartyTally'>
+export type Defector = ApiSchema<'Defector'>
+export type RollCallTallies = ApiSchema<'RollCallTallies'>
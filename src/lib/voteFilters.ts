@@ -0,0 +1,68 @@
+import type { ApiSchema } from '../api'
+
+/**
+ * Vote history filters understood by /api/reps/:id and /api/lookup.
+ * Motion families mirror MOTION_FAMILIES in lib/motion_normalizer.js.
+ */
+export const MOTION_FAMILIES = [
+  'On Passage',
+  'On Agreeing',
+  'Motion to Recommit',
+  'Previous Question',
+  'Suspend the Rules',
+  'On the Amendment',
+  'On the Resolution',
+  'On the Conference Report',
+  'On Concurring',
+  'On Cloture',
+  'On the Motion to Proceed',
+  'On the Nomination',
+]
+
+export const CATEGORIES = [
+  'healthcare',
+  'taxation',
+  'environment',
+  'defense',
+  'economy',
+  'immigration',
+  'education',
+  'justice',
+  'energy',
+  'agriculture',
+  'foreign_policy',
+  'civil_rights',
+  'housing',
+  'transportation',
+]
+
+/** "foreign_policy" -> "Foreign policy" (categoryLabel in lib/digest_email.js) */
+export function categoryLabel(category: string): string {
+  const words = category.replace(/_/g, ' ')
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+export interface VoteFilters {
+  from?: string
+  to?: string
+  vote?: '' | 'yes' | 'no' | 'not_voting' | 'present'
+  motion?: string
+  category?: string
+  type?: '' | 'issue' | 'procedural'
+}
+
+export type VotesPage = ApiSchema<'VotesPage'>
+
+/** Query string for a vote list request; empty filters are dropped */
+export function voteFiltersQuery(filters: VoteFilters, extra: Record<string, string | number | null | undefined> = {}): string {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries({ ...filters, ...extra })) {
+    if (value != null && value !== '') params.set(key, String(value))
+  }
+  const qs = params.toString()
+  return qs ? `?${qs}` : ''
+}
+
+export function hasActiveFilters(filters: VoteFilters): boolean {
+  return Object.values(filters).some((v) => v != null && v !== '')
+}
@@ -0,0 +1,205 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import PageShell from '../components/PageShell'
+import Breadcrumbs from '../components/Breadcrumbs'
+import CopyLinkButton from '../components/CopyLinkButton'
+import { apiUrl, type ApiSchema } from '../api'
+
+type CompareResponse = ApiSchema<'CompareResponse'>
+
+const PAGE_SIZE = 50
+
+function voteClass(vote: string | undefined): string {
+  const v = (vote || '').toLowerCase()
+  if (v === 'yes') return 'text-green-400'
+  if (v === 'no') return 'text-red-400'
+  return 'text-oled-secondary'
+}
+
+export default function Compare() {
+  const [searchParams] = useSearchParams()
+  const ids = searchParams.get('ids') || ''
+  const [data, setData] = useState<CompareResponse | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [splitsOnly, setSplitsOnly] = useState(true)
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setLoading(true)
+    setError('')
+    fetch(apiUrl(`/api/compare?ids=${encodeURIComponent(ids)}`), { signal: controller.signal })
+      .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) throw new Error(body.error || 'Failed to load')
+        setData(body)
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false)
+      })
+    return () => controller.abort()
+  }, [ids])
+
+  const rollCalls = useMemo(
+    () => (data ? data.roll_calls.filter((rc) => !splitsOnly || rc.split) : []),
+    [data, splitsOnly]
+  )
+
+  if (loading) {
+    return (
+      <PageShell>
+        <div className="text-center text-oled-secondary py-12">Loading...</div>
+      </PageShell>
+    )
+  }
+
+  if (error || !data) {
+    return (
+      <PageShell>
+        <div className="text-center py-12">
+          <p className="text-red-400 mb-4">{error || 'Comparison not available'}</p>
+          <Link to="/" className="text-oled-secondary hover:text-oled-text underline">Back to search</Link>
+        </div>
+      </PageShell>
+    )
+  }
+
+  const reps = data.representatives
+  const nameOf = (id: number) => reps.find((r) => r.id === id)?.name || `#${id}`
+
+  return (
+    <PageShell>
+      <div className="max-w-4xl mx-auto">
+        <Breadcrumbs items={[{ label: 'Search', href: '/' }, { label: 'Compare' }]} className="mb-4" />
+        <h1 className="text-2xl md:text-3xl font-light text-oled-text mb-2">Compare representatives</h1>
+        <p className="text-oled-secondary text-sm mb-3">
+          {data.shared_roll_calls} shared roll calls, {data.split_roll_calls} where they split.
+        </p>
+        <CopyLinkButton className="mb-8" />
+
+        {/* Members */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-10">
+          {reps.map((rep) => (
+            <Link key={rep.id} to={`/reps/${rep.id}`} className="p-4 border border-oled-border rounded hover:bg-oled-card transition-colors">
+              <div className="text-oled-text font-medium">{rep.name}</div>
+              <div className="text-xs text-oled-secondary mt-1">
+                {rep.party || 'Unknown'} · {rep.state} {rep.chamber === 'senate' ? 'Senator' : rep.district ? `District ${rep.district}` : 'At-Large'}
+              </div>
+            </Link>
+          ))}
+        </div>
+
+        {/* Agreement */}
+        <section className="mb-10">
+          <h2 className="text-lg font-medium text-oled-text mb-3">Agreement</h2>
+          <div className="overflow-x-auto border border-oled-border rounded">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-oled-border bg-oled-card/50">
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Members</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Agree</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Compared on</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.agreement.map((pair) => (
+                  <tr key={`${pair.a}-${pair.b}`} className="border-b border-oled-border/50">
+                    <td className="py-2 px-3 text-oled-text">{nameOf(pair.a)} &amp; {nameOf(pair.b)}</td>
+                    <td className="py-2 px-3 text-oled-text">
+                      {pair.agreement == null ? '—' : `${(pair.agreement * 100).toFixed(1)}%`}
+                    </td>
+                    <td className="py-2 px-3 text-oled-secondary">
+                      {pair.compared} {pair.basis === 'roll_call' ? 'shared roll calls' : 'bills voted on in both chambers'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        {/* Roll calls */}
+        <section>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h2 className="text-lg font-medium text-oled-text">
+              {splitsOnly ? 'Where they split' : 'All shared votes'}
+              <span className="text-oled-secondary font-normal text-sm ml-2">({rollCalls.length})</span>
+            </h2>
+            <button
+              type="button"
+              onClick={() => { setSplitsOnly((v) => !v); setVisibleCount(PAGE_SIZE) }}
+              className="text-sm text-oled-secondary hover:text-oled-text underline"
+            >
+              {splitsOnly ? 'Show all shared votes' : 'Show only splits'}
+            </button>
+          </div>
+          <div className="overflow-x-auto border border-oled-border rounded">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-oled-border bg-oled-card/50">
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Date</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Vote</th>
+                  {reps.map((rep) => (
+                    <th key={rep.id} className="text-left py-3 px-3 font-medium text-oled-text whitespace-nowrap">
+                      {rep.name.split(/\s+/).slice(-1)[0]}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rollCalls.length === 0 && (
+                  <tr>
+                    <td colSpan={reps.length + 2} className="py-4 px-3 text-center text-oled-secondary">
+                      {splitsOnly ? 'These members have not split on a shared vote.' : 'No shared roll calls.'}
+                    </td>
+                  </tr>
+                )}
+                {rollCalls.slice(0, visibleCount).map((rc) => {
+                  const title = rc.title || rc.question || rc.roll_call
+                  return (
+                    <tr key={rc.roll_call} className="border-b border-oled-border/50 hover:bg-oled-card/30">
+                      <td className="py-2 px-3 text-oled-secondary whitespace-nowrap">
+                        {rc.vote_date
+                          ? new Date(rc.vote_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                          : '—'}
+                      </td>
+                      <td className="py-2 px-3 text-oled-text">
+                        {rc.issue_id != null ? (
+                          <Link to={`/issues/${rc.issue_id}`} className="hover:underline">
+                            {title.length > 80 ? `${title.substring(0, 80)}...` : title}
+                          </Link>
+                        ) : (
+                          title.length > 80 ? `${title.substring(0, 80)}...` : title
+                        )}
+                        {rc.question && rc.question !== title && (
+                          <div className="text-xs text-oled-secondary mt-0.5">{rc.question}</div>
+                        )}
+                      </td>
+                      {reps.map((rep) => (
+                        <td key={rep.id} className={`py-2 px-3 font-medium capitalize whitespace-nowrap ${voteClass(rc.positions[rep.id])}`}>
+                          {rc.positions[rep.id] || '—'}
+                        </td>
+                      ))}
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          {visibleCount < rollCalls.length && (
+            <button
+              onClick={() => setVisibleCount((c) => c + PAGE_SIZE)}
+              className="mt-3 w-full py-2 text-sm text-oled-secondary border border-oled-border rounded hover:bg-oled-card hover:text-oled-text transition-colors"
+            >
+              Load more ({rollCalls.length - visibleCount} remaining)
+            </button>
+          )}
+        </section>
+      </div>
+    </PageShell>
+  )
+}
@@ -1,41 +1,9 @@
 import { useState } from 'react'
 import { Link } from 'react-router-dom'
 import PageShell from '../components/PageShell'
-import { apiUrl } from '../api'
+import { apiUrl, type ApiSchema } from '../api'
 
-interface Vote {
-  vote: string
-  vote_date: string
-  issue_id?: number | null
-  title?: string
-  bill_id?: string
-  categories?: string[]
-  ai_summary?: {
-    short_summary?: string
-    medium_summary?: string
-    key_points?: string[]
-    vote_context?: {
-      vote_type?: string
-      stage?: string
-      status_quo_brief?: string
-    }
-    what_a_yea_vote_means?: string
-    what_a_nay_vote_means?: string
-    categories?: string[]
-  }
-}
-
-interface Representative {
-  id?: number
-  name: string
-  party: string
-  state: string
-  district: number | null
-  chamber: string
-  phone?: string
-  website?: string
-  votes?: Vote[]
-}
+type Representative = ApiSchema<'LookupRepresentative'>
 
 export default function Home() {
   const [address, setAddress] = useState('')
@@ -131,6 +99,16 @@ export default function Home() {
 
       {reps.length > 0 && (
         <div className="max-w-2xl mx-auto space-y-4">
+          {reps.filter(r => r.id != null).length >= 2 && (
+            <div className="text-right">
+              <Link
+                to={`/compare?ids=${reps.filter(r => r.id != null).map(r => r.id).join(',')}`}
+                className="text-sm text-oled-secondary hover:text-oled-text underline"
+              >
+                Compare how they vote →
+              </Link>
+            </div>
+          )}
           {reps.map((rep, repIndex) => {
             const isSenator = rep.chamber === 'senate'
             const districtDisplay = isSenator
@@ -217,7 +195,7 @@ export default function Home() {
                       Recent votes
                       {rep.votes && rep.votes.length > 0 && (
                         <span className="ml-2 text-sm font-normal text-oled-secondary">
-                          ({rep.votes.length})
+                          ({rep.votes_page?.total ?? rep.votes.length})
                         </span>
                       )}
                     </h3>
@@ -228,11 +206,13 @@ export default function Home() {
                   {openVotes.has(repIndex) && (votesToShow && votesToShow.length > 0 ? (
                     <div className="space-y-3 mt-3">
                       {votesToShow.map((vote, voteIndex) => {
-                        const voteDate = new Date(vote.vote_date).toLocaleDateString('en-US', {
-                          year: 'numeric',
-                          month: 'short',
-                          day: 'numeric'
-                        })
+                        const voteDate = vote.vote_date
+                          ? new Date(vote.vote_date).toLocaleDateString('en-US', {
+                              year: 'numeric',
+                              month: 'short',
+                              day: 'numeric'
+                            })
+                          : '—'
                         const voteIcon = getVoteIcon(vote.vote)
                         const title = vote.title || 'Vote'
                         
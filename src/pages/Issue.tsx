@@ -3,38 +3,19 @@ import { useParams, Link } from 'react-router-dom'
 import PageShell from '../components/PageShell'
 import Breadcrumbs from '../components/Breadcrumbs'
 import CopyLinkButton from '../components/CopyLinkButton'
-import { apiUrl } from '../api'
+import PartySplitTable from '../components/PartySplitTable'
+import BillStatusTracker, { type BillAction, type BillStatus } from '../components/BillStatusTracker'
+import FollowBillForm from '../components/FollowBillForm'
+import { apiUrl, type ApiSchema } from '../api'
+import { useDocumentTitle } from '../lib/documentTitle'
 import { congressGovBillUrl, congressGovSearchUrl } from '../lib/congressGov'
 
-interface VoteRow {
-  representative_id: number
-  representative_name: string
-  party: string | null
-  state: string
-  district: number | null
-  vote: string
-  vote_date: string
-  roll_call: string
-}
-
-interface IssueDetail {
-  id: number
-  title: string | null
-  description: string | null
-  canonical_bill_id: string | null
-  bill_id: string | null
-  bill_summary: string | null
-  ai_summary: Record<string, unknown> | null
-  categories: string[] | null
-  vote_date: string | null
-  source: string | null
-}
+type VoteRow = ApiSchema<'IssueVote'>
+type MemberVote = ApiSchema<'MemberPosition'>
+type IssueResponse = ApiSchema<'IssueResponse'>
 
-interface IssueResponse {
-  issue: IssueDetail
-  votes: VoteRow[]
-  result: string | null
-}
+/** Member table default: each member's latest vote rather than one roll call */
+const LATEST = 'latest'
 
 function formatBillId(billId: string | null): string {
   if (!billId) return ''
@@ -62,6 +43,10 @@ export default function Issue() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [showFullTitle, setShowFullTitle] = useState(false)
+  const [selectedRollCall, setSelectedRollCall] = useState<string>(LATEST)
+  const [billActions, setBillActions] = useState<{ status: BillStatus; actions: BillAction[] } | null>(null)
+  const aiTitle = (data?.issue.ai_summary as { plain_english_title?: string } | undefined)?.plain_english_title?.trim()
+  useDocumentTitle(data ? aiTitle || data.issue.title : null)
 
   useEffect(() => {
     if (!id) {
@@ -71,6 +56,7 @@ export default function Issue() {
     }
     setLoading(true)
     setError('')
+    setSelectedRollCall(LATEST)
     fetch(apiUrl(`/api/issues/${id}`))
       .then((res) => {
         if (!res.ok) throw new Error(res.status === 404 ? 'Issue not found' : 'Failed to load')
@@ -81,10 +67,27 @@ export default function Issue() {
       .finally(() => setLoading(false))
   }, [id])
 
+  // Status tracker is optional: bills without stored BILLSTATUS actions (404) just don't show it
+  const canonicalBillId = data?.issue?.canonical_bill_id
+  useEffect(() => {
+    setBillActions(null)
+    if (!canonicalBillId) return
+    const controller = new AbortController()
+    fetch(apiUrl(`/api/bills/${encodeURIComponent(canonicalBillId)}/actions`), { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((body) => setBillActions(body))
+      .catch(() => {
+        if (!controller.signal.aborted) setBillActions(null)
+      })
+    return () => controller.abort()
+  }, [canonicalBillId])
+
   // Must run every render (hooks rule); dedupe to one vote per representative
   const votes = data?.votes
+  const rollCalls = useMemo(() => (Array.isArray(data?.roll_calls) ? data.roll_calls : []), [data])
+  const selected = rollCalls.find((rc) => rc.roll_call === selectedRollCall) || null
   const displayVotes = useMemo(() => {
-    const list = Array.isArray(votes) ? votes : []
+    const list: MemberVote[] = selected ? selected.votes : Array.isArray(votes) ? votes : []
     const seen = new Set<number>()
     return list.filter((v) => {
       if (!v || typeof (v as VoteRow).representative_id !== 'number') return false
@@ -93,7 +96,7 @@ export default function Issue() {
       seen.add(rid)
       return true
     })
-  }, [votes])
+  }, [votes, selected])
 
   if (loading) {
     return (
@@ -127,10 +130,13 @@ export default function Issue() {
     procedural_subtext?: string
   } | undefined
 
-  const yeaCount = displayVotes.filter((v) => ['yea', 'yes', 'aye'].includes((v.vote || '').toLowerCase())).length
-  const nayCount = displayVotes.filter((v) => ['nay', 'no'].includes((v.vote || '').toLowerCase())).length
-  const presentCount = displayVotes.filter((v) => (v.vote || '').toLowerCase() === 'present').length
-  const notVotingCount = displayVotes.filter((v) => (v.vote || '').toLowerCase() === 'not voting').length
+  // Selected roll call, else each member's latest vote; party split defaults to the final roll call
+  const tallies = selected ? selected.tallies : data.tallies
+  const splitRollCall = selected || (rollCalls.length > 0 ? rollCalls[rollCalls.length - 1] : null)
+  const yeaCount = tallies?.totals.yes ?? 0
+  const nayCount = tallies?.totals.no ?? 0
+  const presentCount = tallies?.totals.present ?? 0
+  const notVotingCount = tallies?.totals.not_voting ?? 0
 
   const rawTitle = issue.title || `Bill ${issue.canonical_bill_id || issue.bill_id || 'Unknown'}`
   const preferredTitle = (ai?.plain_english_title && ai.plain_english_title.trim()) ? ai.plain_english_title.trim() : rawTitle
@@ -203,6 +209,19 @@ export default function Issue() {
           </div>
         </div>
 
+        {issue.canonical_bill_id && !issue.canonical_bill_id.startsWith('senate-roll:') && (
+          <FollowBillForm canonicalBillId={issue.canonical_bill_id} className="mb-10" />
+        )}
+
+        {/* Where the bill stands now */}
+        {billActions && (
+          <section className="mb-10">
+            <h2 className="text-lg font-medium text-oled-text mb-1">Status: {billActions.status.label}</h2>
+            <p className="text-sm text-oled-secondary mb-4">What happened to this bill after the vote.</p>
+            <BillStatusTracker status={billActions.status} actions={billActions.actions} />
+          </section>
+        )}
+
         {/* Summary breakdown */}
         <section className="mb-10">
           <h2 className="text-lg font-medium text-oled-text mb-3">Summary</h2>
@@ -233,9 +252,73 @@ export default function Issue() {
           ) : null}
         </section>
 
+        {/* Timeline: every roll call on the bill, oldest first */}
+        {rollCalls.length > 1 && (
+          <section className="mb-10">
+            <h2 className="text-lg font-medium text-oled-text mb-1">Timeline</h2>
+            <p className="text-sm text-oled-secondary mb-3">
+              {rollCalls.length} roll calls on this bill. Pick one to see how each member voted on it.
+            </p>
+            <ol className="border-l border-oled-border ml-2 space-y-3">
+              {rollCalls.map((rc) => {
+                const isSelected = rc.roll_call === selectedRollCall
+                return (
+                  <li key={rc.roll_call} className="pl-4 relative">
+                    <span className={`absolute -left-1.5 top-2 w-3 h-3 rounded-full border border-oled-border ${isSelected ? 'bg-oled-text' : 'bg-oled-bg'}`} />
+                    <button
+                      type="button"
+                      onClick={() => setSelectedRollCall(isSelected ? LATEST : rc.roll_call)}
+                      aria-pressed={isSelected}
+                      className={`w-full text-left p-3 rounded border transition-colors ${
+                        isSelected ? 'border-oled-text bg-oled-card' : 'border-oled-border hover:bg-oled-card/50'
+                      }`}
+                    >
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-oled-secondary mb-1">
+                        <span>
+                          {rc.vote_date
+                            ? new Date(rc.vote_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+                            : '—'}
+                        </span>
+                        <span>· {rc.chamber === 'senate' ? 'Senate' : 'House'}{rc.roll_number != null ? ` roll call ${rc.roll_number}` : ''}</span>
+                        {rc.motion_family && (
+                          <span className="px-2 py-0.5 bg-oled-border/30 rounded">{rc.motion_family}</span>
+                        )}
+                        {rc.outcome && (
+                          <span className={rc.outcome === 'passed' ? 'text-green-400' : 'text-red-400'}>
+                            {rc.outcome === 'passed' ? 'Passed' : 'Failed'}
+                          </span>
+                        )}
+                      </div>
+                      <div className="text-sm text-oled-text">{rc.vote_title || rc.question || rc.roll_call}</div>
+                      {rc.result && <div className="text-xs text-oled-secondary mt-0.5">{rc.result}</div>}
+                    </button>
+                    <Link to={`/rollcalls/${rc.roll_call}`} className="inline-block mt-1 text-xs text-oled-secondary hover:text-oled-text underline">
+                      Roll call details →
+                    </Link>
+                  </li>
+                )
+              })}
+            </ol>
+          </section>
+        )}
+
         {/* Vote counts */}
         <section className="mb-6">
-          <h2 className="text-lg font-medium text-oled-text mb-3">Vote totals</h2>
+          <h2 className="text-lg font-medium text-oled-text mb-1">Vote totals</h2>
+          <p className="text-sm text-oled-secondary mb-3">
+            {selected
+              ? `${selected.motion_family || selected.question || 'Roll call'}${selected.vote_date ? `, ${new Date(selected.vote_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}` : ''}`
+              : rollCalls.length > 1 ? "Each member's most recent vote on this bill" : null}
+            {selected && (
+              <button
+                type="button"
+                onClick={() => setSelectedRollCall(LATEST)}
+                className="ml-3 text-oled-secondary hover:text-oled-text underline"
+              >
+                Show latest votes
+              </button>
+            )}
+          </p>
           <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
             <div className="p-3 bg-oled-card border border-oled-border rounded">
               <span className="text-green-400 font-medium">Yes</span>
@@ -254,11 +337,47 @@ export default function Issue() {
               <span className="block text-2xl font-light">{notVotingCount}</span>
             </div>
           </div>
+          {!selected && tallies?.by_chamber && tallies.by_chamber.length > 1 && (
+            <p className="text-sm text-oled-secondary mt-3">
+              {tallies.by_chamber.map((c) => `${c.chamber === 'senate' ? 'Senate' : 'House'}: ${c.yes}–${c.no}`).join(' · ')}
+            </p>
+          )}
         </section>
 
+        {/* Party split */}
+        {splitRollCall && splitRollCall.tallies.by_party.length > 0 && (
+          <section className="mb-10">
+            <h2 className="text-lg font-medium text-oled-text mb-1">Party split</h2>
+            <p className="text-sm text-oled-secondary mb-3">
+              {splitRollCall.motion_family || splitRollCall.question || 'Roll call'}
+              {' · '}{splitRollCall.chamber === 'senate' ? 'Senate' : 'House'}
+              {splitRollCall.roll_number != null ? ` roll call ${splitRollCall.roll_number}` : ''}
+            </p>
+            <PartySplitTable parties={splitRollCall.tallies.by_party} defectors={splitRollCall.tallies.defectors} />
+          </section>
+        )}
+
         {/* All votes table */}
         <section>
-          <h2 className="text-lg font-medium text-oled-text mb-3">All votes ({displayVotes.length})</h2>
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+            <h2 className="text-lg font-medium text-oled-text">All votes ({displayVotes.length})</h2>
+            <div className="flex gap-3 text-xs">
+              <a
+                href={apiUrl(`/api/export/votes?issue=${encodeURIComponent(id ?? '')}&format=csv`)}
+                download
+                className="text-oled-secondary hover:text-oled-text underline"
+                title="Every member's position on every roll call on this bill"
+              >
+                Download CSV
+              </a>
+              <a href={apiUrl(`/feeds/issues/${encodeURIComponent(id ?? '')}.atom`)} className="text-oled-secondary hover:text-oled-text underline" title="New roll calls on this bill in your feed reader">
+                Atom feed
+              </a>
+              <a href={apiUrl(`/feeds/issues/${encodeURIComponent(id ?? '')}.ics`)} className="text-oled-secondary hover:text-oled-text underline" title="Vote dates in your calendar">
+                Calendar
+              </a>
+            </div>
+          </div>
           <div className="overflow-x-auto border border-oled-border rounded">
             <table className="w-full text-sm">
               <thead>
@@ -0,0 +1,460 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import PageShell from '../components/PageShell'
+import { apiUrl } from '../api'
+import { CATEGORIES, categoryLabel } from '../lib/voteFilters'
+import {
+  FREQUENCY_OPTIONS,
+  FOLLOW_FREQUENCY_OPTIONS,
+  EVENT_TYPE_OPTIONS,
+  delegationLabel,
+  type FollowFrequency,
+  type BillSubscription,
+  type TopicSubscription,
+  type EventType,
+  type Frequency,
+  type Subscription,
+  type SubscriptionsResponse,
+} from '../lib/notifications'
+
+interface RepOption {
+  id: number
+  name: string
+  state: string
+  district: number | null
+  chamber: string
+}
+
+const MAX_MATCHES = 8
+
+function repSubtitle(rep: { party?: string | null; state: string; district: number | null; chamber: string }): string {
+  const seat = rep.chamber === 'senate' ? 'Senator' : rep.district ? `District ${rep.district}` : 'At-Large'
+  return [rep.party, `${rep.state} ${seat}`].filter(Boolean).join(' · ')
+}
+
+export default function ManageSubscriptions() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const justUnsubscribed = searchParams.get('unsubscribed') === '1'
+  const [data, setData] = useState<SubscriptionsResponse | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [actionError, setActionError] = useState('')
+  const [allReps, setAllReps] = useState<RepOption[] | null>(null)
+  const [repQuery, setRepQuery] = useState('')
+  const [confirmDelete, setConfirmDelete] = useState(false)
+  const [deleted, setDeleted] = useState(false)
+
+  const tokenQuery = `token=${encodeURIComponent(token)}`
+
+  useEffect(() => {
+    if (!token) {
+      setLoading(false)
+      return
+    }
+    setLoading(true)
+    setError('')
+    fetch(apiUrl(`/api/subscriptions?${tokenQuery}`))
+      .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) throw new Error(body.error || 'Failed to load')
+        setData(body)
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [token, tokenQuery])
+
+  /** Send a change and replace the page state with the updated subscriptions */
+  const mutate = (method: string, path: string, body?: object) => {
+    setSaving(true)
+    setActionError('')
+    fetch(apiUrl(`${path}?${tokenQuery}`), {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    })
+      .then((res) => res.json().then((resBody) => ({ ok: res.ok, body: resBody })))
+      .then(({ ok, body: resBody }) => {
+        if (!ok) throw new Error(resBody.error || 'Update failed')
+        setData(resBody)
+      })
+      .catch((err) => setActionError(err.message))
+      .finally(() => setSaving(false))
+  }
+
+  const updateOne = (sub: Subscription, change: { frequency?: Frequency; event_types?: EventType[]; paused?: boolean }) =>
+    mutate('PATCH', `/api/subscriptions/${sub.representative_id}`, change)
+
+  const updateBill = (bill: BillSubscription, change: { frequency?: FollowFrequency; paused?: boolean }) =>
+    mutate('PATCH', `/api/subscriptions/bills/${encodeURIComponent(bill.canonical_bill_id)}`, change)
+
+  const updateTopic = (topic: TopicSubscription, change: { frequency?: FollowFrequency; paused?: boolean }) =>
+    mutate('PATCH', `/api/subscriptions/topics/${topic.category}`, change)
+
+  const toggleEvent = (sub: Subscription, type: EventType, checked: boolean) => {
+    const next = checked ? [...sub.event_types, type] : sub.event_types.filter((t) => t !== type)
+    if (next.length === 0) return
+    updateOne(sub, { event_types: next })
+  }
+
+  const loadReps = () => {
+    if (allReps) return
+    fetch(apiUrl('/api/reps'))
+      .then((res) => res.json())
+      .then((reps: RepOption[]) => setAllReps(reps))
+      .catch(() => setActionError('Could not load representatives'))
+  }
+
+  const matches = useMemo(() => {
+    const q = repQuery.trim().toLowerCase()
+    if (!allReps || q.length < 2) return []
+    const followed = new Set(data?.subscriptions.map((s) => s.representative_id))
+    return allReps
+      .filter((r) => !followed.has(r.id) && (r.name.toLowerCase().includes(q) || r.state.toLowerCase() === q))
+      .slice(0, MAX_MATCHES)
+  }, [allReps, repQuery, data])
+
+  const deleteAccount = () => {
+    setSaving(true)
+    setActionError('')
+    fetch(apiUrl(`/api/account?${tokenQuery}`), { method: 'DELETE' })
+      .then((res) => {
+        if (!res.ok) throw new Error('Failed to delete account')
+        setDeleted(true)
+      })
+      .catch((err) => setActionError(err.message))
+      .finally(() => setSaving(false))
+  }
+
+  if (loading) {
+    return (
+      <PageShell>
+        <div className="text-center text-oled-secondary py-12">Loading...</div>
+      </PageShell>
+    )
+  }
+
+  if (deleted) {
+    return (
+      <PageShell>
+        <div className="text-center py-12">
+          <p className="text-oled-text mb-4">Your email and all of your subscriptions have been deleted.</p>
+          <Link to="/" className="text-oled-secondary hover:text-oled-text underline">Back to RepWatch</Link>
+        </div>
+      </PageShell>
+    )
+  }
+
+  if (!token || error || !data) {
+    return (
+      <PageShell>
+        <div className="text-center py-12">
+          <p className="text-red-400 mb-4">
+            {error || 'Open this page from the “Manage preferences” link in any RepWatch email.'}
+          </p>
+          <Link to="/" className="text-oled-secondary hover:text-oled-text underline">Back to search</Link>
+        </div>
+      </PageShell>
+    )
+  }
+
+  const subs = data.subscriptions
+  const bills = data.bills ?? []
+  const topics = data.topics ?? []
+  const hasAny = subs.length > 0 || bills.length > 0 || topics.length > 0
+  const allPaused = hasAny && subs.every((s) => s.paused) && bills.every((b) => b.paused) && topics.every((t) => t.paused)
+  const unfollowedCategories = CATEGORIES.filter((c) => !topics.some((t) => t.category === c))
+
+  return (
+    <PageShell>
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-light text-oled-text mb-2">Email preferences</h1>
+        <p className="text-oled-secondary text-sm mb-6">{data.email}</p>
+
+        {justUnsubscribed && (
+          <p className="mb-6 p-4 border border-oled-border rounded text-sm text-oled-text">
+            You’re unsubscribed, and all email updates are paused. Resume any representative below to start again.
+          </p>
+        )}
+        {actionError && <p className="mb-4 text-sm text-red-400">{actionError}</p>}
+
+        {/* Followed reps */}
+        <section className="mb-10">
+          <div className="flex items-center justify-between mb-4 pb-2 border-b border-oled-border/30">
+            <h2 className="text-xl font-medium">Representatives you follow</h2>
+            {hasAny && (
+              <button
+                type="button"
+                disabled={saving}
+                onClick={() => mutate('PATCH', '/api/subscriptions', { paused: !allPaused })}
+                className="text-sm text-oled-secondary hover:text-oled-text underline disabled:opacity-50"
+              >
+                {allPaused ? 'Resume all' : 'Pause all'}
+              </button>
+            )}
+          </div>
+          {subs.length === 0 ? (
+            <p className="text-oled-secondary text-sm">You aren’t following anyone yet.</p>
+          ) : (
+            <ul className="space-y-4">
+              {subs.map((sub) => (
+                <li key={sub.representative_id} className={`p-4 border border-oled-border rounded ${sub.paused ? 'opacity-60' : ''}`}>
+                  <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                      <Link to={`/reps/${sub.representative_id}`} className="text-oled-text font-medium hover:underline">
+                        {sub.name}
+                      </Link>
+                      <div className="text-xs text-oled-secondary mt-1">
+                        {repSubtitle(sub)}{sub.paused ? ' · Paused' : ''}
+                      </div>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => updateOne(sub, { paused: !sub.paused })}
+                        className="text-oled-secondary hover:text-oled-text underline disabled:opacity-50"
+                      >
+                        {sub.paused ? 'Resume' : 'Pause'}
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => mutate('DELETE', `/api/subscriptions/${sub.representative_id}`)}
+                        className="text-oled-secondary hover:text-red-400 underline disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                  <div className="flex flex-col sm:flex-row gap-6 text-sm">
+                    <label className="flex flex-col gap-1 text-oled-secondary">
+                      How often
+                      <select
+                        value={sub.frequency}
+                        disabled={saving}
+                        onChange={(e) => updateOne(sub, { frequency: e.target.value as Frequency })}
+                        className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+                      >
+                        {FREQUENCY_OPTIONS.map((opt) => (
+                          <option key={opt.value} value={opt.value}>{opt.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <fieldset className="flex flex-col gap-1">
+                      <legend className="text-oled-secondary mb-1">Tell me about</legend>
+                      {EVENT_TYPE_OPTIONS.map((opt) => (
+                        <label key={opt.value} className="flex items-center gap-2 text-oled-text">
+                          <input
+                            type="checkbox"
+                            checked={sub.event_types.includes(opt.value)}
+                            disabled={saving || (sub.event_types.length === 1 && sub.event_types.includes(opt.value))}
+                            onChange={(e) => toggleEvent(sub, opt.value, e.target.checked)}
+                          />
+                          {opt.label}
+                        </label>
+                      ))}
+                    </fieldset>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* Followed bills */}
+        {bills.length > 0 && (
+          <section className="mb-10">
+            <h2 className="text-xl font-medium mb-4 pb-2 border-b border-oled-border/30">Bills you follow</h2>
+            <ul className="space-y-4">
+              {bills.map((bill) => (
+                <li key={bill.canonical_bill_id} className={`p-4 border border-oled-border rounded ${bill.paused ? 'opacity-60' : ''}`}>
+                  <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                      {bill.issue_id != null ? (
+                        <Link to={`/issues/${bill.issue_id}`} className="text-oled-text font-medium hover:underline">
+                          {bill.plain_english_title || bill.title || bill.canonical_bill_id}
+                        </Link>
+                      ) : (
+                        <span className="text-oled-text font-medium">{bill.canonical_bill_id}</span>
+                      )}
+                      <div className="text-xs text-oled-secondary mt-1">
+                        {bill.canonical_bill_id}{bill.paused ? ' · Paused' : ''}
+                      </div>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => updateBill(bill, { paused: !bill.paused })}
+                        className="text-oled-secondary hover:text-oled-text underline disabled:opacity-50"
+                      >
+                        {bill.paused ? 'Resume' : 'Pause'}
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => mutate('DELETE', `/api/subscriptions/bills/${encodeURIComponent(bill.canonical_bill_id)}`)}
+                        className="text-oled-secondary hover:text-red-400 underline disabled:opacity-50"
+                      >
+                        Unfollow
+                      </button>
+                    </div>
+                  </div>
+                  <label className="flex flex-col gap-1 text-sm text-oled-secondary">
+                    How often
+                    <select
+                      value={bill.frequency}
+                      disabled={saving}
+                      onChange={(e) => updateBill(bill, { frequency: e.target.value as FollowFrequency })}
+                      className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text w-fit"
+                    >
+                      {FOLLOW_FREQUENCY_OPTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Followed topics */}
+        <section className="mb-10">
+          <h2 className="text-xl font-medium mb-4 pb-2 border-b border-oled-border/30">Topics you follow</h2>
+          {topics.length > 0 && (
+            <ul className="space-y-4 mb-4">
+              {topics.map((topic) => (
+                <li key={topic.category} className={`p-4 border border-oled-border rounded ${topic.paused ? 'opacity-60' : ''}`}>
+                  <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                      <span className="text-oled-text font-medium">{categoryLabel(topic.category)}</span>
+                      <div className="text-xs text-oled-secondary mt-1">
+                        {delegationLabel(topic)}{topic.paused ? ' · Paused' : ''}
+                      </div>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => updateTopic(topic, { paused: !topic.paused })}
+                        className="text-oled-secondary hover:text-oled-text underline disabled:opacity-50"
+                      >
+                        {topic.paused ? 'Resume' : 'Pause'}
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => mutate('DELETE', `/api/subscriptions/topics/${topic.category}`)}
+                        className="text-oled-secondary hover:text-red-400 underline disabled:opacity-50"
+                      >
+                        Unfollow
+                      </button>
+                    </div>
+                  </div>
+                  <label className="flex flex-col gap-1 text-sm text-oled-secondary">
+                    How often
+                    <select
+                      value={topic.frequency}
+                      disabled={saving}
+                      onChange={(e) => updateTopic(topic, { frequency: e.target.value as FollowFrequency })}
+                      className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text w-fit"
+                    >
+                      {FOLLOW_FREQUENCY_OPTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          {unfollowedCategories.length > 0 && (
+            <select
+              value=""
+              disabled={saving}
+              onChange={(e) => e.target.value && mutate('POST', '/api/subscriptions/topics', { category: e.target.value })}
+              aria-label="Follow a topic"
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text text-sm"
+            >
+              <option value="">Follow a topic…</option>
+              {unfollowedCategories.map((c) => (
+                <option key={c} value={c}>{categoryLabel(c)}</option>
+              ))}
+            </select>
+          )}
+        </section>
+
+        {/* Add a rep */}
+        <section className="mb-10">
+          <h2 className="text-xl font-medium mb-4 pb-2 border-b border-oled-border/30">Follow another representative</h2>
+          <input
+            type="search"
+            value={repQuery}
+            onFocus={loadReps}
+            onChange={(e) => setRepQuery(e.target.value)}
+            placeholder="Name or state (e.g. CA)"
+            className="w-full px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary focus:outline-none focus:ring-1 focus:ring-oled-border"
+          />
+          {matches.length > 0 && (
+            <ul className="mt-2 border border-oled-border rounded divide-y divide-oled-border">
+              {matches.map((rep) => (
+                <li key={rep.id}>
+                  <button
+                    type="button"
+                    disabled={saving}
+                    onClick={() => {
+                      setRepQuery('')
+                      mutate('POST', '/api/subscriptions', { representative_id: rep.id })
+                    }}
+                    className="w-full text-left px-3 py-2 hover:bg-oled-card disabled:opacity-50"
+                  >
+                    <span className="text-oled-text">{rep.name}</span>
+                    <span className="text-xs text-oled-secondary ml-2">{repSubtitle(rep)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* Delete account */}
+        <section className="mb-10">
+          <h2 className="text-xl font-medium mb-4 pb-2 border-b border-oled-border/30">Delete account</h2>
+          <p className="text-sm text-oled-secondary mb-3">
+            Removes your email address, every subscription and your email history from RepWatch.
+          </p>
+          {confirmDelete ? (
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                type="button"
+                disabled={saving}
+                onClick={deleteAccount}
+                className="px-4 py-2 rounded bg-red-500 text-white font-medium hover:opacity-90 disabled:opacity-50"
+              >
+                Yes, delete everything
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmDelete(false)}
+                className="text-sm text-oled-secondary hover:text-oled-text"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setConfirmDelete(true)}
+              className="px-4 py-2 rounded border border-oled-border text-red-400 font-medium hover:bg-oled-card transition-colors"
+            >
+              Delete my account
+            </button>
+          )}
+        </section>
+      </div>
+    </PageShell>
+  )
+}
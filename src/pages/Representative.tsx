@@ -1,42 +1,23 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import PageShell from '../components/PageShell'
 import Breadcrumbs from '../components/Breadcrumbs'
 import CopyLinkButton from '../components/CopyLinkButton'
-import { apiUrl } from '../api'
+import NotifyMeButton from '../components/NotifyMeButton'
+import { apiUrl, type ApiSchema } from '../api'
+import { MOTION_FAMILIES, CATEGORIES, voteFiltersQuery, hasActiveFilters, type VoteFilters, type VotesPage } from '../lib/voteFilters'
+import { useDocumentTitle } from '../lib/documentTitle'
+import { FREQUENCY_OPTIONS, EVENT_TYPE_OPTIONS, type EventType, type Frequency } from '../lib/notifications'
 
-interface Vote {
-  vote: string
-  vote_date: string
-  roll_call: string
-  chamber: string
-  issue_id: number | null
-  bill_id: string | null
-  title: string | null
-  vote_metadata?: { question?: string; vote_title?: string }
-  ai_summary?: {
-    short_summary?: string
-    categories?: string[]
-  } | null
-}
+type Vote = ApiSchema<'RepVote'>
+type Rep = ApiSchema<'Representative'>
+type RepResponse = ApiSchema<'RepResponse'>
+type StatsResponse = ApiSchema<'StatsResponse'>
 
-interface Rep {
-  id: number
-  name: string
-  party: string | null
-  state: string
-  district: number | null
-  chamber: string
-  bioguide_id: string | null
-  phone: string | null
-  website: string | null
-  contact_json?: unknown
-  photo_url: string | null
-}
+const PAGE_SIZE = 25
 
-interface RepResponse {
-  representative: Rep
-  votes: Vote[]
+function formatRate(rate: number | null): string {
+  return rate == null ? '—' : `${(rate * 100).toFixed(1)}%`
 }
 
 function formatBillId(billId: string | null): string {
@@ -61,30 +42,107 @@ function getVoteIcon(vote: string): string {
 
 type SubscribeState = 'idle' | 'form' | 'loading' | 'success' | 'error'
 
+/** Markup for public/embed.js, which turns the div into an iframe of /embed/reps/:id */
+function embedSnippet(repId: number): string {
+  const origin = window.location.origin
+  return `<div data-repwatch-rep="${repId}" data-theme="auto" data-limit="5"></div>\n<script src="${origin}/embed.js" async></script>`
+}
+
+/** This page, shared from one vote: the server previews it with the vote's card */
+function shareVotePath(repId: number, rollCall: string): string {
+  return `/reps/${repId}?vote=${encodeURIComponent(rollCall)}`
+}
+
+/** The PNG share card served by routes/og.js */
+function shareCardPath(repId: number, rollCall: string): string {
+  return `/og/reps/${repId}/votes/${encodeURIComponent(rollCall)}.png`
+}
+
 export default function Representative() {
   const { id } = useParams<{ id: string }>()
-  const [data, setData] = useState<RepResponse | null>(null)
+  const [rep, setRep] = useState<Rep | null>(null)
+  const [votes, setVotes] = useState<Vote[]>([])
+  const [page, setPage] = useState<VotesPage | null>(null)
+  const [filters, setFilters] = useState<VoteFilters>({})
+  const [stats, setStats] = useState<StatsResponse | null>(null)
   const [loading, setLoading] = useState(true)
+  const [votesLoading, setVotesLoading] = useState(false)
   const [error, setError] = useState('')
   const [subscribeState, setSubscribeState] = useState<SubscribeState>('idle')
   const [subscribeEmail, setSubscribeEmail] = useState('')
   const [subscribeMessage, setSubscribeMessage] = useState('')
-  const [visibleCount, setVisibleCount] = useState(25)
+  const [subscribeFrequency, setSubscribeFrequency] = useState<Frequency>('daily')
+  const [subscribeEvents, setSubscribeEvents] = useState<EventType[]>(['new_vote'])
+  // Aborted when the member or the filters change, so a slow response for the old ones (first
+  // page or "Load more") can't overwrite the list, cursor and totals for the new ones
+  const votesRequest = useRef<AbortController | null>(null)
+  useDocumentTitle(rep?.name)
 
-  useEffect(() => {
-    if (!id) return
-    setLoading(true)
-    setError('')
-    fetch(apiUrl(`/api/reps/${id}`))
+  const fetchVotes = (cursor: string | null, signal: AbortSignal): Promise<RepResponse> =>
+    fetch(apiUrl(`/api/reps/${id}${voteFiltersQuery(filters, { limit: PAGE_SIZE, cursor })}`), { signal })
       .then((res) => {
         if (!res.ok) throw new Error(res.status === 404 ? 'Representative not found' : 'Failed to load')
         return res.json()
       })
-      .then(setData)
-      .catch((err) => setError(err.message))
-      .finally(() => setLoading(false))
+
+  // First page: reload whenever the member or the filters change
+  useEffect(() => {
+    if (!id) return
+    const controller = new AbortController()
+    votesRequest.current = controller
+    setVotesLoading(true)
+    setError('')
+    fetchVotes(null, controller.signal)
+      .then((body) => {
+        setRep(body.representative)
+        setVotes(body.votes)
+        setPage(body.page)
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message)
+      })
+      .finally(() => {
+        if (controller.signal.aborted) return
+        setLoading(false)
+        setVotesLoading(false)
+      })
+    return () => controller.abort()
+  }, [id, filters])
+
+  useEffect(() => {
+    if (!id) return
+    const controller = new AbortController()
+    setStats(null)
+    fetch(apiUrl(`/api/reps/${id}/stats`), { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setStats)
+      .catch(() => {
+        if (!controller.signal.aborted) setStats(null)
+      })
+    return () => controller.abort()
   }, [id])
 
+  const loadMore = () => {
+    const controller = votesRequest.current
+    if (!page?.next_cursor || !controller) return
+    setVotesLoading(true)
+    fetchVotes(page.next_cursor, controller.signal)
+      .then((body) => {
+        setVotes((prev) => [...prev, ...body.votes])
+        setPage(body.page)
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setVotesLoading(false)
+      })
+  }
+
+  const updateFilter = (key: keyof VoteFilters, value: string) => {
+    setFilters((prev) => ({ ...prev, [key]: value }))
+  }
+
   if (loading) {
     return (
       <PageShell>
@@ -93,7 +151,7 @@ export default function Representative() {
     )
   }
 
-  if (error || !data) {
+  if (!rep) {
     return (
       <PageShell>
         <div className="text-center py-12">
@@ -104,7 +162,6 @@ export default function Representative() {
     )
   }
 
-  const { representative: rep, votes } = data
   const partyClass = (rep.party || '').toLowerCase()
   const districtDisplay = rep.chamber === 'senate'
     ? 'Senator'
@@ -190,6 +247,32 @@ export default function Representative() {
           </div>
         </div>
 
+        {/* Voting record stats */}
+        {stats && stats.totals.roll_calls > 0 && (
+          <section className="mb-10">
+            <h2 className="text-lg font-medium text-oled-text mb-3">Voting record</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className="p-3 bg-oled-card border border-oled-border rounded">
+                <span className="text-oled-secondary font-medium text-sm">Missed votes</span>
+                <span className="block text-2xl font-light">{formatRate(stats.totals.missed_rate)}</span>
+                <span className="text-xs text-oled-secondary">{stats.totals.missed} of {stats.totals.roll_calls} roll calls</span>
+              </div>
+              <div className="p-3 bg-oled-card border border-oled-border rounded">
+                <span className="text-oled-secondary font-medium text-sm">Votes with own party</span>
+                <span className="block text-2xl font-light">{formatRate(stats.totals.party_unity)}</span>
+                <span className="text-xs text-oled-secondary">Sided with the {stats.party || 'party'} majority</span>
+              </div>
+              <div className="p-3 bg-oled-card border border-oled-border rounded">
+                <span className="text-oled-secondary font-medium text-sm">Votes with other party</span>
+                <span className="block text-2xl font-light">{formatRate(stats.totals.with_other_party)}</span>
+                <span className="text-xs text-oled-secondary">
+                  {stats.compared_party ? `Sided with the ${stats.compared_party} majority` : 'Not a major-party member'}
+                </span>
+              </div>
+            </div>
+          </section>
+        )}
+
         {/* Subscribe to updates */}
         <div className="mb-10 p-6 border border-oled-border rounded">
           {subscribeState === 'success' ? (
@@ -199,19 +282,24 @@ export default function Representative() {
               onSubmit={(e) => {
                 e.preventDefault()
                 const email = subscribeEmail.trim()
-                if (!email || !rep.id) return
+                if (!email || !rep.id || subscribeEvents.length === 0) return
                 setSubscribeState('loading')
                 setSubscribeMessage('')
                 fetch(apiUrl('/api/subscribe'), {
                   method: 'POST',
                   headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ email, representative_ids: [Number(rep.id)] }),
+                  body: JSON.stringify({
+                    email,
+                    representative_ids: [Number(rep.id)],
+                    frequency: subscribeFrequency,
+                    event_types: subscribeEvents,
+                  }),
                 })
                   .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
                   .then(({ ok, body }) => {
                     if (ok) {
                       setSubscribeState('success')
-                      setSubscribeMessage(body.message || "You're subscribed. We'll send a weekly digest of this representative's votes to your email.")
+                      setSubscribeMessage(body.message || "You're subscribed. We'll email you this representative's votes.")
                     } else {
                       setSubscribeState('form')
                       setSubscribeMessage(body.error || 'Subscription failed.')
@@ -222,33 +310,68 @@ export default function Representative() {
                     setSubscribeMessage('Something went wrong. Please try again.')
                   })
               }}
-              className="flex flex-col sm:flex-row gap-3 items-start"
+              className="flex flex-col gap-4"
             >
-              <input
-                type="email"
-                value={subscribeEmail}
-                onChange={(e) => setSubscribeEmail(e.target.value)}
-                placeholder="Your email"
-                required
-                disabled={subscribeState === 'loading'}
-                className="px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary focus:outline-none focus:ring-1 focus:ring-oled-border min-w-[200px]"
-              />
-              <button
-                type="submit"
-                disabled={subscribeState === 'loading'}
-                className="px-4 py-2 rounded bg-oled-text text-oled-bg font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
-              >
-                {subscribeState === 'loading' ? 'Subscribing…' : 'Subscribe'}
-              </button>
-              {subscribeState !== 'loading' && (
+              <div className="flex flex-col sm:flex-row gap-3 items-start">
+                <input
+                  type="email"
+                  value={subscribeEmail}
+                  onChange={(e) => setSubscribeEmail(e.target.value)}
+                  placeholder="Your email"
+                  required
+                  disabled={subscribeState === 'loading'}
+                  className="px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary focus:outline-none focus:ring-1 focus:ring-oled-border min-w-[200px]"
+                />
                 <button
-                  type="button"
-                  onClick={() => { setSubscribeState('idle'); setSubscribeEmail(''); setSubscribeMessage('') }}
-                  className="text-sm text-oled-secondary hover:text-oled-text"
+                  type="submit"
+                  disabled={subscribeState === 'loading'}
+                  className="px-4 py-2 rounded bg-oled-text text-oled-bg font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
                 >
-                  Cancel
+                  {subscribeState === 'loading' ? 'Subscribing…' : 'Subscribe'}
                 </button>
-              )}
+                {subscribeState !== 'loading' && (
+                  <button
+                    type="button"
+                    onClick={() => { setSubscribeState('idle'); setSubscribeEmail(''); setSubscribeMessage('') }}
+                    className="text-sm text-oled-secondary hover:text-oled-text"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+              <div className="flex flex-col sm:flex-row gap-6 text-sm">
+                <label className="flex flex-col gap-1 text-oled-secondary">
+                  How often
+                  <select
+                    value={subscribeFrequency}
+                    onChange={(e) => setSubscribeFrequency(e.target.value as Frequency)}
+                    disabled={subscribeState === 'loading'}
+                    className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+                  >
+                    {FREQUENCY_OPTIONS.map((opt) => (
+                      <option key={opt.value} value={opt.value}>{opt.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <fieldset className="flex flex-col gap-1">
+                  <legend className="text-oled-secondary mb-1">Tell me about</legend>
+                  {EVENT_TYPE_OPTIONS.map((opt) => (
+                    <label key={opt.value} className="flex items-center gap-2 text-oled-text">
+                      <input
+                        type="checkbox"
+                        checked={subscribeEvents.includes(opt.value)}
+                        disabled={subscribeState === 'loading'}
+                        onChange={(e) =>
+                          setSubscribeEvents((prev) =>
+                            e.target.checked ? [...prev, opt.value] : prev.filter((t) => t !== opt.value)
+                          )
+                        }
+                      />
+                      {opt.label}
+                    </label>
+                  ))}
+                </fieldset>
+              </div>
             </form>
           ) : (
             <div className="flex flex-wrap items-center gap-3">
@@ -260,23 +383,133 @@ export default function Representative() {
                 Subscribe to updates
               </button>
               <span className="text-sm text-oled-secondary">
-                Get a weekly email with this representative's recent votes.
+                Get an email when this representative votes, daily or weekly.
               </span>
             </div>
           )}
           {subscribeMessage && subscribeState === 'form' && (
             <p className="mt-2 text-sm text-red-400">{subscribeMessage}</p>
           )}
+          <NotifyMeButton representativeId={Number(rep.id)} className="mt-4 pt-4 border-t border-oled-border/50" />
         </div>
 
         {/* Votes */}
         <section>
-          <h2 className="text-lg font-medium text-oled-text mb-3">
-            Recent votes
-            <span className="text-oled-secondary font-normal text-sm ml-2">
-              showing {Math.min(visibleCount, votes.length)} of {votes.length}
-            </span>
-          </h2>
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+            <h2 className="text-lg font-medium text-oled-text">
+              Recent votes
+              {page && (
+                <span className="text-oled-secondary font-normal text-sm ml-2">
+                  showing {votes.length} of {page.total}
+                </span>
+              )}
+            </h2>
+            <div className="flex gap-3 text-xs">
+              <a
+                href={apiUrl(`/api/export/votes${voteFiltersQuery(filters, { member: id, format: 'csv' })}`)}
+                download
+                className="text-oled-secondary hover:text-oled-text underline"
+                title="Every vote matching the filters, not just the ones shown"
+              >
+                Download CSV
+              </a>
+              <a href={apiUrl(`/feeds/reps/${id}.atom`)} className="text-oled-secondary hover:text-oled-text underline" title="New votes in your feed reader">
+                Atom feed
+              </a>
+              <a href={apiUrl(`/feeds/reps/${id}.ics`)} className="text-oled-secondary hover:text-oled-text underline" title="Vote dates in your calendar">
+                Calendar
+              </a>
+            </div>
+          </div>
+          <details className="group mb-3">
+            <summary className="text-xs text-oled-secondary cursor-pointer hover:text-oled-text transition-colors list-none">
+              <span className="inline-flex items-center gap-1.5">
+                <svg className="w-3 h-3 transition-transform group-open:rotate-90" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+                Embed on your site
+              </span>
+            </summary>
+            <p className="mt-2 text-xs text-oled-secondary">
+              Paste this where the widget should appear. <code>data-theme</code> is <code>auto</code>, <code>light</code> or <code>dark</code>; <code>data-limit</code> is 1–10 votes.
+            </p>
+            <pre className="mt-2 text-xs text-oled-text whitespace-pre-wrap break-all p-3 bg-oled-card border border-oled-border rounded">
+              {embedSnippet(Number(rep.id))}
+            </pre>
+          </details>
+
+          {/* Filters */}
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-3 text-sm">
+            <select
+              value={filters.vote ?? ''}
+              onChange={(e) => updateFilter('vote', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="Filter by vote"
+            >
+              <option value="">Any vote</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
+              <option value="present">Present</option>
+              <option value="not_voting">Not voting</option>
+            </select>
+            <select
+              value={filters.motion ?? ''}
+              onChange={(e) => updateFilter('motion', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="Filter by motion"
+            >
+              <option value="">Any motion</option>
+              {MOTION_FAMILIES.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+            <select
+              value={filters.category ?? ''}
+              onChange={(e) => updateFilter('category', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="Filter by category"
+            >
+              <option value="">Any category</option>
+              {CATEGORIES.map((c) => (
+                <option key={c} value={c}>{c.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+            <select
+              value={filters.type ?? ''}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="Filter by vote type"
+            >
+              <option value="">Bills and procedural</option>
+              <option value="issue">Bills / issues only</option>
+              <option value="procedural">Procedural only</option>
+            </select>
+            <input
+              type="date"
+              value={filters.from ?? ''}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={filters.to ?? ''}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="px-2 py-1.5 bg-oled-bg border border-oled-border rounded text-oled-text"
+              aria-label="To date"
+            />
+          </div>
+          {hasActiveFilters(filters) && (
+            <button
+              type="button"
+              onClick={() => setFilters({})}
+              className="text-xs text-oled-secondary hover:text-oled-text underline mb-3"
+            >
+              Clear filters
+            </button>
+          )}
+          {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
           <div className="overflow-x-auto border border-oled-border rounded">
             <table className="w-full text-sm">
               <thead>
@@ -288,7 +521,12 @@ export default function Representative() {
                 </tr>
               </thead>
               <tbody>
-                {votes.slice(0, visibleCount).map((v) => {
+                {votes.length === 0 && !votesLoading && (
+                  <tr>
+                    <td colSpan={4} className="py-4 px-3 text-center text-oled-secondary">No votes match these filters.</td>
+                  </tr>
+                )}
+                {votes.map((v) => {
                   const voteDate = v.vote_date
                     ? new Date(v.vote_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
                     : '—'
@@ -317,7 +555,7 @@ export default function Representative() {
                           <div className="text-xs text-oled-secondary mt-0.5">{formatBillId(v.bill_id)}</div>
                         )}
                       </td>
-                      <td className="py-2 px-3">
+                      <td className="py-2 px-3 whitespace-nowrap">
                         {v.issue_id != null && (
                           <Link
                             to={`/issues/${v.issue_id}`}
@@ -326,6 +564,32 @@ export default function Representative() {
                             View issue →
                           </Link>
                         )}
+                        {v.roll_call && (
+                          <Link
+                            to={`/rollcalls/${v.roll_call}`}
+                            className="block text-xs text-oled-secondary hover:text-oled-text underline mt-0.5"
+                          >
+                            Roll call →
+                          </Link>
+                        )}
+                        {v.roll_call && (
+                          <div className="flex items-center gap-2 mt-0.5">
+                            <CopyLinkButton
+                              path={shareVotePath(Number(rep.id), v.roll_call)}
+                              label="Share"
+                              title="Copy a link that previews as this vote's card"
+                              className="text-xs"
+                            />
+                            <a
+                              href={apiUrl(shareCardPath(Number(rep.id), v.roll_call))}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-xs text-oled-secondary hover:text-oled-text underline"
+                            >
+                              Image
+                            </a>
+                          </div>
+                        )}
                       </td>
                     </tr>
                   )
@@ -333,12 +597,13 @@ export default function Representative() {
               </tbody>
             </table>
           </div>
-          {visibleCount < votes.length && (
+          {page?.next_cursor && (
             <button
-              onClick={() => setVisibleCount(c => c + 25)}
-              className="mt-3 w-full py-2 text-sm text-oled-secondary border border-oled-border rounded hover:bg-oled-card hover:text-oled-text transition-colors"
+              onClick={loadMore}
+              disabled={votesLoading}
+              className="mt-3 w-full py-2 text-sm text-oled-secondary border border-oled-border rounded hover:bg-oled-card hover:text-oled-text disabled:opacity-50 transition-colors"
             >
-              Load more ({votes.length - visibleCount} remaining)
+              {votesLoading ? 'Loading…' : `Load more (${page.total - votes.length} remaining)`}
             </button>
           )}
         </section>
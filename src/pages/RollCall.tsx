@@ -0,0 +1,201 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import PageShell from '../components/PageShell'
+import Breadcrumbs from '../components/Breadcrumbs'
+import CopyLinkButton from '../components/CopyLinkButton'
+import PartySplitTable from '../components/PartySplitTable'
+import { apiUrl, type ApiSchema } from '../api'
+import type { Tally } from '../lib/tallies'
+
+type RollCallDetail = ApiSchema<'RollCallResponse'>
+
+const VOTE_OPTIONS = ['all', 'yes', 'no', 'present', 'not voting'] as const
+
+function voteClass(vote: string): string {
+  const v = vote.toLowerCase()
+  if (v === 'yes') return 'text-green-400'
+  if (v === 'no') return 'text-red-400'
+  return 'text-oled-secondary'
+}
+
+function StateTable({ rows }: { rows: Array<Tally & { state: string }> }) {
+  return (
+    <div className="overflow-x-auto border border-oled-border rounded">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-oled-border bg-oled-card/50">
+            <th className="text-left py-3 px-3 font-medium text-oled-text">State</th>
+            <th className="text-right py-3 px-3 font-medium text-oled-text">Yes</th>
+            <th className="text-right py-3 px-3 font-medium text-oled-text">No</th>
+            <th className="text-right py-3 px-3 font-medium text-oled-text">Present</th>
+            <th className="text-right py-3 px-3 font-medium text-oled-text">Not voting</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.state} className="border-b border-oled-border/50">
+              <td className="py-2 px-3 text-oled-text">{row.state}</td>
+              <td className="py-2 px-3 text-right text-green-400">{row.yes}</td>
+              <td className="py-2 px-3 text-right text-red-400">{row.no}</td>
+              <td className="py-2 px-3 text-right text-oled-secondary">{row.present}</td>
+              <td className="py-2 px-3 text-right text-oled-secondary">{row.not_voting}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default function RollCall() {
+  const { rollCall } = useParams<{ rollCall: string }>()
+  const [data, setData] = useState<RollCallDetail | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [voteFilter, setVoteFilter] = useState<(typeof VOTE_OPTIONS)[number]>('all')
+
+  useEffect(() => {
+    if (!rollCall) return
+    const controller = new AbortController()
+    setLoading(true)
+    setError('')
+    fetch(apiUrl(`/api/rollcalls/${encodeURIComponent(rollCall)}`), { signal: controller.signal })
+      .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok) throw new Error(body.error || 'Failed to load')
+        setData(body)
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) setError(err.message)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false)
+      })
+    return () => controller.abort()
+  }, [rollCall])
+
+  const members = useMemo(() => {
+    if (!data) return []
+    if (voteFilter === 'all') return data.votes
+    return data.votes.filter((v) => (voteFilter === 'present' ? ['present', 'abstain'].includes(v.vote) : v.vote === voteFilter))
+  }, [data, voteFilter])
+
+  if (loading) {
+    return (
+      <PageShell>
+        <div className="text-center text-oled-secondary py-12">Loading...</div>
+      </PageShell>
+    )
+  }
+
+  if (error || !data) {
+    return (
+      <PageShell>
+        <div className="text-center py-12">
+          <p className="text-red-400 mb-4">{error || 'Roll call not found'}</p>
+          <Link to="/" className="text-oled-secondary hover:text-oled-text underline">Back to search</Link>
+        </div>
+      </PageShell>
+    )
+  }
+
+  const rc = data.roll_call
+  const chamberLabel = rc.chamber === 'senate' ? 'Senate' : 'House'
+  const heading = rc.vote_title || rc.question || `${chamberLabel} roll call ${rc.roll_number}`
+
+  return (
+    <PageShell>
+      <div className="max-w-4xl mx-auto">
+        <Breadcrumbs items={[{ label: 'Search', href: '/' }, { label: `${chamberLabel} roll call ${rc.roll_number}` }]} className="mb-4" />
+        <h1 className="text-2xl md:text-3xl font-light text-oled-text mb-2">{heading}</h1>
+        <div className="text-sm text-oled-secondary space-y-1 mb-3">
+          {rc.question && rc.question !== heading && <p>{rc.question}</p>}
+          <p>
+            {chamberLabel} · {rc.congress}th Congress{rc.session ? `, session ${rc.session}` : ''} · Roll call {rc.roll_number}
+            {rc.vote_date && ` · ${new Date(rc.vote_date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`}
+          </p>
+          {rc.result && <p className="text-oled-text">Result: {rc.result}</p>}
+          {rc.issue && (
+            <p>
+              <Link to={`/issues/${rc.issue.id}`} className="text-oled-text hover:underline">
+                {rc.issue.plain_english_title || rc.issue.title} →
+              </Link>
+            </p>
+          )}
+        </div>
+        <CopyLinkButton className="mb-8" />
+
+        {/* Totals */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-10">
+          {([
+            ['Yes', data.totals.yes, 'text-green-400'],
+            ['No', data.totals.no, 'text-red-400'],
+            ['Present', data.totals.present, 'text-oled-text'],
+            ['Not voting', data.totals.not_voting, 'text-oled-text'],
+          ] as const).map(([label, count, cls]) => (
+            <div key={label} className="p-4 border border-oled-border rounded">
+              <div className="text-xs text-oled-secondary uppercase tracking-wide">{label}</div>
+              <div className={`text-2xl font-light mt-1 ${cls}`}>{count}</div>
+            </div>
+          ))}
+        </div>
+
+        <section className="mb-10">
+          <h2 className="text-lg font-medium text-oled-text mb-3">By party</h2>
+          <PartySplitTable parties={data.by_party} defectors={data.defectors} />
+        </section>
+
+        <section className="mb-10">
+          <h2 className="text-lg font-medium text-oled-text mb-3">By state</h2>
+          <StateTable rows={data.by_state} />
+        </section>
+
+        {/* Members */}
+        <section>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h2 className="text-lg font-medium text-oled-text">
+              Members
+              <span className="text-oled-secondary font-normal text-sm ml-2">({members.length})</span>
+            </h2>
+            <select
+              value={voteFilter}
+              onChange={(e) => setVoteFilter(e.target.value as (typeof VOTE_OPTIONS)[number])}
+              className="bg-oled-bg border border-oled-border rounded px-2 py-1 text-sm text-oled-text"
+              aria-label="Filter members by vote"
+            >
+              {VOTE_OPTIONS.map((opt) => (
+                <option key={opt} value={opt}>{opt === 'all' ? 'All votes' : opt}</option>
+              ))}
+            </select>
+          </div>
+          <div className="overflow-x-auto border border-oled-border rounded">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-oled-border bg-oled-card/50">
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Member</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Party</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">State</th>
+                  <th className="text-left py-3 px-3 font-medium text-oled-text">Vote</th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map((m) => (
+                  <tr key={m.representative_id} className="border-b border-oled-border/50 hover:bg-oled-card/30">
+                    <td className="py-2 px-3 text-oled-text">
+                      <Link to={`/reps/${m.representative_id}`} className="hover:underline">{m.representative_name}</Link>
+                    </td>
+                    <td className="py-2 px-3 text-oled-secondary">{m.party || '—'}</td>
+                    <td className="py-2 px-3 text-oled-secondary whitespace-nowrap">
+                      {m.state}{rc.chamber === 'house' ? (m.district ? `-${m.district}` : ' At-Large') : ''}
+                    </td>
+                    <td className={`py-2 px-3 font-medium capitalize ${voteClass(m.vote)}`}>{m.vote}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </PageShell>
+  )
+}
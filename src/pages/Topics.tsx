@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import PageShell from '../components/PageShell'
+import Breadcrumbs from '../components/Breadcrumbs'
+import { apiUrl } from '../api'
+import { CATEGORIES, categoryLabel } from '../lib/voteFilters'
+import { FOLLOW_FREQUENCY_OPTIONS, type FollowFrequency } from '../lib/notifications'
+
+type FormState = 'form' | 'loading' | 'success'
+
+/** Follow topic categories: a digest of every new vote tagged with them */
+export default function Topics() {
+  const [selected, setSelected] = useState<string[]>([])
+  const [limitToDelegation, setLimitToDelegation] = useState(false)
+  const [state, setState] = useState('')
+  const [district, setDistrict] = useState('')
+  const [frequency, setFrequency] = useState<FollowFrequency>('daily')
+  const [email, setEmail] = useState('')
+  const [formState, setFormState] = useState<FormState>('form')
+  const [message, setMessage] = useState('')
+
+  const submit = () => {
+    if (!email.trim() || selected.length === 0) return
+    setFormState('loading')
+    setMessage('')
+    fetch(apiUrl('/api/subscribe'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: email.trim(),
+        categories: selected,
+        frequency,
+        delegation: limitToDelegation ? { state: state.trim(), district: district.trim() || null } : null,
+      }),
+    })
+      .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+      .then(({ ok, body }) => {
+        if (ok) {
+          setFormState('success')
+          setMessage(body.message || "You're following these topics.")
+        } else {
+          setFormState('form')
+          setMessage(body.error || 'Could not follow these topics.')
+        }
+      })
+      .catch(() => {
+        setFormState('form')
+        setMessage('Something went wrong. Please try again.')
+      })
+  }
+
+  const disabled = formState === 'loading'
+
+  return (
+    <PageShell>
+      <Breadcrumbs items={[{ label: 'Search', href: '/' }, { label: 'Topics' }]} className="mb-4" />
+      <h1 className="text-2xl md:text-3xl font-light text-oled-text mb-2">Follow a topic</h1>
+      <p className="text-oled-secondary text-sm mb-8">
+        Get a digest of every new vote on healthcare, energy, immigration or any other topic, with how your representatives voted.
+      </p>
+
+      {formState === 'success' ? (
+        <p className="p-6 border border-oled-border rounded text-oled-text text-sm">{message}</p>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault()
+            submit()
+          }}
+          className="flex flex-col gap-8"
+        >
+          <fieldset>
+            <legend className="text-lg font-medium text-oled-text mb-3">Topics</legend>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {CATEGORIES.map((c) => (
+                <label key={c} className="flex items-center gap-2 text-sm text-oled-text">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(c)}
+                    disabled={disabled}
+                    onChange={(e) =>
+                      setSelected((prev) => (e.target.checked ? [...prev, c] : prev.filter((x) => x !== c)))
+                    }
+                  />
+                  {categoryLabel(c)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset className="flex flex-col gap-3">
+            <legend className="text-lg font-medium text-oled-text mb-3">Whose votes</legend>
+            <label className="flex items-center gap-2 text-sm text-oled-text">
+              <input type="radio" checked={!limitToDelegation} disabled={disabled} onChange={() => setLimitToDelegation(false)} />
+              Every vote in Congress, with the representatives I follow
+            </label>
+            <label className="flex items-center gap-2 text-sm text-oled-text">
+              <input type="radio" checked={limitToDelegation} disabled={disabled} onChange={() => setLimitToDelegation(true)} />
+              Only my delegation
+            </label>
+            {limitToDelegation && (
+              <div className="flex flex-wrap gap-3 pl-6 text-sm">
+                <input
+                  type="text"
+                  value={state}
+                  onChange={(e) => setState(e.target.value.toUpperCase())}
+                  placeholder="State (e.g. WA)"
+                  maxLength={2}
+                  required
+                  disabled={disabled}
+                  className="w-32 px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  value={district}
+                  onChange={(e) => setDistrict(e.target.value)}
+                  placeholder="District (optional)"
+                  disabled={disabled}
+                  className="w-40 px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary"
+                />
+                <p className="w-full text-xs text-oled-secondary">
+                  Your two senators plus your district’s House member. Leave the district empty for the whole state.
+                </p>
+              </div>
+            )}
+          </fieldset>
+
+          <div className="flex flex-col sm:flex-row gap-3 items-start">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Your email"
+              required
+              disabled={disabled}
+              className="px-3 py-2 border border-oled-border rounded bg-oled-bg text-oled-text placeholder-oled-secondary focus:outline-none focus:ring-1 focus:ring-oled-border min-w-[200px]"
+            />
+            <select
+              value={frequency}
+              onChange={(e) => setFrequency(e.target.value as FollowFrequency)}
+              disabled={disabled}
+              aria-label="How often"
+              className="px-2 py-2 bg-oled-bg border border-oled-border rounded text-oled-text text-sm"
+            >
+              {FOLLOW_FREQUENCY_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={disabled || selected.length === 0}
+              className="px-4 py-2 rounded bg-oled-text text-oled-bg font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              {disabled ? 'Following…' : 'Follow topics'}
+            </button>
+          </div>
+          {message && <p className="text-sm text-red-400">{message}</p>}
+        </form>
+      )}
+    </PageShell>
+  )
+}
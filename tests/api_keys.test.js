@@ -0,0 +1,30 @@
+const { generateApiKey, hashApiKey, readApiKey, createRateLimiter } = require('../lib/api_keys');
+
+describe('API keys', () => {
+  test('generated keys are stored only as a hash and a prefix', () => {
+    const { key, prefix, hash } = generateApiKey();
+    expect(key).toMatch(/^rw_[A-Za-z0-9_-]{32}$/);
+    expect(prefix).toBe(key.slice(0, 11));
+    expect(hash).toBe(hashApiKey(key));
+    expect(hash).not.toContain(key.slice(3));
+    expect(generateApiKey().key).not.toBe(key);
+  });
+
+  test('keys are read from a bearer token or X-API-Key', () => {
+    expect(readApiKey({ authorization: 'Bearer rw_abc' })).toBe('rw_abc');
+    expect(readApiKey({ 'x-api-key': ' rw_abc ' })).toBe('rw_abc');
+    expect(readApiKey({ authorization: 'Basic dXNlcg==' })).toBeNull();
+    expect(readApiKey({ 'x-api-key': 'not-a-key' })).toBeNull();
+    expect(readApiKey({})).toBeNull();
+  });
+
+  test('the rate limiter allows `limit` requests per window per key', () => {
+    const limiter = createRateLimiter({ windowMs: 60000 });
+    const t = 1_800_000_000_000; // on a minute boundary
+    expect(limiter.hit(1, 2, t)).toEqual({ allowed: true, limit: 2, remaining: 1, reset: (t + 60000) / 1000 });
+    expect(limiter.hit(1, 2, t + 10).allowed).toBe(true);
+    expect(limiter.hit(1, 2, t + 20)).toMatchObject({ allowed: false, remaining: 0 });
+    expect(limiter.hit(2, 2, t + 30).allowed).toBe(true);
+    expect(limiter.hit(1, 2, t + 60000)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+});
@@ -0,0 +1,35 @@
+const { apiError, parseMemberQuery, pageMeta, memberVoteResource, issueResource } = require('../lib/api_v1');
+
+describe('public API v1 contract', () => {
+  test('errors use one envelope with a status per code', () => {
+    expect(apiError('not_found', 'Member not found')).toEqual({ status: 404, body: { error: { code: 'not_found', message: 'Member not found' } } });
+    expect(apiError('quota_exceeded', 'x').status).toBe(429);
+    expect(apiError('unauthorized', 'x').status).toBe(401);
+  });
+
+  test('member queries validate state and chamber and cap the page size', () => {
+    expect(parseMemberQuery({ state: 'wa', chamber: 'Senate', limit: '500' })).toEqual({
+      filters: { state: 'WA', chamber: 'senate' }, page: 1, limit: 100, error: null,
+    });
+    expect(parseMemberQuery({ state: 'Washington' }).error).toMatch(/two-letter/);
+    expect(parseMemberQuery({ chamber: 'assembly' }).error).toMatch(/Invalid chamber/);
+    expect(parseMemberQuery({ page: '0' }).error).toBe('Invalid page');
+    expect(pageMeta(2, 50, 101)).toEqual({ page: 2, limit: 50, total: 101, total_pages: 3 });
+  });
+
+  test('resources list their fields explicitly', () => {
+    const vote = memberVoteResource({
+      roll_call: 'house-119-2026-78', chamber: 'house', vote_date: '2026-10-17', vote: 'yes',
+      vote_metadata: { question: 'On Passage', result: 'Passed', raw: {} },
+      issue_id: 3, bill_id: 'hr815-119', title: 'Farm Bill', categories: ['agriculture'], ai_summary: { short_summary: 'x' },
+    });
+    expect(vote).toEqual({
+      roll_call: 'house-119-2026-78', chamber: 'house', vote_date: '2026-10-17', vote: 'yes', question: 'On Passage', result: 'Passed',
+      issue: { id: 3, canonical_bill_id: 'hr815-119', title: 'Farm Bill', categories: ['agriculture'] },
+    });
+    expect(memberVoteResource({ roll_call: 'senate-119-2026-4', vote: 'no', issue_id: null }).issue).toBeNull();
+
+    const issue = issueResource({ id: 3, title: 'Farm Bill', canonical_bill_id: 'hr815-119', ai_summary: { plain_english_title: 'Farm aid', short_summary: 'Funds farms' }, categories: null, vote_date: '2026-10-17', outcome: 'passed', bill_summary: 'long' });
+    expect(issue).toEqual({ id: 3, canonical_bill_id: 'hr815-119', title: 'Farm Bill', plain_english_title: 'Farm aid', summary: 'Funds farms', categories: [], vote_date: '2026-10-17', outcome: 'passed' });
+  });
+});
@@ -0,0 +1,72 @@
+const { parseCanonicalBillId, deriveBillStatus } = require('../lib/bill_status');
+const { billKeyToCanonicalId } = require('../lib/vote_keys');
+
+const action = (action_date, action_text, action_type = null) => ({ action_date, action_text, action_type });
+
+describe('bill ids', () => {
+  test('parses canonical ids and converts bill keys', () => {
+    expect(parseCanonicalBillId('HR815-119')).toEqual({ bill_type: 'hr', bill_number: 815, congress: 119 });
+    expect(parseCanonicalBillId('senate-roll:119-1-5')).toBeNull();
+    expect(billKeyToCanonicalId('119:hjres:7')).toBe('hjres7-119');
+  });
+});
+
+describe('deriveBillStatus', () => {
+  test('introduced only', () => {
+    const status = deriveBillStatus([action('2026-01-05', 'Referred to the House Committee on Ways and Means.', 'IntroReferral')], 'hr');
+    expect(status.status).toBe('introduced');
+    expect(status.steps.map((s) => s.key)).toEqual(['introduced', 'passed_house', 'passed_senate', 'to_president', 'became_law']);
+    expect(status.steps[0]).toMatchObject({ reached: true, date: '2026-01-05' });
+  });
+
+  test('House bill through both chambers to law', () => {
+    const status = deriveBillStatus([
+      action('2026-03-01', 'Became Public Law No: 119-12.', 'BecameLaw'),
+      action('2026-01-05', 'Introduced in House', 'IntroReferral'),
+      action('2026-02-01', 'On passage Passed by the Yeas and Nays: 220 - 207 (Roll no. 41).', 'Floor'),
+      action('2026-02-10', 'Passed Senate without amendment by Yea-Nay Vote. 60 - 40.', 'Floor'),
+      action('2026-02-12', 'Presented to President.', 'President'),
+    ], 'hr');
+    expect(status.status).toBe('became_law');
+    expect(status.label).toBe('Became law');
+    expect(status.as_of).toBe('2026-03-01');
+    expect(status.steps.every((s) => s.reached)).toBe(true);
+  });
+
+  test('Senate bill lists the Senate first; House passage is current', () => {
+    const status = deriveBillStatus([
+      action('2026-01-05', 'Introduced in Senate', 'IntroReferral'),
+      action('2026-01-20', 'Passed Senate with an amendment by Unanimous Consent.', 'Floor'),
+      action('2026-02-03', 'Passed/agreed to in House: On motion to suspend the rules and pass the bill Agreed to by voice vote.', 'Floor'),
+    ], 's');
+    expect(status.status).toBe('passed_house');
+    expect(status.steps.slice(1, 3).map((s) => s.key)).toEqual(['passed_senate', 'passed_house']);
+  });
+
+  test('veto, and veto override', () => {
+    const vetoed = [
+      action('2026-01-05', 'Introduced in House', 'IntroReferral'),
+      action('2026-02-12', 'Presented to President.', 'President'),
+      action('2026-02-20', 'Vetoed by President.', 'Veto'),
+    ];
+    expect(deriveBillStatus(vetoed, 'hr').status).toBe('vetoed');
+    expect(deriveBillStatus(vetoed, 'hr').steps.slice(-1)[0]).toMatchObject({ key: 'vetoed', reached: true });
+
+    const overridden = [...vetoed, action('2026-03-05', 'Became Public Law No: 119-20 over veto.', 'BecameLaw')];
+    expect(deriveBillStatus(overridden, 'hr').status).toBe('became_law');
+  });
+
+  test('resolving differences appears only when reached; simple resolutions stop at their chamber', () => {
+    const status = deriveBillStatus([
+      action('2026-01-05', 'Introduced in House', 'IntroReferral'),
+      action('2026-02-01', 'Passed/agreed to in House: On passage Passed by recorded vote.', 'Floor'),
+      action('2026-02-10', 'Passed Senate with an amendment.', 'Floor'),
+      action('2026-02-15', 'Resolving differences -- House actions: On motion that the House agree to the Senate amendment Agreed to.', 'ResolvingDifferences'),
+    ], 'hr');
+    expect(status.status).toBe('resolving_differences');
+    expect(status.steps.map((s) => s.key)).toContain('resolving_differences');
+
+    expect(deriveBillStatus([action('2026-01-05', 'Submitted in the House', 'IntroReferral')], 'hres').steps.map((s) => s.key))
+      .toEqual(['introduced', 'passed_house']);
+  });
+});
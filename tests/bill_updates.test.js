@@ -0,0 +1,68 @@
+const { billEventKey, billUpdateKeys, pendingBillUpdates } = require('../lib/bill_updates');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const { upsertBillActions } = require('../models/bill_actions');
+
+describe('bill follow updates', () => {
+  const followedAt = '2026-10-15T00:00:00Z';
+  const update = {
+    canonical_bill_id: 'hr815-119',
+    issue_id: 3,
+    issue_title: 'Farm Bill',
+    ai_summary: null,
+    roll_calls: [
+      { roll_call: 'house-119-2026-70', recorded_at: '2026-10-10T06:00:00Z', totals: { yes: 1, no: 0 }, your_reps: [] },
+      { roll_call: 'house-119-2026-78', recorded_at: '2026-10-18T06:00:00Z', totals: { yes: 218, no: 210 }, your_reps: [{ name: 'Sam Lee', vote: 'yes' }] },
+    ],
+    actions: [
+      { id: 1, action_date: '2026-09-01', action_text: 'Introduced in House', action_type: 'IntroReferral', recorded_at: '2026-09-02T06:00:00Z' },
+      { id: 2, action_date: '2026-10-17', action_text: 'Passed/agreed to in House: On passage Passed by the Yeas and Nays: 218 - 210.', action_type: 'Floor', recorded_at: '2026-10-18T06:00:00Z' },
+    ],
+  };
+
+  test('keys cover roll calls and actions since the follow, plus the current status', () => {
+    expect(billUpdateKeys(update, 7, followedAt)).toEqual([
+      'bill:hr815-119:rollcall:house-119-2026-78:user:7',
+      'bill:hr815-119:action:2:user:7',
+      'bill:hr815-119:status:passed_house:user:7',
+    ]);
+  });
+
+  test('new actions that move the bill report a status change', () => {
+    const pending = pendingBillUpdates(update, 7, followedAt, new Set());
+    expect(pending.roll_calls.map((rc) => rc.roll_call)).toEqual(['house-119-2026-78']);
+    expect(pending.actions.map((a) => a.id)).toEqual([2]);
+    expect(pending.status_change).toEqual({ from: 'introduced', to: 'passed_house', label: 'Passed House' });
+    expect(pending.events.map((e) => e.event_type)).toEqual(['bill_roll_call', 'bill_action', 'bill_status']);
+  });
+
+  test('already-sent updates are skipped', () => {
+    const sent = new Set(billUpdateKeys(update, 7, followedAt));
+    expect(pendingBillUpdates(update, 7, followedAt, sent)).toBeNull();
+    const rollCallSent = new Set([billEventKey('hr815-119', 'rollcall', 'house-119-2026-78', 7)]);
+    expect(pendingBillUpdates(update, 7, followedAt, rollCallSent).roll_calls).toEqual([]);
+  });
+
+  test('a first introduction is not reported as a status change', () => {
+    const fresh = { ...update, roll_calls: [], actions: update.actions.slice(0, 1) };
+    const pending = pendingBillUpdates(fresh, 7, '2026-09-01T00:00:00Z', new Set());
+    expect(pending.actions).toHaveLength(1);
+    expect(pending.status_change).toBeNull();
+  });
+});
+
+describe('upsertBillActions', () => {
+  const actions = [{ action_date: '2025-01-03', action_text: 'Introduced in House', action_code: 'Intro-H' }];
+
+  test('a bill\'s first actions are recorded on their own dates; later ones when stored', async () => {
+    for (const known of [false, true]) {
+      pool.query.mockReset();
+      pool.query.mockResolvedValueOnce({ rows: [{ known }] }).mockResolvedValue({ rowCount: 1 });
+      expect(await upsertBillActions('hr815-119', actions)).toBe(1);
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toMatch(/CASE WHEN \$8::boolean THEN LEAST\(now\(\), \$2::date::timestamptz\) ELSE now\(\) END/);
+      expect(params[7]).toBe(!known);
+    }
+  });
+});
@@ -0,0 +1,37 @@
+const { parseCompareIds, groupRollCalls, pairwiseAgreement } = require('../lib/compare');
+
+describe('parseCompareIds', () => {
+  test('dedupes and validates', () => {
+    expect(parseCompareIds('3, 5,3,x')).toEqual({ ids: [3, 5], error: null });
+    expect(parseCompareIds('3').error).toMatch(/At least 2/);
+    expect(parseCompareIds('1,2,3,4,5,6,7,8,9,10,11').error).toMatch(/At most 10/);
+  });
+});
+
+describe('comparison', () => {
+  const rows = [
+    { roll_call: 'house-119-2026-10', representative_id: 1, vote: 'yes', vote_date: '2026-03-01', chamber: 'house' },
+    { roll_call: 'house-119-2026-10', representative_id: 2, vote: 'no', vote_date: '2026-03-01', chamber: 'house' },
+    { roll_call: 'house-119-2026-11', representative_id: 1, vote: 'yes', vote_date: '2026-03-02', chamber: 'house' },
+    { roll_call: 'house-119-2026-11', representative_id: 2, vote: 'yes', vote_date: '2026-03-02', chamber: 'house' },
+    { roll_call: 'house-119-2026-12', representative_id: 1, vote: 'not voting', vote_date: '2026-03-03', chamber: 'house' },
+    { roll_call: 'house-119-2026-12', representative_id: 2, vote: 'no', vote_date: '2026-03-03', chamber: 'house' },
+  ];
+
+  test('groups newest first and flags splits', () => {
+    const rollCalls = groupRollCalls(rows);
+    expect(rollCalls.map((rc) => rc.roll_call)).toEqual(['house-119-2026-12', 'house-119-2026-11', 'house-119-2026-10']);
+    expect(rollCalls.map((rc) => rc.split)).toEqual([false, false, true]);
+  });
+
+  test('same chamber compares roll calls, cross chamber compares issues', () => {
+    const reps = [{ id: 1, chamber: 'house' }, { id: 2, chamber: 'house' }, { id: 3, chamber: 'senate' }];
+    const issues = new Map([[40, { 1: 'yes', 3: 'yes' }], [41, { 1: 'no', 3: 'yes' }], [42, { 2: 'no', 3: 'no' }]]);
+    const pairs = pairwiseAgreement(reps, groupRollCalls(rows), issues);
+    expect(pairs).toEqual([
+      { a: 1, b: 2, basis: 'roll_call', compared: 2, agreed: 1, agreement: 0.5 },
+      { a: 1, b: 3, basis: 'issue', compared: 2, agreed: 1, agreement: 0.5 },
+      { a: 2, b: 3, basis: 'issue', compared: 1, agreed: 1, agreement: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+const { htmlDigest, digestSubject, repSection } = require('../lib/digest_email');
+
+describe('digest email', () => {
+  const rows = [
+    { representative_id: 5, rep_name: 'Sam Lee', rep_state: 'TX', rep_district: 7, rep_chamber: 'house', rep_party: 'Republican', vote: 'yes', vote_date: '2026-10-18', issue_id: null },
+    { representative_id: 5, rep_name: 'Sam Lee', rep_state: 'TX', rep_district: 7, rep_chamber: 'house', rep_party: 'Republican', vote: 'no', vote_date: '2026-10-17', issue_id: 3 },
+  ];
+
+  test('repSection caps displayed votes and counts the rest', () => {
+    const section = repSection(5, rows, rows, 1);
+    expect(section).toMatchObject({ rep_id: 5, rep_name: 'Sam Lee', state: 'TX', district: 7, more: 1 });
+    expect(section.votes).toHaveLength(1);
+    expect(section.pending).toHaveLength(2);
+  });
+
+  test('wording follows the cadence', () => {
+    expect(digestSubject('weekly', 2)).toBe('RepWatch Weekly: How your 2 representative(s) voted');
+    expect(digestSubject('instant', 1)).toBe('RepWatch Alert: How your 1 representative(s) just voted');
+    const html = htmlDigest({ baseUrl: 'https://repwatch.test', unsubToken: 't', repSections: [repSection(5, rows, rows, 10)], frequency: 'instant' });
+    expect(html).toContain('RepWatch Alert');
+    expect(html).toContain('How your representatives just voted');
+    expect(html).toContain('https://repwatch.test/issues/3');
+    expect(html).toContain('https://repwatch.test/subscriptions?token=t');
+  });
+
+  test('followed bills get their own sections and subject', () => {
+    expect(digestSubject('daily', 0, 1)).toBe('RepWatch Daily: Updates on 1 bill(s) you follow');
+    expect(digestSubject('daily', 2, 1)).toBe('RepWatch Daily: How your 2 representative(s) voted, plus 1 bill(s) you follow');
+    const bill = {
+      canonical_bill_id: 'hr815-119',
+      issue_id: 3,
+      issue_title: 'Farm Bill',
+      status_change: { from: 'introduced', to: 'passed_house', label: 'Passed House' },
+      roll_calls: [{ roll_call: 'house-119-2026-78', question: 'On Passage', result: 'Passed', vote_date: '2026-10-17', totals: { yes: 218, no: 210, present: 0, not_voting: 4 }, your_reps: [{ name: 'Sam Lee', party: 'Republican', state: 'TX', vote: 'no' }] }],
+      actions: [{ id: 2, action_date: '2026-10-17', action_text: 'Passed House' }],
+      events: [],
+    };
+    const html = htmlDigest({ baseUrl: 'https://repwatch.test', unsubToken: 't', repSections: [], billSections: [bill], frequency: 'daily' });
+    expect(html).toContain('What happened on the bills you follow');
+    expect(html).toContain('Farm Bill');
+    expect(html).toContain('(was Introduced)');
+    expect(html).toContain('Yes 218 · No 210 · Not voting 4');
+    expect(html).toContain('Sam Lee (R-TX)');
+    expect(html).toContain('https://repwatch.test/rollcalls/house-119-2026-78');
+  });
+
+  test('followed topics list each new vote with the delegation', () => {
+    expect(digestSubject('weekly', 0, 0, 2)).toBe('RepWatch Weekly: Updates on 2 topic(s) you follow');
+    expect(digestSubject('daily', 1, 1, 1)).toBe('RepWatch Daily: How your 1 representative(s) voted, plus 1 bill(s) and 1 topic(s) you follow');
+    const topic = {
+      category: 'foreign_policy',
+      delegation: { state: 'WA', district: 7 },
+      roll_calls: [{ roll_call: 'senate-119-2026-12', issue_id: 9, title: 'Aid Act', question: 'On Passage', result: 'Passed', vote_date: '2026-10-17', totals: { yes: 60, no: 40, present: 0, not_voting: 0 }, your_reps: [{ name: 'Pat Kim', party: 'Democrat', state: 'WA', vote: 'yes' }] }],
+      events: [],
+    };
+    const html = htmlDigest({ baseUrl: 'https://repwatch.test', unsubToken: 't', repSections: [], topicSections: [topic], frequency: 'weekly' });
+    expect(html).toContain('What happened on the topics you follow');
+    expect(html).toContain('Foreign policy');
+    expect(html).toContain('WA-7 delegation');
+    expect(html).toContain('Pat Kim (D-WA)');
+    expect(html).toContain('https://repwatch.test/rollcalls/senate-119-2026-12');
+  });
+});
@@ -0,0 +1,26 @@
+const { signToken, verifyToken } = require('../lib/email_tokens');
+
+describe('signed email tokens', () => {
+  const secret = 'test-secret';
+  const now = new Date('2026-10-19T12:00:00Z');
+  const token = signToken('confirm', { uid: '42', email: 'a@example.com' }, secret, 48, now);
+
+  test('round-trips claims before expiry', () => {
+    expect(verifyToken(token, 'confirm', secret, new Date('2026-10-21T11:59:00Z'))).toEqual({
+      data: { uid: '42', email: 'a@example.com' },
+      error: null,
+    });
+  });
+
+  test('rejects expired, tampered, wrong-purpose and wrong-secret tokens', () => {
+    expect(verifyToken(token, 'confirm', secret, new Date('2026-10-21T12:00:00Z')).error).toBe('expired');
+    const [body, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ uid: '1', email: 'a@example.com', purpose: 'confirm', exp: 9999999999 })).toString('base64url');
+    expect(verifyToken(`${forged}.${sig}`, 'confirm', secret, now).error).toBe('invalid');
+    expect(verifyToken(`${body}.${sig}x`, 'confirm', secret, now).error).toBe('invalid');
+    expect(verifyToken(token, 'unsubscribe', secret, now).error).toBe('invalid');
+    expect(verifyToken(token, 'confirm', 'other-secret', now).error).toBe('invalid');
+    expect(verifyToken('', 'confirm', secret, now).error).toBe('invalid');
+    expect(verifyToken(token, 'confirm', undefined, now).error).toBe('invalid');
+  });
+});
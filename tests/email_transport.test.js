@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileTransport, createTransportFromEnv } = require('../services/email_transport');
+const { htmlDigest, digestSubject } = require('../lib/digest_email');
+const { listUnsubscribeHeaders } = require('../lib/notifications');
+
+describe('createTransportFromEnv', () => {
+  test('picks by EMAIL_TRANSPORT, then by configured provider; files only when asked for', () => {
+    expect(createTransportFromEnv({ EMAIL_TRANSPORT: 'file', RESEND_API_KEY: 're_test' }).name).toBe('file');
+    expect(createTransportFromEnv({ RESEND_API_KEY: 're_test' }).name).toBe('resend');
+    expect(createTransportFromEnv({ SMTP_URL: 'smtp://localhost:2525' }).name).toBe('smtp');
+    expect(createTransportFromEnv({ EMAIL_TRANSPORT: 'file', NODE_ENV: 'production' }).name).toBe('file');
+    expect(createTransportFromEnv({ NODE_ENV: 'development' })).toBeNull();
+    expect(createTransportFromEnv({ NODE_ENV: 'production' })).toBeNull();
+  });
+
+  test('rejects unknown or unconfigured transports', () => {
+    expect(() => createTransportFromEnv({ EMAIL_TRANSPORT: 'carrier-pigeon' })).toThrow(/EMAIL_TRANSPORT/);
+    expect(() => createTransportFromEnv({ EMAIL_TRANSPORT: 'smtp' })).toThrow(/SMTP_URL/);
+  });
+});
+
+describe('file transport', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repwatch-outbox-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a complete digest as an .eml file', async () => {
+    const vote = {
+      representative_id: 12,
+      issue_id: 7,
+      roll_call: 'house-119-2026-78',
+      vote: 'no',
+      vote_date: '2026-10-15',
+      issue_title: 'Clean Water Act Amendments',
+      event_types: ['against_party', 'new_vote'],
+    };
+    const repSections = [{ rep_id: 12, rep_name: 'Jane Doe', state: 'CA', district: 12, chamber: 'house', party: 'Democrat', votes: [vote], more: 0, pending: [vote] }];
+    const transport = createFileTransport({ dir });
+    const { file } = await transport.send({
+      from: 'RepWatch <updates@example.com>',
+      to: 'reader@example.com',
+      subject: digestSubject('weekly', 1),
+      html: htmlDigest({ baseUrl: 'https://repwatch.test', unsubToken: 'tok123', repSections, frequency: 'weekly' }),
+      headers: listUnsubscribeHeaders('https://repwatch.test', 'tok123'),
+    });
+
+    expect(path.dirname(file)).toBe(dir);
+    expect(file).toMatch(/reader@example\.com-[0-9a-f]{6}\.eml$/);
+    const eml = fs.readFileSync(file, 'utf8');
+    expect(eml).toMatch(/^Subject: RepWatch Weekly: How your 1 representative\(s\) voted$/m);
+    expect(eml).toMatch(/^To: reader@example\.com$/m);
+    expect(eml).toMatch(/^List-Unsubscribe: <https:\/\/repwatch\.test\/api\/unsubscribe\?token=tok123>$/m);
+    expect(eml).toMatch(/^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m);
+    expect(eml).toMatch(/Content-Type: text\/html/);
+    expect(eml).toContain('Jane Doe');
+  });
+});
@@ -0,0 +1,116 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { parseEmbedOptions, embedFrameAncestors, embedCsp, renderRepWidget, renderEmbedMessage } = require('../lib/embed');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const app = require('../app');
+
+const BASE = 'https://repwatch.co';
+const REP = {
+  id: 12, name: 'Pat <Doe>', party: 'Democratic', state: 'WA', district: 7, chamber: 'house', bioguide_id: 'D000001',
+  photo_url: 'https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg',
+};
+const VOTES = [
+  { vote_id: 2, vote: 'no', vote_date: new Date(2026, 9, 17), roll_call: 'house-119-2026-78', issue_id: 7, ai_summary: { plain_english_title: 'Farm aid' } },
+  { vote_id: 1, vote: 'yes', vote_date: new Date(2026, 9, 16), roll_call: 'house-119-2026-77', issue_id: null, vote_metadata: { question: 'On Motion to Adjourn' } },
+];
+
+describe('embed options and policy', () => {
+  test('options fall back to defaults and limits are capped', () => {
+    expect(parseEmbedOptions({})).toEqual({ theme: 'auto', limit: 5 });
+    expect(parseEmbedOptions({ theme: 'DARK', limit: '3' })).toEqual({ theme: 'dark', limit: 3 });
+    expect(parseEmbedOptions({ theme: 'neon', limit: '50' })).toEqual({ theme: 'auto', limit: 10 });
+    expect(parseEmbedOptions({ limit: '-1' }).limit).toBe(5);
+  });
+
+  test('frame-ancestors comes from EMBED_ALLOWED_ORIGINS, ignoring anything that is not an origin', () => {
+    expect(embedFrameAncestors(undefined)).toBe('*');
+    expect(embedFrameAncestors(' ')).toBe('*');
+    expect(embedFrameAncestors('https://news.example.com, https://*.example.org')).toBe('https://news.example.com https://*.example.org');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(embedFrameAncestors('https://news.example.com news.example.org')).toBe('https://news.example.com');
+    // Set but unusable: nobody may frame the widget, not everybody
+    expect(embedFrameAncestors("'self'; script-src *")).toBe("'none'");
+    expect(warn).toHaveBeenCalledWith('EMBED_ALLOWED_ORIGINS: ignoring entries that are not origins:', "'self'; script-src *");
+    warn.mockRestore();
+  });
+
+  test('the CSP allows only nonced inline code and member photos', () => {
+    expect(embedCsp('abc', '*')).toBe(
+      "default-src 'none'; img-src https://bioguide.congress.gov; style-src 'nonce-abc'; script-src 'nonce-abc'; "
+      + "base-uri 'none'; form-action 'none'; frame-ancestors *"
+    );
+  });
+});
+
+describe('renderRepWidget', () => {
+  const html = renderRepWidget({ rep: REP, votes: VOTES, theme: 'dark', nonce: 'n0nce', baseUrl: BASE });
+
+  test('shows the photo, party and latest votes with plain-English titles', () => {
+    expect(html).toContain('<img src="https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg"');
+    expect(html).toContain('Pat &lt;Doe&gt;');
+    expect(html).toContain('Democratic · WA District 7');
+    expect(html).toContain('<span class="v no">No</span>');
+    expect(html).toContain('<a href="https://repwatch.co/issues/7" target="_blank" rel="noopener">Farm aid</a>');
+    expect(html).toContain('href="https://repwatch.co/rollcalls/house-119-2026-77"');
+    expect(html).toContain('On Motion to Adjourn');
+  });
+
+  test('inline style and script carry the nonce; the theme picks the colors', () => {
+    expect(html.match(/<style nonce="n0nce">/g)).toHaveLength(1);
+    expect(html.match(/<script nonce="n0nce">/g)).toHaveLength(1);
+    expect(html).not.toContain('prefers-color-scheme');
+    expect(renderRepWidget({ rep: REP, votes: [], theme: 'auto', nonce: 'x', baseUrl: BASE })).toContain('prefers-color-scheme: dark');
+  });
+
+  test('photos from other hosts are dropped', () => {
+    const other = renderRepWidget({ rep: { ...REP, photo_url: 'https://evil.example/x.jpg' }, votes: [], theme: 'light', nonce: 'x', baseUrl: BASE });
+    expect(other).not.toContain('<img');
+    expect(other).toContain('No recorded votes yet.');
+  });
+
+  test('messages render in the same frame', () => {
+    expect(renderEmbedMessage({ message: 'Representative not found.', theme: 'light', nonce: 'x' })).toContain('<p class="m">Representative not found.</p>');
+  });
+});
+
+describe('GET /embed/reps/:id', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/FROM representatives WHERE id = \$1/.test(sql)) return { rows: params[0] === 12 ? [{ ...REP, photo_url: undefined }] : [] };
+      if (/WHERE v\.representative_id = \$1/.test(sql)) return { rows: VOTES.slice(0, params[1]) };
+      throw new Error(`unexpected query: ${sql}`);
+    });
+  });
+
+  test('serves a frameable page whose CSP nonce matches its inline code', async () => {
+    const res = await request(app).get('/embed/reps/12?theme=light&limit=1');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(res.headers['x-frame-options']).toBeUndefined();
+    const csp = res.headers['content-security-policy'];
+    expect(csp).toMatch(/frame-ancestors \*$/);
+    const nonce = csp.match(/script-src 'nonce-([^']+)'/)[1];
+    expect(res.text).toContain(`<script nonce="${nonce}">`);
+    expect(res.text).toContain('Farm aid');
+    expect(res.text).not.toContain('On Motion to Adjourn');
+    expect(pool.query.mock.calls[1][1]).toEqual([12, 1]);
+  });
+
+  test('unknown members get a 404 widget', async () => {
+    const res = await request(app).get('/embed/reps/99');
+    expect(res.status).toBe(404);
+    expect(res.text).toContain('Representative not found.');
+    expect((await request(app).get('/embed/reps/abc')).status).toBe(404);
+  });
+
+  test('the rest of the site cannot be framed by other origins', async () => {
+    const res = await request(app).get('/api/health');
+    expect(res.headers['content-security-policy']).toBe("frame-ancestors 'self'");
+    expect(res.headers['x-frame-options']).toBe('SAMEORIGIN');
+  });
+});
@@ -0,0 +1,205 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { Writable } = require('stream');
+const request = require('supertest');
+const {
+  VOTE_COLUMNS, ISSUE_COLUMNS, parseExportQuery, buildExportConditions, csvField, exportHeader, formatExportRow, writeExport, exportFilename,
+} = require('../lib/exports');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const { streamVoteExport, streamIssueExport } = require('../models/exports');
+const app = require('../app');
+
+const voteRow = (id, extra = {}) => ({
+  vote_id: id, roll_call: 'house-119-2026-78', vote_date: new Date(2026, 9, 17), congress: 119, session: 2, chamber: 'house',
+  roll_number: 78, question: 'On Passage', result: 'Passed', vote: 'yes', representative_id: 1, bioguide_id: 'D000001',
+  representative_name: 'Pat Doe', party: 'Democratic', state: 'WA', district: 7, issue_id: 7, canonical_bill_id: 'hr815-119',
+  issue_title: 'Farm Bill', ...extra,
+});
+
+async function collect(batches) {
+  const out = [];
+  for await (const batch of batches) out.push(batch);
+  return out;
+}
+
+describe('parseExportQuery', () => {
+  test('defaults to CSV with no filters', () => {
+    expect(parseExportQuery({})).toEqual({ filters: {}, format: 'csv', error: null });
+  });
+
+  test('accepts vote filters plus congress, member, issue and format', () => {
+    const parsed = parseExportQuery({
+      congress: '119', chamber: 'House', from: '2026-01-01', to: '2026-06-30', member: '12', issue: '7', vote: 'no', format: 'NDJSON',
+      limit: '5', cursor: 'ignored',
+    });
+    expect(parsed.error).toBeNull();
+    expect(parsed.format).toBe('ndjson');
+    expect(parsed.filters).toEqual({
+      congress: 119, chamber: 'house', from: '2026-01-01', to: '2026-06-30', member: 12, issue: 7, votes: ['no'],
+    });
+  });
+
+  test('rejects bad values with the same messages as the vote list', () => {
+    expect(parseExportQuery({ congress: 'x' }).error).toBe('Invalid congress');
+    expect(parseExportQuery({ member: '-3' }).error).toBe('Invalid member');
+    expect(parseExportQuery({ format: 'parquet' }).error).toBe('Invalid format (expected csv or ndjson)');
+    expect(parseExportQuery({ from: 'last week' }).error).toBe('Invalid from date (expected YYYY-MM-DD)');
+  });
+});
+
+describe('buildExportConditions', () => {
+  test('adds congress, member and issue after the vote filter conditions', () => {
+    const params = [];
+    const where = buildExportConditions({ chamber: 'senate', congress: 119, member: 12, issue: 7 }, params);
+    expect(where).toEqual(['v.chamber = $1', 'v.congress = $2', 'v.representative_id = $3', 'v.issue_id = $4']);
+    expect(params).toEqual(['senate', 119, 12, 7]);
+  });
+});
+
+describe('row formatting', () => {
+  test('CSV fields are quoted only when needed and formulas are neutralized', () => {
+    expect(csvField('Farm Bill')).toBe('Farm Bill');
+    expect(csvField('Agriculture, Nutrition "Farm" Act')).toBe('"Agriculture, Nutrition ""Farm"" Act"');
+    expect(csvField('line\nbreak')).toBe('"line\nbreak"');
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvField(-1)).toBe('-1');
+    expect(csvField(null)).toBe('');
+    expect(csvField(new Date(2026, 0, 5))).toBe('2026-01-05');
+    expect(csvField(['agriculture', 'economy'])).toBe('agriculture;economy');
+  });
+
+  test('CSV rows follow the column order; NDJSON rows are objects with every column', () => {
+    expect(exportHeader(VOTE_COLUMNS, 'csv')).toBe(`${VOTE_COLUMNS.join(',')}\r\n`);
+    expect(exportHeader(VOTE_COLUMNS, 'ndjson')).toBe('');
+    expect(formatExportRow(voteRow(1), VOTE_COLUMNS, 'csv')).toBe(
+      '1,house-119-2026-78,2026-10-17,119,2,house,78,On Passage,Passed,yes,1,D000001,Pat Doe,Democratic,WA,7,7,hr815-119,Farm Bill\r\n'
+    );
+    const json = JSON.parse(formatExportRow({ issue_id: 7, categories: ['agriculture'], first_vote_date: new Date(2026, 9, 17) }, ISSUE_COLUMNS, 'ndjson'));
+    expect(Object.keys(json)).toEqual(ISSUE_COLUMNS);
+    expect(json).toMatchObject({ issue_id: 7, categories: ['agriculture'], first_vote_date: '2026-10-17', title: null });
+  });
+
+  test('file names describe the filters', () => {
+    expect(exportFilename('votes', { congress: 119, chamber: 'house', member: 12 }, 'csv')).toBe('votes-119-house-member-12.csv');
+    expect(exportFilename('issues', {}, 'ndjson')).toBe('issues.ndjson');
+  });
+});
+
+describe('writeExport', () => {
+  test('waits for drain and writes every row', async () => {
+    const chunks = [];
+    const out = new Writable({
+      highWaterMark: 16,
+      write(chunk, enc, cb) {
+        chunks.push(chunk.toString());
+        setImmediate(cb);
+      },
+    });
+    async function* batches() {
+      yield [voteRow(1), voteRow(2)];
+      yield [voteRow(3)];
+    }
+    const onStart = jest.fn();
+    const count = await writeExport(out, batches(), { columns: ['vote_id', 'vote'], format: 'csv', onStart });
+    // Each wait removes both of its listeners
+    expect(out.listenerCount('drain')).toBe(0);
+    expect(out.listenerCount('close')).toBe(0);
+    await new Promise((resolve) => out.end(resolve));
+    expect(count).toBe(3);
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(chunks.join('')).toBe('vote_id,vote\r\n1,yes\r\n2,yes\r\n3,yes\r\n');
+  });
+
+  test('stops reading when the stream is destroyed', async () => {
+    let writes = 0;
+    // Header, then the first row; the client goes away after that
+    const out = new Writable({
+      write(chunk, enc, cb) {
+        if (++writes === 2) this.destroy();
+        cb();
+      },
+    });
+    let batchesRead = 0;
+    async function* batches() {
+      for (;;) {
+        batchesRead++;
+        yield [voteRow(batchesRead), voteRow(batchesRead + 100)];
+      }
+    }
+    expect(await writeExport(out, batches(), { columns: ['vote_id'], format: 'csv' })).toBe(1);
+    expect(batchesRead).toBe(1);
+  });
+});
+
+describe('export models', () => {
+  beforeEach(() => pool.query.mockReset());
+
+  test('votes are read in keyset batches after the last id', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [voteRow(4), voteRow(9)] })
+      .mockResolvedValueOnce({ rows: [voteRow(12)] });
+    const batches = await collect(streamVoteExport({ congress: 119 }, { batchSize: 2 }));
+    expect(batches.map((b) => b.map((r) => r.vote_id))).toEqual([[4, 9], [12]]);
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    expect(pool.query.mock.calls[0][0]).toMatch(/v\.congress = \$1 AND v\.id > \$2/);
+    expect(pool.query.mock.calls[0][1]).toEqual([119, 0, 2]);
+    expect(pool.query.mock.calls[1][1]).toEqual([119, 9, 2]);
+  });
+
+  test('issues stop after an empty batch', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ issue_id: 3 }, { issue_id: 5 }] })
+      .mockResolvedValueOnce({ rows: [] });
+    const batches = await collect(streamIssueExport({ member: 12 }, { batchSize: 2 }));
+    expect(batches).toEqual([[{ issue_id: 3 }, { issue_id: 5 }]]);
+    expect(pool.query.mock.calls[0][0]).toMatch(/v\.issue_id = i\.id AND v\.representative_id = \$1/);
+    expect(pool.query.mock.calls[1][1]).toEqual([12, 5, 2]);
+  });
+});
+
+describe('GET /api/export', () => {
+  beforeEach(() => pool.query.mockReset());
+
+  test('streams votes as a CSV download', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [voteRow(1), voteRow(2, { vote: 'no', representative_name: 'Roe, Sam' })] });
+    const res = await request(app).get('/api/export/votes?issue=7');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="votes-issue-7.csv"');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toBe(VOTE_COLUMNS.join(','));
+    expect(lines[2]).toContain(',no,1,D000001,"Roe, Sam",');
+  });
+
+  test('streams issues as NDJSON', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ issue_id: 7, title: 'Farm Bill', chambers: ['house'], roll_calls: 3 }] });
+    const res = await request(app).get('/api/export/issues?format=ndjson&congress=119').buffer(true).parse((r, cb) => {
+      let text = '';
+      r.on('data', (c) => { text += c; });
+      r.on('end', () => cb(null, text));
+    });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    const rows = res.body.trim().split('\n').map((l) => JSON.parse(l));
+    expect(rows).toEqual([expect.objectContaining({ issue_id: 7, chambers: ['house'], roll_calls: 3 })]);
+  });
+
+  test('rejects invalid filters before querying', async () => {
+    const res = await request(app).get('/api/export/votes?chamber=assembly');
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid chamber (expected house or senate)' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('returns 500 when the first query fails', async () => {
+    pool.query.mockRejectedValueOnce(new Error('connection refused'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await request(app).get('/api/export/votes');
+    spy.mockRestore();
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Internal server error' });
+  });
+});
@@ -0,0 +1,145 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { repVoteItem, rollCallItem, buildAtomFeed, buildCalendar, foldLine, memberLabel } = require('../lib/feeds');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const app = require('../app');
+
+const BASE = 'https://repwatch.co';
+const REP = { id: 12, name: 'Pat Doe', party: 'Democratic', state: 'WA', district: 7, chamber: 'house', bioguide_id: 'D000001' };
+const VOTE = {
+  vote_id: 501, vote: 'no', vote_date: new Date(2026, 9, 17), created_at: new Date('2026-10-18T04:05:06Z'), roll_call: 'house-119-2026-78',
+  chamber: 'house', vote_metadata: { question: 'On Passage', result: 'Passed' }, issue_id: 7,
+  issue_title: 'Farm Bill', canonical_bill_id: 'hr815-119', ai_summary: { plain_english_title: 'Farm aid & <crop> insurance' }, categories: ['agriculture'],
+};
+const ROLL_CALL = {
+  roll_call: 'house-119-2026-78', vote_date: new Date(2026, 9, 17), created_at: null, chamber: 'house',
+  vote_metadata: { question: 'On Passage', result: 'Passed' }, issue_id: 7, issue_title: 'Farm Bill', canonical_bill_id: 'hr815-119',
+  ai_summary: { plain_english_title: 'Farm aid' }, categories: ['agriculture'], yes: 220, no: 210, present: 1, not_voting: 4,
+};
+
+describe('feed items', () => {
+  test('a member vote carries the plain-English title and the position', () => {
+    const item = repVoteItem(VOTE, REP, BASE);
+    expect(item).toEqual({
+      id: 'urn:repwatch:vote:501',
+      title: 'Pat Doe voted No: Farm aid & <crop> insurance',
+      url: 'https://repwatch.co/issues/7',
+      updated: '2026-10-18T04:05:06.000Z',
+      date: '2026-10-17',
+      summary: 'Pat Doe (D-WA) voted No on On Passage — Passed.',
+      categories: ['agriculture'],
+    });
+    expect(repVoteItem({ ...VOTE, issue_id: null }, REP, BASE).url).toBe('https://repwatch.co/rollcalls/house-119-2026-78');
+  });
+
+  test('a roll call carries its result and totals; without created_at it is dated by the vote', () => {
+    const item = rollCallItem(ROLL_CALL, BASE);
+    expect(item.title).toBe('Farm aid: Passed');
+    expect(item.summary).toBe('On Passage. Yes 220, No 210, Present 1, Not voting 4.');
+    expect(item.updated).toBe('2026-10-17T00:00:00Z');
+  });
+
+  test('member labels abbreviate the party', () => {
+    expect(memberLabel(REP)).toBe('Pat Doe (D-WA)');
+    expect(memberLabel({ name: 'Alex Roe' })).toBe('Alex Roe');
+  });
+});
+
+describe('buildAtomFeed', () => {
+  test('is well-formed Atom with escaped text and the newest entry as updated', () => {
+    const xml = buildAtomFeed({
+      id: 'urn:repwatch:rep:12',
+      title: 'Pat Doe (D-WA) — votes',
+      selfUrl: `${BASE}/feeds/reps/12.atom`,
+      pageUrl: `${BASE}/reps/12`,
+      items: [repVoteItem(VOTE, REP, BASE), rollCallItem(ROLL_CALL, BASE)],
+    });
+    expect(XMLValidator.validate(xml)).toBe(true);
+    const { feed } = new XMLParser({ ignoreAttributes: false }).parse(xml);
+    expect(feed['@_xmlns']).toBe('http://www.w3.org/2005/Atom');
+    expect(feed.updated).toBe('2026-10-18T04:05:06.000Z');
+    expect(feed.entry).toHaveLength(2);
+    expect(feed.entry[0].title).toBe('Pat Doe voted No: Farm aid & <crop> insurance');
+    expect(xml).toContain('<category term="agriculture"/>');
+  });
+
+  test('an empty feed is still valid', () => {
+    const xml = buildAtomFeed({ id: 'urn:x', title: 'Empty', selfUrl: BASE, pageUrl: BASE, items: [] });
+    expect(XMLValidator.validate(xml)).toBe(true);
+    expect(xml).toContain('<updated>1970-01-01T00:00:00.000Z</updated>');
+  });
+});
+
+describe('buildCalendar', () => {
+  test('one all-day event per dated item, with escaped text and CRLF lines', () => {
+    const ics = buildCalendar({
+      id: 'urn:repwatch:rep:12',
+      name: 'Pat Doe votes',
+      items: [repVoteItem(VOTE, REP, BASE), repVoteItem({ ...VOTE, vote_id: 502, vote_date: null, created_at: null }, REP, BASE)],
+    });
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    const unfolded = ics.replace(/\r\n /g, '');
+    expect(unfolded.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(unfolded).toContain('UID:repwatch:vote:501@repwatch');
+    expect(unfolded).toContain('DTSTAMP:20261018T040506Z');
+    expect(unfolded).toContain('DTSTART;VALUE=DATE:20261017\r\nDTEND;VALUE=DATE:20261018');
+    expect(unfolded).toContain('DESCRIPTION:Pat Doe (D-WA) voted No on On Passage — Passed.');
+  });
+
+  test('long lines fold at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+    expect(folded.length).toBeGreaterThan(1);
+    expect(folded.every((l) => Buffer.byteLength(l) <= 75)).toBe(true);
+    expect(folded.map((l, i) => (i ? l.slice(1) : l)).join('')).toBe(line);
+  });
+});
+
+describe('GET /feeds', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/FROM representatives WHERE id = \$1/.test(sql)) return { rows: params[0] === REP.id ? [REP] : [] };
+      if (/FROM issues WHERE id = \$1/.test(sql)) return { rows: params[0] === 7 ? [{ id: 7, title: 'Farm Bill', ai_summary: { plain_english_title: 'Farm aid' } }] : [] };
+      if (/WHERE v\.representative_id = \$1/.test(sql)) return { rows: [VOTE] };
+      if (/GROUP BY v\.roll_call/.test(sql)) return { rows: [ROLL_CALL] };
+      throw new Error(`unexpected query: ${sql}`);
+    });
+  });
+
+  test('a member feed as Atom', async () => {
+    const res = await request(app).get('/feeds/reps/12.atom');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(res.headers['cache-control']).toBe('public, max-age=900');
+    expect(res.text).toContain('<link rel="self" type="application/atom+xml" href="https://repwatch.co/feeds/reps/12.atom"/>');
+    expect(res.text).toContain('<title>Pat Doe voted No: Farm aid &amp; &lt;crop&gt; insurance</title>');
+  });
+
+  test('an issue calendar and a category feed', async () => {
+    const ics = await request(app).get('/feeds/issues/7.ics');
+    expect(ics.status).toBe(200);
+    expect(ics.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(ics.text).toContain('X-WR-CALNAME:Farm aid');
+    expect(ics.text).toContain('SUMMARY:Farm aid: Passed');
+
+    const topic = await request(app).get('/feeds/categories/Agriculture.atom');
+    expect(topic.status).toBe(200);
+    expect(topic.text).toContain('<title>Agriculture — roll calls</title>');
+    expect(pool.query.mock.calls.at(-1)[1]).toEqual(['agriculture', 50]);
+  });
+
+  test('bad ids, unknown members and unknown categories', async () => {
+    expect((await request(app).get('/feeds/reps/abc.atom')).status).toBe(400);
+    expect((await request(app).get('/feeds/reps/99.ics')).status).toBe(404);
+    expect((await request(app).get('/feeds/issues/8.atom')).status).toBe(404);
+    const topic = await request(app).get('/feeds/categories/astrology.atom');
+    expect(topic.status).toBe(404);
+    expect(topic.body.error).toMatch(/^Unknown category/);
+  });
+});
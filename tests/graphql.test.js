@@ -0,0 +1,208 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const DataLoader = require('dataloader');
+const { parse, graphql, getIntrospectionQuery } = require('graphql');
+const { schema } = require('../lib/graphql_schema');
+const {
+  MAX_DEPTH, MAX_COMPLEXITY, MAX_INTROSPECTION_DEPTH, MAX_INTROSPECTION_COMPLEXITY, MAX_QUERY_LENGTH, DEFAULT_LIST_SIZE, queryDepth, queryComplexity,
+} = require('../lib/graphql_limits');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const app = require('../app');
+
+const REPS = [
+  { id: 1, name: 'Pat Doe', party: 'Democratic', state: 'WA', district: 7, chamber: 'house', bioguide_id: 'D000001' },
+  { id: 2, name: 'Sam Roe', party: 'Republican', state: 'WA', district: 4, chamber: 'house', bioguide_id: 'R000002' },
+  { id: 3, name: 'Lee Poe', party: 'Republican', state: 'OR', district: 2, chamber: 'house', bioguide_id: 'P000003' },
+];
+const ISSUE = { id: 7, title: 'Farm Bill', canonical_bill_id: 'hr815-119', ai_summary: { plain_english_title: 'Farm aid' }, categories: ['agriculture'], vote_date: '2026-10-17' };
+
+/** Vote rows as the roll call batch query returns them */
+function rollCallRows(rollCall, votes) {
+  return REPS.map((r, i) => ({
+    roll_call: rollCall, vote: votes[i], vote_date: new Date(2026, 9, 17), chamber: 'house', congress: 119, session: 2,
+    roll_number: Number(rollCall.split('-').pop()), vote_metadata: { question: 'On Passage', result: 'Passed' }, issue_id: 7,
+    representative_id: r.id, representative_name: r.name, party: r.party, state: r.state, district: r.district,
+  }));
+}
+const ROWS = [...rollCallRows('house-119-2026-78', ['yes', 'no', 'no']), ...rollCallRows('house-119-2026-79', ['yes', 'yes', 'no'])];
+
+describe('GraphQL query limits', () => {
+  test('depth counts nested fields through fragments; introspection is measured apart', () => {
+    expect(queryDepth(parse('{ representative(id: 1) { name } }'))).toBe(2);
+    const doc = parse(`
+      { roll_call(id: "house-119-2026-78") { ...RC } }
+      fragment RC on RollCall { votes { representative { votes { roll_call { id } } } } }
+    `);
+    expect(queryDepth(doc)).toBe(6);
+    const introspection = parse('{ __schema { types { fields { type { ofType { ofType { name } } } } } } }');
+    expect(queryDepth(introspection)).toBe(0);
+    expect(queryDepth(introspection, undefined, { introspection: true })).toBe(7);
+    expect(queryDepth(parse('{ __typename issue(id: 1) { __typename } }'))).toBe(2);
+    expect(queryDepth(parse('query A { issue(id: 1) { id } } query B { issue(id: 1) { bill { id } } }'), 'B')).toBe(3);
+  });
+
+  test('complexity multiplies list fields by their limit or declared size', () => {
+    // 1 (representatives) + 50 (default limit) * (1 name)
+    expect(queryComplexity(schema, parse('{ representatives { name } }'))).toBe(51);
+    expect(queryComplexity(schema, parse('{ representatives(limit: 5) { name } }'))).toBe(6);
+    expect(queryComplexity(schema, parse('query($n: Int) { representatives(limit: $n) { name } }'), { n: 2 })).toBe(3);
+    // roll_call 1 + votes (1 + 435 * vote 1)
+    expect(queryComplexity(schema, parse('{ roll_call(id: "x") { votes { vote } } }'))).toBe(1 + 1 + 435);
+    // A list without a limit or declared size
+    expect(DEFAULT_LIST_SIZE).toBeGreaterThan(1);
+  });
+
+  test('schema explorers\' introspection query fits the introspection limits; deeper cycles do not', () => {
+    const standard = parse(getIntrospectionQuery({ descriptions: true, specifiedByUrl: true, directiveIsRepeatable: true, inputValueDeprecation: true }));
+    expect(queryDepth(standard, undefined, { introspection: true })).toBeLessThanOrEqual(MAX_INTROSPECTION_DEPTH);
+    expect(queryComplexity(schema, standard, {}, undefined, { introspection: true })).toBeLessThanOrEqual(MAX_INTROSPECTION_COMPLEXITY);
+    expect(queryComplexity(schema, standard)).toBe(0);
+
+    const cycle = parse('{ __type(name: "Query") { fields { type { fields { type { fields { type { fields { type { fields { name } } } } } } } } } } }');
+    expect(queryDepth(cycle, undefined, { introspection: true })).toBeLessThanOrEqual(MAX_INTROSPECTION_DEPTH);
+    expect(queryComplexity(schema, cycle, {}, undefined, { introspection: true })).toBeGreaterThan(MAX_INTROSPECTION_COMPLEXITY);
+  });
+});
+
+describe('GraphQL schema', () => {
+  /** Context over real DataLoaders with fake batch functions that record each call */
+  function fakeContext() {
+    const calls = { representative: [], rollCall: [] };
+    const loaders = {
+      representative: new DataLoader(async (ids) => {
+        calls.representative.push(ids);
+        return ids.map((id) => REPS.find((r) => r.id === id) || null);
+      }),
+      rollCall: new DataLoader(async (ids) => {
+        calls.rollCall.push(ids);
+        const { buildIssueTimeline } = require('../lib/issue_timeline');
+        const timeline = buildIssueTimeline(ROWS.filter((r) => ids.includes(r.roll_call)));
+        return ids.map((id) => ({ ...timeline.find((rc) => rc.roll_call === id), issue_id: 7, session: 2 }));
+      }),
+      issue: new DataLoader(async (ids) => ids.map((id) => (id === 7 ? ISSUE : null))),
+      representativeVotes: new DataLoader(async (keys) => keys.map((k) => ROWS.filter((r) => r.representative_id === k.id).slice(0, k.limit)), { cacheKeyFn: JSON.stringify }),
+    };
+    const models = { listRollCallIds: async () => ['house-119-2026-79', 'house-119-2026-78'] };
+    return { calls, contextValue: { loaders, models } };
+  }
+
+  test('nested members are loaded in one batch per level', async () => {
+    const { calls, contextValue } = fakeContext();
+    const result = await graphql({
+      schema,
+      contextValue,
+      source: '{ roll_calls(limit: 2) { id vote_date totals { yes no } votes(vote: "no") { representative { name party } } } }',
+    });
+    expect(result.errors).toBeUndefined();
+    expect(result.data.roll_calls.map((rc) => rc.id)).toEqual(['house-119-2026-79', 'house-119-2026-78']);
+    expect(result.data.roll_calls[1]).toMatchObject({ vote_date: '2026-10-17', totals: { yes: 1, no: 2 } });
+    expect(result.data.roll_calls[1].votes.map((v) => v.representative.name)).toEqual(['Lee Poe', 'Sam Roe']);
+    expect(calls.rollCall).toEqual([['house-119-2026-79', 'house-119-2026-78']]);
+    expect(calls.representative).toHaveLength(1);
+    expect([...calls.representative[0]].sort()).toEqual([2, 3]);
+  });
+
+  test('a member\'s votes link back to roll calls and issues', async () => {
+    const { calls, contextValue } = fakeContext();
+    const result = await graphql({
+      schema,
+      contextValue,
+      source: '{ representative(id: 1) { name votes(limit: 2) { vote roll_call { id issue { plain_english_title bill { id congress } } } } } }',
+    });
+    expect(result.errors).toBeUndefined();
+    expect(result.data.representative.votes).toHaveLength(2);
+    expect(result.data.representative.votes[0].roll_call.issue).toEqual({ plain_english_title: 'Farm aid', bill: { id: 'hr815-119', congress: 119 } });
+    expect(calls.rollCall).toHaveLength(1);
+  });
+
+  test('invalid arguments surface the parser message as BAD_USER_INPUT', async () => {
+    const { contextValue } = fakeContext();
+    const result = await graphql({ schema, contextValue, source: '{ roll_calls(from: "last week") { id } }' });
+    expect(result.errors[0].message).toBe('Invalid from date (expected YYYY-MM-DD)');
+    expect(result.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    const bill = await graphql({ schema, contextValue, source: '{ bill(id: "farm bill") { id } }' });
+    expect(bill.errors[0].message).toMatch(/Invalid bill id/);
+  });
+});
+
+describe('POST /api/graphql', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/GROUP BY v\.roll_call/.test(sql)) return { rows: [{ roll_call: 'house-119-2026-79' }, { roll_call: 'house-119-2026-78' }] };
+      if (/v\.roll_call = ANY/.test(sql)) return { rows: ROWS.filter((r) => params[0].includes(r.roll_call)) };
+      if (/FROM representatives WHERE id = ANY/.test(sql)) return { rows: REPS.filter((r) => params[0].includes(r.id)) };
+      if (/FROM issues WHERE id = ANY/.test(sql)) return { rows: [ISSUE] };
+      throw new Error(`unexpected query: ${sql}`);
+    });
+  });
+
+  test('runs a nested query with one SQL query per level', async () => {
+    const res = await request(app).post('/api/graphql').send({
+      query: 'query Recent($n: Int) { roll_calls(limit: $n) { id issue { title } votes { vote representative { name } } } }',
+      variables: { n: 2 },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.errors).toBeUndefined();
+    expect(res.body.data.roll_calls).toHaveLength(2);
+    expect(res.body.data.roll_calls[0].votes[0]).toEqual({ vote: 'no', representative: { name: 'Lee Poe' } });
+    // roll call ids, roll calls, issues, representatives
+    expect(pool.query).toHaveBeenCalledTimes(4);
+  });
+
+  test('accepts GET with JSON variables', async () => {
+    const res = await request(app).get('/api/graphql').query({ query: 'query($id: Int!) { representative(id: $id) { name } }', variables: '{"id":2}' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.representative).toEqual({ name: 'Sam Roe' });
+  });
+
+  test('rejects missing, invalid, too deep and too complex queries with 400', async () => {
+    const missing = await request(app).post('/api/graphql').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors[0].message).toBe('Missing query');
+
+    const mutation = await request(app).post('/api/graphql').send({ query: 'mutation { deleteEverything }' });
+    expect(mutation.status).toBe(400);
+    expect(mutation.body.errors[0].message).toMatch(/read-only/);
+
+    const deep = await request(app).post('/api/graphql').send({
+      query: '{ representative(id: 1) { votes { roll_call { votes { representative { votes { roll_call { id } } } } } } } }',
+    });
+    expect(deep.status).toBe(400);
+    expect(deep.body.errors[0].message).toBe(`Query depth 8 exceeds the limit of ${MAX_DEPTH}`);
+
+    const complex = await request(app).post('/api/graphql').send({ query: '{ roll_calls(limit: 100) { votes { representative { name } } } }' });
+    expect(complex.status).toBe(400);
+    expect(complex.body.errors[0].message).toMatch(new RegExp(`exceeds the limit of ${MAX_COMPLEXITY}`));
+
+    const deepIntrospection = await request(app).post('/api/graphql').send({
+      query: `{ __schema { types { ${'ofType { '.repeat(MAX_INTROSPECTION_DEPTH)}name${' }'.repeat(MAX_INTROSPECTION_DEPTH)} } } }`,
+    });
+    expect(deepIntrospection.status).toBe(400);
+    expect(deepIntrospection.body.errors[0].message).toMatch(/^Introspection depth/);
+
+    const long = await request(app).post('/api/graphql').send({ query: `{ issue(id: 1) { id } }${' '.repeat(MAX_QUERY_LENGTH)}` });
+    expect(long.status).toBe(400);
+    expect(long.body.errors[0].message).toBe(`Query is longer than ${MAX_QUERY_LENGTH} characters`);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('the standard introspection query still runs', async () => {
+    const res = await request(app).post('/api/graphql').send({ query: getIntrospectionQuery() });
+    expect(res.status).toBe(200);
+    expect(res.body.data.__schema.queryType.name).toBe('Query');
+  });
+
+  test('hides database errors', async () => {
+    pool.query.mockRejectedValueOnce(new Error('relation "votes" does not exist'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await request(app).post('/api/graphql').send({ query: '{ roll_call(id: "house-119-2026-78") { id } }' });
+    spy.mockRestore();
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ roll_call: null });
+    expect(res.body.errors[0].message).toBe('Internal server error');
+  });
+});
@@ -0,0 +1,55 @@
+const { parseIssueQuery, buildIssueConditions, buildIssueOrderBy, classifyOutcome } = require('../lib/issue_filters');
+
+describe('parseIssueQuery', () => {
+  test('defaults to newest first, page 1', () => {
+    const out = parseIssueQuery({});
+    expect(out).toEqual({ filters: {}, sort: 'newest', page: 1, limit: 50, error: null });
+  });
+
+  test('search defaults to relevance sort', () => {
+    const out = parseIssueQuery({ q: 'border security', congress: '119', outcome: 'Passed', limit: '1000', page: '3' });
+    expect(out.error).toBeNull();
+    expect(out.sort).toBe('relevance');
+    expect(out.filters).toEqual({ q: 'border security', congress: 119, outcome: 'passed' });
+    expect(out.limit).toBe(100);
+    expect(out.page).toBe(3);
+  });
+
+  test('rejects bad values', () => {
+    expect(parseIssueQuery({ chamber: 'both' }).error).toMatch(/chamber/);
+    expect(parseIssueQuery({ sort: 'relevance' }).error).toMatch(/requires q/);
+    expect(parseIssueQuery({ page: '0' }).error).toMatch(/page/);
+    expect(parseIssueQuery({ outcome: 'tabled' }).error).toMatch(/outcome/);
+  });
+});
+
+describe('buildIssueConditions', () => {
+  test('parameterizes user input', () => {
+    const params = [];
+    const where = buildIssueConditions({ q: "x'; DROP TABLE issues; --", state: 'WA', district: 7 }, params);
+    expect(where).toHaveLength(2);
+    expect(where.join(' ')).not.toContain('DROP TABLE');
+    expect(params).toEqual(["x'; DROP TABLE issues; --", 'WA', 7]);
+  });
+
+  test('relevance order appends the query', () => {
+    const params = ['healthcare'];
+    const order = buildIssueOrderBy('relevance', { q: 'healthcare' }, params);
+    expect(order).toMatch(/^ts_rank\(/);
+    expect(params).toEqual(['healthcare', 'healthcare']);
+  });
+});
+
+describe('classifyOutcome', () => {
+  test.each([
+    ['Passed', 'passed'],
+    ['Cloture Motion Agreed to', 'passed'],
+    ['Nomination Confirmed', 'passed'],
+    ['Failed', 'failed'],
+    ['Amendment Not Agreed to', 'failed'],
+    ['Motion Rejected', 'failed'],
+    [null, null],
+  ])('%s -> %s', (result, expected) => {
+    expect(classifyOutcome(result)).toBe(expected);
+  });
+});
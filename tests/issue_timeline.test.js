@@ -0,0 +1,52 @@
+const { buildIssueTimeline, latestMemberVotes, tallyLatestVotes } = require('../lib/issue_timeline');
+
+const rule = { question: 'On Agreeing to the Resolution', vote_title: 'Providing for consideration of H.R. 10', result: 'Passed' };
+const passage = { question: 'On Passage', result: 'Failed' };
+
+const rows = [
+  { roll_call: 'house-119-2026-41', chamber: 'house', roll_number: 41, vote_date: '2026-03-05', vote_metadata: passage, representative_id: 1, representative_name: 'B Member', state: 'NY', district: 2, vote: 'yes' },
+  { roll_call: 'house-119-2026-41', chamber: 'house', roll_number: 41, vote_date: '2026-03-05', vote_metadata: passage, representative_id: 2, representative_name: 'A Member', state: 'CA', district: 1, vote: 'no' },
+  { roll_call: 'house-119-2026-40', chamber: 'house', roll_number: 40, vote_date: '2026-03-05', vote_metadata: rule, representative_id: 1, representative_name: 'B Member', state: 'NY', district: 2, vote: 'no' },
+  { roll_call: 'house-119-2026-40', chamber: 'house', roll_number: 40, vote_date: '2026-03-05', vote_metadata: rule, representative_id: 2, representative_name: 'A Member', state: 'CA', district: 1, vote: 'no' },
+  { roll_call: 'house-119-2026-40', chamber: 'house', roll_number: 40, vote_date: '2026-03-05', vote_metadata: rule, representative_id: 3, representative_name: 'C Member', state: 'CA', district: 5, vote: 'yes' },
+];
+
+describe('buildIssueTimeline', () => {
+  test('orders roll calls chronologically with family and outcome', () => {
+    const timeline = buildIssueTimeline(rows);
+    expect(timeline.map((rc) => rc.roll_call)).toEqual(['house-119-2026-40', 'house-119-2026-41']);
+    expect(timeline[0]).toMatchObject({ motion_family: 'On Agreeing', result: 'Passed', outcome: 'passed' });
+    expect(timeline[1]).toMatchObject({ motion_family: 'On Passage', outcome: 'failed' });
+  });
+
+  test('sorts members by state then district', () => {
+    const [rule] = buildIssueTimeline(rows);
+    expect(rule.votes.map((v) => v.representative_id)).toEqual([2, 3, 1]);
+  });
+});
+
+describe('latestMemberVotes', () => {
+  test('keeps each member on the latest roll call they voted on', () => {
+    const latest = latestMemberVotes(buildIssueTimeline(rows));
+    expect(latest.map((v) => [v.representative_id, v.vote, v.roll_call])).toEqual([
+      [2, 'no', 'house-119-2026-41'],
+      [3, 'yes', 'house-119-2026-40'],
+      [1, 'yes', 'house-119-2026-41'],
+    ]);
+  });
+});
+
+describe('tallies', () => {
+  test('each roll call carries its own tallies', () => {
+    const [rule, passage] = buildIssueTimeline(rows);
+    expect(rule.tallies.totals).toMatchObject({ yes: 1, no: 2, total: 3 });
+    expect(passage.tallies.totals).toMatchObject({ yes: 1, no: 1, total: 2 });
+  });
+
+  test('latest-vote tallies split by chamber', () => {
+    const latest = tallyLatestVotes(latestMemberVotes(buildIssueTimeline(rows)));
+    expect(latest.totals).toMatchObject({ yes: 2, no: 1, total: 3 });
+    expect(latest.by_chamber).toEqual([{ chamber: 'house', yes: 2, no: 1, present: 0, not_voting: 0, total: 3 }]);
+    expect(latest.defectors).toBeUndefined();
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  parseSubscriptionPrefs,
+  parseSubscriptionUpdate,
+  parseBillIds,
+  followFrequency,
+  parseBillSubscriptionUpdate,
+  parseCategories,
+  parseDelegation,
+  parseTopicSubscriptionUpdate,
+  voteEventTypes,
+  selectVoteEvents,
+  voteEventKey,
+  digestEventKey,
+  listUnsubscribeHeaders,
+  isDigestDue,
+} = require('../lib/notifications');
+
+describe('parseSubscriptionPrefs', () => {
+  test('omitted fields stay null', () => {
+    expect(parseSubscriptionPrefs({})).toEqual({ prefs: { frequency: null, event_types: null }, error: null });
+  });
+
+  test('normalizes and dedupes', () => {
+    const { prefs, error } = parseSubscriptionPrefs({ frequency: 'Weekly', event_types: 'missed_vote, against_party,missed_vote' });
+    expect(error).toBeNull();
+    expect(prefs).toEqual({ frequency: 'weekly', event_types: ['missed_vote', 'against_party'] });
+  });
+
+  test('rejects unknown values and empty lists', () => {
+    expect(parseSubscriptionPrefs({ frequency: 'hourly' }).error).toMatch(/frequency/);
+    expect(parseSubscriptionPrefs({ event_types: ['new_vote', 'gossip'] }).error).toMatch(/gossip/);
+    expect(parseSubscriptionPrefs({ event_types: [] }).error).toMatch(/at least one/);
+  });
+});
+
+describe('parseSubscriptionUpdate', () => {
+  test('accepts any one field and leaves the rest alone', () => {
+    expect(parseSubscriptionUpdate({ paused: true })).toEqual({
+      update: { frequency: null, event_types: null, paused: true },
+      error: null,
+    });
+    expect(parseSubscriptionUpdate({ frequency: 'weekly', paused: false }).update).toEqual({ frequency: 'weekly', event_types: null, paused: false });
+  });
+
+  test('rejects empty updates and non-boolean paused', () => {
+    expect(parseSubscriptionUpdate({}).error).toMatch(/Nothing to update/);
+    expect(parseSubscriptionUpdate({ paused: 'yes' }).error).toMatch(/paused/);
+    expect(parseSubscriptionUpdate({ frequency: 'hourly' }).error).toMatch(/frequency/);
+  });
+});
+
+describe('vote events', () => {
+  const votes = [
+    { roll_call: 'house-119-2026-1', vote: 'yes', party_majority: 'yes', issue_id: 1 },
+    { roll_call: 'house-119-2026-2', vote: 'no', party_majority: 'yes', issue_id: 2 },
+    { roll_call: 'house-119-2026-3', vote: 'not voting', party_majority: 'no', issue_id: null },
+  ];
+
+  test('classifies each vote', () => {
+    expect(voteEventTypes(votes[0])).toEqual(['new_vote']);
+    expect(voteEventTypes(votes[1])).toEqual(['new_vote', 'against_party']);
+    expect(voteEventTypes(votes[2])).toEqual(['new_vote', 'missed_vote']);
+    expect(voteEventTypes(votes[0], new Set([1]))).toEqual(['new_vote', 'followed_bill']);
+  });
+
+  test('keeps only what the subscriber asked for, most specific type first', () => {
+    expect(selectVoteEvents(votes, ['against_party', 'missed_vote']).map((v) => [v.roll_call, v.event_types])).toEqual([
+      ['house-119-2026-2', ['against_party']],
+      ['house-119-2026-3', ['missed_vote']],
+    ]);
+    expect(selectVoteEvents(votes, ['new_vote', 'against_party'])[1].event_types).toEqual(['against_party', 'new_vote']);
+    expect(selectVoteEvents(votes, null)).toHaveLength(3);
+  });
+});
+
+describe('digest scheduling', () => {
+  test('event keys are unique per user', () => {
+    expect(voteEventKey('house-119-2026-78', 123, 9)).toBe('vote:house-119-2026-78:rep:123:user:9');
+    expect(digestEventKey('weekly', 9, '2026-10-19')).toBe('digest:weekly:9:2026-10-19');
+  });
+
+  test('daily is due after ~a day, weekly after ~a week', () => {
+    const now = new Date('2026-10-19T18:00:00Z');
+    expect(isDigestDue('daily', null, now)).toBe(true);
+    expect(isDigestDue('daily', '2026-10-18T18:05:00Z', now)).toBe(true);
+    expect(isDigestDue('daily', '2026-10-19T09:00:00Z', now)).toBe(false);
+    expect(isDigestDue('weekly', '2026-10-15T18:00:00Z', now)).toBe(false);
+    expect(isDigestDue('weekly', '2026-10-12T18:02:00Z', now)).toBe(true);
+  });
+
+  test('one-click unsubscribe headers point at the POST route', () => {
+    expect(listUnsubscribeHeaders('https://repwatch.co/', 'ab c')).toEqual({
+      'List-Unsubscribe': '<https://repwatch.co/api/unsubscribe?token=ab%20c>',
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    });
+  });
+});
+
+describe('bill follows', () => {
+  test('parseBillIds normalizes and rejects malformed ids', () => {
+    expect(parseBillIds(['HR815-119', ' s12-119 ', 'hr815-119'])).toEqual({ bill_ids: ['hr815-119', 's12-119'], error: null });
+    expect(parseBillIds(undefined)).toEqual({ bill_ids: [], error: null });
+    expect(parseBillIds('hr815').error).toMatch(/Invalid bill ids: hr815/);
+  });
+
+  test('bill follows only use digest cadences', () => {
+    expect(followFrequency('weekly')).toBe('weekly');
+    expect(followFrequency('instant')).toBeNull();
+    expect(parseBillSubscriptionUpdate({ frequency: 'instant' }).error).toMatch(/daily, weekly/);
+    expect(parseBillSubscriptionUpdate({ paused: true })).toEqual({ update: { frequency: null, paused: true }, error: null });
+    expect(parseBillSubscriptionUpdate({}).error).toMatch(/Nothing to update/);
+  });
+});
+
+describe('topic follows', () => {
+  test('parseCategories normalizes names and rejects unknown topics', () => {
+    expect(parseCategories(['Healthcare', 'foreign policy', 'healthcare'])).toEqual({ categories: ['healthcare', 'foreign_policy'], error: null });
+    expect(parseCategories('civil-rights,energy')).toEqual({ categories: ['civil_rights', 'energy'], error: null });
+    expect(parseCategories(undefined)).toEqual({ categories: [], error: null });
+    expect(parseCategories(['space']).error).toMatch(/Unknown categories: space/);
+  });
+
+  test('parseDelegation takes a state and an optional district', () => {
+    expect(parseDelegation({ state: 'wa', district: '7' })).toEqual({ delegation: { state: 'WA', district: 7 }, error: null });
+    expect(parseDelegation({ state: 'WA' })).toEqual({ delegation: { state: 'WA', district: null }, error: null });
+    expect(parseDelegation(null)).toEqual({ delegation: null, error: null });
+    expect(parseDelegation({ state: 'Washington' }).error).toMatch(/two-letter/);
+    expect(parseDelegation({ state: 'WA', district: 'x' }).error).toMatch(/district/);
+  });
+
+  test('topic updates leave the delegation alone unless it is sent', () => {
+    expect(parseTopicSubscriptionUpdate({ paused: false })).toEqual({ update: { frequency: null, paused: false, delegation: undefined }, error: null });
+    expect(parseTopicSubscriptionUpdate({ delegation: null })).toEqual({ update: { frequency: null, paused: null, delegation: null }, error: null });
+    expect(parseTopicSubscriptionUpdate({ frequency: 'instant' }).error).toMatch(/daily, weekly/);
+    expect(parseTopicSubscriptionUpdate({}).error).toMatch(/Nothing to update/);
+  });
+});
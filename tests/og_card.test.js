@@ -0,0 +1,160 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { CARD_WIDTH, CARD_HEIGHT, positionLabel, voteCardContent, cardKey, wrapText, renderVoteCard } = require('../lib/og_card');
+
+jest.mock('node-fetch', () => jest.fn());
+const fetch = require('node-fetch');
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const app = require('../app');
+
+const BASE = 'https://repwatch.co';
+const REP = {
+  id: 12, name: 'Pat Doe', party: 'Democratic', state: 'WA', district: 7, chamber: 'house', bioguide_id: 'D000001',
+  photo_url: 'https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg',
+};
+const VOTE = {
+  vote_id: 2, vote: 'no', vote_date: new Date(2026, 9, 17), roll_call: 'house-119-2026-78', chamber: 'house', issue_id: 7,
+  vote_metadata: { question: 'On Passage', result: 'Passed' }, issue_title: 'Farm Bill', ai_summary: { plain_english_title: 'Farm aid' },
+};
+
+/** Width and height from a PNG's IHDR chunk */
+function pngSize(buf) {
+  expect(buf.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+describe('card content', () => {
+  test('carries the member, position, plain-English title and roll call details', () => {
+    expect(voteCardContent(REP, VOTE, BASE)).toEqual({
+      name: 'Pat Doe',
+      seat: 'Democratic · U.S. Representative for WA-7',
+      position: 'VOTED NO',
+      tone: 'no',
+      title: 'Farm aid',
+      detail: 'Oct 17, 2026 · On Passage · Passed',
+      photoUrl: REP.photo_url,
+      site: 'repwatch.co',
+    });
+  });
+
+  test('positions map to labels and colors', () => {
+    expect(positionLabel('Yea')).toEqual({ label: 'VOTED YES', tone: 'yes' });
+    expect(positionLabel('present')).toEqual({ label: 'VOTED PRESENT', tone: 'other' });
+    expect(positionLabel('not voting')).toEqual({ label: 'DID NOT VOTE', tone: 'other' });
+  });
+
+  test('the cache key changes with anything drawn on the card', () => {
+    const content = voteCardContent(REP, VOTE, BASE);
+    expect(cardKey(content)).toMatch(/^[0-9a-f]{16}$/);
+    expect(cardKey(content)).toBe(cardKey(voteCardContent(REP, VOTE, BASE)));
+    expect(cardKey(content)).not.toBe(cardKey(voteCardContent(REP, { ...VOTE, ai_summary: { plain_english_title: 'Crop aid' } }, BASE)));
+  });
+});
+
+describe('wrapText', () => {
+  const measure = (s) => s.length;
+
+  test('wraps at word boundaries and ends a cut-off last line with an ellipsis', () => {
+    expect(wrapText('one two three four', 9, 3, measure)).toEqual(['one two', 'three', 'four']);
+    expect(wrapText('one two three four five six', 9, 2, measure)).toEqual(['one two', 'three…']);
+    expect(wrapText('  ', 9, 2, measure)).toEqual([]);
+  });
+
+  test('breaks words wider than a line', () => {
+    expect(wrapText('abcdefghijkl', 5, 3, measure)).toEqual(['abcde', 'fghij', 'kl']);
+  });
+});
+
+describe('renderVoteCard', () => {
+  test('draws a 1200×630 PNG, with or without a usable photo', async () => {
+    const content = voteCardContent(REP, VOTE, BASE);
+    expect(pngSize(await renderVoteCard(content, null))).toEqual({ width: CARD_WIDTH, height: CARD_HEIGHT });
+    expect(pngSize(await renderVoteCard(content, Buffer.from('not an image')))).toEqual({ width: 1200, height: 630 });
+  });
+});
+
+describe('GET /og/reps/:id/votes/:rollCall.png', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repwatch-og-'));
+    process.env.OG_CACHE_DIR = dir;
+  });
+
+  afterAll(() => {
+    delete process.env.OG_CACHE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fetch.mockReset();
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/FROM representatives WHERE id = \$1/.test(sql)) return { rows: params[0] === 12 ? [REP] : [] };
+      if (/WHERE v\.representative_id = \$1 AND v\.roll_call = \$2/.test(sql)) return { rows: params[1] === VOTE.roll_call ? [VOTE] : [] };
+      throw new Error(`unexpected query: ${sql}`);
+    });
+  });
+
+  test('draws the card once, then serves it from disk', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404 });
+    const res = await request(app).get('/og/reps/12/votes/House-119-2026-78.png').buffer(true);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['cache-control']).toBe('public, max-age=86400');
+    expect(pngSize(res.body)).toEqual({ width: 1200, height: 630 });
+    expect(fetch).toHaveBeenCalledWith(REP.photo_url, expect.any(Object));
+    expect(fs.readdirSync(dir)).toEqual([expect.stringMatching(/^rep-12-house-119-2026-78-[0-9a-f]{16}\.png$/)]);
+
+    const again = await request(app).get('/og/reps/12/votes/house-119-2026-78.png').buffer(true);
+    expect(again.body.equals(res.body)).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a redrawn card replaces its older drawing; the oldest cards go past OG_CACHE_MAX_FILES', async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir);
+    const write = (name, secondsAgo) => {
+      fs.writeFileSync(path.join(dir, name), 'png');
+      const t = new Date(Date.now() - secondsAgo * 1000);
+      fs.utimesSync(path.join(dir, name), t, t);
+    };
+    write('rep-12-house-119-2026-78-0123456789abcdef.png', 10);
+    write('rep-12-house-119-2026-7-0123456789abcdef.png', 30);
+    write('rep-13-house-119-2026-78-0123456789abcdef.png', 20);
+    write('rep-14-house-119-2026-78-0123456789abcdef.png', 5);
+    process.env.OG_CACHE_MAX_FILES = '3';
+    fetch.mockResolvedValue({ ok: false, status: 404 });
+    try {
+      expect((await request(app).get('/og/reps/12/votes/house-119-2026-78.png')).status).toBe(200);
+    } finally {
+      delete process.env.OG_CACHE_MAX_FILES;
+    }
+    const files = fs.readdirSync(dir).sort();
+    expect(files).toEqual([expect.stringMatching(/^rep-12-house-119-2026-78-[0-9a-f]{16}\.png$/), 'rep-14-house-119-2026-78-0123456789abcdef.png']);
+    expect(files[0]).not.toBe('rep-12-house-119-2026-78-0123456789abcdef.png');
+  });
+
+  test('a card drawn while the photo host is down is not cached', async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetch.mockRejectedValue(new Error('socket hang up'));
+    expect((await request(app).get('/og/reps/12/votes/house-119-2026-78.png')).status).toBe(200);
+    expect(fs.existsSync(dir)).toBe(false);
+    warn.mockRestore();
+  });
+
+  test('bad ids, unknown members and roll calls the member missed', async () => {
+    expect((await request(app).get('/og/reps/abc/votes/house-119-2026-78.png')).status).toBe(400);
+    expect((await request(app).get('/og/reps/12/votes/latest.png')).status).toBe(400);
+    expect((await request(app).get('/og/reps/99/votes/house-119-2026-78.png')).status).toBe(404);
+    const missed = await request(app).get('/og/reps/12/votes/house-119-2026-79.png');
+    expect(missed.status).toBe(404);
+    expect(missed.body.error).toBe('No vote by this member on that roll call');
+  });
+});
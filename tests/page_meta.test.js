@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { truncate, repPageMeta, repVoteShareMeta, issuePageMeta, renderMetaTags, injectPageMeta } = require('../lib/page_meta');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const { prerenderPages } = require('../services/prerender');
+
+const BASE = 'https://repwatch.co';
+const TEMPLATE = [
+  '<!doctype html>',
+  '<html lang="en">',
+  '  <head>',
+  '    <meta charset="UTF-8" />',
+  '    <title>RepWatch</title>',
+  '    <script type="module" crossorigin src="/assets/index-abc123.js"></script>',
+  '  </head>',
+  '  <body>',
+  '    <div id="root"></div>',
+  '  </body>',
+  '</html>',
+].join('\n');
+const REP = {
+  id: 12, name: 'Pat "PD" Doe', party: 'Democratic', state: 'WA', district: 7, chamber: 'house', bioguide_id: 'D000001',
+  photo_url: 'https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg',
+};
+const VOTE = { vote_id: 2, vote: 'no', vote_date: new Date(2026, 9, 17), roll_call: 'house-119-2026-78', issue_id: 7, ai_summary: { plain_english_title: 'Farm aid' } };
+const ISSUE = {
+  id: 7, title: 'Farm Bill', description: null, canonical_bill_id: 'hr815-119',
+  ai_summary: { plain_english_title: 'Farm aid & <crop> insurance', short_summary: 'Extends crop insurance for five years. Also funds SNAP.' },
+};
+const ROLL_CALL = { roll_call: 'house-119-2026-78', vote_date: new Date(2026, 9, 17), vote_metadata: { question: 'On Passage', result: 'Passed' }, yes: 220, no: 210 };
+
+describe('page metadata', () => {
+  test('member pages describe the seat and the latest vote, with the official photo', () => {
+    const meta = repPageMeta(REP, VOTE, BASE);
+    expect(meta).toEqual({
+      title: 'Pat "PD" Doe (D-WA) — voting record | RepWatch',
+      heading: 'Pat "PD" Doe (D-WA)',
+      description: 'How Pat "PD" Doe, U.S. Representative for WA-7, votes in Congress: every roll call, attendance and party loyalty. '
+        + 'Latest: voted No on Farm aid (Oct 17, 2026).',
+      url: 'https://repwatch.co/reps/12',
+      type: 'profile',
+      image: REP.photo_url,
+      imageAlt: 'Official photo of Pat "PD" Doe',
+    });
+    expect(repPageMeta({ ...REP, chamber: 'senate', photo_url: null }, null, BASE).description)
+      .toBe('How Pat "PD" Doe, U.S. Senator from WA, votes in Congress: every roll call, attendance and party loyalty.');
+  });
+
+  test('issue pages use the plain-English title, a one-sentence summary and the result', () => {
+    const meta = issuePageMeta(ISSUE, ROLL_CALL, BASE);
+    expect(meta.title).toBe('Farm aid & <crop> insurance | RepWatch');
+    expect(meta.description).toBe('Extends crop insurance for five years. Passed 220–210 on Oct 17, 2026. See how every member voted.');
+    expect(meta.url).toBe('https://repwatch.co/issues/7');
+    expect(meta.image).toBeNull();
+    expect(issuePageMeta({ id: 8, title: 'H.R. 1' }, null, BASE).description).toBe('See how every member voted.');
+  });
+
+  test('long descriptions are cut at a word boundary', () => {
+    const text = `${'word '.repeat(60)}end`;
+    const cut = truncate(text, 50);
+    expect(cut.length).toBeLessThanOrEqual(50);
+    expect(cut).toMatch(/word…$/);
+    expect(truncate('short', 50)).toBe('short');
+  });
+});
+
+describe('tags and injection', () => {
+  const meta = issuePageMeta(ISSUE, ROLL_CALL, BASE);
+
+  test('values are escaped; image tags appear only with an image', () => {
+    const tags = renderMetaTags(meta);
+    expect(tags).toContain('<title>Farm aid &amp; &lt;crop&gt; insurance | RepWatch</title>');
+    expect(tags).toContain('<meta property="og:title" content="Farm aid &amp; &lt;crop&gt; insurance | RepWatch" />');
+    expect(tags).toContain('<link rel="canonical" href="https://repwatch.co/issues/7" />');
+    expect(tags).toContain('<meta name="twitter:card" content="summary" />');
+    expect(tags).not.toContain('og:image');
+
+    const rep = renderMetaTags(repPageMeta(REP, null, BASE));
+    expect(rep).toContain('<meta property="og:image" content="https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg" />');
+    expect(rep).toContain('<meta name="twitter:image:alt" content="Official photo of Pat &quot;PD&quot; Doe" />');
+  });
+
+  test('a link shared from one vote previews its share card as a large image', () => {
+    const share = repVoteShareMeta(REP, { ...VOTE, vote_metadata: { result: 'Passed' } }, BASE, { width: 1200, height: 630 });
+    expect(share.title).toBe('Pat "PD" Doe voted No on Farm aid | RepWatch');
+    expect(share.description).toBe('Pat "PD" Doe (D-WA) voted No on Oct 17, 2026 — Passed. See every vote by Pat "PD" Doe on RepWatch.');
+    expect(share.url).toBe('https://repwatch.co/reps/12?vote=house-119-2026-78');
+    const tags = renderMetaTags(share);
+    expect(tags).toContain('<meta property="og:image" content="https://repwatch.co/og/reps/12/votes/house-119-2026-78.png" />');
+    expect(tags).toContain('<meta property="og:image:width" content="1200" />');
+    expect(tags).toContain('<meta name="twitter:card" content="summary_large_image" />');
+  });
+
+  test('replaces the shell title and fills #root, leaving the bundle tags alone', () => {
+    const html = injectPageMeta(TEMPLATE, meta);
+    expect(html.match(/<title>/g)).toHaveLength(1);
+    expect(html).not.toContain('<title>RepWatch</title>');
+    expect(html).toContain('<script type="module" crossorigin src="/assets/index-abc123.js"></script>');
+    expect(html).toContain('<div id="root"><main><h1>Farm aid &amp; &lt;crop&gt; insurance</h1>');
+    expect(injectPageMeta('<html><head></head><body></body></html>', meta)).toMatch(/<\/title>[\s\S]*<\/head>/);
+  });
+
+  test('$ patterns in data are not treated as replacement tokens', () => {
+    const html = injectPageMeta(TEMPLATE, { ...meta, title: "Cost $& $' $1", heading: '$`' });
+    expect(html).toContain("<title>Cost $&amp; $' $1</title>");
+    expect(html).toContain('<h1>$`</h1>');
+  });
+});
+
+describe('prerenderPages', () => {
+  let dir;
+  let app;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repwatch-prerender-'));
+    fs.writeFileSync(path.join(dir, 'index.html'), TEMPLATE);
+    app = express();
+    app.use(prerenderPages(path.join(dir, 'index.html')));
+    app.use((req, res) => res.type('html').send(TEMPLATE));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql, params) => {
+      if (/FROM representatives WHERE id = \$1/.test(sql)) return { rows: params[0] === 12 ? [REP] : [] };
+      if (/WHERE v\.representative_id = \$1 AND v\.roll_call = \$2/.test(sql)) return { rows: params[1] === VOTE.roll_call ? [VOTE] : [] };
+      if (/WHERE v\.representative_id = \$1/.test(sql)) return { rows: [VOTE] };
+      if (/FROM issues WHERE id = \$1/.test(sql)) return { rows: params[0] === 7 ? [ISSUE] : [] };
+      if (/GROUP BY v\.roll_call/.test(sql)) return { rows: [ROLL_CALL] };
+      throw new Error(`unexpected query: ${sql}`);
+    });
+  });
+
+  test('member and issue pages get their own tags', async () => {
+    const rep = await request(app).get('/reps/12');
+    expect(rep.status).toBe(200);
+    expect(rep.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(rep.headers['cache-control']).toBe('no-cache');
+    expect(rep.text).toContain('<meta property="og:url" content="https://repwatch.co/reps/12" />');
+    expect(pool.query.mock.calls[1][1]).toEqual([12, 1]);
+
+    const issue = await request(app).get('/issues/7/');
+    expect(issue.text).toContain('<meta name="description" content="Extends crop insurance for five years.');
+  });
+
+  test('?vote= picks that vote\'s share card; a vote the member did not cast keeps the usual tags', async () => {
+    const shared = await request(app).get('/reps/12?vote=HOUSE-119-2026-78');
+    expect(shared.text).toContain('<meta property="og:image" content="https://repwatch.co/og/reps/12/votes/house-119-2026-78.png" />');
+    expect(shared.text).toContain('<title>Pat &quot;PD&quot; Doe voted No on Farm aid | RepWatch</title>');
+
+    const other = await request(app).get('/reps/12?vote=house-119-2026-79');
+    expect(other.text).toContain('<meta property="og:image" content="https://bioguide.congress.gov/bioguide/photo/D/D000001.jpg" />');
+    expect((await request(app).get('/reps/12?vote=latest')).text).toContain('voting record | RepWatch</title>');
+  });
+
+  test('unknown ids, other paths and database errors fall through to the plain shell', async () => {
+    expect((await request(app).get('/reps/99')).text).toBe(TEMPLATE);
+    expect((await request(app).get('/reps/abc')).text).toBe(TEMPLATE);
+    expect((await request(app).get('/about')).text).toBe(TEMPLATE);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.query.mockRejectedValueOnce(new Error('connection refused'));
+    expect((await request(app).get('/issues/7')).text).toBe(TEMPLATE);
+    expect(spy).toHaveBeenCalledWith('Prerender error:', expect.any(Error));
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,96 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { MAX_PUSH_REPS, isPushServiceEndpoint, parsePushSubscription, pushEventKey, buildPushNotification } = require('../lib/push');
+const { repSection } = require('../lib/digest_email');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const app = require('../app');
+
+describe('push helpers', () => {
+  const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+
+  test('parsePushSubscription accepts a browser subscription', () => {
+    const { subscription, error } = parsePushSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys });
+    expect(error).toBeNull();
+    expect(subscription).toEqual({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', ...keys });
+  });
+
+  test('parsePushSubscription rejects bad endpoints and keys', () => {
+    expect(parsePushSubscription(null).error).toMatch(/endpoint/);
+    expect(parsePushSubscription({ endpoint: 'http://push.example/x', keys }).error).toMatch(/https/);
+    expect(parsePushSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/x', keys: { p256dh: 'a b', auth: 'x' } }).error).toMatch(/keys/);
+    expect(parsePushSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/x' }).error).toMatch(/keys/);
+    expect(parsePushSubscription({ endpoint: 'https://push.example/x', keys }).error).toMatch(/push service/);
+  });
+
+  test('only browser push services are accepted as endpoints', () => {
+    expect(isPushServiceEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc')).toBe(true);
+    expect(isPushServiceEndpoint('https://web.push.apple.com/QGuQ')).toBe(true);
+    expect(isPushServiceEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc')).toBe(true);
+    expect(isPushServiceEndpoint('https://169.254.169.254/latest/meta-data')).toBe(false);
+    expect(isPushServiceEndpoint('https://fcm.googleapis.com.evil.example/x')).toBe(false);
+    expect(isPushServiceEndpoint('https://evilnotify.windows.com/x')).toBe(false);
+    expect(isPushServiceEndpoint('https://fcm.googleapis.com:8443/x')).toBe(false);
+    expect(isPushServiceEndpoint('https://user:pw@fcm.googleapis.com/x')).toBe(false);
+  });
+
+  test('pushEventKey is distinct from email keys', () => {
+    expect(pushEventKey('house-119-2026-78', 5, '9')).toBe('vote:house-119-2026-78:rep:5:push:9');
+  });
+
+  test('buildPushNotification links one vote to its bill and several to the rep', () => {
+    const rows = [
+      { representative_id: 5, rep_name: 'Sam Lee', rep_state: 'TX', vote: 'yes', issue_id: 3, issue_title: 'Farm Bill' },
+      { representative_id: 5, rep_name: 'Sam Lee', rep_state: 'TX', vote: 'no', issue_id: 4, issue_title: 'Water Act' },
+      { representative_id: 5, rep_name: 'Sam Lee', rep_state: 'TX', vote: 'no', issue_id: 6, issue_title: 'Roads Act' },
+    ];
+    const one = buildPushNotification(repSection(5, rows, rows.slice(0, 1), 1), 'https://repwatch.test');
+    expect(one).toMatchObject({ url: 'https://repwatch.test/issues/3', tag: 'rep-5' });
+    expect(one.title).toMatch(/^Sam Lee voted/);
+    const many = buildPushNotification(repSection(5, rows, rows, 3), 'https://repwatch.test');
+    expect(many.title).toBe('Sam Lee: 3 new votes');
+    expect(many.body).toMatch(/and 1 more$/);
+    expect(many.url).toBe('https://repwatch.test/reps/5');
+  });
+});
+
+describe('POST /api/push/subscribe limits', () => {
+  const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+  const subscribe = (repId) => request(app).post('/api/push/subscribe')
+    .send({ subscription: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys }, representative_id: repId });
+
+  beforeAll(() => {
+    process.env.VAPID_PUBLIC_KEY = 'test-public';
+    process.env.VAPID_PRIVATE_KEY = 'test-private';
+  });
+
+  afterAll(() => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => {
+      if (/FROM representatives WHERE id = \$1/.test(sql)) return { rows: [{ id: 1 }] };
+      if (/SELECT id FROM push_subscriptions/.test(sql)) return { rows: [{ id: 9 }] };
+      if (/SELECT representative_id FROM push_rep_subscriptions/.test(sql)) {
+        return { rows: Array.from({ length: MAX_PUSH_REPS }, (_, i) => ({ representative_id: i + 1 })) };
+      }
+      return { rows: [{ id: 9 }] };
+    });
+  });
+
+  test('a browser following the maximum can only re-follow reps it has', async () => {
+    expect((await subscribe(MAX_PUSH_REPS + 1)).status).toBe(409);
+    expect((await subscribe(1)).status).toBe(201);
+  });
+
+  test('one client is rate limited', async () => {
+    const statuses = [];
+    for (let i = 0; i < 25; i++) statuses.push((await subscribe(1)).status);
+    expect(statuses).toContain(429);
+  });
+});
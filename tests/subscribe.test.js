@@ -0,0 +1,88 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+
+const request = require('supertest');
+const { signToken, verifyToken } = require('../lib/email_tokens');
+
+jest.mock('../db/pool', () => ({ pool: { query: jest.fn(), on: jest.fn(), end: jest.fn() } }));
+const { pool } = require('../db/pool');
+const mailer = require('../services/mailer');
+const app = require('../app');
+
+const writes = () => pool.query.mock.calls.map(([sql]) => sql).filter((sql) => /INSERT|UPDATE|DELETE/.test(sql));
+
+describe('POST /api/subscribe', () => {
+  let existing;
+  let send;
+
+  beforeEach(() => {
+    existing = null;
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => {
+      if (/FROM representatives WHERE id = ANY/.test(sql)) return { rows: [{ id: 12, name: 'Pat Doe' }] };
+      if (/INSERT INTO users/.test(sql)) return { rows: existing ? [] : [{ id: 5 }] };
+      if (/FROM users WHERE email = \$1/.test(sql)) return { rows: [existing] };
+      return { rows: [] };
+    });
+    jest.spyOn(mailer, 'isConfigured').mockReturnValue(true);
+    send = jest.spyOn(mailer, 'sendConfirmationEmail').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const subscribe = () => request(app).post('/api/subscribe')
+    .send({ email: 'You@Example.com', representative_ids: [12], frequency: 'weekly' });
+
+  test('a new address gets its follows, held until the link is followed', async () => {
+    const res = await subscribe();
+    expect(res.status).toBe(202);
+    expect(res.body.confirmation_required).toBe(true);
+    expect(writes().some((sql) => /INSERT INTO rep_subscriptions/.test(sql))).toBe(true);
+    const token = send.mock.calls[0][1];
+    expect(verifyToken(token, 'confirm', 'test-secret').data).toEqual({ uid: '5', email: 'you@example.com' });
+  });
+
+  test('an existing address, confirmed or not, writes nothing and gets the same answer', async () => {
+    existing = { id: 5, recently_sent: false };
+    const res = await subscribe();
+    expect(res.status).toBe(202);
+    expect(res.body.subscribed).toBe(false);
+    expect(writes()).toEqual([
+      expect.stringMatching(/ON CONFLICT \(email\) DO NOTHING/),
+      expect.stringMatching(/SET verification_sent_at = now\(\)/),
+    ]);
+    const { data } = verifyToken(send.mock.calls[0][1], 'confirm', 'test-secret');
+    expect(data.follows).toMatchObject({ reps: [12], bills: [], categories: [], frequency: 'weekly' });
+  });
+
+  test('no second email within the resend window', async () => {
+    existing = { id: 5, recently_sent: true };
+    expect((await subscribe()).status).toBe(202);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/subscribe/confirm', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockImplementation(async (sql) => (/UPDATE users SET email_verified_at/.test(sql) ? { rows: [{ id: 5 }] } : { rows: [] }));
+  });
+
+  test('adds the follows carried by the link without resuming paused ones', async () => {
+    const follows = { reps: [12], bills: ['hr815-119'], categories: ['energy'], frequency: 'weekly', event_types: null };
+    const token = signToken('confirm', { uid: '5', email: 'you@example.com', follows }, 'test-secret', 48);
+    const res = await request(app).get('/api/subscribe/confirm').query({ token });
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/stays paused/);
+
+    const upserts = pool.query.mock.calls.filter(([sql]) => /_subscriptions/.test(sql));
+    expect(upserts.map(([sql]) => sql.match(/INSERT INTO (\w+)/)[1])).toEqual(['rep_subscriptions', 'bill_subscriptions', 'category_subscriptions']);
+    for (const [, params] of upserts) expect(params[params.length - 1]).toBe(false);
+  });
+
+  test('a plain confirmation only verifies the address', async () => {
+    const token = signToken('confirm', { uid: '5', email: 'you@example.com' }, 'test-secret', 48);
+    expect((await request(app).get('/api/subscribe/confirm').query({ token })).status).toBe(200);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,63 @@
+const { parseRollCallId, tallyRollCall } = require('../lib/tallies');
+
+describe('parseRollCallId', () => {
+  test('parses current and legacy ids', () => {
+    expect(parseRollCallId('house-119-2026-78')).toEqual({ chamber: 'house', congress: 119, year: 2026, roll_number: 78 });
+    expect(parseRollCallId('Senate-119-2025-312')).toEqual({ chamber: 'senate', congress: 119, year: 2025, roll_number: 312 });
+    expect(parseRollCallId('house-118-45')).toEqual({ chamber: 'house', congress: 118, year: null, roll_number: 45 });
+  });
+
+  test('rejects anything else', () => {
+    expect(parseRollCallId('')).toBeNull();
+    expect(parseRollCallId('joint-119-2026-1')).toBeNull();
+    expect(parseRollCallId('house-119-2026-78; DROP TABLE votes')).toBeNull();
+  });
+});
+
+describe('tallyRollCall', () => {
+  const votes = [
+    { vote: 'yes', party: 'Democrat', state: 'NY' },
+    { vote: 'yes', party: 'Democrat', state: 'CA' },
+    { vote: 'no', party: 'Republican', state: 'TX' },
+    { vote: 'abstain', party: 'Republican', state: 'CA' },
+    { vote: 'not voting', party: null, state: 'VT' },
+  ];
+
+  test('counts totals, abstain as present', () => {
+    expect(tallyRollCall(votes).totals).toEqual({ yes: 2, no: 1, present: 1, not_voting: 1, total: 5 });
+  });
+
+  test('groups by party (largest first) and state (alphabetical)', () => {
+    const { by_party, by_state } = tallyRollCall(votes);
+    expect(by_party.map((p) => p.party)).toEqual(['Democrat', 'Republican', 'Unknown']);
+    expect(by_party[1]).toEqual({ party: 'Republican', yes: 0, no: 1, present: 1, not_voting: 0, total: 2, majority: 'no', defections: 0 });
+    expect(by_state.map((s) => s.state)).toEqual(['CA', 'NY', 'TX', 'VT']);
+    expect(by_state[0]).toMatchObject({ yes: 1, present: 1, total: 2 });
+  });
+});
+
+describe('party defectors', () => {
+  const votes = [
+    { representative_id: 1, representative_name: 'A', party: 'Democrat', state: 'NY', vote: 'yes' },
+    { representative_id: 2, representative_name: 'B', party: 'Democrat', state: 'NY', vote: 'yes' },
+    { representative_id: 3, representative_name: 'C', party: 'Democrat', state: 'ME', vote: 'no' },
+    { representative_id: 4, representative_name: 'D', party: 'Democrat', state: 'CA', vote: 'not voting' },
+    { representative_id: 5, representative_name: 'E', party: 'Republican', state: 'TX', vote: 'no' },
+    { representative_id: 6, representative_name: 'F', party: 'Republican', state: 'KY', vote: 'yes' },
+    { representative_id: 7, representative_name: 'G', party: 'Independent', state: 'VT', vote: 'no' },
+  ];
+
+  test('flags major-party members voting against their majority', () => {
+    const { defectors } = tallyRollCall(votes);
+    expect(defectors).toEqual([
+      { representative_id: 3, representative_name: 'C', party: 'Democrat', state: 'ME', district: undefined, vote: 'no', party_position: 'yes' },
+    ]);
+  });
+
+  test('annotates majority and defections per party; ties have no majority', () => {
+    const { by_party } = tallyRollCall(votes);
+    expect(by_party.find((p) => p.party === 'Democrat')).toMatchObject({ majority: 'yes', defections: 1 });
+    expect(by_party.find((p) => p.party === 'Republican')).toMatchObject({ majority: null, defections: 0 });
+    expect(by_party.find((p) => p.party === 'Independent')).toMatchObject({ majority: null, defections: 0 });
+  });
+});
@@ -0,0 +1,60 @@
+const { topicEventKey, inDelegation, pendingTopicUpdates } = require('../lib/topic_updates');
+
+describe('topic follow updates', () => {
+  const windowStart = '2026-10-17T00:00:00Z';
+  const wa = [
+    { representative_id: 1, name: 'Pat Kim', state: 'WA', district: null, chamber: 'senate', vote: 'yes' },
+    { representative_id: 2, name: 'Sam Lee', state: 'WA', district: 7, chamber: 'house', vote: 'no' },
+  ];
+  const or = [{ representative_id: 3, name: 'Jo Park', state: 'OR', district: 3, chamber: 'house', vote: 'yes' }];
+  const rollCalls = [
+    { roll_call: 'house-119-2026-80', issue_id: 4, categories: ['healthcare', 'economy'], recorded_at: '2026-10-18T06:00:00Z', positions: [...wa, ...or] },
+    { roll_call: 'house-119-2026-81', issue_id: 5, categories: ['economy'], recorded_at: '2026-10-18T06:00:00Z', positions: or },
+    { roll_call: 'house-119-2026-60', issue_id: 6, categories: ['healthcare'], recorded_at: '2026-10-01T06:00:00Z', positions: wa },
+  ];
+
+  test('delegation is the state senators plus the district member', () => {
+    expect(inDelegation(wa[0], { state: 'WA', district: 9 })).toBe(true);
+    expect(inDelegation(wa[1], { state: 'WA', district: 9 })).toBe(false);
+    expect(inDelegation(wa[1], { state: 'WA', district: null })).toBe(true);
+    expect(inDelegation(or[0], { state: 'WA', district: 3 })).toBe(false);
+  });
+
+  test('without a delegation, every new roll call in the category shows the followed reps', () => {
+    const subs = [{ category: 'healthcare', state: null, district: null, followed_at: '2026-09-01T00:00:00Z' }];
+    const [section] = pendingTopicUpdates(subs, rollCalls, new Set([3]), 7, windowStart, new Set());
+    expect(section.delegation).toBeNull();
+    expect(section.roll_calls.map((rc) => rc.roll_call)).toEqual(['house-119-2026-80']);
+    expect(section.roll_calls[0].your_reps.map((p) => p.name)).toEqual(['Jo Park']);
+    expect(section.roll_calls[0].positions).toBeUndefined();
+    expect(section.events).toEqual([
+      { event_key: 'topic:rollcall:house-119-2026-80:user:7', event_type: 'topic_roll_call', payload: { category: 'healthcare', roll_call: 'house-119-2026-80', issue_id: 4 } },
+    ]);
+  });
+
+  test('a delegation limit skips roll calls the delegation did not vote on', () => {
+    const subs = [{ category: 'economy', state: 'WA', district: 7, followed_at: '2026-09-01T00:00:00Z' }];
+    const [section] = pendingTopicUpdates(subs, rollCalls, new Set(), 7, windowStart, new Set());
+    expect(section.delegation).toEqual({ state: 'WA', district: 7 });
+    expect(section.roll_calls.map((rc) => rc.roll_call)).toEqual(['house-119-2026-80']);
+    expect(section.roll_calls[0].your_reps.map((p) => p.name)).toEqual(['Pat Kim', 'Sam Lee']);
+  });
+
+  test('a roll call tagged with several followed topics is sent once, and never again', () => {
+    const subs = [
+      { category: 'economy', state: null, district: null, followed_at: '2026-09-01T00:00:00Z' },
+      { category: 'healthcare', state: null, district: null, followed_at: '2026-09-01T00:00:00Z' },
+    ];
+    const sections = pendingTopicUpdates(subs, rollCalls, new Set(), 7, windowStart, new Set());
+    expect(sections.map((s) => s.category)).toEqual(['economy']);
+    expect(sections[0].roll_calls.map((rc) => rc.roll_call)).toEqual(['house-119-2026-80', 'house-119-2026-81']);
+
+    const sent = new Set([topicEventKey('house-119-2026-80', 7), topicEventKey('house-119-2026-81', 7)]);
+    expect(pendingTopicUpdates(subs, rollCalls, new Set(), 7, windowStart, sent)).toEqual([]);
+  });
+
+  test('roll calls recorded before the follow are skipped', () => {
+    const subs = [{ category: 'economy', state: null, district: null, followed_at: '2026-10-19T00:00:00Z' }];
+    expect(pendingTopicUpdates(subs, rollCalls, new Set(), 7, windowStart, new Set())).toEqual([]);
+  });
+});
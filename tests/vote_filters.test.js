@@ -0,0 +1,57 @@
+const { parseVoteFilters, buildVoteFilterConditions, encodeCursor, decodeCursor } = require('../lib/vote_filters');
+
+describe('parseVoteFilters', () => {
+  test('defaults with no query', () => {
+    const out = parseVoteFilters({});
+    expect(out.error).toBeNull();
+    expect(out.filters).toEqual({});
+    expect(out.limit).toBe(50);
+    expect(out.cursor).toBeNull();
+  });
+
+  test('parses every filter', () => {
+    const out = parseVoteFilters({
+      from: '2025-01-03', to: '2025-12-31', chamber: 'House', vote: 'yes,not_voting',
+      motion: 'motion to recommit', category: 'Healthcare', type: 'procedural', limit: '500'
+    });
+    expect(out.error).toBeNull();
+    expect(out.filters).toEqual({
+      from: '2025-01-03', to: '2025-12-31', chamber: 'house', votes: ['yes', 'not voting'],
+      motion: 'Motion to Recommit', category: 'healthcare', type: 'procedural'
+    });
+    expect(out.limit).toBe(200);
+  });
+
+  test('rejects bad values', () => {
+    expect(parseVoteFilters({ from: '01/02/2025' }).error).toMatch(/from/);
+    expect(parseVoteFilters({ vote: 'maybe' }).error).toMatch(/vote/);
+    expect(parseVoteFilters({ motion: 'On Lunch' }).error).toMatch(/motion/);
+    expect(parseVoteFilters({ cursor: 'garbage' }).error).toMatch(/cursor/);
+  });
+});
+
+describe('vote cursors', () => {
+  test('round-trip', () => {
+    const token = encodeCursor('2026-02-11', 4821);
+    expect(decodeCursor(token)).toEqual({ date: '2026-02-11', id: 4821 });
+    expect(parseVoteFilters({ cursor: token }).cursor).toEqual({ date: '2026-02-11', id: 4821 });
+  });
+});
+
+describe('buildVoteFilterConditions', () => {
+  test('numbers params after existing ones', () => {
+    const params = [7];
+    const where = buildVoteFilterConditions({ chamber: 'senate', votes: ['no'] }, params);
+    expect(where).toEqual(['v.chamber = $2', 'v.vote = ANY($3::text[])']);
+    expect(params).toEqual([7, 'senate', ['no']]);
+  });
+
+  test('motion family excludes earlier families', () => {
+    const params = [];
+    const [cond] = buildVoteFilterConditions({ motion: 'On the Amendment' }, params);
+    // "On Agreeing to the Amendment" canonicalizes to On Agreeing, so it must be excluded
+    expect(cond).toContain('NOT (');
+    expect(params).toContain('\\yOn Agreeing to\\y');
+    expect(params).toContain('\\yAmendment\\y');
+  });
+});
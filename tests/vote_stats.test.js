@@ -0,0 +1,49 @@
+const { computeVoteStats, majorityPosition, otherMajorParty } = require('../lib/vote_stats');
+
+describe('majorityPosition', () => {
+  test('picks the larger side, null on ties', () => {
+    expect(majorityPosition(200, 10)).toBe('yes');
+    expect(majorityPosition(3, 190)).toBe('no');
+    expect(majorityPosition(0, 0)).toBeNull();
+  });
+});
+
+describe('otherMajorParty', () => {
+  test('compares major parties against each other only', () => {
+    expect(otherMajorParty('Democrat')).toBe('Republican');
+    expect(otherMajorParty('Republican')).toBe('Democrat');
+    expect(otherMajorParty('Independent')).toBeNull();
+  });
+});
+
+describe('computeVoteStats', () => {
+  const rollCalls = [
+    { roll_call: 'house-119-2026-1', vote: 'yes', month: '2026-01', majorities: { Democrat: 'yes', Republican: 'no' } },
+    { roll_call: 'house-119-2026-2', vote: 'no', month: '2026-01', majorities: { Democrat: 'yes', Republican: 'no' } },
+    { roll_call: 'house-119-2026-3', vote: 'not voting', month: '2026-02', majorities: { Democrat: 'yes', Republican: 'yes' } },
+    { roll_call: 'house-119-2026-4', vote: 'yes', month: '2026-02', majorities: { Democrat: 'yes', Republican: 'yes' } },
+  ];
+
+  test('totals', () => {
+    const { totals } = computeVoteStats(rollCalls, 'Democrat');
+    expect(totals).toEqual({
+      roll_calls: 4,
+      missed: 1,
+      missed_rate: 0.25,
+      party_unity: 0.6667,
+      with_other_party: 0.6667,
+    });
+  });
+
+  test('per-month breakdown in order', () => {
+    const { by_month } = computeVoteStats(rollCalls, 'Democrat');
+    expect(by_month.map((m) => m.month)).toEqual(['2026-01', '2026-02']);
+    expect(by_month[1]).toMatchObject({ roll_calls: 2, missed: 1, missed_rate: 0.5, party_unity: 1 });
+  });
+
+  test('independents get no cross-party rate', () => {
+    const { totals } = computeVoteStats(rollCalls, 'Independent');
+    expect(totals.with_other_party).toBeNull();
+    expect(totals.party_unity).toBeNull();
+  });
+});